@@ -0,0 +1,203 @@
+/*
+  StealthLynk VPN Client - Backup
+  Versioned backup files of the server list, subscriptions and settings,
+  optionally encrypted with a passphrase (scrypt + AES-256-GCM), and merging
+  of a restored backup into the current store.
+*/
+
+const crypto = require('crypto');
+const { serverKey } = require('./subscriptionManager');
+const { newServerId } = require('./serverStore');
+const { buildShareLink } = require('./shareLinks');
+
+const BACKUP_FORMAT = 'stealthlynk-backup';
+const BACKUP_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+class BackupError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code] 'format', 'version', 'passphrase-required' or 'passphrase'
+   */
+  constructor(message, code = 'format') {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+  }
+}
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Serializes store data to backup file text.
+ * @param {object} data { servers, activeServer, subscriptions, settings }
+ * @param {object} [options]
+ * @param {string} [options.passphrase] Encrypts the contents when given.
+ */
+function createBackup(data, { passphrase } = {}) {
+  const payload = {
+    servers: data.servers || [],
+    activeServer: data.activeServer || null,
+    subscriptions: data.subscriptions || [],
+    settings: data.settings || {},
+  };
+  const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString() };
+
+  if (!passphrase) {
+    return `${JSON.stringify({ ...header, encrypted: false, payload }, null, 2)}\n`;
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return `${JSON.stringify({
+    ...header,
+    encrypted: true,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64'),
+  }, null, 2)}\n`;
+}
+
+/**
+ * Checks only the header: whether the text is a backup and needs a passphrase.
+ */
+function inspectBackup(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new BackupError('The file is not a StealthLynk backup.');
+  }
+  if (!parsed || parsed.format !== BACKUP_FORMAT) {
+    throw new BackupError('The file is not a StealthLynk backup.');
+  }
+  if (typeof parsed.version !== 'number' || parsed.version > BACKUP_VERSION) {
+    throw new BackupError('The backup was made by a newer version of the app.', 'version');
+  }
+  return { parsed, encrypted: Boolean(parsed.encrypted), createdAt: parsed.createdAt };
+}
+
+/**
+ * Parses backup file text back into store data.
+ * @throws {BackupError} With code 'passphrase-required' or 'passphrase' for encrypted backups.
+ */
+function readBackup(text, { passphrase } = {}) {
+  const { parsed, encrypted } = inspectBackup(text);
+  let payload = parsed.payload;
+
+  if (encrypted) {
+    if (!passphrase) throw new BackupError('This backup is encrypted. Enter its passphrase.', 'passphrase-required');
+    try {
+      const { salt, N, r, p } = parsed.kdf;
+      const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(parsed.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(parsed.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(parsed.data, 'base64')), decipher.final()]);
+      payload = JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw new BackupError('Wrong passphrase or damaged backup.', 'passphrase');
+    }
+  }
+
+  if (!payload || !Array.isArray(payload.servers)) throw new BackupError('The backup contains no server list.');
+  return {
+    servers: payload.servers,
+    activeServer: payload.activeServer || null,
+    subscriptions: Array.isArray(payload.subscriptions) ? payload.subscriptions : [],
+    settings: payload.settings || {},
+  };
+}
+
+/**
+ * Merges restored data into the live store data (mutates `data`). Servers
+ * already present (same address, port and UUID or password) are skipped.
+ * Subscriptions are matched by URL. Restored settings replace current ones.
+ * @returns {{added: number, duplicates: number, subscriptionsAdded: number}}
+ */
+function mergeBackup(data, restored, { includeSettings = true } = {}) {
+  const usedIds = new Set(data.servers.map(s => s.id));
+  const known = new Map(data.servers.map(s => [serverKey(s), s.id]));
+
+  // Map backup subscription ids to local ones, adding the ones we don't have
+  const subscriptionIds = {};
+  let subscriptionsAdded = 0;
+  restored.subscriptions.forEach(sub => {
+    const existing = data.subscriptions.find(s => s.url === sub.url);
+    if (existing) {
+      subscriptionIds[sub.id] = existing.id;
+      return;
+    }
+    const id = data.subscriptions.some(s => s.id === sub.id) ? newServerId() : sub.id;
+    data.subscriptions.push({ ...sub, id });
+    subscriptionIds[sub.id] = id;
+    subscriptionsAdded++;
+  });
+
+  const idMap = {};
+  let added = 0;
+  let duplicates = 0;
+  restored.servers.forEach(server => {
+    const key = serverKey(server);
+    if (known.has(key)) {
+      idMap[server.id] = known.get(key);
+      duplicates++;
+      return;
+    }
+    const id = server.id && !usedIds.has(server.id) ? server.id : newServerId();
+    known.set(key, id);
+    usedIds.add(id);
+    idMap[server.id] = id;
+    const merged = { ...server, id };
+    if (server.subscriptionId) merged.subscriptionId = subscriptionIds[server.subscriptionId] || null;
+    data.servers.push(merged);
+    added++;
+  });
+
+  if (!data.activeServer && idMap[restored.activeServer]) data.activeServer = idMap[restored.activeServer];
+  if (includeSettings) {
+    const settings = { ...restored.settings };
+    // Smart-connect priority groups refer to server ids, which may have changed
+    if (settings.autoFailover && Array.isArray(settings.autoFailover.priorityGroups)) {
+      settings.autoFailover = {
+        ...settings.autoFailover,
+        priorityGroups: settings.autoFailover.priorityGroups.map(group => group.map(id => idMap[id]).filter(Boolean)),
+      };
+    }
+    data.settings = { ...data.settings, ...settings };
+  }
+
+  return { added, duplicates, subscriptionsAdded };
+}
+
+/**
+ * Plain text list of share links, one per line, for the given servers.
+ * Links are rebuilt from the stored fields; the original link is the fallback.
+ */
+function exportShareLinks(servers) {
+  const links = servers.map(server => {
+    try {
+      return buildShareLink(server);
+    } catch (error) {
+      return server.url;
+    }
+  });
+  return `${links.filter(Boolean).join('\n')}\n`;
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BackupError,
+  createBackup,
+  inspectBackup,
+  readBackup,
+  mergeBackup,
+  exportShareLinks,
+};
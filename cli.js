@@ -0,0 +1,568 @@
+#!/usr/bin/env node
+/*
+  StealthLynk VPN Client - Command Line
+  Headless companion to the app for SSH sessions and CI: manages the same server
+  store, parses share links and runs the core with the same modules as the GUI.
+  `connect` runs the core in the foreground with its log on stdout until it is
+  interrupted or `stealthlynk disconnect` is run from another shell.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shareLinks = require('./shareLinks');
+const configBuilder = require('./configBuilder');
+const latencyTester = require('./latencyTester');
+const backup = require('./backup');
+const { CoreProcess } = require('./coreLauncher');
+const { ServerStore, newServerId } = require('./serverStore');
+const { StoreCipher, isEnvelope } = require('./storeCrypto');
+const { serverKey } = require('./subscriptionManager');
+const { name: APP_NAME } = require('./package.json');
+
+const EXIT_CODES = {
+  ok: 0,
+  failure: 1,
+  usage: 2,
+  notConnected: 3, // `status` when no tunnel is running
+};
+
+const STORE_FILE = 'servers.json';
+const SESSION_FILE = 'cli-session.json';
+const DISCONNECT_TIMEOUT_MS = 5000; // The core gets 3s to stop before it is killed
+
+const USAGE = `Usage: stealthlynk <command> [options]
+
+Commands:
+  servers list                 List saved servers (* marks the active one)
+  servers add <link>...        Add share links; reads them from stdin when none (or -) are given
+  servers rm <server>          Remove a server
+  servers show <server>        Show a server's settings and share link
+  connect [<server>|--fastest] Run the tunnel in the foreground (Ctrl+C disconnects)
+  disconnect                   Stop a tunnel started with connect
+  status                       Show the running tunnel (exit code 3 when there is none)
+  ping [<server>...]           Measure the delay through each server (all by default)
+  import <file|->              Merge a backup file or a list of share links
+  export [<file>]              Write a backup to a file or stdout
+
+<server> is an id, a unique id prefix or a server name.
+
+Options:
+  --json           Machine-readable output (list, show, status, ping)
+  --store <path>   Server store file (default: the app's, or $STEALTHLYNK_STORE)
+  --links          export: share links instead of a backup
+  --encrypt        export: encrypt the backup with a passphrase
+  --no-settings    import: keep the current settings
+
+A store or backup sealed with a passphrase is opened with $STEALTHLYNK_PASSPHRASE or
+$STEALTHLYNK_BACKUP_PASSPHRASE, or by asking on the terminal.`;
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.failure) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+const FLAGS = ['json', 'fastest', 'links', 'encrypt', 'no-settings', 'help'];
+const VALUE_FLAGS = ['store'];
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_FLAGS.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value) throw new CliError(`--${name} needs a value.`, EXIT_CODES.usage);
+      flags[name] = value;
+    } else if (FLAGS.includes(name)) {
+      flags[name] = true;
+    } else {
+      throw new CliError(`Unknown option --${name}.`, EXIT_CODES.usage);
+    }
+  }
+  return { positional, flags };
+}
+
+function print(text = '') {
+  process.stdout.write(`${text}\n`);
+}
+
+function printJson(value) {
+  print(JSON.stringify(value, null, 2));
+}
+
+// Electron's userData directory for this app, which is where main.js keeps the store
+function defaultStorePath() {
+  const home = os.homedir();
+  let base;
+  if (process.platform === 'darwin') base = path.join(home, 'Library', 'Application Support');
+  else if (process.platform === 'win32') base = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  else base = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  return path.join(base, APP_NAME, STORE_FILE);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { text += chunk; });
+    process.stdin.on('end', () => resolve(text));
+    process.stdin.on('error', reject);
+  });
+}
+
+// A secret from `envVar`, or else read from the terminal without echoing it
+function readSecret(question, envVar) {
+  if (process.env[envVar]) return Promise.resolve(process.env[envVar]);
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new CliError(`A passphrase is needed and there is no terminal to ask on; set ${envVar}.`));
+  }
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    let value = '';
+    const finish = (error) => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      process.stderr.write('\n');
+      if (error) reject(error); else resolve(value);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') return finish();
+        if (char === '\u0003') return finish(new CliError('Cancelled.'));
+        if (char === '\u007f' || char === '\b') value = value.slice(0, -1);
+        else value += char;
+      }
+      return undefined;
+    };
+    process.stderr.write(`${question} `);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+// --- STORE ---
+
+// The parsed store file when it is encrypted, else null
+function readEnvelope(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return isEnvelope(parsed) ? parsed : null;
+  } catch (error) {
+    return null; // Missing or damaged; load() reports the latter
+  }
+}
+
+/**
+ * Opens the app's server store. Only passphrase-sealed stores can be unlocked here:
+ * the keychain key is reachable through Electron's safeStorage alone.
+ */
+async function openStore(flags) {
+  const filePath = flags.store || process.env.STEALTHLYNK_STORE || defaultStorePath();
+  const cipher = new StoreCipher();
+  const envelope = readEnvelope(filePath);
+  if (envelope && envelope.keySource === 'passphrase') {
+    const passphrase = await readSecret('Passphrase of your saved servers:', 'STEALTHLYNK_PASSPHRASE');
+    try {
+      // Checked up front so a wrong passphrase is one clear message
+      cipher.unlock(passphrase, envelope);
+      cipher.open(envelope);
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+  }
+
+  const store = new ServerStore(filePath, { cipher });
+  store.load();
+  if (store.lockError) {
+    const hint = envelope && envelope.keySource === 'safeStorage'
+      ? ' Only the app can open them; set a store passphrase in the app to use them here.'
+      : '';
+    throw new CliError(`${store.lockError.message}${hint}`);
+  }
+  return store;
+}
+
+/**
+ * Looks a server up by id, unique id prefix or name (case-insensitive).
+ */
+function findServer(store, ref) {
+  if (!ref) throw new CliError('Name the server (id, id prefix or name).', EXIT_CODES.usage);
+  const servers = store.data.servers;
+  const exact = servers.find(s => s.id === ref);
+  if (exact) return exact;
+  const lower = ref.toLowerCase();
+  const matches = servers.filter(s => s.id.startsWith(ref) || (s.name || '').toLowerCase() === lower);
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) throw new CliError(`"${ref}" matches ${matches.length} servers; use more of the id.`);
+  throw new CliError(`No server matches "${ref}".`);
+}
+
+// Same rules as addServers() in the app: invalid links and stored duplicates are reported
+function addLinks(store, links) {
+  const invalid = [];
+  const candidates = [];
+  links.forEach(({ link, server, errors }) => {
+    if (errors.length > 0) invalid.push({ link, message: errors.map(e => e.message).join(' ') });
+    else candidates.push(server);
+  });
+
+  return store.update(data => {
+    const known = new Set(data.servers.map(serverKey));
+    const added = [];
+    let duplicates = 0;
+    candidates.forEach(server => {
+      const key = serverKey(server);
+      if (known.has(key)) {
+        duplicates++;
+        return;
+      }
+      known.add(key);
+      const stored = { ...server, id: newServerId(), addedAt: Date.now() };
+      data.servers.push(stored);
+      added.push(stored);
+    });
+    return { added, duplicates, invalid };
+  });
+}
+
+function reportAdded({ added, duplicates, invalid }) {
+  added.forEach(server => print(`Added ${server.name} (${server.id})`));
+  if (duplicates > 0) print(`Skipped ${duplicates} already saved`);
+  invalid.forEach(({ link, message }) => process.stderr.write(`Invalid link ${link}: ${message}\n`));
+  if (added.length === 0 && invalid.length > 0) throw new CliError('No servers were added.');
+}
+
+// --- SESSION ---
+// A running `connect` records itself next to the store so other invocations can find it
+
+function sessionPath(store) {
+  return path.join(path.dirname(store.filePath), SESSION_FILE);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// The running session, or null; a session whose process is gone is cleared
+function readSession(store) {
+  const file = sessionPath(store);
+  let session;
+  try {
+    session = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (session && isAlive(session.pid)) return session;
+  fs.rmSync(file, { force: true });
+  return null;
+}
+
+function writeSession(store, session) {
+  fs.writeFileSync(sessionPath(store), JSON.stringify(session, null, 2), { mode: 0o600 });
+}
+
+function clearSession(store) {
+  const file = sessionPath(store);
+  try {
+    if (JSON.parse(fs.readFileSync(file, 'utf8')).pid === process.pid) fs.rmSync(file, { force: true });
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// --- COMMANDS ---
+
+function formatLatency(result) {
+  if (result.loss >= 1) return `failed${result.error ? `: ${result.error}` : ''}`;
+  return `${result.latency} ms, jitter ${result.jitter} ms, loss ${Math.round(result.loss * 100)}%`;
+}
+
+async function pingServers(store, servers, { onResult = () => {} } = {}) {
+  const settings = { ...configBuilder.DEFAULT_SETTINGS, ...store.getSettings() };
+  const session = readSession(store);
+  const results = [];
+  // One at a time: every test starts its own core
+  for (const server of servers) {
+    const isRunning = Boolean(session) && session.serverId === server.id;
+    const result = await latencyTester.testServerDelay(server, {
+      probeUrl: settings.probeUrl || latencyTester.DEFAULT_PROBE_URL,
+      runningSocksPort: isRunning ? session.socksPort : null,
+      runningProxyAuth: settings.proxyAuth,
+    });
+    results.push(result);
+    onResult(server, result);
+  }
+  return results;
+}
+
+const serverCommands = {
+  list(store, args, flags) {
+    const { servers, activeServer } = store.data;
+    if (flags.json) {
+      printJson({ activeServer, servers });
+      return;
+    }
+    if (servers.length === 0) {
+      print('No servers saved. Add one with `stealthlynk servers add <link>`.');
+      return;
+    }
+    servers.forEach(server => {
+      const marker = server.id === activeServer ? '*' : ' ';
+      // Stores edited by hand or by older versions may lack fields
+      const protocol = (server.protocol || '?').padEnd(9);
+      print(`${marker} ${server.id.slice(0, 8)}  ${protocol} ${server.name || ''}  (${server.address}:${server.port})`);
+    });
+  },
+
+  async add(store, args) {
+    const fromStdin = args.length === 0 || args[0] === '-';
+    if (fromStdin && process.stdin.isTTY) throw new CliError('Give one or more share links.', EXIT_CODES.usage);
+    const text = fromStdin ? await readStdin() : args.join('\n');
+    const links = shareLinks.inspectShareLinkList(text);
+    if (links.length === 0) throw new CliError('Give one or more share links.', EXIT_CODES.usage);
+    reportAdded(addLinks(store, links));
+  },
+
+  rm(store, args) {
+    const server = findServer(store, args[0]);
+    store.deleteServer(server.id);
+    print(`Removed ${server.name} (${server.id})`);
+  },
+
+  show(store, args, flags) {
+    const server = findServer(store, args[0]);
+    if (flags.json) {
+      printJson(server);
+      return;
+    }
+    Object.entries(server)
+      .filter(([field, value]) => field !== 'url' && value !== undefined && value !== null && value !== '')
+      .forEach(([field, value]) => print(`${field}: ${typeof value === 'object' ? JSON.stringify(value) : value}`));
+    print(`link: ${backup.exportShareLinks([server]).trim()}`);
+  },
+};
+
+const commands = {
+  async servers(store, [action, ...args], flags) {
+    const command = serverCommands[action || 'list'];
+    if (!command) throw new CliError(`Unknown servers command "${action}".`, EXIT_CODES.usage);
+    await command(store, args, flags);
+  },
+
+  async connect(store, [ref], flags) {
+    const running = readSession(store);
+    if (running) throw new CliError(`Already connected to ${running.name} (pid ${running.pid}). Run \`stealthlynk disconnect\` first.`);
+
+    let server;
+    if (flags.fastest) {
+      if (store.data.servers.length === 0) throw new CliError('No servers saved.');
+      print(`Testing ${store.data.servers.length} servers...`);
+      const results = await pingServers(store, store.data.servers, {
+        onResult: (s, result) => print(`  ${s.name}: ${formatLatency(result)}`),
+      });
+      const best = results.filter(r => r.loss < 1).sort((a, b) => a.latency - b.latency)[0];
+      if (!best) throw new CliError('No server answered.');
+      server = store.getServer(best.serverId);
+    } else {
+      server = ref ? findServer(store, ref) : store.getActiveServer();
+      if (!server) throw new CliError('Select a server first: `stealthlynk connect <server>`.', EXIT_CODES.usage);
+    }
+    if (store.data.activeServer !== server.id) store.setActiveServer(server.id);
+
+    const settings = { ...configBuilder.DEFAULT_SETTINGS, ...store.getSettings() };
+    if (settings.killSwitch && settings.killSwitch.enabled) {
+      process.stderr.write('Note: the kill switch is only applied by the app, not by the command line.\n');
+    }
+    let config;
+    try {
+      config = configBuilder.buildCoreConfig(server, settings);
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+
+    const core = new CoreProcess({ config });
+    core.on('log', ({ line }) => print(line));
+    print(`Connecting to ${server.name} (${server.address}:${server.port})...`);
+    try {
+      await core.start();
+    } catch (error) {
+      await core.stop();
+      throw new CliError(error.message);
+    }
+
+    writeSession(store, {
+      pid: process.pid,
+      serverId: server.id,
+      name: server.name,
+      startedAt: new Date().toISOString(),
+      listen: settings.listen,
+      socksPort: settings.socksPort,
+      httpPort: settings.httpPort,
+    });
+    print(`Connected. SOCKS5 ${settings.listen}:${settings.socksPort}, HTTP ${settings.listen}:${settings.httpPort}. Press Ctrl+C to disconnect.`);
+
+    // Runs until a signal asks the core to stop or the core exits by itself
+    return new Promise((resolve, reject) => {
+      let stopping = false;
+      const stop = async () => {
+        if (stopping) return;
+        stopping = true;
+        print('Disconnecting...');
+        await core.stop();
+      };
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+      process.on('SIGHUP', stop);
+      core.on('exit', ({ code, signal }) => {
+        clearSession(store);
+        if (stopping) {
+          print('Disconnected.');
+          resolve();
+        } else {
+          reject(new CliError(`The core exited unexpectedly (code ${code}${signal ? `, signal ${signal}` : ''}).`));
+        }
+      });
+    });
+  },
+
+  async disconnect(store) {
+    const session = readSession(store);
+    if (!session) {
+      print('Not connected.');
+      return;
+    }
+    process.kill(session.pid, 'SIGTERM');
+    const deadline = Date.now() + DISCONNECT_TIMEOUT_MS;
+    while (isAlive(session.pid)) {
+      if (Date.now() > deadline) throw new CliError(`The tunnel (pid ${session.pid}) did not stop in time.`);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    print(`Disconnected from ${session.name}.`);
+  },
+
+  status(store, args, flags) {
+    const session = readSession(store);
+    if (flags.json) printJson({ connected: Boolean(session), ...session });
+    else if (session) {
+      print(`Connected to ${session.name} (${session.serverId}) since ${session.startedAt}`);
+      print(`SOCKS5 ${session.listen}:${session.socksPort}, HTTP ${session.listen}:${session.httpPort}, pid ${session.pid}`);
+    } else {
+      print('Not connected.');
+    }
+    if (!session) process.exitCode = EXIT_CODES.notConnected;
+  },
+
+  async ping(store, refs, flags) {
+    const servers = refs.length > 0 ? refs.map(ref => findServer(store, ref)) : store.data.servers;
+    if (servers.length === 0) throw new CliError('No servers saved.');
+    const results = await pingServers(store, servers, {
+      onResult: (server, result) => {
+        if (!flags.json) print(`${server.id.slice(0, 8)}  ${server.name}: ${formatLatency(result)}`);
+      },
+    });
+    if (flags.json) printJson(results);
+    if (results.every(result => result.loss >= 1)) throw new CliError('No server answered.');
+  },
+
+  async import(store, [file], flags) {
+    if (!file) throw new CliError('Give a file to import, or - for stdin.', EXIT_CODES.usage);
+    const text = file === '-' ? await readStdin() : fs.readFileSync(file, 'utf8');
+
+    let header = null;
+    try {
+      header = backup.inspectBackup(text);
+    } catch (error) {
+      // Not a backup: treat it as a list of share links
+    }
+    if (!header) {
+      const links = shareLinks.inspectShareLinkList(text);
+      if (links.length === 0) throw new CliError('The file is neither a StealthLynk backup nor a list of share links.');
+      reportAdded(addLinks(store, links));
+      return;
+    }
+
+    let restored;
+    try {
+      const passphrase = header.encrypted
+        ? await readSecret('Backup passphrase:', 'STEALTHLYNK_BACKUP_PASSPHRASE')
+        : undefined;
+      restored = backup.readBackup(text, { passphrase });
+    } catch (error) {
+      if (error instanceof backup.BackupError) throw new CliError(error.message);
+      throw error;
+    }
+    const includeSettings = !flags['no-settings'];
+    const { added, duplicates, subscriptionsAdded } = store.update(data => backup.mergeBackup(data, restored, { includeSettings }));
+    print(`Imported ${added} servers (${duplicates} already saved) and ${subscriptionsAdded} subscriptions.`);
+  },
+
+  async export(store, [file], flags) {
+    let text;
+    if (flags.links) {
+      text = backup.exportShareLinks(store.data.servers);
+    } else {
+      let passphrase;
+      if (flags.encrypt) {
+        passphrase = await readSecret('Passphrase for the backup:', 'STEALTHLYNK_BACKUP_PASSPHRASE');
+        if (!passphrase) throw new CliError('Enter a passphrase to encrypt the backup.', EXIT_CODES.usage);
+      }
+      text = backup.createBackup(store.data, { passphrase });
+    }
+    if (!file || file === '-') {
+      process.stdout.write(text);
+      return;
+    }
+    fs.writeFileSync(file, text, { mode: 0o600 });
+    print(`Exported ${store.data.servers.length} servers to ${file}`);
+  },
+};
+
+async function main(argv) {
+  const { positional: [command, ...args], flags } = parseArgs(argv);
+  if (!command || command === 'help' || flags.help) {
+    print(USAGE);
+    return;
+  }
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    throw new CliError(`Unknown command "${command}". Run \`stealthlynk help\`.`, EXIT_CODES.usage);
+  }
+  const store = await openStore(flags);
+  await commands[command](store, args, flags);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => {
+      // Nothing else should keep the process alive once a command is done
+      process.exit(process.exitCode || EXIT_CODES.ok);
+    })
+    .catch((error) => {
+      process.stderr.write(`stealthlynk: ${error.message}\n`);
+      if (!(error instanceof CliError)) process.stderr.write(`${error.stack}\n`);
+      process.exit(error instanceof CliError ? error.exitCode : EXIT_CODES.failure);
+    });
+}
+
+module.exports = {
+  EXIT_CODES,
+  CliError,
+  defaultStorePath,
+  main,
+};
@@ -0,0 +1,261 @@
+/*
+  StealthLynk VPN Client - Core Config Builder
+  Turns a stored server plus user settings into a complete Xray JSON config.
+  The output depends only on its inputs (no clocks, no random ids) so the same
+  server and settings always produce byte-identical JSON.
+*/
+
+const { compileRules } = require('./routingRules');
+
+const DEFAULT_SETTINGS = {
+  listen: '127.0.0.1', // '0.0.0.0' shares the proxies with the LAN
+  socksPort: 10808,
+  httpPort: 10809,
+  udp: true,
+  proxyAuth: null, // { username, password } required by both inbounds when set
+  logLevel: 'warning',
+  dnsServers: ['1.1.1.1', '8.8.8.8'],
+  domainStrategy: 'IPIfNonMatch',
+  routingRules: [],
+  metricsPort: 10810, // Core stats endpoint (/debug/vars); null leaves stats off
+};
+
+const OUTBOUND_TAGS = {
+  proxy: 'proxy',
+  direct: 'direct',
+  block: 'block',
+};
+
+class ConfigBuildError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigBuildError';
+  }
+}
+
+// --- STREAM SETTINGS ---
+
+function buildTransport(server) {
+  const network = server.network === 'raw' ? 'tcp' : (server.network || 'tcp');
+  const stream = { network };
+
+  switch (network) {
+    case 'tcp':
+      if (server.headerType === 'http') {
+        stream.tcpSettings = {
+          header: {
+            type: 'http',
+            request: {
+              path: [server.path || '/'],
+              headers: server.host ? { Host: [server.host] } : {},
+            },
+          },
+        };
+      }
+      break;
+    case 'ws':
+      stream.wsSettings = {
+        path: server.path || '/',
+        host: server.host || '',
+      };
+      break;
+    case 'grpc':
+      stream.grpcSettings = {
+        serviceName: server.serviceName || '',
+        multiMode: server.mode === 'multi',
+      };
+      break;
+    case 'xhttp':
+    case 'splithttp':
+      stream.network = 'xhttp';
+      stream.xhttpSettings = {
+        path: server.path || '/',
+        host: server.host || '',
+        mode: server.mode || 'auto',
+      };
+      break;
+    case 'httpupgrade':
+      stream.httpupgradeSettings = {
+        path: server.path || '/',
+        host: server.host || '',
+      };
+      break;
+    default:
+      throw new ConfigBuildError(`Transport "${network}" is not supported by the config builder.`);
+  }
+
+  return stream;
+}
+
+function buildSecurity(server, stream) {
+  const security = server.security || 'none';
+  stream.security = security;
+
+  if (security === 'tls') {
+    stream.tlsSettings = {
+      serverName: server.sni || server.host || server.address,
+      fingerprint: server.fingerprint || 'chrome',
+      alpn: server.alpn && server.alpn.length > 0 ? server.alpn.slice() : undefined,
+      allowInsecure: Boolean(server.allowInsecure),
+    };
+  } else if (security === 'reality') {
+    if (!server.publicKey) throw new ConfigBuildError('REALITY server is missing its public key.');
+    stream.realitySettings = {
+      serverName: server.sni || '',
+      fingerprint: server.fingerprint || 'chrome',
+      publicKey: server.publicKey,
+      shortId: server.shortId || '',
+      spiderX: server.spiderX || '',
+    };
+  } else if (security !== 'none') {
+    throw new ConfigBuildError(`Security "${security}" is not supported by the config builder.`);
+  }
+
+  return stream;
+}
+
+function buildStreamSettings(server) {
+  return buildSecurity(server, buildTransport(server));
+}
+
+// --- OUTBOUNDS ---
+
+// `address` is what the core dials; TLS keeps server.address as its default server name
+function buildProxySettings(server, address) {
+  switch (server.protocol) {
+    case 'vless':
+      return {
+        vnext: [{
+          address,
+          port: server.port,
+          users: [{ id: server.uuid, encryption: server.encryption || 'none', flow: server.flow || '' }],
+        }],
+      };
+    case 'vmess':
+      return {
+        vnext: [{
+          address,
+          port: server.port,
+          users: [{ id: server.uuid, alterId: server.alterId || 0, security: server.cipher || 'auto' }],
+        }],
+      };
+    case 'trojan':
+      return {
+        servers: [{ address, port: server.port, password: server.password }],
+      };
+    case 'shadowsocks':
+      // Plugins (simple-obfs, v2ray-plugin, ...) run as separate programs the core can't start
+      if (server.plugin) {
+        const plugin = server.plugin.split(';')[0];
+        throw new ConfigBuildError(`Shadowsocks plugin "${plugin}" is not supported by the bundled core.`);
+      }
+      return {
+        servers: [{ address, port: server.port, method: server.method, password: server.password }],
+      };
+    default:
+      throw new ConfigBuildError(`Protocol "${server.protocol}" is not supported by the bundled core.`);
+  }
+}
+
+function buildProxyOutbound(server, address) {
+  const outbound = {
+    tag: OUTBOUND_TAGS.proxy,
+    protocol: server.protocol,
+    settings: buildProxySettings(server, address),
+  };
+  // Shadowsocks has no transport or TLS layer to wrap
+  if (server.protocol !== 'shadowsocks') {
+    outbound.streamSettings = buildStreamSettings(server);
+  }
+  return outbound;
+}
+
+// --- TOP LEVEL SECTIONS ---
+
+function buildInbounds(settings) {
+  const auth = settings.proxyAuth;
+  const accounts = auth ? [{ user: auth.username, pass: auth.password }] : undefined;
+  return [
+    {
+      tag: 'socks-in',
+      listen: settings.listen,
+      port: settings.socksPort,
+      protocol: 'socks',
+      settings: { auth: auth ? 'password' : 'noauth', accounts, udp: Boolean(settings.udp) },
+      sniffing: { enabled: true, destOverride: ['http', 'tls'] },
+    },
+    {
+      tag: 'http-in',
+      listen: settings.listen,
+      port: settings.httpPort,
+      protocol: 'http',
+      settings: auth ? { accounts } : {},
+      sniffing: { enabled: true, destOverride: ['http', 'tls'] },
+    },
+  ];
+}
+
+function buildDns(settings) {
+  return {
+    servers: settings.dnsServers.slice(),
+    queryStrategy: 'UseIP',
+  };
+}
+
+function buildRouting(settings) {
+  return {
+    domainStrategy: settings.domainStrategy,
+    rules: compileRules(settings.routingRules, OUTBOUND_TAGS),
+  };
+}
+
+// Traffic counters for the proxy outbound, served as JSON on a loopback metrics endpoint
+function addStats(config, settings) {
+  config.stats = {};
+  config.policy = { system: { statsOutboundUplink: true, statsOutboundDownlink: true } };
+  config.metrics = { tag: 'metrics', listen: `127.0.0.1:${settings.metricsPort}` };
+}
+
+/**
+ * Builds the full core config for a server.
+ * @param {object} server A stored server object as produced by shareLinks.
+ * @param {object} [userSettings] Overrides for DEFAULT_SETTINGS.
+ * @param {object} [options]
+ * @param {string} [options.dialAddress] IP to connect to instead of resolving server.address,
+ *   for when DNS is blocked (kill switch); the hostname is still sent as the TLS server name.
+ * @returns {object} Xray JSON config.
+ */
+function buildCoreConfig(server, userSettings = {}, { dialAddress } = {}) {
+  if (!server) throw new ConfigBuildError('No server selected.');
+  const settings = { ...DEFAULT_SETTINGS, ...userSettings };
+
+  const config = {
+    log: { loglevel: settings.logLevel },
+    dns: buildDns(settings),
+    inbounds: buildInbounds(settings),
+    outbounds: [
+      buildProxyOutbound(server, dialAddress || server.address),
+      { tag: OUTBOUND_TAGS.direct, protocol: 'freedom', settings: {} },
+      { tag: OUTBOUND_TAGS.block, protocol: 'blackhole', settings: {} },
+    ],
+    routing: buildRouting(settings),
+  };
+  if (settings.metricsPort) addStats(config, settings);
+  return config;
+}
+
+/**
+ * Serializes a config to the exact text written to disk. Undefined fields are dropped.
+ */
+function serializeCoreConfig(config) {
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  OUTBOUND_TAGS,
+  ConfigBuildError,
+  buildCoreConfig,
+  buildStreamSettings,
+  serializeCoreConfig,
+};
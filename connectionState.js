@@ -0,0 +1,100 @@
+/*
+  StealthLynk VPN Client - Connection State
+  The single record of what the tunnel is doing. Every change goes through a
+  validated transition and is emitted as one snapshot, which the main process
+  forwards to the renderer as `vpn:status-change`.
+*/
+
+const EventEmitter = require('events');
+
+const STATES = ['idle', 'connecting', 'connected', 'switching', 'disconnecting', 'reconnecting', 'error'];
+
+// Allowed next states for each state
+const TRANSITIONS = {
+  idle: ['connecting'],
+  connecting: ['connected', 'disconnecting', 'error'],
+  connected: ['disconnecting', 'switching', 'reconnecting', 'error'],
+  switching: ['connected', 'disconnecting', 'error'],
+  disconnecting: ['idle', 'error'],
+  reconnecting: ['connected', 'disconnecting', 'idle', 'error'],
+  error: ['connecting', 'reconnecting', 'disconnecting', 'idle'],
+};
+
+class ConnectionStateError extends Error {
+  constructor(from, to) {
+    super(`Cannot go from ${from} to ${to}.`);
+    this.name = 'ConnectionStateError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+class ConnectionStateMachine extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {function(): number} [options.now]
+   */
+  constructor({ now = Date.now } = {}) {
+    super();
+    this.now = now;
+    this.state = 'idle';
+    this.previousState = null;
+    this.serverId = null; // Server the state refers to (connected to, connecting or switching to)
+    this.error = null; // Message of the failure that led to 'error'
+    this.since = this.now();
+    this.queue = Promise.resolve(); // Tail of the operations run through exclusive()
+  }
+
+  canTransition(next) {
+    return (TRANSITIONS[this.state] || []).includes(next);
+  }
+
+  /**
+   * Moves to `next` and emits 'change' with the new snapshot.
+   * @param {string} next
+   * @param {object} [details]
+   * @param {string} [details.serverId] Defaults to the current server.
+   * @param {string} [details.error] Only kept in the 'error' state.
+   * @throws {ConnectionStateError} when the transition is not allowed.
+   */
+  transition(next, { serverId, error } = {}) {
+    if (!this.canTransition(next)) throw new ConnectionStateError(this.state, next);
+    this.previousState = this.state;
+    this.state = next;
+    if (serverId !== undefined) this.serverId = serverId;
+    this.error = next === 'error' ? (error || 'Connection failed.') : null;
+    this.since = this.now();
+    const snapshot = this.getSnapshot();
+    this.emit('change', snapshot);
+    return snapshot;
+  }
+
+  getSnapshot() {
+    return {
+      state: this.state,
+      previousState: this.previousState,
+      serverId: this.serverId,
+      error: this.error,
+      since: this.since,
+      isConnected: this.state === 'connected',
+    };
+  }
+
+  /**
+   * Runs `operation` once every operation queued before it has finished, so that a
+   * connect, disconnect or switch never interleaves with another one.
+   * @param {function(): Promise} operation
+   */
+  exclusive(operation) {
+    const run = this.queue.then(() => operation());
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  ConnectionStateError,
+  ConnectionStateMachine,
+};
@@ -0,0 +1,163 @@
+/*
+  StealthLynk VPN Client - Control API
+  Opt-in HTTP API on the loopback interface for scripts: status, servers,
+  connect/disconnect/switch and a server-sent-events stream of state changes.
+  Every request needs the bearer token from settings, and every route calls the
+  same handler (with the same argument checks) as the matching IPC channel.
+*/
+
+const crypto = require('crypto');
+const express = require('express');
+const { IpcContractError, invokeHandler } = require('./ipcContract');
+
+const LISTEN_ADDRESS = '127.0.0.1';
+const DEFAULT_PORT = 10812;
+const HEARTBEAT_MS = 30000; // Keeps idle event streams from being dropped by clients
+
+// Renderer events that are also streamed, by the name they get on /v1/events
+const STREAMED_EVENTS = {
+  'vpn:status-change': 'status-change',
+  'vpn:servers-updated': 'servers-updated',
+  'vpn:reconnect-status': 'reconnect-status',
+  'vpn:auto-failover': 'auto-failover',
+  'vpn:kill-switch': 'kill-switch',
+};
+
+// [HTTP method, path, (body, params) => [handler method, handler arguments]]
+const ROUTES = [
+  ['get', '/v1/status', () => ['getStatus', []]],
+  ['get', '/v1/servers', () => ['getServers', []]],
+  ['post', '/v1/servers', body => (body.links !== undefined ? ['addServers', [body.links]] : ['addServer', [body.url]])],
+  ['delete', '/v1/servers/:id', (body, params) => ['deleteServer', [params.id]]],
+  ['post', '/v1/active-server', body => ['setActiveServer', [body.serverId]]],
+  ['post', '/v1/connect', () => ['connect', []]],
+  ['post', '/v1/disconnect', () => ['disconnect', []]],
+  ['post', '/v1/switch', body => ['switchServer', [body.serverId]]],
+];
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Constant-time comparison; hashing first makes the lengths equal
+function tokensMatch(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+class ControlApiServer {
+  /**
+   * @param {object} options
+   * @param {function(): object} options.getHandlers The IPC handlers, keyed by bridge method name.
+   * @param {function(): string} options.getToken The current bearer token.
+   * @param {function(): object} options.getSnapshot Connection state sent first on every event stream.
+   */
+  constructor({ getHandlers, getToken, getSnapshot }) {
+    this.getHandlers = getHandlers;
+    this.getToken = getToken;
+    this.getSnapshot = getSnapshot;
+    this.server = null;
+    this.streams = new Set(); // Open /v1/events responses
+    this.heartbeat = null;
+  }
+
+  get running() {
+    return Boolean(this.server);
+  }
+
+  createApp() {
+    const app = express();
+    app.disable('x-powered-by');
+
+    app.use((req, res, next) => {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+      const token = this.getToken();
+      if (!token || !match || !tokensMatch(match[1], token)) {
+        res.set('WWW-Authenticate', 'Bearer').status(401).json({ success: false, message: 'A valid bearer token is required.' });
+        return;
+      }
+      next();
+    });
+    app.use(express.json({ limit: '1mb' }));
+
+    ROUTES.forEach(([verb, path, toCall]) => {
+      app[verb](path, async (req, res, next) => {
+        try {
+          const [method, args] = toCall(req.body || {}, req.params);
+          res.json(await invokeHandler(this.getHandlers(), method, args));
+        } catch (error) {
+          next(error);
+        }
+      });
+    });
+
+    app.get('/v1/events', (req, res) => this.openStream(req, res));
+
+    app.use((req, res) => res.status(404).json({ success: false, message: `No route for ${req.method} ${req.path}.` }));
+    // Express recognizes error handlers by their four parameters
+    app.use((error, req, res, next) => {
+      if (error instanceof IpcContractError || error.type === 'entity.parse.failed') {
+        res.status(400).json({ success: false, message: error.message });
+        return;
+      }
+      console.error('[Control API] Request failed:', error);
+      res.status(500).json({ success: false, message: error.message });
+    });
+    return app;
+  }
+
+  openStream(req, res) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+    res.flushHeaders();
+    this.streams.add(res);
+    req.on('close', () => this.streams.delete(res));
+    this.write(res, 'status-change', this.getSnapshot());
+  }
+
+  write(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload === undefined ? null : payload)}\n\n`);
+  }
+
+  /**
+   * Forwards a renderer event to every open stream, if it is one that is streamed.
+   */
+  broadcast(channel, payload) {
+    const event = STREAMED_EVENTS[channel];
+    if (!event) return;
+    this.streams.forEach(res => this.write(res, event, payload));
+  }
+
+  /**
+   * Starts listening on loopback. Rejects when the port cannot be bound.
+   */
+  start({ port = DEFAULT_PORT } = {}) {
+    const app = this.createApp();
+    return new Promise((resolve, reject) => {
+      const server = app.listen(port, LISTEN_ADDRESS);
+      server.once('listening', () => {
+        this.server = server;
+        this.heartbeat = setInterval(() => this.streams.forEach(res => res.write(': keep-alive\n\n')), HEARTBEAT_MS);
+        resolve();
+      });
+      server.once('error', reject);
+    });
+  }
+
+  stop() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.streams.forEach(res => res.end());
+    this.streams.clear();
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  LISTEN_ADDRESS,
+  ControlApiServer,
+  generateToken,
+};
@@ -0,0 +1,143 @@
+/*
+  StealthLynk VPN Client - Core Launcher
+  Starts and stops the bundled Xray core with a generated config and reports its
+  output line by line. Shared by the GUI, the delay tester and the CLI.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { serializeCoreConfig } = require('./configBuilder');
+
+const START_TIMEOUT_MS = 10000;
+const STOP_TIMEOUT_MS = 3000;
+
+/**
+ * Location of the core binary: Resources/bin in a packaged app, ./bin when running from source.
+ */
+function resolveCoreBinary() {
+  const binaryName = process.platform === 'win32' ? 'xray.exe' : 'xray';
+  const packagedPath = process.resourcesPath ? path.join(process.resourcesPath, 'bin', binaryName) : null;
+  if (packagedPath && fs.existsSync(packagedPath)) return packagedPath;
+  return path.join(__dirname, 'bin', binaryName);
+}
+
+/**
+ * Asks the OS for a free loopback TCP port.
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+class CoreProcess extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.config Core JSON config.
+   * @param {string} [options.binaryPath] Defaults to resolveCoreBinary().
+   * @param {string} [options.configPath] Where to write the config; by default a file in a
+   *   private temp directory created on start() and removed again once the core is gone.
+   */
+  constructor({ config, binaryPath, configPath }) {
+    super();
+    this.config = config;
+    this.binaryPath = binaryPath || resolveCoreBinary();
+    this.configPath = configPath || null;
+    this.configDir = null;
+    this.ownsConfigFile = !configPath;
+    this.child = null;
+  }
+
+  get running() {
+    return Boolean(this.child) && this.child.exitCode === null && this.child.signalCode === null;
+  }
+
+  /**
+   * Spawns the core and resolves once it reports that it has started.
+   * Rejects if the core exits or stays silent past START_TIMEOUT_MS.
+   */
+  start() {
+    if (this.ownsConfigFile) {
+      // The config holds UUIDs, passwords and keys: a predictable name in the shared temp
+      // dir could be planted or symlinked by another local user, so it gets a fresh directory
+      this.configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-core-'));
+      this.configPath = path.join(this.configDir, 'config.json');
+    }
+    fs.writeFileSync(this.configPath, serializeCoreConfig(this.config), { mode: 0o600, flag: this.ownsConfigFile ? 'wx' : 'w' });
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) reject(error); else resolve(this);
+      };
+
+      const child = spawn(this.binaryPath, ['run', '-c', this.configPath], { stdio: ['ignore', 'pipe', 'pipe'] });
+      this.child = child;
+
+      const timer = setTimeout(() => settle(new Error('Core did not start in time.')), START_TIMEOUT_MS);
+
+      const onOutput = (stream) => (chunk) => {
+        chunk.toString().split(/\r?\n/).filter(Boolean).forEach(line => {
+          this.emit('log', { stream, line });
+          if (/started/i.test(line)) settle();
+        });
+      };
+      child.stdout.on('data', onOutput('stdout'));
+      child.stderr.on('data', onOutput('stderr'));
+
+      child.on('error', (error) => settle(new Error(`Failed to launch core: ${error.message}`)));
+      child.on('exit', (code, signal) => {
+        this.cleanup();
+        this.emit('exit', { code, signal });
+        settle(new Error(`Core exited during startup (code ${code}${signal ? `, signal ${signal}` : ''}).`));
+      });
+    });
+  }
+
+  /**
+   * Terminates the core, escalating to SIGKILL if it ignores SIGTERM.
+   */
+  stop() {
+    if (!this.running) {
+      this.cleanup();
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const killTimer = setTimeout(() => this.child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+      this.child.once('exit', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+      this.child.kill('SIGTERM');
+    });
+  }
+
+  cleanup() {
+    if (!this.configDir) return;
+    try {
+      fs.rmSync(this.configDir, { recursive: true, force: true });
+    } catch (e) {
+      // The temp dir is cleaned by the OS eventually
+    }
+    this.configDir = null;
+  }
+}
+
+module.exports = {
+  CoreProcess,
+  resolveCoreBinary,
+  findFreePort,
+};
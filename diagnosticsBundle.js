@@ -0,0 +1,108 @@
+/*
+  StealthLynk VPN Client - Diagnostics Bundle
+  Packs logs, the generated core config and system info into a zip that users
+  can attach to bug reports. Everything that goes in is redacted first: UUIDs,
+  REALITY keys, passwords, proxy credentials, share-link credentials,
+  subscription URL paths and public IP addresses never leave the machine.
+*/
+
+const os = require('os');
+const net = require('net');
+const AdmZip = require('adm-zip');
+const { formatEntry } = require('./logBuffer');
+
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+// Local proxy credentials as stored in settings: the whole object goes, username included
+const PROXY_AUTH_PATTERN = /("proxyAuth"\s*:\s*)\{(?:[^{}"]|"(?:[^"\\]|\\.)*")*\}/g;
+// JSON string fields holding secrets; a value ends at the first quote that isn't escaped
+const SECRET_FIELD_PATTERN = /("(?:publicKey|privateKey|password|pass|user|username|shortId|obfsPassword|pinSHA256)"\s*:\s*")(?:[^"\\]|\\.)*/g;
+// Share-link parameters holding secrets
+const SECRET_PARAM_PATTERN = /([?&](?:pbk|sid|password)=)[^"&#\s]+/g;
+// Credentials before the "@" of any URL: trojan/hy2 passwords, vless UUIDs, ss method:password
+const URL_USERINFO_PATTERN = /\b([a-z][a-z0-9+.-]*:\/\/)[^\s"'<>\/?#@]+@/gi;
+// vmess links and legacy ss links are one base64 blob with the credentials inside
+const BASE64_LINK_PATTERN = /\b((?:vmess|ss|ssr):\/\/)[A-Za-z0-9+\/=_-]{8,}/gi;
+// Subscription URLs carry their access token in the path or query; only the host is kept
+const HTTP_PATH_PATTERN = /\b(https?:\/\/[^\s"'<>\/?#]+)[\/?][^\s"'<>]*/gi;
+// x25519 keys as used by REALITY: 32 bytes in unpadded base64url
+const KEY_PATTERN = /(?<![A-Za-z0-9_-])[A-Za-z0-9_-]{43}(?![A-Za-z0-9_-])/g;
+const IPV4_PATTERN = /\b(?:\d{1,3}\.){3}\d{1,3}\b/g;
+const IPV6_CANDIDATE_PATTERN = /[0-9a-f]*:[0-9a-f:]*:[0-9a-f:.]*/gi;
+
+function isPrivateIPv4(ip) {
+  const [a, b] = ip.split('.').map(Number);
+  return a === 10 || a === 127 || a === 0 ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254) ||
+    (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+    a >= 224; // Multicast and reserved
+}
+
+function isPrivateIPv6(ip) {
+  const lower = ip.toLowerCase();
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+/**
+ * Removes identifying data from free text (logs, JSON, share links).
+ */
+function redact(text) {
+  return String(text)
+    .replace(PROXY_AUTH_PATTERN, '$1"<redacted>"')
+    .replace(SECRET_FIELD_PATTERN, '$1<redacted>')
+    .replace(SECRET_PARAM_PATTERN, '$1<redacted>')
+    .replace(URL_USERINFO_PATTERN, '$1<redacted>@')
+    .replace(BASE64_LINK_PATTERN, '$1<redacted>')
+    .replace(HTTP_PATH_PATTERN, '$1/<redacted>')
+    .replace(UUID_PATTERN, '<uuid>')
+    .replace(KEY_PATTERN, '<key>')
+    .replace(IPV4_PATTERN, (ip) => (net.isIPv4(ip) && !isPrivateIPv4(ip) ? '<ip>' : ip))
+    .replace(IPV6_CANDIDATE_PATTERN, (ip) => (net.isIPv6(ip) && !isPrivateIPv6(ip) ? '<ip>' : ip));
+}
+
+function collectSystemInfo(extra = {}) {
+  const cpus = os.cpus();
+  return {
+    platform: process.platform,
+    release: os.release(),
+    arch: process.arch,
+    cpu: cpus.length > 0 ? `${cpus[0].model} x${cpus.length}` : 'unknown',
+    totalMemoryMB: Math.round(os.totalmem() / 1048576),
+    freeMemoryMB: Math.round(os.freemem() / 1048576),
+    uptimeSeconds: Math.round(os.uptime()),
+    versions: {
+      node: process.versions.node,
+      electron: process.versions.electron || null,
+      chrome: process.versions.chrome || null,
+    },
+    generatedAt: new Date().toISOString(),
+    ...extra,
+  };
+}
+
+/**
+ * Builds the zip in memory.
+ * @param {object} parts
+ * @param {Array} parts.logs Log buffer entries.
+ * @param {string|null} parts.configText Generated core config, or null when it can't be built.
+ * @param {object} parts.systemInfo From collectSystemInfo().
+ * @param {object} [parts.diagnostics] Anything else worth including (status, health, ...).
+ * @returns {Buffer}
+ */
+function buildDiagnosticsBundle({ logs, configText, systemInfo, diagnostics = {} }) {
+  const zip = new AdmZip();
+  const add = (name, text) => zip.addFile(name, Buffer.from(redact(text), 'utf8'));
+
+  add('logs.txt', `${logs.map(formatEntry).join('\n')}\n`);
+  add('config.json', configText || '{}\n');
+  add('system.json', `${JSON.stringify(systemInfo, null, 2)}\n`);
+  add('diagnostics.json', `${JSON.stringify(diagnostics, null, 2)}\n`);
+  return zip.toBuffer();
+}
+
+module.exports = {
+  redact,
+  collectSystemInfo,
+  buildDiagnosticsBundle,
+};
@@ -0,0 +1,169 @@
+/*
+  StealthLynk VPN Client - Exit IP
+  Finds the address the internet sees by asking an ordered list of lookup
+  services, through the tunnel's SOCKS port when connected. A service that is
+  blocked, slow or answers nonsense is skipped and the next one is tried.
+*/
+
+const net = require('net');
+const axios = require('axios');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+// Built-in services. `format` is how the answer is read: JSON fields, Cloudflare's
+// key=value trace, or plain text holding only the address.
+const PROVIDERS = {
+  ipinfo: { url: 'https://ipinfo.io/json', format: 'json', ipField: 'ip', countryField: 'country' },
+  cloudflare: { url: 'https://www.cloudflare.com/cdn-cgi/trace', format: 'trace' },
+  ifconfig: { url: 'https://ifconfig.co/json', format: 'json', ipField: 'ip', countryField: 'country_iso' },
+  ipify: { url: 'https://api.ipify.org?format=json', format: 'json', ipField: 'ip' },
+  icanhazip: { url: 'https://icanhazip.com', format: 'text' },
+};
+
+const DEFAULT_CONFIG = {
+  providers: ['ipinfo', 'cloudflare', 'ifconfig', 'ipify', 'icanhazip'],
+  timeoutMs: 5000,
+};
+
+const MAX_RESPONSE_BYTES = 64 * 1024;
+// Field names custom JSON services commonly use
+const JSON_IP_FIELDS = ['ip', 'query', 'ip_addr', 'address'];
+const JSON_COUNTRY_FIELDS = ['country_code', 'countryCode', 'country_iso', 'country'];
+
+/**
+ * Validates exit-IP settings. Providers are built-in names or http(s) URLs of
+ * other services, whose answer format is detected.
+ * @returns {{config: object, errors: Array<{field: string, message: string}>}}
+ */
+function normalizeConfig(changes = {}, current = DEFAULT_CONFIG) {
+  const config = { ...DEFAULT_CONFIG, ...current };
+  if (changes.providers !== undefined) config.providers = changes.providers;
+  if (changes.timeoutMs !== undefined) config.timeoutMs = changes.timeoutMs;
+
+  const errors = [];
+  config.providers = (Array.isArray(config.providers) ? config.providers : [])
+    .map(provider => String(provider).trim())
+    .filter(Boolean);
+  if (config.providers.length === 0) {
+    errors.push({ field: 'providers', message: 'List at least one lookup service.' });
+  }
+  config.providers.forEach(provider => {
+    if (PROVIDERS[provider]) return;
+    let url = null;
+    try {
+      url = new URL(provider);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push({ field: 'providers', message: `"${provider}" is neither a built-in service (${Object.keys(PROVIDERS).join(', ')}) nor an http(s) URL.` });
+    }
+  });
+  if (!Number.isInteger(config.timeoutMs) || config.timeoutMs < 1000 || config.timeoutMs > 30000) {
+    errors.push({ field: 'timeoutMs', message: 'Timeout must be from 1000 to 30000 ms.' });
+  }
+  return { config, errors };
+}
+
+function resolveProvider(provider) {
+  return PROVIDERS[provider] ? { name: provider, ...PROVIDERS[provider] } : { name: provider, url: provider, format: 'auto' };
+}
+
+function parseTrace(body) {
+  const fields = Object.fromEntries(body.split(/\r?\n/).map(line => line.split('=')).filter(pair => pair.length === 2));
+  return fields.ip ? { ip: fields.ip, countryCode: fields.loc } : null;
+}
+
+function parseJson(body, ipFields, countryFields) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data !== 'object') return null;
+  const pick = fields => fields.map(field => data[field]).find(value => typeof value === 'string');
+  return { ip: pick(ipFields), countryCode: pick(countryFields) };
+}
+
+/**
+ * Reads an address (and a country code, when the service gives one) from a response body.
+ * @returns {{ip: string, countryCode: string|null}|null}
+ */
+function parseResponse(provider, body) {
+  const text = String(body || '').trim();
+  let parsed;
+  switch (provider.format) {
+    case 'json':
+      parsed = parseJson(text, [provider.ipField], provider.countryField ? [provider.countryField] : []);
+      break;
+    case 'trace':
+      parsed = parseTrace(text);
+      break;
+    case 'text':
+      parsed = { ip: text };
+      break;
+    default:
+      parsed = parseJson(text, JSON_IP_FIELDS, JSON_COUNTRY_FIELDS) || parseTrace(text) || { ip: text };
+  }
+  if (!parsed || !net.isIP(parsed.ip || '')) return null;
+  // Cloudflare reports Tor as T1 and unknown as XX; only real country codes count
+  const countryCode = /^[a-z]{2}$/i.test(parsed.countryCode || '') && !/^xx$/i.test(parsed.countryCode)
+    ? parsed.countryCode.toUpperCase()
+    : null;
+  return { ip: parsed.ip, countryCode };
+}
+
+/**
+ * Asks the configured services in order until one answers with an address.
+ * @param {object} config Result of normalizeConfig().
+ * @param {object} [options]
+ * @param {number} [options.socksPort] Local SOCKS port of the tunnel; omit to look up directly.
+ * @param {object} [options.proxyAuth] { username, password } of the SOCKS inbound.
+ * @param {function(string, object): Promise<string>} [options.fetchText] Override for the HTTP request.
+ * @returns {Promise<{success: boolean, ip?: string, countryCode?: string, provider?: string, message?: string, attempts: Array}>}
+ */
+async function lookupExitIp(config, { socksPort, proxyAuth, fetchText } = {}) {
+  const credentials = proxyAuth
+    ? `${encodeURIComponent(proxyAuth.username)}:${encodeURIComponent(proxyAuth.password)}@`
+    : '';
+  const agent = socksPort ? new SocksProxyAgent(`socks5h://${credentials}127.0.0.1:${socksPort}`) : undefined;
+  const get = fetchText || (async (url, { timeoutMs }) => {
+    const response = await axios.get(url, {
+      responseType: 'text',
+      timeout: timeoutMs,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      httpAgent: agent,
+      httpsAgent: agent,
+      proxy: false,
+      headers: { 'User-Agent': 'StealthLynk-Client', Accept: 'application/json, text/plain' },
+    });
+    return response.data;
+  });
+
+  const attempts = [];
+  try {
+    for (const provider of config.providers.map(resolveProvider)) {
+      try {
+        const result = parseResponse(provider, await get(provider.url, { timeoutMs: config.timeoutMs }));
+        if (result) {
+          attempts.push({ provider: provider.name, error: null });
+          return { success: true, ...result, provider: provider.name, attempts };
+        }
+        attempts.push({ provider: provider.name, error: 'No IP address in the answer.' });
+      } catch (error) {
+        attempts.push({ provider: provider.name, error: error.message });
+      }
+    }
+  } finally {
+    if (agent) agent.destroy();
+  }
+  return { success: false, message: 'None of the lookup services answered.', attempts };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  PROVIDERS,
+  lookupExitIp,
+  normalizeConfig,
+  parseResponse,
+};
@@ -0,0 +1,272 @@
+/*
+  StealthLynk VPN Client - Smart-connect Policies
+  Decides when to switch servers automatically, based on the health monitor's
+  results and the policy the user picked. Every switch carries a reason.
+*/
+
+const EventEmitter = require('events');
+
+const POLICIES = {
+  'lowest-latency': 'Lowest latency',
+  sticky: 'Sticky (stay until it fails)',
+  priority: 'Priority groups',
+  country: 'Preferred countries',
+  'round-robin': 'Round-robin',
+};
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  policy: 'lowest-latency',
+  switchThresholdMs: 50, // Only move to a faster server if it wins by this much
+  minSwitchIntervalMs: 60000, // Cool-down between switches that are not caused by a failure
+  priorityGroups: [], // [[serverId, ...], [serverId, ...]] highest priority first
+  preferredCountries: [], // Country codes or names, most preferred first
+  rotateIntervalMinutes: 0, // Round-robin: also rotate on a timer when > 0
+};
+
+function isUp(health, serverId) {
+  return Boolean(health[serverId]) && health[serverId].status === 'up';
+}
+
+// Only a confirmed failure counts; a server not probed yet is given the benefit of the doubt
+function isDown(health, serverId) {
+  return Boolean(health[serverId]) && health[serverId].status === 'down';
+}
+
+function latencyOf(health, serverId) {
+  const entry = health[serverId];
+  return entry && entry.latency !== null ? entry.latency : Number.MAX_SAFE_INTEGER;
+}
+
+function fastest(servers, health) {
+  return servers
+    .filter(server => isUp(health, server.id))
+    .sort((a, b) => latencyOf(health, a.id) - latencyOf(health, b.id))[0] || null;
+}
+
+function matchesCountry(server, country) {
+  const wanted = String(country).trim().toLowerCase();
+  return [server.countryCode, server.country, server.countryName]
+    .filter(Boolean)
+    .some(value => String(value).toLowerCase() === wanted);
+}
+
+// --- POLICIES ---
+// Each returns { serverId, reason } to switch, or null to stay.
+
+function chooseLowestLatency({ servers, health, active, config }) {
+  const best = fastest(servers, health);
+  if (!best || (active && best.id === active.id)) return null;
+  if (!active || isDown(health, active.id)) {
+    return { serverId: best.id, reason: 'Active server is down; switching to the fastest healthy server.' };
+  }
+  if (!isUp(health, active.id)) return null; // No latency to compare yet
+  const gain = latencyOf(health, active.id) - latencyOf(health, best.id);
+  if (gain < config.switchThresholdMs) return null;
+  return { serverId: best.id, reason: `Found a server ${gain} ms faster than the active one.` };
+}
+
+function chooseSticky({ servers, health, active }) {
+  if (active && !isDown(health, active.id)) return null;
+  const best = fastest(servers, health);
+  if (!best) return null;
+  return { serverId: best.id, reason: 'Active server failed; switching to the fastest healthy server.' };
+}
+
+function choosePriority({ servers, health, active, config }) {
+  const byId = new Map(servers.map(server => [server.id, server]));
+  const groups = config.priorityGroups
+    .map(group => group.map(id => byId.get(id)).filter(Boolean))
+    .filter(group => group.length > 0);
+  const grouped = new Set(groups.flat().map(server => server.id));
+  // Servers without a group form the lowest-priority group
+  groups.push(servers.filter(server => !grouped.has(server.id)));
+
+  const activeGroup = active ? groups.findIndex(group => group.some(server => server.id === active.id)) : -1;
+  const activeUp = active && !isDown(health, active.id);
+
+  for (let index = 0; index < groups.length; index++) {
+    const best = fastest(groups[index], health);
+    if (!best) continue;
+    if (activeUp && index >= activeGroup) return null;
+    return {
+      serverId: best.id,
+      reason: activeUp
+        ? `A server in higher priority group ${index + 1} is healthy again.`
+        : `Active server is down; switching to priority group ${index + 1}.`,
+    };
+  }
+  return null;
+}
+
+function chooseCountry({ servers, health, active, config }) {
+  const countries = config.preferredCountries;
+  const rank = (server) => {
+    const index = countries.findIndex(country => matchesCountry(server, country));
+    return index === -1 ? countries.length : index;
+  };
+  const activeUp = active && !isDown(health, active.id);
+  const activeRank = active ? rank(active) : countries.length + 1;
+
+  for (let index = 0; index <= countries.length; index++) {
+    const best = fastest(servers.filter(server => rank(server) === index), health);
+    if (!best) continue;
+    if (activeUp && index >= activeRank) return null;
+    const label = index < countries.length ? countries[index] : 'any country';
+    return {
+      serverId: best.id,
+      reason: activeUp ? `A server in preferred country ${label} is available.` : `Active server is down; switching to ${label}.`,
+    };
+  }
+  return null;
+}
+
+function chooseRoundRobin({ servers, health, active, rotate }) {
+  if (active && !isDown(health, active.id) && !rotate) return null;
+  const start = active ? servers.findIndex(server => server.id === active.id) : -1;
+  for (let step = 1; step <= servers.length; step++) {
+    const candidate = servers[(start + step) % servers.length];
+    if (candidate && isUp(health, candidate.id) && (!active || candidate.id !== active.id)) {
+      return {
+        serverId: candidate.id,
+        reason: rotate ? 'Scheduled round-robin rotation.' : 'Active server is down; moving to the next healthy server.',
+      };
+    }
+  }
+  return null;
+}
+
+const CHOOSERS = {
+  'lowest-latency': chooseLowestLatency,
+  sticky: chooseSticky,
+  priority: choosePriority,
+  country: chooseCountry,
+  'round-robin': chooseRoundRobin,
+};
+
+/**
+ * Pure decision function.
+ * @param {object} input { servers, health, activeServerId, config, rotate }
+ * @returns {{serverId: string, reason: string}|null}
+ */
+function decide({ servers, health, activeServerId, config, rotate = false }) {
+  const chooser = CHOOSERS[config.policy];
+  if (!chooser || servers.length === 0) return null;
+  const active = servers.find(server => server.id === activeServerId) || null;
+  return chooser({ servers, health, active, config, rotate });
+}
+
+function normalizeConfig(config = {}) {
+  const merged = { ...DEFAULT_CONFIG, ...config };
+  if (!CHOOSERS[merged.policy]) merged.policy = DEFAULT_CONFIG.policy;
+  merged.enabled = Boolean(merged.enabled);
+  merged.switchThresholdMs = Math.max(0, Number(merged.switchThresholdMs) || 0);
+  merged.minSwitchIntervalMs = Math.max(0, Number(merged.minSwitchIntervalMs) || 0);
+  merged.rotateIntervalMinutes = Math.max(0, Number(merged.rotateIntervalMinutes) || 0);
+  merged.priorityGroups = Array.isArray(merged.priorityGroups) ? merged.priorityGroups.filter(Array.isArray) : [];
+  merged.preferredCountries = Array.isArray(merged.preferredCountries)
+    ? merged.preferredCountries.map(c => String(c).trim()).filter(Boolean)
+    : [];
+  return merged;
+}
+
+class FailoverEngine extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function(): Promise<{servers: Array, activeServerId: string, isConnected: boolean}>} options.getState
+   * @param {function(string): Promise} options.switchServer Performs the actual switch.
+   * @param {function(): number} [options.now]
+   */
+  constructor({ getState, switchServer, now = Date.now }) {
+    super();
+    this.getState = getState;
+    this.switchServer = switchServer;
+    this.now = now;
+    this.config = normalizeConfig();
+    this.health = {};
+    this.lastSwitchAt = 0;
+    this.busy = false; // Evaluating or switching
+    this.pendingRotate = null; // An evaluation asked for while busy; true when it was a rotation
+    this.rotateTimer = null;
+  }
+
+  configure(config) {
+    this.config = normalizeConfig({ ...this.config, ...config });
+    this.armRotation();
+    return { ...this.config };
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Feed every health monitor event here; decisions are made when a server goes up
+   * or down and when its latency changes (so lowest-latency can find a faster one).
+   */
+  onHealth(event) {
+    const previous = this.health[event.serverId];
+    this.health[event.serverId] = event;
+    if (event.changed || !previous || previous.latency !== event.latency) this.evaluate(false);
+  }
+
+  async evaluate(rotate) {
+    if (!this.config.enabled) return null;
+    if (this.busy) {
+      // Runs once the current switch is done, so e.g. the new server going down isn't lost
+      this.pendingRotate = Boolean(this.pendingRotate) || rotate;
+      return null;
+    }
+    this.busy = true;
+    try {
+      const { servers, activeServerId, isConnected } = await this.getState();
+      if (!isConnected) return null;
+
+      const decision = decide({ servers, health: this.health, activeServerId, config: this.config, rotate });
+      if (!decision) return null;
+
+      // Voluntary switches respect the cool-down; failures never wait
+      const activeDown = isDown(this.health, activeServerId);
+      if (!activeDown && !rotate && this.now() - this.lastSwitchAt < this.config.minSwitchIntervalMs) return null;
+
+      await this.switchServer(decision.serverId);
+      this.lastSwitchAt = this.now();
+      const event = { fromServerId: activeServerId, toServerId: decision.serverId, reason: decision.reason, policy: this.config.policy };
+      console.log(`[Auto-Connect] ${event.reason}`);
+      this.emit('switch', event);
+      return event;
+    } catch (error) {
+      console.error('[Auto-Connect] Automatic switch failed:', error);
+      return null;
+    } finally {
+      this.busy = false;
+      if (this.pendingRotate !== null) {
+        const pendingRotate = this.pendingRotate;
+        this.pendingRotate = null;
+        this.evaluate(pendingRotate);
+      }
+    }
+  }
+
+  armRotation() {
+    clearInterval(this.rotateTimer);
+    this.rotateTimer = null;
+    if (this.config.enabled && this.config.policy === 'round-robin' && this.config.rotateIntervalMinutes > 0) {
+      this.rotateTimer = setInterval(() => this.evaluate(true), this.config.rotateIntervalMinutes * 60000);
+      if (this.rotateTimer.unref) this.rotateTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.rotateTimer);
+    this.rotateTimer = null;
+  }
+}
+
+module.exports = {
+  POLICIES,
+  DEFAULT_CONFIG,
+  FailoverEngine,
+  decide,
+  normalizeConfig,
+};
@@ -1,20 +1,1066 @@
+const fs = require('fs');
+const path = require('path');
+const shareLinks = require('./shareLinks');
+const configBuilder = require('./configBuilder');
+const routingRules = require('./routingRules');
+const localProxy = require('./localProxy');
+const controlApi = require('./controlApi');
+const exitIp = require('./exitIp');
+const geoIp = require('./geoIp');
+const leakTest = require('./leakTest');
+const latencyTester = require('./latencyTester');
+const { CoreProcess } = require('./coreLauncher');
+const { FailoverEngine, POLICIES } = require('./failoverPolicy');
+const { KillSwitch } = require('./killSwitch');
+const { TrafficMonitor } = require('./trafficStats');
+const { UsageHistory } = require('./usageHistory');
+const { LogBuffer } = require('./logBuffer');
+const diagnosticsBundle = require('./diagnosticsBundle');
+const backup = require('./backup');
+const ipcContract = require('./ipcContract');
+const { serverKey } = require('./subscriptionManager');
+const { ServerStore, newServerId } = require('./serverStore');
+const { StoreCipher } = require('./storeCrypto');
+const { ConnectionStateMachine } = require('./connectionState');
+const { ReconnectSupervisor } = require('./reconnectSupervisor');
+const QRCode = require('qrcode');
+
+// Server store encrypted at rest with a key from the OS keychain, or a passphrase where there
+// is none. main.js creates the store with this (after app 'ready') and then calls load().
+function createServerStore(filePath) {
+  const { safeStorage } = require('electron');
+  return new ServerStore(filePath, { cipher: new StoreCipher({ safeStorage }) });
+}
+
+// Recent log entries from the main process, the renderer and the core, for the log viewer and bug reports
+const logBuffer = new LogBuffer();
+logBuffer.captureConsole();
+
+// Called with the tunnel core whenever one is started: its output goes to the log
+// viewer and an exit nobody asked for triggers auto-reconnect
+function attachCoreLogs(core) {
+  logBuffer.attachCore(core);
+  reconnectSupervisor.watchCore(core);
+}
+
+// Core config for the active server as the builder would generate it, or why it can't be built
+function buildActiveConfig() {
+  try {
+    const config = configBuilder.buildCoreConfig(serverStore.getActiveServer(), serverStore.getSettings());
+    return { config, text: configBuilder.serializeCoreConfig(config), error: null };
+  } catch (error) {
+    return { config: null, text: null, error: error.message };
+  }
+}
+
+// End-to-end delay test through the core; reuses the running core for the connected server
+async function testServerDelay(serverId) {
+  const server = serverStore.getServer(serverId);
+  if (!server) {
+    return { serverId, latency: null, jitter: null, loss: 1, samples: [], error: 'Server not found.' };
+  }
+  const settings = { ...configBuilder.DEFAULT_SETTINGS, ...serverStore.getSettings() };
+  const isRunning = connectionState.state === 'connected' && serverStore.data.activeServer === serverId;
+  const result = await latencyTester.testServerDelay(server, {
+    probeUrl: settings.probeUrl || latencyTester.DEFAULT_PROBE_URL,
+    runningSocksPort: isRunning ? settings.socksPort : null,
+    runningProxyAuth: settings.proxyAuth,
+    dialAddress: dialAddressFor(server),
+    createCore: (config) => {
+      // A short-lived test core; its exit says nothing about the tunnel
+      const core = new CoreProcess({ config });
+      logBuffer.attachCore(core);
+      return core;
+    },
+  });
+  // A real probe through the tunnel counts towards the server's health
+  healthMonitor.recordResult(serverId, result.loss < 1 ? result.latency : null);
+  return result;
+}
+
+// Smart-connect: switches servers on its own according to the configured policy
+const failoverEngine = new FailoverEngine({
+  getState: async () => ({
+    servers: serverStore.data.servers,
+    activeServerId: serverStore.data.activeServer,
+    isConnected: connectionState.state === 'connected',
+  }),
+  switchServer: async (serverId) => {
+    const result = await switchServer(serverId);
+    if (!result.success) throw new Error(result.message);
+  },
+});
+
+// Kill switch: engaged on connect and held through drops and automatic switches
+// until the user disconnects. Created in startBackgroundServices().
+let killSwitch = null;
+
+function getKillSwitchSettings() {
+  return { enabled: false, dryRun: false, ...serverStore.getSettings().killSwitch };
+}
+
+function getKillSwitchState() {
+  return { ...getKillSwitchSettings(), ...killSwitch.getState() };
+}
+
+// Engages the kill switch if the user enabled it. Throws when the rules could not be applied.
+async function engageKillSwitch() {
+  if (!getKillSwitchSettings().enabled) return;
+  await killSwitch.engage(serverStore.data.servers);
+}
+
+// The engaged kill switch blocks DNS, so cores dial a hostname server by the IP its rules allow
+function dialAddressFor(server) {
+  return killSwitch && server ? killSwitch.dialAddress(server) : null;
+}
+
+// Live traffic from the core's metrics endpoint, totalled per server and day.
+// Created in startBackgroundServices(); the monitor only runs while connected.
+let trafficMonitor = null;
+let usageHistory = null;
+
+// What the tunnel is doing: idle, connecting, connected, switching, disconnecting,
+// reconnecting or error. Connect, disconnect, switch and reconnect run one at a time
+// through connectionState.exclusive(); each state change reaches the renderer as
+// vpn:status-change (see startBackgroundServices()).
+const connectionState = new ConnectionStateMachine();
+
+// The tunnel core, built from the active server and the stored settings (local proxy,
+// routing rules, metrics) the same way the CLI builds it
+let tunnelCore = null;
+
+async function startTunnelCore() {
+  const server = serverStore.getActiveServer();
+  const config = configBuilder.buildCoreConfig(server, serverStore.getSettings(), { dialAddress: dialAddressFor(server) });
+  const core = new CoreProcess({ config });
+  attachCoreLogs(core);
+  try {
+    await core.start();
+  } catch (error) {
+    await core.stop();
+    throw error;
+  }
+  tunnelCore = core;
+  return { success: true };
+}
+
+async function stopTunnelCore() {
+  const core = tunnelCore;
+  tunnelCore = null;
+  if (core) await core.stop();
+  return { success: true };
+}
+
+let quitCleanupAttempted = false;
+
+// Holds the quit until the core is stopped, then the kill switch lifted, so the kill switch
+// only comes down once nothing tunnels any more. Cleanup is tried once: when it fails (a
+// declined admin prompt) the app quits anyway and recover() removes the rules on next start.
+function cleanUpBeforeQuit(event) {
+  if (quitCleanupAttempted || (!tunnelCore && !killSwitch.engaged)) return;
+  quitCleanupAttempted = true;
+  event.preventDefault();
+  stopTunnelCore()
+    .then(() => killSwitch.engaged && killSwitch.disengage())
+    .catch(error => console.error('[Kill Switch] Cleanup on exit failed, its rules are removed on the next start:', error))
+    .finally(() => app.quit());
+}
+
+// What the window and the control API show as the connection status
+function getTunnelStatus() {
+  const settings = { ...configBuilder.DEFAULT_SETTINGS, ...serverStore.getSettings() };
+  const isConnected = connectionState.state === 'connected' && Boolean(tunnelCore && tunnelCore.running);
+  return {
+    isConnected,
+    activeServer: serverStore.data.activeServer,
+    listen: isConnected ? settings.listen : null,
+    socksPort: isConnected ? settings.socksPort : null,
+    httpPort: isConnected ? settings.httpPort : null,
+    currentIp: exitIpResult && exitIpResult.viaTunnel ? exitIpResult.ip : null,
+    connection: connectionState.getSnapshot(),
+  };
+}
+
+// Settles a connecting/switching/reconnecting state from startTunnelCore()'s result
+function settleConnection(result) {
+  if (result && result.success === false) {
+    connectionState.transition('error', { error: result.message });
+    return result;
+  }
+  connectionState.transition('connected', { serverId: serverStore.data.activeServer });
+  // Keeps polling through switches; a restarted core just resets the baseline
+  if (trafficMonitor) trafficMonitor.start();
+  return result || { success: true };
+}
+
+function connectionFailed(error) {
+  connectionState.transition('error', { error: error.message });
+  return { success: false, message: error.message };
+}
+
+async function connect() {
+  return connectionState.exclusive(async () => {
+    if (connectionState.state === 'connected') return { success: true, message: 'Already connected.' };
+    if (!serverStore.getActiveServer()) return { success: false, message: 'Select a server first.' };
+    connectionState.transition('connecting', { serverId: serverStore.data.activeServer });
+    try {
+      await engageKillSwitch();
+    } catch (error) {
+      // Fail closed: connecting without the protection the user asked for would leak
+      return connectionFailed(new Error(`Kill switch could not be engaged: ${error.message}`));
+    }
+    try {
+      // Connecting again from the error state replaces the core that is still running
+      await stopTunnelCore();
+      return settleConnection(await startTunnelCore());
+    } catch (error) {
+      return connectionFailed(error);
+    }
+  });
+}
+
+async function disconnect() {
+  return connectionState.exclusive(async () => {
+    if (connectionState.state === 'idle') return { success: true, message: 'Not connected.' };
+    connectionState.transition('disconnecting');
+    try {
+      const result = await stopTunnelCore();
+      if (trafficMonitor) trafficMonitor.stop();
+      // Only a manual disconnect lifts the kill switch
+      await killSwitch.disengage().catch(error => console.error('[Kill Switch] Failed to remove rules:', error));
+      connectionState.transition('idle');
+      return result;
+    } catch (error) {
+      return connectionFailed(error);
+    }
+  });
+}
+
+// Makes `serverId` the active server. While connected the core is restarted on it as
+// one operation: the state goes straight from switching to connected (or error) and the
+// kill switch stays engaged throughout.
+async function switchServer(serverId) {
+  return connectionState.exclusive(async () => {
+    if (!serverStore.getServer(serverId)) return { success: false, message: 'Server not found.' };
+    if (connectionState.state !== 'connected') {
+      await setActiveServer(serverId);
+      return { success: true, switched: false };
+    }
+    if (serverStore.data.activeServer === serverId) return { success: true, switched: false };
+
+    connectionState.transition('switching', { serverId });
+    try {
+      await setActiveServer(serverId);
+      await stopTunnelCore();
+      const result = settleConnection(await startTunnelCore());
+      return { ...result, switched: result.success !== false };
+    } catch (error) {
+      return connectionFailed(error);
+    }
+  });
+}
+
+// Restarts the core on the active server, e.g. after its settings were edited
+async function reconnect() {
+  return connectionState.exclusive(async () => {
+    if (connectionState.state !== 'connected' && connectionState.state !== 'error') {
+      return { success: false, message: 'Not connected.' };
+    }
+    connectionState.transition('reconnecting', { serverId: serverStore.data.activeServer });
+    try {
+      await stopTunnelCore();
+      return settleConnection(await startTunnelCore());
+    } catch (error) {
+      return connectionFailed(error);
+    }
+  });
+}
+
+// main.js calls this when the tunnel drops without being asked to (alongside
+// vpn:connection-error); core exits are reported by the reconnect supervisor.
+// Drops during a switch or disconnect are expected and ignored.
+function reportConnectionLost(error) {
+  if (connectionState.state !== 'connected') return;
+  connectionState.transition('error', { error: (error && error.message) || 'The connection was lost.' });
+}
+
+// Auto-reconnect: retries with backoff after a drop, and restarts the tunnel after
+// sleep or a network change. Settings are in serverStore settings.autoReconnect.
+const reconnectSupervisor = new ReconnectSupervisor({
+  reconnect: () => reconnect(),
+  getConnectionState: () => connectionState.state,
+  reportDrop: (reason) => reportConnectionLost(new Error(reason)),
+});
+
+// Inbound fields the core reads when it starts; changing them needs a reconnect
+const CORE_PROXY_FIELDS = ['listen', 'socksPort', 'httpPort', 'udp', 'proxyAuth'];
+
+function getProxySettings() {
+  return localProxy.getProxySettings(serverStore.getSettings());
+}
+
+// PAC file for browsers and LAN devices, generated per request from the current rules
+const pacServer = new localProxy.PacServer({
+  getPac: (proxyHost) => localProxy.buildPac(getProxySettings(), serverStore.getSettings().routingRules || [], proxyHost),
+});
+let pacServerError = null;
+
+// Starts, restarts or stops the PAC server to match the settings
+async function applyPacServer() {
+  await pacServer.stop();
+  pacServerError = null;
+  const settings = getProxySettings();
+  if (!settings.pacEnabled) return;
+  try {
+    await pacServer.start({ listen: settings.listen, port: settings.pacPort });
+  } catch (error) {
+    pacServerError = `The PAC server could not start: ${error.message}`;
+    console.error(`[Local Proxy] ${pacServerError}`);
+  }
+}
+
+function getLocalProxyInfo() {
+  const settings = getProxySettings();
+  const addresses = localProxy.lanAddresses();
+  return {
+    ...settings,
+    lanAddresses: addresses,
+    pacUrl: settings.pacEnabled ? localProxy.pacUrl(settings, addresses) : null,
+    pacRunning: pacServer.running,
+    pacError: pacServerError,
+  };
+}
+
+async function setLocalProxySettings(changes) {
+  const current = getProxySettings();
+  const { metricsPort } = { ...configBuilder.DEFAULT_SETTINGS, ...serverStore.getSettings() };
+  const controlApiSettings = getControlApiSettings();
+  const reservedPorts = [metricsPort, controlApiSettings.enabled && controlApiSettings.port];
+  const { settings, errors } = localProxy.normalizeProxySettings(changes, current, reservedPorts);
+  if (errors.length > 0) {
+    return { success: false, message: errors.map(e => e.message).join(' '), errors };
+  }
+  serverStore.updateSettings(settings);
+  await applyPacServer();
+
+  const coreChanged = CORE_PROXY_FIELDS.some(field => JSON.stringify(current[field]) !== JSON.stringify(settings[field]));
+  let reconnected = false;
+  if (coreChanged && connectionState.state === 'connected') {
+    reconnected = (await reconnect()).success !== false;
+  }
+  return { success: true, message: pacServerError || undefined, proxy: getLocalProxyInfo(), reconnected };
+}
+
+// Writes a redacted zip with logs, the generated config and system info
+async function exportDiagnostics() {
+  const { dialog } = require('electron');
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export diagnostics',
+    defaultPath: `stealthlynk-diagnostics-${stamp}.zip`,
+    filters: [{ name: 'Zip archive', extensions: ['zip'] }],
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+
+  const servers = serverStore.data.servers;
+  const bundle = diagnosticsBundle.buildDiagnosticsBundle({
+    logs: logBuffer.query(),
+    configText: buildActiveConfig().text,
+    systemInfo: diagnosticsBundle.collectSystemInfo({ appVersion: app.getVersion() }),
+    diagnostics: {
+      status: getTunnelStatus(),
+      core: await getDiagnostics(),
+      settings: serverStore.getSettings(),
+      servers: { count: servers.length, protocols: servers.map(s => `${s.protocol}/${s.network || 'tcp'}/${s.security || 'none'}`) },
+      health: healthMonitor.getSnapshot(),
+      killSwitch: getKillSwitchState(),
+    },
+  });
+  await fs.promises.writeFile(filePath, bundle);
+  return { success: true, filePath };
+}
+
+// Services read their settings once at startup; after the store's settings were replaced
+// (unlocked, restored from a backup or written by the CLI) they need to pick up the new values
+function applyStoredSettings() {
+  const settings = serverStore.getSettings();
+  failoverEngine.configure(settings.autoFailover || {});
+  reconnectSupervisor.configure(settings.autoReconnect || {});
+  return Promise.all([applyPacServer(), applyControlApi(), applyGeoIpDatabase()]);
+}
+
+// Saves servers, subscriptions and settings to a backup file, asking where unless filePath is given
+async function exportBackup({ passphrase, filePath } = {}) {
+  const { dialog } = require('electron');
+  if (!filePath) {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Back up servers',
+      defaultPath: `stealthlynk-backup-${new Date().toISOString().slice(0, 10)}.json`,
+      filters: [{ name: 'StealthLynk backup', extensions: ['json'] }],
+    });
+    if (result.canceled || !result.filePath) return { success: false, canceled: true };
+    filePath = result.filePath;
+  }
+  const text = backup.createBackup(serverStore.data, { passphrase });
+  await fs.promises.writeFile(filePath, text, { mode: 0o600 });
+  return { success: true, filePath, count: serverStore.data.servers.length };
+}
+
+// Merges a backup file into the store. Encrypted backups without a passphrase come back
+// with needsPassphrase and the chosen filePath so the caller can ask and retry.
+async function importBackup({ passphrase, filePath } = {}) {
+  const { dialog } = require('electron');
+  if (!filePath) {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Restore servers',
+      properties: ['openFile'],
+      filters: [{ name: 'StealthLynk backup', extensions: ['json'] }],
+    });
+    if (result.canceled || result.filePaths.length === 0) return { success: false, canceled: true };
+    filePath = result.filePaths[0];
+  }
+
+  let restored;
+  try {
+    restored = backup.readBackup(await fs.promises.readFile(filePath, 'utf8'), { passphrase });
+  } catch (error) {
+    if (!(error instanceof backup.BackupError)) throw error;
+    return { success: false, message: error.message, filePath, needsPassphrase: error.code === 'passphrase-required' || error.code === 'passphrase' };
+  }
+
+  const summary = serverStore.update(data => backup.mergeBackup(data, restored));
+  await applyStoredSettings();
+  return { success: true, filePath, ...summary };
+}
+
+// Share links of the given servers (all when no ids are given), optionally saved to a text file
+async function exportShareLinks(serverIds, { save = false } = {}) {
+  const { dialog } = require('electron');
+  const servers = serverIds && serverIds.length > 0
+    ? serverStore.data.servers.filter(s => serverIds.includes(s.id))
+    : serverStore.data.servers;
+  const text = backup.exportShareLinks(servers);
+  if (!save) return { success: true, text, count: servers.length };
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export share links',
+    defaultPath: 'stealthlynk-servers.txt',
+    filters: [{ name: 'Text', extensions: ['txt'] }],
+  });
+  if (result.canceled || !result.filePath) return { success: false, canceled: true };
+  await fs.promises.writeFile(result.filePath, text, { mode: 0o600 });
+  return { success: true, text, count: servers.length, filePath: result.filePath };
+}
+
+// Adds several share links in one store update. Invalid links and servers that are
+// already stored (same endpoint and credentials) are reported rather than added.
+function addServers(links) {
+  const invalid = [];
+  const candidates = [];
+  (Array.isArray(links) ? links : []).forEach(link => {
+    const { server, errors } = shareLinks.inspectShareLink(String(link || '').trim());
+    if (errors.length > 0) invalid.push({ link, message: errors.map(e => e.message).join(' ') });
+    else candidates.push(server);
+  });
+
+  return serverStore.update(data => {
+    const known = new Set(data.servers.map(serverKey));
+    const added = [];
+    let duplicates = 0;
+    candidates.forEach(server => {
+      const key = serverKey(server);
+      if (known.has(key)) {
+        duplicates++;
+        return;
+      }
+      known.add(key);
+      const stored = { ...server, id: newServerId(), addedAt: Date.now() };
+      data.servers.push(stored);
+      added.push(stored);
+    });
+    return { success: added.length > 0 || invalid.length === 0, added, duplicates, invalid };
+  });
+}
+
+// Fields the detail form may not change: identity, bookkeeping and the protocol itself
+const READ_ONLY_SERVER_FIELDS = ['id', 'addedAt', 'subscriptionId', 'withdrawn', 'protocol', 'url'];
+
+// Applies edits from the server detail form. The share link is rebuilt from the edited
+// fields; when the connected server is edited the core is restarted to pick them up.
+async function updateServer(serverId, changes) {
+  const server = serverStore.getServer(serverId);
+  if (!server) return { success: false, message: 'Server not found.' };
+
+  const edited = { ...server };
+  Object.entries(changes || {}).forEach(([field, value]) => {
+    if (!READ_ONLY_SERVER_FIELDS.includes(field)) edited[field] = value;
+  });
+  const errors = shareLinks.validateServer(edited);
+  if (errors.length > 0) {
+    return { success: false, message: errors.map(e => e.message).join(' '), errors };
+  }
+  edited.url = shareLinks.buildShareLink(edited);
+
+  const stored = serverStore.updateServer(serverId, edited);
+  let reconnected = false;
+  if (serverStore.data.activeServer === serverId && connectionState.state === 'connected') {
+    reconnected = (await reconnect()).success !== false;
+  }
+  return { success: true, server: stored, reconnected };
+}
+
+const MAX_TAG_LENGTH = 32;
+
+// Favorites and tags are local to this install; they never go into share links
+function setServerMeta(serverId, { favorite, tags } = {}) {
+  const changes = {};
+  if (favorite !== undefined) changes.favorite = Boolean(favorite);
+  if (tags !== undefined) {
+    const seen = new Set();
+    changes.tags = (Array.isArray(tags) ? tags : [])
+      .map(tag => String(tag).trim().slice(0, MAX_TAG_LENGTH))
+      .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+  }
+  const stored = serverStore.updateServer(serverId, changes);
+  return stored ? { success: true, server: stored } : { success: false, message: 'Server not found.' };
+}
+
+// Canonical share link of one stored server and its QR code as a data URL
+async function getServerShareLink(serverId) {
+  const server = serverStore.getServer(serverId);
+  if (!server) return { success: false, message: 'Server not found.' };
+  const link = shareLinks.buildShareLink(server);
+  const qrDataUrl = await QRCode.toDataURL(link, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+  return { success: true, name: server.name, link, qrDataUrl };
+}
+
+// Saves a server's share QR code as a PNG file
+async function saveServerShareQr(serverId) {
+  const { dialog } = require('electron');
+  const server = serverStore.getServer(serverId);
+  if (!server) return { success: false, message: 'Server not found.' };
+  const link = shareLinks.buildShareLink(server);
+  const safeName = (server.name || 'server').replace(/[^\w.-]+/g, '_').slice(0, 60);
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save QR code',
+    defaultPath: `${safeName}.png`,
+    filters: [{ name: 'PNG image', extensions: ['png'] }],
+  });
+  if (result.canceled || !result.filePath) return { success: false, canceled: true };
+  await QRCode.toFile(result.filePath, link, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 640 });
+  return { success: true, filePath: result.filePath };
+}
+
+function sendToRenderer(channel, payload) {
+  ipcContract.assertEventChannel(channel);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+  if (controlApiServer.running) controlApiServer.broadcast(channel, payload);
+}
+
+// Opt-in HTTP API on loopback for scripts; routes call the IPC handlers.
+// Settings are in serverStore settings.controlApi: { enabled, port, token }.
+const controlApiServer = new controlApi.ControlApiServer({
+  getHandlers: () => getIpcHandlers(),
+  getToken: () => getControlApiSettings().token,
+  getSnapshot: () => connectionState.getSnapshot(),
+});
+let controlApiError = null;
+
+function getControlApiSettings() {
+  return { enabled: false, port: controlApi.DEFAULT_PORT, token: null, ...serverStore.getSettings().controlApi };
+}
+
+// Starts, restarts or stops the API to match the settings
+async function applyControlApi() {
+  await controlApiServer.stop();
+  controlApiError = null;
+  const settings = getControlApiSettings();
+  if (!settings.enabled || !settings.token) return;
+  try {
+    await controlApiServer.start({ port: settings.port });
+  } catch (error) {
+    controlApiError = `The control API could not start: ${error.message}`;
+    console.error(`[Control API] ${controlApiError}`);
+  }
+}
+
+function getControlApiInfo() {
+  const settings = getControlApiSettings();
+  return {
+    ...settings,
+    url: `http://${controlApi.LISTEN_ADDRESS}:${settings.port}/v1`,
+    running: controlApiServer.running,
+    error: controlApiError,
+  };
+}
+
+async function setControlApiSettings({ enabled, port, regenerateToken = false } = {}) {
+  const settings = getControlApiSettings();
+  if (port !== undefined) {
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return { success: false, message: 'Port must be a whole number from 1 to 65535.' };
+    }
+    settings.port = port;
+  }
+  if (enabled !== undefined) settings.enabled = enabled;
+  if (regenerateToken && settings.token) {
+    const { dialog } = require('electron');
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      buttons: ['Cancel', 'New Token'],
+      defaultId: 0,
+      cancelId: 0,
+      message: 'Replace the control API token?',
+      detail: 'Scripts using the current token will stop working until they are given the new one.',
+    });
+    if (response !== 1) return { success: false, canceled: true, api: getControlApiInfo() };
+  }
+  // Enabling without a token would leave the API unusable, so one is made on the spot
+  if (regenerateToken || (settings.enabled && !settings.token)) settings.token = controlApi.generateToken();
+  serverStore.updateSettings({ controlApi: settings });
+  await applyControlApi();
+  return { success: !controlApiError, message: controlApiError || undefined, api: getControlApiInfo() };
+}
+
+// Exit IP and location: an ordered list of lookup services (settings.exitIp) and an
+// optional offline GeoIP database (settings.geoIp.databasePath), which also gives the
+// servers their country and flag.
+const geoIpDatabase = new geoIp.GeoIpDatabase();
+let geoIpError = null;
+let exitIpResult = null; // Last lookup, also sent to the renderer as vpn:exit-ip
+let locateQueue = Promise.resolve(); // Server lookups run one batch at a time
+
+function getExitIpSettings() {
+  return exitIp.normalizeConfig({}, serverStore.getSettings().exitIp).config;
+}
+
+// Stores locations on servers that are new or whose address changed
+function locateServers(options) {
+  locateQueue = locateQueue.then(async () => {
+    const located = await geoIpDatabase.locateServers(serverStore.data.servers, options);
+    if (Object.keys(located).length === 0) return;
+    serverStore.update(data => {
+      // A server edited during the lookup keeps its new address and is looked up again
+      data.servers = data.servers.map(server => (located[server.id] && located[server.id].geoAddress === server.address
+        ? { ...server, ...located[server.id] }
+        : server));
+    });
+  }).catch(error => console.error('[GeoIP] Locating servers failed:', error));
+  return locateQueue;
+}
+
+// Opens (or closes) the configured database; `relocate` looks every server up again in it
+async function applyGeoIpDatabase({ relocate = false } = {}) {
+  const { databasePath = null } = serverStore.getSettings().geoIp || {};
+  geoIpError = null;
+  if (!databasePath) {
+    geoIpDatabase.close();
+    return;
+  }
+  try {
+    await geoIpDatabase.open(databasePath);
+  } catch (error) {
+    geoIpDatabase.close();
+    geoIpError = `The GeoIP database could not be opened: ${error.message}`;
+    console.error(`[GeoIP] ${geoIpError}`);
+    return;
+  }
+  await locateServers({ force: relocate });
+}
+
+function getLocationInfo() {
+  return {
+    ...getExitIpSettings(),
+    presets: Object.keys(exitIp.PROVIDERS),
+    database: { ...geoIpDatabase.getInfo(), error: geoIpError },
+    exitIp: exitIpResult,
+  };
+}
+
+// Looks the exit IP up through the tunnel (directly when disconnected) and locates it
+async function checkExitIp() {
+  const settings = { ...configBuilder.DEFAULT_SETTINGS, ...serverStore.getSettings() };
+  const viaTunnel = connectionState.state === 'connected';
+  const since = connectionState.since;
+  const result = await exitIp.lookupExitIp(getExitIpSettings(), {
+    socksPort: viaTunnel ? settings.socksPort : null,
+    proxyAuth: settings.proxyAuth,
+  });
+  // Connected, disconnected or switched in the meantime: the answer is about another route
+  if (connectionState.since !== since) {
+    return { success: false, message: 'The connection changed during the lookup.', attempts: result.attempts };
+  }
+  // The service's country when it gave one, else the offline database's
+  const location = result.success
+    ? geoIp.describeCountry(result.countryCode) || geoIpDatabase.lookupIp(result.ip)
+    : null;
+  exitIpResult = { ...result, ...location, viaTunnel, checkedAt: Date.now() };
+  sendToRenderer('vpn:exit-ip', exitIpResult);
+  return exitIpResult;
+}
+
+function setExitIpSettings(changes) {
+  const { config, errors } = exitIp.normalizeConfig(changes, getExitIpSettings());
+  if (errors.length > 0) {
+    return { success: false, message: errors.map(e => e.message).join(' '), errors };
+  }
+  serverStore.updateSettings({ exitIp: config });
+  return { success: true, location: getLocationInfo() };
+}
+
+async function chooseGeoIpDatabase() {
+  const { dialog } = require('electron');
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose GeoIP database',
+    properties: ['openFile'],
+    filters: [{ name: 'MaxMind database', extensions: ['mmdb'] }],
+  });
+  if (canceled || filePaths.length === 0) return { success: false, canceled: true };
+  // Checked before it replaces a working database
+  try {
+    await new geoIp.GeoIpDatabase().open(filePaths[0]);
+  } catch (error) {
+    return { success: false, message: `That file is not a usable GeoIP database: ${error.message}`, location: getLocationInfo() };
+  }
+  serverStore.updateSettings({ geoIp: { ...serverStore.getSettings().geoIp, databasePath: filePaths[0] } });
+  await applyGeoIpDatabase({ relocate: true });
+  return { success: !geoIpError, message: geoIpError || undefined, location: getLocationInfo() };
+}
+
+// Servers keep the locations they already have
+async function removeGeoIpDatabase() {
+  serverStore.updateSettings({ geoIp: { ...serverStore.getSettings().geoIp, databasePath: null } });
+  await applyGeoIpDatabase();
+  return { success: true, location: getLocationInfo() };
+}
+
+// Leak test: the endpoints it uses can be overridden in settings.leakTest
+let leakTestRun = null; // One run at a time; a second request waits for the same report
+
+function getLeakTestSettings() {
+  return { ...leakTest.DEFAULT_CONFIG, ...serverStore.getSettings().leakTest };
+}
+
+// `webrtc` holds the ICE candidates the renderer gathered, since only it has WebRTC
+async function runLeakTest(webrtc) {
+  if (connectionState.state !== 'connected') {
+    return { success: false, message: 'Connect first to test for leaks.' };
+  }
+  if (!leakTestRun) {
+    const settings = { ...configBuilder.DEFAULT_SETTINGS, ...serverStore.getSettings() };
+    leakTestRun = leakTest.runLeakTest(getLeakTestSettings(), {
+      socksPort: settings.socksPort,
+      proxyAuth: settings.proxyAuth,
+      exitIpConfig: getExitIpSettings(),
+      killSwitchEngaged: killSwitch.engaged,
+      webrtc,
+    }).finally(() => { leakTestRun = null; });
+  }
+  try {
+    return { success: true, report: await leakTestRun };
+  } catch (error) {
+    return { success: false, message: `The leak test failed: ${error.message}` };
+  }
+}
+
+// Start background services and forward their events to the renderer.
+// Call once the main window exists.
+function startBackgroundServices() {
+  // Console output of the renderer; Electron levels are 0 verbose, 1 info, 2 warning, 3 error
+  mainWindow.webContents.on('console-message', (_event, level, message) => {
+    logBuffer.add({ source: 'renderer', level: ['debug', 'info', 'warning', 'error'][level] || 'info', message });
+  });
+
+  // Push every store change, including scheduled subscription refreshes, to the renderer
+  serverStore.on('change', (data) => {
+    sendToRenderer('vpn:servers-updated', data);
+    healthMonitor.setServers(data.servers);
+    healthMonitor.setActiveServer(data.activeServer);
+    // Keep the allowed endpoints in line with the server list; engage() does nothing unless they changed
+    if (killSwitch.engaged) {
+      killSwitch.engage(data.servers).catch(error => console.error('[Kill Switch] Failed to update rules:', error));
+    }
+    if (geoIpDatabase.loaded) locateServers();
+  });
+  // The CLI writes the same file; its changes are reloaded (followed by 'change'), settings included
+  serverStore.on('reload', () => applyStoredSettings());
+  serverStore.watch();
+
+  healthMonitor.on('health', (event) => {
+    sendToRenderer('vpn:health-update', event);
+    failoverEngine.onHealth(event);
+  });
+  healthMonitor.setServers(serverStore.data.servers);
+  healthMonitor.setActiveServer(serverStore.data.activeServer);
+  healthMonitor.start();
+
+  connectionState.on('change', (snapshot) => {
+    sendToRenderer('vpn:status-change', snapshot);
+    reconnectSupervisor.onConnectionChange(snapshot);
+    if (snapshot.state === 'connected') {
+      checkExitIp().catch(error => console.error('[Exit IP] Lookup failed:', error));
+    } else if (snapshot.state === 'idle') {
+      exitIpResult = null;
+    }
+  });
+
+  reconnectSupervisor.on('status', (status) => sendToRenderer('vpn:reconnect-status', status));
+  reconnectSupervisor.configure(serverStore.getSettings().autoReconnect || {});
+  reconnectSupervisor.start();
+  const { powerMonitor } = require('electron');
+  powerMonitor.on('resume', () => reconnectSupervisor.onResume());
+
+  failoverEngine.on('switch', (event) => sendToRenderer('vpn:auto-failover', event));
+  failoverEngine.configure(serverStore.getSettings().autoFailover || {});
+
+  killSwitch = new KillSwitch({
+    stateFile: path.join(path.dirname(serverStore.filePath), 'killswitch.json'),
+    dryRun: getKillSwitchSettings().dryRun,
+  });
+  killSwitch.on('state', () => sendToRenderer('vpn:kill-switch', getKillSwitchState()));
+  // Rules left behind by a crash would keep the machine offline
+  killSwitch.recover().catch(error => console.error('[Kill Switch] Crash recovery failed:', error));
+  app.on('before-quit', event => cleanUpBeforeQuit(event));
+
+  usageHistory = new UsageHistory(path.join(path.dirname(serverStore.filePath), 'usage.json'));
+  usageHistory.load();
+  const { metricsPort } = { ...configBuilder.DEFAULT_SETTINGS, ...serverStore.getSettings() };
+  if (metricsPort) {
+    trafficMonitor = new TrafficMonitor({
+      url: `http://127.0.0.1:${metricsPort}/debug/vars`,
+      getServerId: () => serverStore.data.activeServer,
+    });
+    trafficMonitor.on('sample', (sample) => {
+      usageHistory.record(sample.serverId, sample.uplinkDelta, sample.downlinkDelta, sample.at);
+      sendToRenderer('vpn:traffic-stats', sample);
+    });
+  }
+  app.on('before-quit', () => usageHistory.save());
+
+  applyPacServer();
+  applyControlApi();
+  applyGeoIpDatabase();
+  subscriptionManager.start();
+}
+
+// Handlers for every invoke channel in ipcContract.js, keyed by bridge method name.
+// Arguments arrive already validated against the contract. The control API calls
+// the same handlers, so a request behaves the same from the window and from scripts.
+function createIpcHandlers() {
+  return {
+    // VPN operations
+    getStatus: () => getTunnelStatus(),
+    connect: () => connect(),
+    disconnect: () => disconnect(),
+    switchServer: (serverId) => switchServer(serverId),
+    getDiagnostics: async () => {
+      const diagnostics = await getDiagnostics();
+      return { ...diagnostics, generatedConfig: buildActiveConfig() };
+    },
+
+    // Server management
+    getServers: () => serverStore.data.servers,
+    addServer: (serverUrl) => {
+      // Reject unknown, malformed or invalid links up front with a readable message
+      const { errors } = shareLinks.inspectShareLink(serverUrl);
+      if (errors.length > 0) {
+        return { success: false, message: errors.map(e => e.message).join(' '), errors };
+      }
+      return addServer(serverUrl);
+    },
+    addServers: (links) => addServers(links),
+    updateServer: (serverId, changes) =>
+      updateServer(serverId, changes).catch(error => ({ success: false, message: error.message })),
+    setServerMeta: (serverId, meta) => setServerMeta(serverId, meta),
+    reorderServers: (serverIds) => ({ success: true, order: serverStore.reorderServers(serverIds) }),
+    deleteServer: (serverId) => deleteServer(serverId),
+    setActiveServer: (serverId) => setActiveServer(serverId),
+    parseVLESSUrl: (url) => shareLinks.parseVlessUrl(url),
+    parseShareLink: (url) => {
+      try {
+        return { success: true, server: shareLinks.parseShareLink(url) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    },
+    testDelay: (serverId) => testServerDelay(serverId),
+    testAllDelays: async () => {
+      // One at a time: each test may start its own short-lived core
+      const results = [];
+      for (const server of serverStore.data.servers) {
+        results.push(await testServerDelay(server.id));
+      }
+      return results;
+    },
+
+    // Health monitoring
+    getHealth: () => healthMonitor.getSnapshot(),
+    checkHealth: (serverId) => healthMonitor.checkNow(serverId),
+    setWindowVisible: (visible) => {
+      // Only the active server is worth probing while nobody can see the results
+      if (visible) healthMonitor.resume(); else healthMonitor.pause();
+    },
+
+    // Smart-connect policy
+    getAutoFailoverStatus: () => ({ ...failoverEngine.getConfig(), policies: POLICIES }),
+    setAutoFailover: (changes) => {
+      // A bare boolean is the on/off toggle; an object updates the policy settings
+      const config = failoverEngine.configure(typeof changes === 'boolean' ? { enabled: changes } : changes);
+      serverStore.updateSettings({ autoFailover: config });
+      return { success: true, config };
+    },
+
+    // Auto-reconnect
+    getAutoReconnect: () => ({ ...reconnectSupervisor.getConfig(), state: reconnectSupervisor.getStatus() }),
+    setAutoReconnect: (changes) => {
+      const config = reconnectSupervisor.configure(changes);
+      serverStore.updateSettings({ autoReconnect: config });
+      return { success: true, config };
+    },
+    cancelReconnect: () => (reconnectSupervisor.cancel()
+      ? { success: true }
+      : { success: false, message: 'No reconnect is pending.' }),
+
+    // Store encryption and recovery
+    getStoreStatus: () => serverStore.getEncryptionStatus(),
+    unlockStore: (passphrase) => {
+      try {
+        const status = serverStore.unlock(passphrase);
+        if (status.state !== 'locked') applyStoredSettings();
+        return { success: status.state !== 'locked', status };
+      } catch (error) {
+        return { success: false, message: error.message, status: serverStore.getEncryptionStatus() };
+      }
+    },
+    setStorePassphrase: (passphrase) => {
+      try {
+        return { success: true, status: serverStore.setPassphrase(passphrase) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    },
+    resetStore: async () => {
+      const { dialog } = require('electron');
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        buttons: ['Cancel', 'Start Fresh'],
+        defaultId: 0,
+        cancelId: 0,
+        message: 'Start with an empty server list?',
+        detail: 'The unreadable file is kept next to the new one, so it can still be recovered if the key or passphrase turns up.',
+      });
+      if (response !== 1) return { success: false, canceled: true };
+      const movedTo = serverStore.resetUnreadable();
+      return { success: true, movedTo, status: serverStore.getEncryptionStatus() };
+    },
+
+    // Backup and restore
+    exportBackup: (options) => exportBackup(options).catch(error => ({ success: false, message: error.message })),
+    importBackup: (options) => importBackup(options).catch(error => ({ success: false, message: error.message })),
+    exportShareLinks: (serverIds, options) =>
+      exportShareLinks(serverIds, options).catch(error => ({ success: false, message: error.message })),
+    getShareLink: (serverId) =>
+      getServerShareLink(serverId).catch(error => ({ success: false, message: error.message })),
+    saveShareQr: (serverId) =>
+      saveServerShareQr(serverId).catch(error => ({ success: false, message: error.message })),
+
+    // Logs and diagnostics export
+    getLogs: (filters) => logBuffer.query(filters),
+    clearLogs: () => logBuffer.clear(),
+    exportDiagnostics: async () => {
+      try {
+        return await exportDiagnostics();
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    },
+
+    // Traffic usage, e.g. getUsageHistory({ from: '2024-05-01', to: '2024-05-31' })
+    getUsageHistory: (range) => ({ success: true, ...usageHistory.query(range) }),
+
+    // Kill switch
+    getKillSwitch: () => getKillSwitchState(),
+    setKillSwitch: async (changes) => {
+      const settings = { ...getKillSwitchSettings(), ...changes };
+      serverStore.updateSettings({ killSwitch: { enabled: Boolean(settings.enabled), dryRun: Boolean(settings.dryRun) } });
+      try {
+        if (killSwitch.engaged && (!settings.enabled || settings.dryRun !== killSwitch.dryRun)) {
+          await killSwitch.disengage();
+        }
+        killSwitch.dryRun = Boolean(settings.dryRun);
+        // Turning it on mid-session protects the running connection right away
+        if (settings.enabled && connectionState.state === 'connected') await engageKillSwitch();
+        return { success: true, state: getKillSwitchState() };
+      } catch (error) {
+        return { success: false, message: error.message, state: getKillSwitchState() };
+      }
+    },
+    previewKillSwitch: async () => {
+      try {
+        return { success: true, ruleset: await killSwitch.generateRules(serverStore.data.servers) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    },
+
+    // Subscriptions
+    getSubscriptions: () => subscriptionManager.list(),
+    addSubscription: (url, options) => subscriptionManager.addSubscription(url, options),
+    updateSubscription: (subscriptionId, changes) => subscriptionManager.updateSubscription(subscriptionId, changes),
+    removeSubscription: (subscriptionId) => subscriptionManager.removeSubscription(subscriptionId),
+    refreshSubscription: (subscriptionId) => subscriptionManager.refresh(subscriptionId),
+
+    // Routing rules (split tunneling)
+    getRoutingRules: () => serverStore.getSettings().routingRules || [],
+    setRoutingRules: (rules) => {
+      const { rules: normalized, errors } = routingRules.normalizeRules(rules);
+      if (errors.length > 0) {
+        return { success: false, message: `Rule ${errors[0].index + 1}: ${errors[0].message}`, errors };
+      }
+      serverStore.updateSettings({ routingRules: normalized });
+      return { success: true, rules: normalized };
+    },
+    getRoutingPresets: () => routingRules.listPresets(),
+    buildRoutingPreset: (rules, presetId, options) => {
+      try {
+        return { success: true, rules: routingRules.applyPreset(rules || [], presetId, options) };
+      } catch (error) {
+        return { success: false, message: error.message };
+      }
+    },
+
+    // Local proxy
+    getLocalProxy: () => getLocalProxyInfo(),
+    setLocalProxy: (changes) => setLocalProxySettings(changes),
+
+    // Control API
+    getControlApi: () => getControlApiInfo(),
+    setControlApi: (changes) => setControlApiSettings(changes),
+
+    // Exit IP and location
+    getLocation: () => getLocationInfo(),
+    setExitIp: (changes) => setExitIpSettings(changes),
+    checkExitIp: () => checkExitIp(),
+    chooseGeoIpDatabase: () => chooseGeoIpDatabase(),
+    removeGeoIpDatabase: () => removeGeoIpDatabase(),
+
+    // Leak test
+    getLeakTestSettings: () => getLeakTestSettings(),
+    runLeakTest: (webrtc) => runLeakTest(webrtc),
+  };
+}
+
+let ipcHandlers = null;
+
+function getIpcHandlers() {
+  if (!ipcHandlers) ipcHandlers = createIpcHandlers();
+  return ipcHandlers;
+}
+
 // Register IPC handlers
 function registerIpcHandlers() {
   console.log('Registering IPC handlers');
-  
-  // VPN operations
-  ipcMain.handle('vpn:status', getStatus);
-  ipcMain.handle('vpn:connect', connectVPN);
-  ipcMain.handle('vpn:disconnect', disconnectVPN);
-  ipcMain.handle('vpn:diagnostics', getDiagnostics);
-  
-  // Server management
-  ipcMain.handle('vpn:getServers', () => {
-    console.log('Get servers called, returning:', serversData.servers);
-    return serversData.servers || [];
-  });
-  ipcMain.handle('vpn:addServer', (_, serverUrl) => addServer(serverUrl));
-  ipcMain.handle('vpn:deleteServer', (_, serverId) => deleteServer(serverId));
-  ipcMain.handle('vpn:setActiveServer', (_, serverId) => setActiveServer(serverId));
-  ipcMain.handle('vpn:parseVLESSUrl', (_, url) => serverManager.parseVLESSUrl(url));
+  ipcContract.registerHandlers(ipcMain, getIpcHandlers());
 }
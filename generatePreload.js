@@ -0,0 +1,57 @@
+/*
+  Writes preload.js from the IPC contract.
+    node generatePreload.js          regenerate preload.js
+    node generatePreload.js --check  exit 1 if preload.js is out of date
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { INVOKE_GROUPS, EVENTS } = require('./ipcContract');
+
+const PRELOAD_PATH = path.join(__dirname, 'preload.js');
+
+function renderPreload() {
+  const lines = [
+    '// Generated from ipcContract.js by generatePreload.js. Do not edit by hand:',
+    '// change the contract and run `npm run generate:preload`.',
+    "const { contextBridge, ipcRenderer } = require('electron');",
+    '',
+    '// Only the channels declared in the contract are reachable from the renderer',
+    "contextBridge.exposeInMainWorld('api', {",
+  ];
+
+  INVOKE_GROUPS.forEach(([group, methods], index) => {
+    if (index > 0) lines.push('');
+    lines.push(`  // ${group}`);
+    Object.entries(methods).forEach(([method, { channel, args, returns }]) => {
+      const params = Object.keys(args).join(', ');
+      const signature = Object.entries(args).map(([name, schema]) => `${name}: ${schema}`).join(', ');
+      lines.push(`  /** (${signature}) => ${returns} */`);
+      lines.push(`  ${method}: (${params}) => ipcRenderer.invoke('${channel}'${params ? `, ${params}` : ''}),`);
+    });
+  });
+
+  lines.push('', '  // Event listeners');
+  Object.entries(EVENTS).forEach(([method, { channel }]) => {
+    lines.push(`  ${method}: (callback) => ipcRenderer.on('${channel}', (_, ...args) => callback(...args)),`);
+  });
+  lines.push('});', '');
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  const generated = renderPreload();
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(PRELOAD_PATH) ? fs.readFileSync(PRELOAD_PATH, 'utf8') : '';
+    if (current !== generated) {
+      console.error('preload.js does not match ipcContract.js. Run `npm run generate:preload`.');
+      process.exit(1);
+    }
+    console.log('preload.js matches the IPC contract.');
+  } else {
+    fs.writeFileSync(PRELOAD_PATH, generated);
+    console.log(`Wrote ${path.relative(process.cwd(), PRELOAD_PATH)}`);
+  }
+}
+
+module.exports = { renderPreload };
@@ -0,0 +1,148 @@
+/*
+  StealthLynk VPN Client - GeoIP
+  Country lookups in an offline MaxMind-format (.mmdb) database such as
+  GeoLite2-Country or DB-IP's country lite database, for the exit IP and for
+  server addresses. Works without any network service, so locations still show
+  where online lookup services are blocked.
+*/
+
+const dns = require('dns');
+const net = require('net');
+const maxmind = require('maxmind');
+
+// Fields set on stored servers from a lookup; geoAddress is the address that was looked up
+const GEO_FIELDS = ['countryCode', 'countryName', 'flag', 'geoAddress'];
+
+function countryName(countryCode) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode.toUpperCase()) || countryCode;
+  } catch (error) {
+    return countryCode;
+  }
+}
+
+/**
+ * Flag emoji of an ISO 3166-1 alpha-2 code, built from regional indicator symbols.
+ */
+function countryFlag(countryCode) {
+  if (!/^[a-z]{2}$/i.test(countryCode || '')) return null;
+  return String.fromCodePoint(...countryCode.toUpperCase().split('').map(char => 0x1f1a5 + char.charCodeAt(0)));
+}
+
+/**
+ * { countryCode, countryName, flag } for a country code, or null when it isn't one.
+ */
+function describeCountry(countryCode) {
+  if (!/^[a-z]{2}$/i.test(countryCode || '')) return null;
+  const code = countryCode.toUpperCase();
+  return { countryCode: code, countryName: countryName(code), flag: countryFlag(code) };
+}
+
+// Whether a stored server should be looked up: never located, or located for an
+// address that has since changed (or at all, with `force`, after the database changed).
+// Countries that came from elsewhere are kept.
+function needsLocation(server, { force = false } = {}) {
+  if (!server.address || (server.geoAddress === server.address && !force)) return false;
+  return !server.countryCode || Boolean(server.geoAddress);
+}
+
+class GeoIpDatabase {
+  constructor() {
+    this.reader = null;
+    this.filePath = null;
+  }
+
+  get loaded() {
+    return Boolean(this.reader);
+  }
+
+  /**
+   * Opens a database, replacing the current one. Rejects when the file is not an
+   * MMDB database or has no country data.
+   */
+  async open(filePath) {
+    let reader;
+    try {
+      reader = await maxmind.open(filePath, { cache: { max: 1000 } });
+    } catch (error) {
+      if (error.code) throw error; // File system errors say what went wrong themselves
+      throw new Error('The file is not a MaxMind-format (.mmdb) database.');
+    }
+    if (!/country|city/i.test(reader.metadata.databaseType || '')) {
+      throw new Error(`${reader.metadata.databaseType || 'This database'} has no country data.`);
+    }
+    this.reader = reader;
+    this.filePath = filePath;
+  }
+
+  close() {
+    this.reader = null;
+    this.filePath = null;
+  }
+
+  getInfo() {
+    if (!this.reader) return { loaded: false, filePath: null };
+    const { databaseType, buildEpoch } = this.reader.metadata;
+    return { loaded: true, filePath: this.filePath, databaseType, buildDate: new Date(buildEpoch).toISOString().slice(0, 10) };
+  }
+
+  /**
+   * Country of an IP address, or null when unknown or no database is open.
+   */
+  lookupIp(ip) {
+    if (!this.reader || !net.isIP(ip || '')) return null;
+    const record = this.reader.get(ip);
+    if (!record) return null;
+    // Anycast and satellite ranges often only have the registration country
+    const country = record.country || record.registered_country;
+    return describeCountry(country && country.iso_code);
+  }
+
+  /**
+   * Country of a server address; host names are resolved first.
+   */
+  async lookupHost(address) {
+    if (!this.reader) return null;
+    let ip = address;
+    if (!net.isIP(address)) {
+      try {
+        ({ address: ip } = await dns.promises.lookup(address));
+      } catch (error) {
+        return null;
+      }
+    }
+    return this.lookupIp(ip);
+  }
+
+  /**
+   * Locations for the servers that need one, by server id. Servers that can't be
+   * located still get geoAddress so they aren't looked up again for the same address.
+   * @param {object[]} servers
+   * @param {object} [options]
+   * @param {boolean} [options.force] Look up every server located before, e.g. with a new database.
+   */
+  async locateServers(servers, { force = false } = {}) {
+    const located = {};
+    if (!this.reader) return located;
+    for (const server of servers.filter(s => needsLocation(s, { force }))) {
+      const location = await this.lookupHost(server.address);
+      located[server.id] = {
+        countryCode: null,
+        countryName: null,
+        flag: null,
+        ...location,
+        geoAddress: server.address,
+      };
+    }
+    return located;
+  }
+}
+
+module.exports = {
+  GEO_FIELDS,
+  GeoIpDatabase,
+  countryFlag,
+  countryName,
+  describeCountry,
+  needsLocation,
+};
@@ -0,0 +1,258 @@
+/*
+  StealthLynk VPN Client - Health Monitor
+  Probes servers from the main process with limited concurrency, adaptive
+  intervals and exponential backoff for dead servers. A server only changes
+  state after several consecutive results agree (hysteresis), so a single lost
+  probe never marks it down.
+*/
+
+const EventEmitter = require('events');
+const tcpp = require('tcp-ping');
+
+const DEFAULT_OPTIONS = {
+  concurrency: 3,
+  intervalMs: 15000, // Healthy servers
+  activeIntervalMs: 5000, // The server we are connected to
+  confirmIntervalMs: 3000, // Re-check quickly while a state change is pending
+  maxBackoffMs: 5 * 60 * 1000, // Upper bound for dead servers
+  failuresToDown: 3,
+  successesToUp: 2,
+  timeoutMs: 3000,
+};
+
+/**
+ * Default probe: a single TCP connect to the server, resolving with the time in ms or null.
+ */
+function tcpProbe(server, timeoutMs) {
+  return new Promise((resolve) => {
+    tcpp.ping({ address: server.address, port: server.port, attempts: 1, timeout: timeoutMs }, (error, data) => {
+      if (error || !data || !Number.isFinite(data.avg)) {
+        resolve(null);
+      } else {
+        resolve(Math.round(data.avg));
+      }
+    });
+  });
+}
+
+class HealthMonitor extends EventEmitter {
+  /**
+   * @param {object} [options] Overrides for DEFAULT_OPTIONS, plus:
+   * @param {function(object, number): Promise<number|null>} [options.probe] Returns latency in ms or null.
+   * @param {function(): number} [options.now] Clock, for tests.
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.probe = options.probe || tcpProbe;
+    this.now = options.now || Date.now;
+    this.entries = new Map(); // serverId -> { server, status, latency, failures, successes, lastCheckedAt, nextCheckAt, inFlight }
+    this.activeServerId = null;
+    this.inFlight = 0;
+    this.running = false;
+    this.paused = false;
+    this.timer = null;
+  }
+
+  /**
+   * Syncs the monitored set with the stored servers. Known servers keep their
+   * history; servers whose endpoint changed start over.
+   */
+  setServers(servers) {
+    const ids = new Set();
+    servers.forEach(server => {
+      ids.add(server.id);
+      const entry = this.entries.get(server.id);
+      if (entry && entry.server.address === server.address && entry.server.port === server.port) {
+        entry.server = server;
+        return;
+      }
+      this.entries.set(server.id, {
+        server,
+        status: 'unknown',
+        latency: null,
+        failures: 0,
+        successes: 0,
+        lastCheckedAt: null,
+        nextCheckAt: this.now(),
+        inFlight: false,
+      });
+    });
+    Array.from(this.entries.keys()).forEach(id => {
+      if (!ids.has(id)) this.entries.delete(id);
+    });
+    this.schedule();
+  }
+
+  setActiveServer(serverId) {
+    this.activeServerId = serverId;
+    const entry = this.entries.get(serverId);
+    if (entry && !entry.inFlight) entry.nextCheckAt = Math.min(entry.nextCheckAt, this.now() + this.options.activeIntervalMs);
+    this.schedule();
+  }
+
+  start() {
+    this.running = true;
+    this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stops probing other servers (e.g. while the window is hidden). The active server
+   * is still probed so Smart-connect notices when it fails. In-flight probes still complete.
+   */
+  pause() {
+    this.paused = true;
+    this.schedule();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.schedule();
+  }
+
+  /**
+   * Makes the given server (or every server) due immediately.
+   */
+  checkNow(serverId) {
+    this.entries.forEach((entry, id) => {
+      if (!serverId || id === serverId) entry.nextCheckAt = this.now();
+    });
+    this.runDue();
+  }
+
+  getSnapshot() {
+    const snapshot = {};
+    this.entries.forEach((entry, id) => {
+      snapshot[id] = this.describe(entry);
+    });
+    return snapshot;
+  }
+
+  describe(entry) {
+    return {
+      serverId: entry.server.id,
+      status: entry.status,
+      latency: entry.latency,
+      failures: entry.failures,
+      lastCheckedAt: entry.lastCheckedAt,
+      nextCheckAt: entry.nextCheckAt,
+    };
+  }
+
+  /**
+   * Feeds an externally obtained result (such as an end-to-end delay test) into the same hysteresis.
+   */
+  recordResult(serverId, latency) {
+    const entry = this.entries.get(serverId);
+    if (entry) this.applyResult(entry, latency);
+  }
+
+  applyResult(entry, latency) {
+    const { failuresToDown, successesToUp } = this.options;
+    const previous = entry.status;
+    entry.lastCheckedAt = this.now();
+
+    if (latency !== null) {
+      entry.successes++;
+      entry.failures = 0;
+      entry.latency = latency;
+      // From unknown as from down: one answer from a server never seen up is not enough
+      if (entry.status !== 'up' && entry.successes >= successesToUp) {
+        entry.status = 'up';
+      }
+    } else {
+      entry.failures++;
+      entry.successes = 0;
+      if (entry.status !== 'down' && entry.failures >= failuresToDown) {
+        entry.status = 'down';
+        entry.latency = null;
+      }
+    }
+
+    entry.nextCheckAt = this.now() + this.nextInterval(entry);
+    this.emit('health', { ...this.describe(entry), changed: previous !== entry.status, previousStatus: previous });
+  }
+
+  nextInterval(entry) {
+    const { intervalMs, activeIntervalMs, confirmIntervalMs, maxBackoffMs, failuresToDown } = this.options;
+
+    // A state change is pending: confirm it quickly
+    const pendingDown = entry.status !== 'down' && entry.failures > 0;
+    const pendingUp = entry.status !== 'up' && entry.successes > 0;
+    if (pendingDown || pendingUp) return confirmIntervalMs;
+
+    if (entry.status === 'down') {
+      const exponent = Math.max(0, entry.failures - failuresToDown);
+      return Math.min(maxBackoffMs, intervalMs * Math.pow(2, exponent));
+    }
+    return entry.server.id === this.activeServerId ? activeIntervalMs : intervalMs;
+  }
+
+  runDue() {
+    if (!this.running) return;
+    const now = this.now();
+    const due = this.schedulable()
+      .filter(entry => entry.nextCheckAt <= now)
+      .sort((a, b) => a.nextCheckAt - b.nextCheckAt);
+
+    while (due.length > 0 && this.inFlight < this.options.concurrency) {
+      this.runProbe(due.shift());
+    }
+    this.schedule();
+  }
+
+  async runProbe(entry) {
+    entry.inFlight = true;
+    this.inFlight++;
+    let latency = null;
+    try {
+      latency = await this.probe(entry.server, this.options.timeoutMs);
+    } catch (error) {
+      latency = null;
+    }
+    entry.inFlight = false;
+    this.inFlight--;
+
+    // The server may have been removed while the probe was running
+    if (this.entries.get(entry.server.id) === entry) this.applyResult(entry, latency);
+    this.runDue();
+  }
+
+  // Entries that may be probed now: idle ones, and only the active server while paused
+  schedulable() {
+    return Array.from(this.entries.values())
+      .filter(entry => !entry.inFlight && (!this.paused || entry.server.id === this.activeServerId));
+  }
+
+  /**
+   * Arms a single timer for the next due server.
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    // Probe completions call runDue() themselves while every slot is busy
+    if (!this.running || this.inFlight >= this.options.concurrency) return;
+
+    let next = Infinity;
+    this.schedulable().forEach(entry => {
+      next = Math.min(next, entry.nextCheckAt);
+    });
+    if (next === Infinity) return;
+
+    this.timer = setTimeout(() => this.runDue(), Math.max(0, next - this.now()));
+    if (this.timer.unref) this.timer.unref();
+  }
+}
+
+module.exports = {
+  HealthMonitor,
+  DEFAULT_OPTIONS,
+  tcpProbe,
+};
@@ -0,0 +1,271 @@
+/*
+  StealthLynk VPN Client - IPC Contract
+  The single list of every channel between the renderer and the main process:
+  request arguments and response of each invoke channel, and the payload of
+  each event. preload.js is generated from it (generatePreload.js) and the
+  main process registers its handlers through registerHandlers(), which
+  refuses handlers the contract doesn't declare and validates arguments.
+
+  Schemas are strings: 'string', 'number', 'integer', 'boolean', 'object',
+  'array', 'any', a shape name from SHAPES, 'T[]' for arrays of T, 'A|B' for
+  either, and a trailing '?' for optional (undefined or null).
+*/
+
+// Object shapes referenced by name; unlisted keys are allowed
+const SHAPES = {
+  Result: { success: 'boolean', message: 'string?' },
+  SubscriptionOptions: { name: 'string?', intervalMinutes: 'number?' },
+  SubscriptionChanges: { name: 'string?', intervalMinutes: 'number?' },
+  ServerMeta: { favorite: 'boolean?', tags: 'string[]?' },
+  BackupOptions: { passphrase: 'string?', filePath: 'string?' },
+  ShareLinkOptions: { save: 'boolean?' },
+  LogFilters: { level: 'string?', source: 'string?', search: 'string?', sinceId: 'number?', limit: 'number?' },
+  UsageRange: { from: 'string?', to: 'string?', serverId: 'string?' },
+  KillSwitchChanges: { enabled: 'boolean?', dryRun: 'boolean?' },
+  AutoReconnectChanges: { enabled: 'boolean?', maxAttempts: 'integer?', baseDelayMs: 'integer?', maxDelayMs: 'integer?' },
+  LocalProxyChanges: { listen: 'string?', socksPort: 'integer?', httpPort: 'integer?', udp: 'boolean?', proxyAuth: 'object?', pacEnabled: 'boolean?', pacPort: 'integer?' },
+  ControlApiChanges: { enabled: 'boolean?', port: 'integer?', regenerateToken: 'boolean?' },
+  ExitIpChanges: { providers: 'string[]?', timeoutMs: 'integer?' },
+  WebrtcCandidates: { candidates: 'object[]?', error: 'string?' },
+  ConnectionState: { state: 'string', previousState: 'string?', serverId: 'string?', error: 'string?', since: 'number', isConnected: 'boolean' },
+};
+
+// Invoke channels by bridge method name, in groups as they appear on window.api.
+// `args` maps parameter names to schemas, in call order.
+const INVOKE_GROUPS = [
+  ['VPN operations', {
+    getStatus: { channel: 'vpn:status', args: {}, returns: 'object' },
+    connect: { channel: 'vpn:connect', args: {}, returns: 'Result' },
+    disconnect: { channel: 'vpn:disconnect', args: {}, returns: 'object' },
+    switchServer: { channel: 'vpn:switch-server', args: { serverId: 'string' }, returns: 'Result' },
+    getDiagnostics: { channel: 'vpn:diagnostics', args: {}, returns: 'object' },
+  }],
+  ['Server management', {
+    getServers: { channel: 'vpn:getServers', args: {}, returns: 'any' },
+    addServer: { channel: 'vpn:addServer', args: { serverUrl: 'string' }, returns: 'Result' },
+    addServers: { channel: 'vpn:addServers', args: { links: 'string[]' }, returns: 'Result' },
+    updateServer: { channel: 'vpn:updateServer', args: { serverId: 'string', changes: 'object' }, returns: 'Result' },
+    setServerMeta: { channel: 'vpn:setServerMeta', args: { serverId: 'string', meta: 'ServerMeta' }, returns: 'Result' },
+    reorderServers: { channel: 'vpn:reorderServers', args: { serverIds: 'string[]' }, returns: 'Result' },
+    deleteServer: { channel: 'vpn:deleteServer', args: { serverId: 'string' }, returns: 'Result' },
+    setActiveServer: { channel: 'vpn:setActiveServer', args: { serverId: 'string' }, returns: 'any' },
+    testDelay: { channel: 'vpn:testDelay', args: { serverId: 'string' }, returns: 'object' },
+    testAllDelays: { channel: 'vpn:testAllDelays', args: {}, returns: 'object[]' },
+    getHealth: { channel: 'vpn:getHealth', args: {}, returns: 'object' },
+    checkHealth: { channel: 'vpn:checkHealth', args: { serverId: 'string' }, returns: 'object' },
+    setWindowVisible: { channel: 'vpn:setWindowVisible', args: { visible: 'boolean' }, returns: 'any' },
+  }],
+  ['Subscriptions', {
+    getSubscriptions: { channel: 'vpn:getSubscriptions', args: {}, returns: 'object[]' },
+    addSubscription: { channel: 'vpn:addSubscription', args: { url: 'string', options: 'SubscriptionOptions?' }, returns: 'Result' },
+    updateSubscription: { channel: 'vpn:updateSubscription', args: { subscriptionId: 'string', changes: 'SubscriptionChanges' }, returns: 'Result' },
+    removeSubscription: { channel: 'vpn:removeSubscription', args: { subscriptionId: 'string' }, returns: 'Result' },
+    refreshSubscription: { channel: 'vpn:refreshSubscription', args: { subscriptionId: 'string' }, returns: 'Result' },
+  }],
+  ['Routing rules', {
+    getRoutingRules: { channel: 'vpn:getRoutingRules', args: {}, returns: 'object[]' },
+    setRoutingRules: { channel: 'vpn:setRoutingRules', args: { rules: 'object[]' }, returns: 'Result' },
+    getRoutingPresets: { channel: 'vpn:getRoutingPresets', args: {}, returns: 'object[]' },
+    buildRoutingPreset: { channel: 'vpn:buildRoutingPreset', args: { rules: 'object[]?', presetId: 'string', options: 'object?' }, returns: 'Result' },
+  }],
+  ['Saved servers encryption', {
+    getStoreStatus: { channel: 'vpn:getStoreStatus', args: {}, returns: 'object' },
+    unlockStore: { channel: 'vpn:unlockStore', args: { passphrase: 'string?' }, returns: 'Result' },
+    setStorePassphrase: { channel: 'vpn:setStorePassphrase', args: { passphrase: 'string' }, returns: 'Result' },
+    resetStore: { channel: 'vpn:resetStore', args: {}, returns: 'Result' },
+  }],
+  ['Backup and sharing', {
+    exportBackup: { channel: 'vpn:exportBackup', args: { options: 'BackupOptions?' }, returns: 'Result' },
+    importBackup: { channel: 'vpn:importBackup', args: { options: 'BackupOptions?' }, returns: 'Result' },
+    exportShareLinks: { channel: 'vpn:exportShareLinks', args: { serverIds: 'string[]?', options: 'ShareLinkOptions?' }, returns: 'Result' },
+    getShareLink: { channel: 'vpn:getShareLink', args: { serverId: 'string' }, returns: 'Result' },
+    saveShareQr: { channel: 'vpn:saveShareQr', args: { serverId: 'string' }, returns: 'Result' },
+  }],
+  ['Logs and diagnostics', {
+    getLogs: { channel: 'vpn:getLogs', args: { filters: 'LogFilters?' }, returns: 'object[]' },
+    clearLogs: { channel: 'vpn:clearLogs', args: {}, returns: 'any' },
+    exportDiagnostics: { channel: 'vpn:exportDiagnostics', args: {}, returns: 'Result' },
+  }],
+  ['Traffic usage', {
+    getUsageHistory: { channel: 'vpn:getUsageHistory', args: { range: 'UsageRange?' }, returns: 'Result' },
+  }],
+  ['Kill switch', {
+    getKillSwitch: { channel: 'vpn:getKillSwitch', args: {}, returns: 'object' },
+    setKillSwitch: { channel: 'vpn:setKillSwitch', args: { changes: 'KillSwitchChanges' }, returns: 'Result' },
+    previewKillSwitch: { channel: 'vpn:previewKillSwitch', args: {}, returns: 'Result' },
+  }],
+  ['Smart-connect settings', {
+    getAutoFailoverStatus: { channel: 'vpn:getAutoFailoverStatus', args: {}, returns: 'object' },
+    setAutoFailover: { channel: 'vpn:setAutoFailover', args: { changes: 'boolean|object' }, returns: 'Result' },
+  }],
+  ['Auto-reconnect', {
+    getAutoReconnect: { channel: 'vpn:getAutoReconnect', args: {}, returns: 'object' },
+    setAutoReconnect: { channel: 'vpn:setAutoReconnect', args: { changes: 'AutoReconnectChanges' }, returns: 'Result' },
+    cancelReconnect: { channel: 'vpn:cancelReconnect', args: {}, returns: 'Result' },
+  }],
+  ['Local proxy', {
+    getLocalProxy: { channel: 'vpn:getLocalProxy', args: {}, returns: 'object' },
+    setLocalProxy: { channel: 'vpn:setLocalProxy', args: { changes: 'LocalProxyChanges' }, returns: 'Result' },
+  }],
+  ['Control API', {
+    getControlApi: { channel: 'vpn:getControlApi', args: {}, returns: 'object' },
+    setControlApi: { channel: 'vpn:setControlApi', args: { changes: 'ControlApiChanges' }, returns: 'Result' },
+  }],
+  ['Exit IP and location', {
+    getLocation: { channel: 'vpn:getLocation', args: {}, returns: 'object' },
+    setExitIp: { channel: 'vpn:setExitIp', args: { changes: 'ExitIpChanges' }, returns: 'Result' },
+    checkExitIp: { channel: 'vpn:checkExitIp', args: {}, returns: 'Result' },
+    chooseGeoIpDatabase: { channel: 'vpn:chooseGeoIpDatabase', args: {}, returns: 'Result' },
+    removeGeoIpDatabase: { channel: 'vpn:removeGeoIpDatabase', args: {}, returns: 'Result' },
+  }],
+  ['Leak test', {
+    getLeakTestSettings: { channel: 'vpn:getLeakTestSettings', args: {}, returns: 'object' },
+    runLeakTest: { channel: 'vpn:runLeakTest', args: { webrtc: 'WebrtcCandidates?' }, returns: 'Result' },
+  }],
+  ['Utility functions', {
+    parseVLESSUrl: { channel: 'vpn:parseVLESSUrl', args: { url: 'string' }, returns: 'object' },
+    parseShareLink: { channel: 'vpn:parseShareLink', args: { url: 'string' }, returns: 'Result' },
+  }],
+];
+
+// Events sent from the main process, by bridge listener name
+const EVENTS = {
+  onStatusChange: { channel: 'vpn:status-change', payload: 'ConnectionState' },
+  onAutoFailover: { channel: 'vpn:auto-failover', payload: 'object' },
+  onConnectionSuccess: { channel: 'vpn:connected', payload: 'any' },
+  onConnectionError: { channel: 'vpn:connection-error', payload: 'object' },
+  onDisconnect: { channel: 'vpn:disconnected', payload: 'any' },
+  onServersUpdated: { channel: 'vpn:servers-updated', payload: 'object' },
+  onHealthUpdate: { channel: 'vpn:health-update', payload: 'object' },
+  onTrafficStats: { channel: 'vpn:traffic-stats', payload: 'object' },
+  onKillSwitchChange: { channel: 'vpn:kill-switch', payload: 'object' },
+  onReconnectStatus: { channel: 'vpn:reconnect-status', payload: 'object' },
+  onExitIp: { channel: 'vpn:exit-ip', payload: 'object' },
+};
+
+const INVOKE = Object.assign({}, ...INVOKE_GROUPS.map(([, methods]) => methods));
+
+class IpcContractError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IpcContractError';
+  }
+}
+
+const PRIMITIVES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  any: () => true,
+};
+
+/**
+ * Checks a value against a schema string.
+ * @returns {string|null} What is wrong, or null when the value matches.
+ */
+function checkSchema(value, schema, label = 'value') {
+  if (schema.endsWith('?')) {
+    return value === undefined || value === null ? null : checkSchema(value, schema.slice(0, -1), label);
+  }
+  if (schema.includes('|')) {
+    const alternatives = schema.split('|');
+    return alternatives.some(alternative => checkSchema(value, alternative, label) === null)
+      ? null
+      : `${label} must be ${alternatives.join(' or ')}`;
+  }
+  if (schema.endsWith('[]')) {
+    if (!Array.isArray(value)) return `${label} must be an array`;
+    for (let i = 0; i < value.length; i++) {
+      const problem = checkSchema(value[i], schema.slice(0, -2), `${label}[${i}]`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+  if (PRIMITIVES[schema]) {
+    return PRIMITIVES[schema](value) ? null : `${label} must be ${schema === 'integer' ? 'an' : 'a'} ${schema}`;
+  }
+  const shape = SHAPES[schema];
+  if (!shape) throw new IpcContractError(`Unknown schema "${schema}"`);
+  if (!PRIMITIVES.object(value)) return `${label} must be an object`;
+  for (const [key, fieldSchema] of Object.entries(shape)) {
+    const problem = checkSchema(value[key], fieldSchema, `${label}.${key}`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Throws an IpcContractError when the arguments don't match the method's declaration.
+ */
+function validateArgs(method, args) {
+  const declared = Object.entries(INVOKE[method].args);
+  if (args.length > declared.length) {
+    throw new IpcContractError(`${INVOKE[method].channel} takes ${declared.length} argument(s), got ${args.length}`);
+  }
+  declared.forEach(([name, schema], index) => {
+    const problem = checkSchema(args[index], schema, name);
+    if (problem) throw new IpcContractError(`${INVOKE[method].channel}: ${problem}`);
+  });
+}
+
+/**
+ * Lists mismatches between the contract and a set of handlers keyed by method name.
+ */
+function findHandlerMismatches(handlers) {
+  const problems = [];
+  Object.keys(INVOKE).forEach(method => {
+    if (typeof handlers[method] !== 'function') problems.push(`No handler for ${method} (${INVOKE[method].channel})`);
+  });
+  Object.keys(handlers).forEach(method => {
+    if (!INVOKE[method]) problems.push(`Handler ${method} is not declared in the IPC contract`);
+  });
+  return problems;
+}
+
+/**
+ * Validates the arguments and calls the handler, the same way for IPC and the control API.
+ * @throws {IpcContractError} when the arguments don't match the declaration.
+ */
+async function invokeHandler(handlers, method, args) {
+  validateArgs(method, args);
+  return handlers[method](...args);
+}
+
+/**
+ * Registers one ipcMain handler per declared channel. Handlers receive the validated
+ * renderer arguments (not the IPC event). Throws when handlers and contract differ.
+ */
+function registerHandlers(ipcMain, handlers) {
+  const problems = findHandlerMismatches(handlers);
+  if (problems.length > 0) throw new IpcContractError(`IPC handlers don't match the contract:\n${problems.join('\n')}`);
+
+  Object.entries(INVOKE).forEach(([method, { channel }]) => {
+    ipcMain.handle(channel, (_, ...args) => invokeHandler(handlers, method, args));
+  });
+}
+
+/**
+ * Throws unless `channel` is a declared event channel.
+ */
+function assertEventChannel(channel) {
+  if (!Object.values(EVENTS).some(event => event.channel === channel)) {
+    throw new IpcContractError(`Event channel ${channel} is not declared in the IPC contract`);
+  }
+}
+
+module.exports = {
+  SHAPES,
+  INVOKE_GROUPS,
+  INVOKE,
+  EVENTS,
+  IpcContractError,
+  checkSchema,
+  validateArgs,
+  findHandlerMismatches,
+  invokeHandler,
+  registerHandlers,
+  assertEventChannel,
+};
@@ -0,0 +1,354 @@
+/*
+  StealthLynk VPN Client - Kill Switch
+  Blocks all outgoing traffic except loopback (where the core's proxy listens)
+  and the server endpoints while engaged, so nothing falls back to the open
+  network when the tunnel drops. Rules are applied through a per-platform
+  firewall backend: pf on macOS, nftables on Linux.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const dns = require('dns').promises;
+const EventEmitter = require('events');
+const { execFile } = require('child_process');
+
+const PF_ANCHOR = 'com.apple/250.StealthLynkKillSwitch'; // Loaded by the stock pf.conf through "com.apple/*"
+const NFT_TABLE = 'stealthlynk_killswitch';
+
+class KillSwitchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KillSwitchError';
+  }
+}
+
+// --- COMMAND RUNNERS ---
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, (error, stdout, stderr) => {
+      if (error) reject(new KillSwitchError(`${command} failed: ${(stderr || error.message).trim()}`));
+      else resolve(`${stdout}${stderr}`);
+    });
+  });
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Runs a shell script as root: directly when already root, otherwise through
+ * the platform's authorization prompt.
+ */
+function runPrivileged(script) {
+  if (typeof process.getuid === 'function' && process.getuid() === 0) {
+    return run('/bin/sh', ['-c', script]);
+  }
+  if (process.platform === 'darwin') {
+    const escaped = script.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return run('osascript', ['-e', `do shell script "${escaped}" with administrator privileges`]);
+  }
+  return run('pkexec', ['/bin/sh', '-c', script]);
+}
+
+// Root loads this file, so it goes in a fresh directory only we can write to; a fixed
+// name in the shared temp dir could be planted or symlinked by another local user
+function writeRulesFile(ruleset) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-killswitch-'));
+  const file = path.join(dir, 'rules');
+  fs.writeFileSync(file, ruleset, { mode: 0o600, flag: 'wx' });
+  return file;
+}
+
+function removeRulesFile(file) {
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+}
+
+// --- BACKENDS ---
+// A backend turns endpoints into a ruleset and applies or removes it.
+// apply() resolves with an opaque token that later apply() and remove() calls
+// need (it is persisted so a crashed session can still be cleaned up).
+
+const pfBackend = {
+  name: 'pf',
+
+  generateRules(endpoints) {
+    const lines = [
+      '# StealthLynk kill switch',
+      'pass out quick on lo0 all',
+      'pass out quick inet proto udp from any port 68 to any port 67',
+    ];
+    endpoints.forEach(({ ip, port }) => {
+      const family = net.isIPv6(ip) ? 'inet6' : 'inet';
+      lines.push(`pass out quick ${family} proto { tcp, udp } to ${ip} port ${port}`);
+    });
+    lines.push('block drop out quick all');
+    return `${lines.join('\n')}\n`;
+  },
+
+  async apply(ruleset, token) {
+    const file = writeRulesFile(ruleset);
+    try {
+      const load = `pfctl -a ${shellQuote(PF_ANCHOR)} -f ${shellQuote(file)}`;
+      if (token) {
+        await runPrivileged(load);
+        return token;
+      }
+      // -E takes a reference on pf, so it is only disabled again if nobody else enabled it
+      const output = await runPrivileged(`${load} && pfctl -E 2>&1`);
+      const match = output.match(/Token\s*:\s*(\d+)/);
+      return match ? match[1] : null;
+    } finally {
+      removeRulesFile(file);
+    }
+  },
+
+  async remove(token) {
+    const release = token ? `; pfctl -X ${shellQuote(token)}` : '';
+    await runPrivileged(`pfctl -a ${shellQuote(PF_ANCHOR)} -F all${release}`);
+  },
+};
+
+const nftablesBackend = {
+  name: 'nftables',
+
+  generateRules(endpoints) {
+    const lines = [
+      '# StealthLynk kill switch',
+      // Declaring then deleting the table makes the whole file an atomic replace
+      `table inet ${NFT_TABLE}`,
+      `delete table inet ${NFT_TABLE}`,
+      `table inet ${NFT_TABLE} {`,
+      '  chain output {',
+      '    type filter hook output priority 0; policy drop;',
+      '    oifname "lo" accept',
+      // Replies on connections that came in, e.g. LAN devices using the shared proxy
+      '    ct state established,related accept',
+      '    udp sport 68 udp dport 67 accept',
+    ];
+    endpoints.forEach(({ ip, port }) => {
+      const family = net.isIPv6(ip) ? 'ip6' : 'ip';
+      lines.push(`    ${family} daddr ${ip} meta l4proto { tcp, udp } th dport ${port} accept`);
+    });
+    lines.push('  }', '}');
+    return `${lines.join('\n')}\n`;
+  },
+
+  async apply(ruleset) {
+    const file = writeRulesFile(ruleset);
+    try {
+      await runPrivileged(`nft -f ${shellQuote(file)}`);
+      return null;
+    } finally {
+      removeRulesFile(file);
+    }
+  },
+
+  async remove() {
+    await runPrivileged(`nft delete table inet ${NFT_TABLE} 2>/dev/null || true`);
+  },
+};
+
+const BACKENDS = {
+  darwin: pfBackend,
+  linux: nftablesBackend,
+};
+
+/**
+ * The backend for a platform, or null when the kill switch is not supported there.
+ */
+function createBackend(platform = process.platform) {
+  return BACKENDS[platform] || null;
+}
+
+/**
+ * Resolves server addresses to IPs up front: once the kill switch is engaged
+ * DNS is blocked too, so hostnames could not be looked up anymore (not by the
+ * core either; it dials the IPs resolved here, see KillSwitch#dialAddress()).
+ * Each endpoint keeps the address it was resolved from as `host`.
+ */
+async function resolveEndpoints(servers, lookup = (host) => dns.lookup(host, { all: true })) {
+  const endpoints = [];
+  const seen = new Set();
+  for (const server of servers) {
+    let ips = [];
+    if (net.isIP(server.address)) {
+      ips = [server.address];
+    } else {
+      try {
+        ips = (await lookup(server.address)).map(entry => entry.address);
+      } catch (error) {
+        console.warn(`[Kill Switch] Could not resolve ${server.address}: ${error.message}`);
+      }
+    }
+    ips.forEach(ip => {
+      const key = `${ip}|${server.port}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        endpoints.push({ ip, port: server.port, host: server.address });
+      }
+    });
+  }
+  return endpoints;
+}
+
+// The (address, port) pairs the rules are made from; nothing else about a server affects them
+function endpointsKey(servers) {
+  return [...new Set(servers.map(server => `${server.address}|${server.port}`))].sort().join(',');
+}
+
+class KillSwitch extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.stateFile Where the engaged state is persisted for crash recovery.
+   * @param {object} [options.backend] Defaults to createBackend().
+   * @param {boolean} [options.dryRun] Print rulesets instead of applying them.
+   * @param {function(string): Promise<Array<{address: string}>>} [options.lookup] DNS lookup override.
+   */
+  constructor({ stateFile, backend = createBackend(), dryRun = false, lookup }) {
+    super();
+    this.stateFile = stateFile;
+    this.backend = backend;
+    this.dryRun = dryRun;
+    this.lookup = lookup;
+    this.engaged = false;
+    this.token = null;
+    this.ruleset = null;
+    this.endpoints = []; // Resolved { ip, port, host } the rules allow
+    this.endpointsKey = null;
+    this.lastError = null;
+    this.queue = Promise.resolve();
+  }
+
+  get supported() {
+    return Boolean(this.backend);
+  }
+
+  getState() {
+    return {
+      supported: this.supported,
+      backend: this.backend ? this.backend.name : null,
+      engaged: this.engaged,
+      dryRun: this.dryRun,
+      lastError: this.lastError,
+    };
+  }
+
+  async generateRules(servers) {
+    return (await this.resolveRules(servers)).ruleset;
+  }
+
+  async resolveRules(servers) {
+    if (!this.backend) throw new KillSwitchError(`The kill switch is not supported on ${process.platform}.`);
+    const endpoints = await resolveEndpoints(servers, this.lookup);
+    return { endpoints, ruleset: this.backend.generateRules(endpoints) };
+  }
+
+  /**
+   * The IP the rules allow for a server given by hostname, for the core to dial while
+   * DNS is blocked. Null for a server given by IP, or when the kill switch is off.
+   */
+  dialAddress(server) {
+    if (!this.engaged || net.isIP(server.address)) return null;
+    const endpoint = this.endpoints.find(e => e.host === server.address && e.port === server.port);
+    return endpoint ? endpoint.ip : null;
+  }
+
+  // engage() and disengage() run one at a time; overlapping calls would race on the token and the rules
+  exclusive(task) {
+    const result = this.queue.then(task, task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Blocks everything but loopback and the given servers' endpoints.
+   * Calling it again while engaged replaces the ruleset (e.g. after the server list changed),
+   * but only when the endpoints or the resulting rules differ: each apply asks for admin rights.
+   */
+  engage(servers) {
+    return this.exclusive(async () => {
+      const key = endpointsKey(servers);
+      if (this.engaged && !this.lastError && key === this.endpointsKey) return this.getState();
+      try {
+        const { endpoints, ruleset } = await this.resolveRules(servers);
+        if (this.dryRun) {
+          console.log(`[Kill Switch] Dry run, ${this.backend.name} ruleset:\n${ruleset}`);
+        } else if (!this.engaged || ruleset !== this.ruleset) {
+          this.token = await this.backend.apply(ruleset, this.token);
+          this.writeState();
+        }
+        this.ruleset = ruleset;
+        this.endpoints = endpoints;
+        this.endpointsKey = key;
+        this.engaged = true;
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        this.emit('state', this.getState());
+        throw error;
+      }
+      this.emit('state', this.getState());
+      return this.getState();
+    });
+  }
+
+  disengage() {
+    return this.exclusive(async () => {
+      if (!this.engaged) return this.getState();
+      try {
+        if (!this.dryRun) await this.backend.remove(this.token);
+        this.clearState();
+        this.engaged = false;
+        this.token = null;
+        this.ruleset = null;
+        this.endpoints = [];
+        this.endpointsKey = null;
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        this.emit('state', this.getState());
+        throw error;
+      }
+      this.emit('state', this.getState());
+      return this.getState();
+    });
+  }
+
+  /**
+   * Removes rules left behind by a session that crashed while engaged. Call once on startup.
+   */
+  async recover() {
+    let leftover = null;
+    try {
+      leftover = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      return false; // Nothing was engaged
+    }
+    const backend = Object.values(BACKENDS).find(b => b.name === leftover.backend) || this.backend;
+    console.log(`[Kill Switch] Removing ${backend.name} rules left by a previous session`);
+    await backend.remove(leftover.token);
+    this.clearState();
+    return true;
+  }
+
+  writeState() {
+    fs.writeFileSync(this.stateFile, JSON.stringify({ backend: this.backend.name, token: this.token, engagedAt: Date.now() }));
+  }
+
+  clearState() {
+    if (fs.existsSync(this.stateFile)) fs.unlinkSync(this.stateFile);
+  }
+}
+
+module.exports = {
+  KillSwitch,
+  KillSwitchError,
+  createBackend,
+  resolveEndpoints,
+  pfBackend,
+  nftablesBackend,
+};
@@ -0,0 +1,131 @@
+/*
+  StealthLynk VPN Client - Latency Tester
+  Measures real end-to-end delay by making HTTP requests to a probe URL through
+  the core, instead of only timing a TCP handshake to the server.
+*/
+
+const http = require('http');
+const https = require('https');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { CoreProcess, findFreePort } = require('./coreLauncher');
+const { buildCoreConfig } = require('./configBuilder');
+
+const DEFAULT_PROBE_URL = 'https://www.gstatic.com/generate_204';
+const DEFAULT_SAMPLES = 4;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Times one request: from sending it until the response headers arrive, which
+ * means the tunnel handshake completed and the probe answered.
+ * Resolves with the delay in ms, or null on failure or timeout.
+ */
+function timeRequest(probeUrl, agent, timeoutMs) {
+  return new Promise((resolve) => {
+    const client = probeUrl.startsWith('https:') ? https : http;
+    const startedAt = process.hrtime.bigint();
+    let done = false;
+    const finish = (value) => {
+      if (done) return;
+      done = true;
+      resolve(value);
+    };
+
+    const request = client.get(probeUrl, { agent, timeout: timeoutMs, headers: { 'Cache-Control': 'no-cache' } }, (response) => {
+      const elapsed = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      response.resume();
+      finish(response.statusCode < 500 ? Math.round(elapsed) : null);
+    });
+    request.on('timeout', () => {
+      request.destroy();
+      finish(null);
+    });
+    request.on('error', () => finish(null));
+  });
+}
+
+/**
+ * Summarizes samples: median latency, jitter (mean difference between consecutive
+ * successful samples) and loss (share of failed samples, 0..1).
+ */
+function summarizeSamples(samples) {
+  const successful = samples.filter(sample => sample !== null);
+  const loss = samples.length === 0 ? 1 : (samples.length - successful.length) / samples.length;
+  if (successful.length === 0) {
+    return { latency: null, jitter: null, loss, samples };
+  }
+
+  const sorted = successful.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const latency = sorted.length % 2 === 0 ? Math.round((sorted[middle - 1] + sorted[middle]) / 2) : sorted[middle];
+
+  let jitter = 0;
+  for (let i = 1; i < successful.length; i++) {
+    jitter += Math.abs(successful[i] - successful[i - 1]);
+  }
+  jitter = successful.length > 1 ? Math.round(jitter / (successful.length - 1)) : 0;
+
+  return { latency, jitter, loss, samples };
+}
+
+/**
+ * Runs the probe several times through a local SOCKS port.
+ * @param {object} options
+ * @param {number} [options.socksPort] Local SOCKS port of a running core. Omit to probe directly.
+ * @param {object} [options.proxyAuth] { username, password } when the SOCKS inbound requires them.
+ * @param {string} [options.probeUrl]
+ * @param {number} [options.samples]
+ * @param {number} [options.timeoutMs]
+ */
+async function measureDelay({ socksPort, proxyAuth, probeUrl = DEFAULT_PROBE_URL, samples = DEFAULT_SAMPLES, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const credentials = proxyAuth
+    ? `${encodeURIComponent(proxyAuth.username)}:${encodeURIComponent(proxyAuth.password)}@`
+    : '';
+  const results = [];
+  for (let i = 0; i < samples; i++) {
+    // A fresh agent per sample so every request pays the full tunnel handshake
+    const agent = socksPort ? new SocksProxyAgent(`socks5h://${credentials}127.0.0.1:${socksPort}`) : undefined;
+    results.push(await timeRequest(probeUrl, agent, timeoutMs));
+    if (agent) agent.destroy();
+  }
+  return summarizeSamples(results);
+}
+
+/**
+ * Tests one server end to end. When the server is the one the app is already
+ * connected through, its running core is reused; otherwise a short-lived core
+ * is started on a free port and stopped afterwards.
+ * @param {object} server Stored server object.
+ * @param {object} [options]
+ * @param {number} [options.runningSocksPort] SOCKS port of the running core for this server.
+ * @param {object} [options.runningProxyAuth] Credentials of the running core's SOCKS inbound.
+ * @param {string} [options.dialAddress] IP for the test core to dial (see buildCoreConfig).
+ * @param {function(object): CoreProcess} [options.createCore] Override for starting a core.
+ */
+async function testServerDelay(server, options = {}) {
+  const { runningSocksPort, runningProxyAuth, dialAddress, createCore = (config) => new CoreProcess({ config }), ...probeOptions } = options;
+
+  if (runningSocksPort) {
+    return { serverId: server.id, ...(await measureDelay({ ...probeOptions, socksPort: runningSocksPort, proxyAuth: runningProxyAuth })) };
+  }
+
+  let core = null;
+  try {
+    const socksPort = await findFreePort();
+    const httpPort = await findFreePort();
+    // Logs stay at warning: the core announces "started" at that level and start() waits for it
+    core = createCore(buildCoreConfig(server, { socksPort, httpPort, metricsPort: null, logLevel: 'warning', routingRules: [] }, { dialAddress }));
+    await core.start();
+    return { serverId: server.id, ...(await measureDelay({ ...probeOptions, socksPort })) };
+  } catch (error) {
+    return { serverId: server.id, latency: null, jitter: null, loss: 1, samples: [], error: error.message };
+  } finally {
+    if (core) await core.stop();
+  }
+}
+
+module.exports = {
+  DEFAULT_PROBE_URL,
+  measureDelay,
+  summarizeSamples,
+  testServerDelay,
+};
@@ -0,0 +1,208 @@
+/*
+  StealthLynk VPN Client - Leak Test
+  Checks that traffic meant for the tunnel stays in it: which resolvers see
+  unique probe names looked up through the system and through the tunnel, the
+  exit address with and without the tunnel, IPv6 reachability outside the
+  tunnel, and the WebRTC candidates the renderer gathered. Every endpoint is
+  configurable, so the test also runs against local stand-in services.
+*/
+
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const axios = require('axios');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { lookupExitIp } = require('./exitIp');
+
+const DEFAULT_CONFIG = {
+  // DNS echo service: hands out a test id at dnsIdUrl, is authoritative for
+  // <name>.<id>.<dnsDomain> and lists the resolvers that asked at dnsResultUrl
+  dnsIdUrl: 'https://bash.ws/id',
+  dnsDomain: 'bash.ws',
+  dnsResultUrl: 'https://bash.ws/dnsleak/test/{id}?json',
+  probeNames: 3, // Names looked up per path
+  systemDnsServers: null, // Resolvers ("host:port") that stand in for the system's; null uses the OS lookup
+  ipv6Url: 'https://api6.ipify.org',
+  stunServers: ['stun:stun.l.google.com:19302', 'stun:stun.cloudflare.com:3478'],
+  timeoutMs: 5000,
+};
+
+const PRIVATE_RANGES = [
+  /^10\./, /^127\./, /^169\.254\./, /^192\.168\./, /^172\.(1[6-9]|2\d|3[01])\./, /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./,
+  /^::1$/, /^f[cd][0-9a-f]{2}:/i, /^fe[89ab][0-9a-f]:/i,
+];
+
+function isPublicAddress(address) {
+  return net.isIP(address || '') !== 0 && !PRIVATE_RANGES.some(range => range.test(address));
+}
+
+function check(id, label, status, summary, details = []) {
+  return { id, label, status, summary, details };
+}
+
+/**
+ * Resolver addresses out of a DNS echo answer: bash.ws style [{ ip, type: 'dns' }],
+ * a plain list of addresses, or { resolvers: [...] }.
+ */
+function parseResolvers(body) {
+  const data = typeof body === 'string' ? JSON.parse(body) : body;
+  const list = Array.isArray(data) ? data : (data && data.resolvers) || [];
+  const addresses = list
+    .map(entry => (typeof entry === 'string' ? entry : entry && (!entry.type || entry.type === 'dns') ? entry.ip : null))
+    .filter(address => net.isIP(address || ''));
+  return [...new Set(addresses)];
+}
+
+/**
+ * DNS: names looked up through the tunnel must not reach the resolvers the system uses.
+ */
+function evaluateDns({ systemResolvers, tunnelResolvers, error }) {
+  const label = 'DNS';
+  if (error) return check('dns', label, 'skipped', `The DNS echo service could not be used: ${error}`);
+  const details = [
+    `Through the tunnel: ${tunnelResolvers.join(', ') || 'no resolver seen'}`,
+    `Through the system: ${systemResolvers.join(', ') || 'no resolver seen'}`,
+  ];
+  const shared = tunnelResolvers.filter(address => systemResolvers.includes(address));
+  if (shared.length > 0) {
+    return check('dns', label, 'fail', `Lookups through the tunnel reached your own resolvers (${shared.join(', ')}).`, details);
+  }
+  if (tunnelResolvers.length === 0) {
+    return check('dns', label, 'warn', 'No resolver saw the names looked up through the tunnel, so the result is inconclusive.', details);
+  }
+  return check('dns', label, 'pass', 'Lookups through the tunnel are answered by other resolvers than your own.', details);
+}
+
+/**
+ * Exit address: the internet must see a different address through the tunnel.
+ */
+function evaluateExit({ direct, tunnel }) {
+  const label = 'Exit address';
+  const details = [
+    `Through the tunnel: ${tunnel.success ? tunnel.ip : tunnel.message}`,
+    `Without the tunnel: ${direct.success ? direct.ip : direct.message}`,
+  ];
+  if (!tunnel.success) return check('exit', label, 'warn', 'The exit address could not be looked up through the tunnel.', details);
+  if (direct.success && direct.ip === tunnel.ip) {
+    return check('exit', label, 'fail', 'Traffic through the tunnel leaves with your own address.', details);
+  }
+  return check('exit', label, 'pass', `Traffic through the tunnel leaves as ${tunnel.ip}.`, details);
+}
+
+/**
+ * IPv6: reachable outside the tunnel means apps that bypass the proxy can use it; with
+ * the kill switch engaged it should not be reachable at all.
+ */
+function evaluateIpv6({ address, error, killSwitchEngaged }) {
+  const label = 'IPv6';
+  if (!address) return check('ipv6', label, 'pass', 'IPv6 is not reachable outside the tunnel.', error ? [error] : []);
+  const details = [`Reachable directly as ${address}`];
+  if (killSwitchEngaged) {
+    return check('ipv6', label, 'fail', 'IPv6 reaches the internet outside the tunnel although the kill switch is on.', details);
+  }
+  return check('ipv6', label, 'warn', 'IPv6 reaches the internet outside the tunnel; apps that don\'t use the proxy can expose your address over it.', details);
+}
+
+/**
+ * WebRTC: candidates must not expose a public address other than the tunnel's.
+ * @param {object} webrtc { candidates: [{ type, address, protocol }], error } from the renderer.
+ */
+function evaluateWebrtc({ webrtc, directIps, tunnelIp }) {
+  const label = 'WebRTC';
+  if (!webrtc || webrtc.error) {
+    return check('webrtc', label, 'skipped', `ICE candidates could not be gathered${webrtc && webrtc.error ? `: ${webrtc.error}` : '.'}`);
+  }
+  const candidates = webrtc.candidates || [];
+  const details = candidates.map(c => `${c.type} ${c.protocol} ${c.address}`);
+  const exposed = [...new Set(candidates.map(c => c.address))]
+    .filter(address => isPublicAddress(address) && address !== tunnelIp);
+  const own = exposed.filter(address => directIps.includes(address));
+  if (own.length > 0) {
+    return check('webrtc', label, 'fail', `WebRTC exposes your own address (${own.join(', ')}).`, details);
+  }
+  if (exposed.length > 0) {
+    return check('webrtc', label, 'warn', `WebRTC exposes public addresses other than the tunnel's (${exposed.join(', ')}).`, details);
+  }
+  return check('webrtc', label, 'pass', 'WebRTC exposes no public address besides the tunnel\'s.', details);
+}
+
+/**
+ * Runs the leak test while connected.
+ * @param {object} config DEFAULT_CONFIG with the user's overrides.
+ * @param {object} options
+ * @param {number} options.socksPort Local SOCKS port of the tunnel.
+ * @param {object} [options.proxyAuth] Credentials of the SOCKS inbound.
+ * @param {object} options.exitIpConfig Exit-IP lookup settings (see exitIp.js).
+ * @param {boolean} [options.killSwitchEngaged]
+ * @param {object} [options.webrtc] ICE candidates gathered by the renderer.
+ * @returns {Promise<{passed: boolean, checks: Array, startedAt: number, finishedAt: number}>}
+ */
+async function runLeakTest(config, { socksPort, proxyAuth, exitIpConfig, killSwitchEngaged = false, webrtc } = {}) {
+  const startedAt = Date.now();
+  const { timeoutMs, systemDnsServers } = config;
+  const credentials = proxyAuth
+    ? `${encodeURIComponent(proxyAuth.username)}:${encodeURIComponent(proxyAuth.password)}@`
+    : '';
+  const agent = new SocksProxyAgent(`socks5h://${credentials}127.0.0.1:${socksPort}`);
+  const get = (url, options = {}) => axios.get(url, { responseType: 'text', timeout: timeoutMs, proxy: false, ...options })
+    .then(response => response.data);
+  const getThroughTunnel = (url, options = {}) => get(url, { httpAgent: agent, httpsAgent: agent, ...options });
+
+  const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 1 });
+  if (systemDnsServers) resolver.setServers(systemDnsServers);
+  // The answer doesn't matter (the names usually don't exist), only who asked for them
+  const lookupSystem = name => (systemDnsServers ? resolver.resolve4(name) : dns.promises.lookup(name)).catch(() => null);
+  // socks5h leaves the name to the core, which resolves it the way tunneled apps would
+  const lookupThroughTunnel = name => getThroughTunnel(`http://${name}/`, { maxRedirects: 0 }).catch(() => null);
+
+  // The echo service itself is asked through the tunnel, which the kill switch leaves open
+  async function probeDns(lookup) {
+    const id = String(await getThroughTunnel(config.dnsIdUrl)).trim();
+    if (!/^[a-z0-9-]+$/i.test(id)) throw new Error('The service returned no test id.');
+    const names = Array.from({ length: config.probeNames }, () => `${crypto.randomBytes(6).toString('hex')}.${id}.${config.dnsDomain}`);
+    await Promise.all(names.map(lookup));
+    return parseResolvers(await getThroughTunnel(config.dnsResultUrl.replace('{id}', encodeURIComponent(id))));
+  }
+
+  async function probeIpv6() {
+    try {
+      const address = String(await get(config.ipv6Url, { family: 6 })).trim();
+      return { address: net.isIPv6(address) ? address : null };
+    } catch (error) {
+      return { address: null, error: error.message };
+    }
+  }
+
+  try {
+    const [direct, tunnel, dnsResult, ipv6] = await Promise.all([
+      lookupExitIp(exitIpConfig),
+      lookupExitIp(exitIpConfig, { socksPort, proxyAuth }),
+      Promise.all([probeDns(lookupSystem), probeDns(lookupThroughTunnel)])
+        .then(([systemResolvers, tunnelResolvers]) => ({ systemResolvers, tunnelResolvers }))
+        .catch(error => ({ error: error.message })),
+      probeIpv6(),
+    ]);
+
+    const directIps = [direct.success && direct.ip, ipv6.address].filter(Boolean);
+    const checks = [
+      evaluateDns(dnsResult),
+      evaluateExit({ direct, tunnel }),
+      evaluateIpv6({ ...ipv6, killSwitchEngaged }),
+      evaluateWebrtc({ webrtc, directIps, tunnelIp: tunnel.success ? tunnel.ip : null }),
+    ];
+    return { passed: checks.every(c => c.status !== 'fail'), checks, startedAt, finishedAt: Date.now() };
+  } finally {
+    agent.destroy();
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  evaluateDns,
+  evaluateExit,
+  evaluateIpv6,
+  evaluateWebrtc,
+  isPublicAddress,
+  parseResolvers,
+  runLeakTest,
+};
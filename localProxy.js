@@ -0,0 +1,250 @@
+/*
+  StealthLynk VPN Client - Local Proxy
+  Settings of the SOCKS5 and HTTP inbounds the core listens on (ports, loopback
+  or LAN, optional credentials, UDP), and a small PAC server so browsers and
+  other devices can configure themselves from the current routing rules.
+*/
+
+const os = require('os');
+const express = require('express');
+const { DEFAULT_SETTINGS } = require('./configBuilder');
+const { validateRule } = require('./routingRules');
+
+const BIND_ADDRESSES = {
+  loopback: '127.0.0.1',
+  lan: '0.0.0.0',
+};
+
+const PAC_DEFAULTS = {
+  pacEnabled: false,
+  pacPort: 10811,
+};
+
+const PROXY_FIELDS = ['listen', 'socksPort', 'httpPort', 'udp', 'proxyAuth', 'pacEnabled', 'pacPort'];
+const PAC_PATHS = ['/proxy.pac', '/wpad.dat'];
+
+// Ranges the 'geoip:private' rule stands for, as PAC isInNet() arguments
+const PRIVATE_NETS = [
+  ['10.0.0.0', '255.0.0.0'],
+  ['172.16.0.0', '255.240.0.0'],
+  ['192.168.0.0', '255.255.0.0'],
+  ['127.0.0.0', '255.0.0.0'],
+  ['169.254.0.0', '255.255.0.0'],
+];
+
+/**
+ * Local proxy settings out of the stored settings, with defaults filled in.
+ */
+function getProxySettings(settings = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...PAC_DEFAULTS, ...settings };
+  return PROXY_FIELDS.reduce((picked, field) => ({ ...picked, [field]: merged[field] }), {});
+}
+
+function isPort(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+/**
+ * Applies changes to the current proxy settings and validates the result.
+ * @param {object} changes
+ * @param {object} current Result of getProxySettings().
+ * @param {number[]} [reservedPorts] Other local ports in use by the app (metrics, control API); falsy entries are ignored.
+ * @returns {{settings: object, errors: Array<{field: string, message: string}>}}
+ */
+function normalizeProxySettings(changes, current, reservedPorts = []) {
+  const settings = { ...current };
+  PROXY_FIELDS.forEach(field => {
+    if (changes && changes[field] !== undefined) settings[field] = changes[field];
+  });
+  settings.udp = Boolean(settings.udp);
+  settings.pacEnabled = Boolean(settings.pacEnabled);
+
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!Object.values(BIND_ADDRESSES).includes(settings.listen)) {
+    add('listen', 'Listen on this computer only or on the local network.');
+  }
+
+  const ports = [['socksPort', 'SOCKS5'], ['httpPort', 'HTTP']];
+  if (settings.pacEnabled) ports.push(['pacPort', 'PAC']);
+  const seen = new Map(reservedPorts.filter(Boolean).map(port => [port, 'another service of the app']));
+  ports.forEach(([field, label]) => {
+    const port = settings[field];
+    if (!isPort(port)) {
+      add(field, `${label} port must be a whole number from 1 to 65535.`);
+    } else if (seen.has(port)) {
+      add(field, `${label} port ${port} is already used by ${seen.get(port)}.`);
+    } else {
+      seen.set(port, `the ${label} ${field === 'pacPort' ? 'server' : 'proxy'}`);
+    }
+  });
+
+  const auth = settings.proxyAuth;
+  if (auth) {
+    const username = String(auth.username || '').trim();
+    const password = String(auth.password || '');
+    if (!username && !password) {
+      settings.proxyAuth = null;
+    } else if (!username || !password) {
+      add('proxyAuth', 'Enter both a username and a password, or neither.');
+    } else if (username.includes(':')) {
+      add('proxyAuth', 'The username cannot contain ":".');
+    } else {
+      settings.proxyAuth = { username, password };
+    }
+  } else {
+    settings.proxyAuth = null;
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * IPv4 addresses other devices can reach this computer on.
+ */
+function lanAddresses(interfaces = os.networkInterfaces()) {
+  return Object.values(interfaces)
+    .flat()
+    .filter(entry => entry && !entry.internal && (entry.family === 'IPv4' || entry.family === 4))
+    .map(entry => entry.address)
+    .filter(address => !address.startsWith('169.254.'));
+}
+
+function prefixToMask(bits) {
+  const mask = bits === 0 ? 0 : (0xffffffff << (32 - bits)) >>> 0;
+  return [24, 16, 8, 0].map(shift => (mask >>> shift) & 255).join('.');
+}
+
+// PAC condition for one routing rule, or null when PAC cannot express it
+function pacCondition(rule) {
+  const value = rule.value;
+  switch (rule.type) {
+    case 'domain': {
+      const domain = value.toLowerCase();
+      return `host === ${JSON.stringify(domain)} || dnsDomainIs(host, ${JSON.stringify(`.${domain}`)})`;
+    }
+    case 'keyword':
+      return `host.indexOf(${JSON.stringify(value.toLowerCase())}) !== -1`;
+    case 'cidr': {
+      if (value.includes(':')) return null; // isInNet() only knows IPv4
+      const [net, bits = '32'] = value.split('/');
+      return `isInNet(host, ${JSON.stringify(net)}, ${JSON.stringify(prefixToMask(Number(bits)))})`;
+    }
+    case 'geoip':
+      if (value.toLowerCase() !== 'private') return null;
+      return `isPlainHostName(host) || ${PRIVATE_NETS.map(([net, mask]) => `isInNet(host, "${net}", "${mask}")`).join(' || ')}`;
+    case 'port': {
+      const [from, to = from] = value.split('-').map(Number);
+      return `inPorts(url, ${from}, ${to})`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generates a PAC file from the routing rules. Direct rules go DIRECT; everything else
+ * goes to the local proxy, where the core applies the full rule set (including block
+ * rules and the geosite/geoip lists a PAC file cannot evaluate).
+ * @param {object} settings Result of getProxySettings().
+ * @param {Array} rules Routing rules in order.
+ * @param {string} proxyHost Address the client reaches this computer on.
+ */
+function buildPac(settings, rules, proxyHost) {
+  const proxy = `PROXY ${proxyHost}:${settings.httpPort}; SOCKS5 ${proxyHost}:${settings.socksPort}`;
+  const lines = [
+    '// StealthLynk proxy auto-config, generated from the routing rules',
+    `var PROXY = ${JSON.stringify(proxy)};`,
+    '',
+    'function inPorts(url, from, to) {',
+    '  var match = /^[a-z]+:\\/\\/(?:[^\\/@]*@)?(?:\\[[^\\]]*\\]|[^\\/:]*):(\\d+)/i.exec(url);',
+    '  var port = match ? parseInt(match[1], 10) : (url.substring(0, 6).toLowerCase() === "https:" ? 443 : 80);',
+    '  return port >= from && port <= to;',
+    '}',
+    '',
+    'function FindProxyForURL(url, host) {',
+    '  host = host.toLowerCase();',
+  ];
+  // Same selection as compileRules(), so the PAC and the core agree
+  const active = (Array.isArray(rules) ? rules : []).filter(rule => rule.enabled !== false && validateRule(rule).length === 0);
+  active.forEach(rule => {
+    const condition = pacCondition(rule);
+    const label = `${rule.type}:${rule.value} -> ${rule.action}`.replace(/[\r\n\u2028\u2029]+/g, ' ');
+    if (!condition) {
+      lines.push(`  // ${label} is applied by the proxy`);
+      return;
+    }
+    lines.push(`  if (${condition}) return ${rule.action === 'direct' ? '"DIRECT"' : 'PROXY'}; // ${label}`);
+  });
+  lines.push('  return PROXY;', '}', '');
+  return lines.join('\n');
+}
+
+// The local address a request arrived on, as clients should address this computer
+function localHostOf(req) {
+  const address = (req.socket.localAddress || '127.0.0.1').replace(/^::ffff:/, '');
+  return address.includes(':') ? `[${address}]` : address;
+}
+
+class PacServer {
+  /**
+   * @param {object} options
+   * @param {function(string): string} options.getPac Returns the PAC text for a proxy host.
+   */
+  constructor({ getPac }) {
+    this.getPac = getPac;
+    this.server = null;
+  }
+
+  get running() {
+    return Boolean(this.server);
+  }
+
+  /**
+   * Starts listening. Rejects when the port cannot be bound.
+   */
+  start({ listen, port }) {
+    const app = express();
+    app.disable('x-powered-by');
+    app.get(PAC_PATHS, (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      res.type('application/x-ns-proxy-autoconfig').send(this.getPac(localHostOf(req)));
+    });
+
+    return new Promise((resolve, reject) => {
+      const server = app.listen(port, listen);
+      server.once('listening', () => {
+        this.server = server;
+        resolve();
+      });
+      server.once('error', reject);
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+}
+
+/**
+ * URL of the PAC file: the first LAN address when shared with the LAN, else loopback.
+ */
+function pacUrl(settings, addresses = lanAddresses()) {
+  const host = settings.listen === BIND_ADDRESSES.lan && addresses.length > 0 ? addresses[0] : '127.0.0.1';
+  return `http://${host}:${settings.pacPort}${PAC_PATHS[0]}`;
+}
+
+module.exports = {
+  BIND_ADDRESSES,
+  PAC_DEFAULTS,
+  PacServer,
+  buildPac,
+  getProxySettings,
+  lanAddresses,
+  normalizeProxySettings,
+  pacUrl,
+};
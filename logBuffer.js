@@ -0,0 +1,124 @@
+/*
+  StealthLynk VPN Client - Log Buffer
+  Keeps the most recent log entries from the core, the main process and the
+  renderer in memory ({ id, at, source, level, message }) for the log viewer
+  and the diagnostics export.
+*/
+
+const EventEmitter = require('events');
+const util = require('util');
+
+const LEVELS = ['debug', 'info', 'warning', 'error'];
+const DEFAULT_CAPACITY = 2000;
+
+// Xray prints "2024/05/01 12:00:00 [Warning] message"
+const CORE_LINE = /^\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)? \[(\w+)\] (.*)$/;
+const CORE_LEVELS = { debug: 'debug', info: 'info', warning: 'warning', error: 'error' };
+
+/**
+ * Splits a core output line into level and message.
+ */
+function parseCoreLine(line, stream = 'stdout') {
+  const match = line.match(CORE_LINE);
+  if (match) {
+    return { level: CORE_LEVELS[match[1].toLowerCase()] || 'info', message: match[2] };
+  }
+  return { level: stream === 'stderr' ? 'error' : 'info', message: line };
+}
+
+class LogBuffer extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.capacity] Entries kept before the oldest are dropped.
+   */
+  constructor({ capacity = DEFAULT_CAPACITY } = {}) {
+    super();
+    this.capacity = capacity;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  add({ source, level = 'info', message, at = Date.now() }) {
+    const entry = {
+      id: this.nextId++,
+      at,
+      source,
+      level: LEVELS.includes(level) ? level : 'info',
+      message: String(message),
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) this.entries.shift();
+    this.emit('entry', entry);
+    return entry;
+  }
+
+  /**
+   * Entries matching all given filters, oldest first.
+   * @param {object} [filters]
+   * @param {string} [filters.level] Minimum level.
+   * @param {string} [filters.source] 'core', 'main' or 'renderer'.
+   * @param {string} [filters.search] Case-insensitive substring.
+   * @param {number} [filters.sinceId] Only entries newer than this id.
+   * @param {number} [filters.limit] Keep only the newest N matches.
+   */
+  query({ level, source, search, sinceId, limit } = {}) {
+    const minLevel = level ? LEVELS.indexOf(level) : 0;
+    const needle = search ? search.toLowerCase() : null;
+    const matches = this.entries.filter(entry =>
+      LEVELS.indexOf(entry.level) >= minLevel &&
+      (!source || entry.source === source) &&
+      (!sinceId || entry.id > sinceId) &&
+      (!needle || entry.message.toLowerCase().includes(needle)));
+    return limit ? matches.slice(-limit) : matches;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * Mirrors console output into the buffer while still printing it.
+   */
+  captureConsole(target = console, source = 'main') {
+    const methods = { log: 'info', info: 'info', warn: 'warning', error: 'error', debug: 'debug' };
+    Object.entries(methods).forEach(([method, level]) => {
+      const original = target[method].bind(target);
+      target[method] = (...args) => {
+        original(...args);
+        this.add({ source, level, message: util.format(...args) });
+      };
+    });
+  }
+
+  /**
+   * Records the output of a core: either a CoreProcess ('log' events) or a
+   * plain ChildProcess with piped stdout/stderr.
+   */
+  attachCore(core) {
+    const record = (stream, line) => this.add({ source: 'core', ...parseCoreLine(line, stream) });
+    if (core.stdout || core.stderr) {
+      ['stdout', 'stderr'].forEach(stream => {
+        if (!core[stream]) return;
+        core[stream].on('data', (chunk) => {
+          chunk.toString().split(/\r?\n/).filter(Boolean).forEach(line => record(stream, line));
+        });
+      });
+    } else {
+      core.on('log', ({ stream, line }) => record(stream, line));
+    }
+  }
+}
+
+/**
+ * Plain-text rendering used by the export and the viewer's copy action.
+ */
+function formatEntry(entry) {
+  return `${new Date(entry.at).toISOString()} [${entry.level.toUpperCase()}] (${entry.source}) ${entry.message}`;
+}
+
+module.exports = {
+  LEVELS,
+  LogBuffer,
+  formatEntry,
+  parseCoreLine,
+};
@@ -1,63 +1,173 @@
+// Generated from ipcContract.js by generatePreload.js. Do not edit by hand:
+// change the contract and run `npm run generate:preload`.
 const { contextBridge, ipcRenderer } = require('electron');
 
-contextBridge.exposeInMainWorld('electron', {
-  // --- Connection --- 
-  connect: (serverId) => ipcRenderer.invoke('connect', serverId),
-  disconnect: () => ipcRenderer.invoke('disconnect'),
-  onConnectionState: (callback) => ipcRenderer.on('connection-state', (_event, value) => callback(value)),
-  onUptimeUpdate: (callback) => ipcRenderer.on('uptime-update', (_event, value) => callback(value)),
-
-  // --- Servers ---
-  getServers: () => ipcRenderer.invoke('get-servers'),
-  addServer: (url) => ipcRenderer.invoke('add-server', url),
-  deleteServer: (id) => ipcRenderer.invoke('delete-server', id),
-  setActiveServer: (id) => ipcRenderer.invoke('set-active-server', id),
-  pingServer: (server) => ipcRenderer.invoke('ping-server', server),
-
-  // --- Settings ---
-  getAutoFailover: () => ipcRenderer.invoke('get-auto-failover'),
-  setAutoFailover: (enabled) => ipcRenderer.invoke('set-auto-failover', enabled),
-
-  // --- Notifications ---
-  onShowNotification: (callback) => ipcRenderer.on('show-notification', (_event, value) => callback(value)),
-});
+// Only the channels declared in the contract are reachable from the renderer
+contextBridge.exposeInMainWorld('api', {
+  // VPN operations
+  /** () => object */
+  getStatus: () => ipcRenderer.invoke('vpn:status'),
+  /** () => Result */
+  connect: () => ipcRenderer.invoke('vpn:connect'),
+  /** () => object */
+  disconnect: () => ipcRenderer.invoke('vpn:disconnect'),
+  /** (serverId: string) => Result */
+  switchServer: (serverId) => ipcRenderer.invoke('vpn:switch-server', serverId),
+  /** () => object */
+  getDiagnostics: () => ipcRenderer.invoke('vpn:diagnostics'),
+
+  // Server management
+  /** () => any */
+  getServers: () => ipcRenderer.invoke('vpn:getServers'),
+  /** (serverUrl: string) => Result */
+  addServer: (serverUrl) => ipcRenderer.invoke('vpn:addServer', serverUrl),
+  /** (links: string[]) => Result */
+  addServers: (links) => ipcRenderer.invoke('vpn:addServers', links),
+  /** (serverId: string, changes: object) => Result */
+  updateServer: (serverId, changes) => ipcRenderer.invoke('vpn:updateServer', serverId, changes),
+  /** (serverId: string, meta: ServerMeta) => Result */
+  setServerMeta: (serverId, meta) => ipcRenderer.invoke('vpn:setServerMeta', serverId, meta),
+  /** (serverIds: string[]) => Result */
+  reorderServers: (serverIds) => ipcRenderer.invoke('vpn:reorderServers', serverIds),
+  /** (serverId: string) => Result */
+  deleteServer: (serverId) => ipcRenderer.invoke('vpn:deleteServer', serverId),
+  /** (serverId: string) => any */
+  setActiveServer: (serverId) => ipcRenderer.invoke('vpn:setActiveServer', serverId),
+  /** (serverId: string) => object */
+  testDelay: (serverId) => ipcRenderer.invoke('vpn:testDelay', serverId),
+  /** () => object[] */
+  testAllDelays: () => ipcRenderer.invoke('vpn:testAllDelays'),
+  /** () => object */
+  getHealth: () => ipcRenderer.invoke('vpn:getHealth'),
+  /** (serverId: string) => object */
+  checkHealth: (serverId) => ipcRenderer.invoke('vpn:checkHealth', serverId),
+  /** (visible: boolean) => any */
+  setWindowVisible: (visible) => ipcRenderer.invoke('vpn:setWindowVisible', visible),
+
+  // Subscriptions
+  /** () => object[] */
+  getSubscriptions: () => ipcRenderer.invoke('vpn:getSubscriptions'),
+  /** (url: string, options: SubscriptionOptions?) => Result */
+  addSubscription: (url, options) => ipcRenderer.invoke('vpn:addSubscription', url, options),
+  /** (subscriptionId: string, changes: SubscriptionChanges) => Result */
+  updateSubscription: (subscriptionId, changes) => ipcRenderer.invoke('vpn:updateSubscription', subscriptionId, changes),
+  /** (subscriptionId: string) => Result */
+  removeSubscription: (subscriptionId) => ipcRenderer.invoke('vpn:removeSubscription', subscriptionId),
+  /** (subscriptionId: string) => Result */
+  refreshSubscription: (subscriptionId) => ipcRenderer.invoke('vpn:refreshSubscription', subscriptionId),
+
+  // Routing rules
+  /** () => object[] */
+  getRoutingRules: () => ipcRenderer.invoke('vpn:getRoutingRules'),
+  /** (rules: object[]) => Result */
+  setRoutingRules: (rules) => ipcRenderer.invoke('vpn:setRoutingRules', rules),
+  /** () => object[] */
+  getRoutingPresets: () => ipcRenderer.invoke('vpn:getRoutingPresets'),
+  /** (rules: object[]?, presetId: string, options: object?) => Result */
+  buildRoutingPreset: (rules, presetId, options) => ipcRenderer.invoke('vpn:buildRoutingPreset', rules, presetId, options),
+
+  // Saved servers encryption
+  /** () => object */
+  getStoreStatus: () => ipcRenderer.invoke('vpn:getStoreStatus'),
+  /** (passphrase: string?) => Result */
+  unlockStore: (passphrase) => ipcRenderer.invoke('vpn:unlockStore', passphrase),
+  /** (passphrase: string) => Result */
+  setStorePassphrase: (passphrase) => ipcRenderer.invoke('vpn:setStorePassphrase', passphrase),
+  /** () => Result */
+  resetStore: () => ipcRenderer.invoke('vpn:resetStore'),
+
+  // Backup and sharing
+  /** (options: BackupOptions?) => Result */
+  exportBackup: (options) => ipcRenderer.invoke('vpn:exportBackup', options),
+  /** (options: BackupOptions?) => Result */
+  importBackup: (options) => ipcRenderer.invoke('vpn:importBackup', options),
+  /** (serverIds: string[]?, options: ShareLinkOptions?) => Result */
+  exportShareLinks: (serverIds, options) => ipcRenderer.invoke('vpn:exportShareLinks', serverIds, options),
+  /** (serverId: string) => Result */
+  getShareLink: (serverId) => ipcRenderer.invoke('vpn:getShareLink', serverId),
+  /** (serverId: string) => Result */
+  saveShareQr: (serverId) => ipcRenderer.invoke('vpn:saveShareQr', serverId),
+
+  // Logs and diagnostics
+  /** (filters: LogFilters?) => object[] */
+  getLogs: (filters) => ipcRenderer.invoke('vpn:getLogs', filters),
+  /** () => any */
+  clearLogs: () => ipcRenderer.invoke('vpn:clearLogs'),
+  /** () => Result */
+  exportDiagnostics: () => ipcRenderer.invoke('vpn:exportDiagnostics'),
+
+  // Traffic usage
+  /** (range: UsageRange?) => Result */
+  getUsageHistory: (range) => ipcRenderer.invoke('vpn:getUsageHistory', range),
+
+  // Kill switch
+  /** () => object */
+  getKillSwitch: () => ipcRenderer.invoke('vpn:getKillSwitch'),
+  /** (changes: KillSwitchChanges) => Result */
+  setKillSwitch: (changes) => ipcRenderer.invoke('vpn:setKillSwitch', changes),
+  /** () => Result */
+  previewKillSwitch: () => ipcRenderer.invoke('vpn:previewKillSwitch'),
 
-// Expose protected methods that allow the renderer process to use
-// the ipcRenderer without exposing the entire object
-contextBridge.exposeInMainWorld(
-  'api', {
-    // VPN operations
-    getStatus: () => ipcRenderer.invoke('vpn:status'),
-    connect: (serverId) => ipcRenderer.invoke('vpn:connect', serverId),
-    disconnect: () => ipcRenderer.invoke('vpn:disconnect'),
-    switchServer: (serverId) => ipcRenderer.invoke('vpn:switch-server', serverId),
-    getDiagnostics: () => ipcRenderer.invoke('vpn:diagnostics'),
-    
-    // Server management
-    getServers: () => ipcRenderer.invoke('vpn:getServers'),
-    addServer: (serverUrl) => ipcRenderer.invoke('vpn:addServer', serverUrl),
-    deleteServer: (serverId) => ipcRenderer.invoke('vpn:deleteServer', serverId),
-    setActiveServer: (serverId) => ipcRenderer.invoke('vpn:setActiveServer', serverId),
-    pingServer: (server) => ipcRenderer.invoke('ping-server', server),
-    
-    // Auto-failover settings
-    getAutoFailoverStatus: () => ipcRenderer.invoke('vpn:getAutoFailoverStatus'),
-    setAutoFailover: (enabled) => ipcRenderer.invoke('vpn:setAutoFailover', enabled),
-    
-    // Event listeners
-    onStatusChange: (callback) => ipcRenderer.on('vpn:status-change', (_, ...args) => callback(...args)),
-    onAutoFailover: (callback) => ipcRenderer.on('vpn:auto-failover', (_, ...args) => callback(...args)),
-    onConnectionSuccess: (callback) => ipcRenderer.on('vpn:connected', (_, ...args) => callback(...args)),
-    onConnectionError: (callback) => ipcRenderer.on('vpn:connection-error', (_, ...args) => callback(...args)),
-    onDisconnect: (callback) => ipcRenderer.on('vpn:disconnected', (_, ...args) => callback(...args)),
-    onServersUpdated: (callback) => ipcRenderer.on('vpn:servers-updated', (_, ...args) => callback(...args)),
-    
-    // Utility functions
-    parseVLESSUrl: (url) => ipcRenderer.invoke('vpn:parseVLESSUrl', url),
-    fetchJson: (url, options) => ipcRenderer.invoke('vpn:fetchJson', url, options),
-    getCountryName: (countryCode) => ipcRenderer.invoke('vpn:getCountryName', countryCode),
-    
-    // Media access for QR scanning
-    requestMediaAccess: () => ipcRenderer.invoke('media:requestPermission')
-  }
-);
+  // Smart-connect settings
+  /** () => object */
+  getAutoFailoverStatus: () => ipcRenderer.invoke('vpn:getAutoFailoverStatus'),
+  /** (changes: boolean|object) => Result */
+  setAutoFailover: (changes) => ipcRenderer.invoke('vpn:setAutoFailover', changes),
+
+  // Auto-reconnect
+  /** () => object */
+  getAutoReconnect: () => ipcRenderer.invoke('vpn:getAutoReconnect'),
+  /** (changes: AutoReconnectChanges) => Result */
+  setAutoReconnect: (changes) => ipcRenderer.invoke('vpn:setAutoReconnect', changes),
+  /** () => Result */
+  cancelReconnect: () => ipcRenderer.invoke('vpn:cancelReconnect'),
+
+  // Local proxy
+  /** () => object */
+  getLocalProxy: () => ipcRenderer.invoke('vpn:getLocalProxy'),
+  /** (changes: LocalProxyChanges) => Result */
+  setLocalProxy: (changes) => ipcRenderer.invoke('vpn:setLocalProxy', changes),
+
+  // Control API
+  /** () => object */
+  getControlApi: () => ipcRenderer.invoke('vpn:getControlApi'),
+  /** (changes: ControlApiChanges) => Result */
+  setControlApi: (changes) => ipcRenderer.invoke('vpn:setControlApi', changes),
+
+  // Exit IP and location
+  /** () => object */
+  getLocation: () => ipcRenderer.invoke('vpn:getLocation'),
+  /** (changes: ExitIpChanges) => Result */
+  setExitIp: (changes) => ipcRenderer.invoke('vpn:setExitIp', changes),
+  /** () => Result */
+  checkExitIp: () => ipcRenderer.invoke('vpn:checkExitIp'),
+  /** () => Result */
+  chooseGeoIpDatabase: () => ipcRenderer.invoke('vpn:chooseGeoIpDatabase'),
+  /** () => Result */
+  removeGeoIpDatabase: () => ipcRenderer.invoke('vpn:removeGeoIpDatabase'),
+
+  // Leak test
+  /** () => object */
+  getLeakTestSettings: () => ipcRenderer.invoke('vpn:getLeakTestSettings'),
+  /** (webrtc: WebrtcCandidates?) => Result */
+  runLeakTest: (webrtc) => ipcRenderer.invoke('vpn:runLeakTest', webrtc),
+
+  // Utility functions
+  /** (url: string) => object */
+  parseVLESSUrl: (url) => ipcRenderer.invoke('vpn:parseVLESSUrl', url),
+  /** (url: string) => Result */
+  parseShareLink: (url) => ipcRenderer.invoke('vpn:parseShareLink', url),
+
+  // Event listeners
+  onStatusChange: (callback) => ipcRenderer.on('vpn:status-change', (_, ...args) => callback(...args)),
+  onAutoFailover: (callback) => ipcRenderer.on('vpn:auto-failover', (_, ...args) => callback(...args)),
+  onConnectionSuccess: (callback) => ipcRenderer.on('vpn:connected', (_, ...args) => callback(...args)),
+  onConnectionError: (callback) => ipcRenderer.on('vpn:connection-error', (_, ...args) => callback(...args)),
+  onDisconnect: (callback) => ipcRenderer.on('vpn:disconnected', (_, ...args) => callback(...args)),
+  onServersUpdated: (callback) => ipcRenderer.on('vpn:servers-updated', (_, ...args) => callback(...args)),
+  onHealthUpdate: (callback) => ipcRenderer.on('vpn:health-update', (_, ...args) => callback(...args)),
+  onTrafficStats: (callback) => ipcRenderer.on('vpn:traffic-stats', (_, ...args) => callback(...args)),
+  onKillSwitchChange: (callback) => ipcRenderer.on('vpn:kill-switch', (_, ...args) => callback(...args)),
+  onReconnectStatus: (callback) => ipcRenderer.on('vpn:reconnect-status', (_, ...args) => callback(...args)),
+  onExitIp: (callback) => ipcRenderer.on('vpn:exit-ip', (_, ...args) => callback(...args)),
+});
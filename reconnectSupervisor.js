@@ -0,0 +1,282 @@
+/*
+  StealthLynk VPN Client - Auto-reconnect
+  Brings the tunnel back after it drops without the user asking for it: the
+  core process dying, a connection error, the machine waking from sleep or the
+  network interfaces changing. Retries back off exponentially with jitter, up
+  to a configurable number of attempts, and the user can cancel at any time.
+*/
+
+const EventEmitter = require('events');
+const os = require('os');
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  maxAttempts: 8,
+  baseDelayMs: 1000, // Delay before the first attempt, doubled for each one after it
+  maxDelayMs: 60000,
+};
+
+const NETWORK_POLL_MS = 5000;
+const NETWORK_SETTLE_MS = 2000; // Addresses usually arrive in bursts after a change
+
+// Connection states a drop can come from; the user wanted to stay connected in both
+const DROPPED_FROM = ['connected', 'switching'];
+
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+};
+
+function clampInteger(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function normalizeConfig(config = {}) {
+  const merged = { ...DEFAULT_CONFIG, ...config };
+  const baseDelayMs = clampInteger(merged.baseDelayMs, 100, 60000, DEFAULT_CONFIG.baseDelayMs);
+  return {
+    enabled: Boolean(merged.enabled),
+    maxAttempts: clampInteger(merged.maxAttempts, 1, 100, DEFAULT_CONFIG.maxAttempts),
+    baseDelayMs,
+    maxDelayMs: clampInteger(merged.maxDelayMs, baseDelayMs, 60 * 60 * 1000, DEFAULT_CONFIG.maxDelayMs),
+  };
+}
+
+/**
+ * Delay before attempt `attempt` (1-based): doubling from baseDelayMs up to maxDelayMs,
+ * then a random point in its upper half, so clients dropped together don't retry in lockstep.
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
+
+// Routable addresses per interface; link-local ones come and go without affecting the tunnel
+function networkFingerprint(interfaces) {
+  return Object.entries(interfaces || {})
+    .flatMap(([name, addresses]) => (addresses || [])
+      .filter(entry => !entry.internal && !/^(fe80:|169\.254\.)/i.test(entry.address))
+      .map(entry => `${name}/${entry.address}`))
+    .sort()
+    .join(',');
+}
+
+class ReconnectSupervisor extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function(): Promise<{success: boolean, message?: string}>} options.reconnect Restarts the tunnel.
+   * @param {function(): string} options.getConnectionState Current connection state name.
+   * @param {function(string)} options.reportDrop Called when a watched core exits by itself.
+   * @param {object} [options.clock] now/setTimeout/clearTimeout/setInterval/clearInterval, for tests.
+   * @param {function(): number} [options.random]
+   * @param {function(): object} [options.getNetworkInterfaces] Defaults to os.networkInterfaces.
+   */
+  constructor({ reconnect, getConnectionState, reportDrop, clock = SYSTEM_CLOCK, random = Math.random, getNetworkInterfaces = os.networkInterfaces }) {
+    super();
+    this.reconnect = reconnect;
+    this.getConnectionState = getConnectionState;
+    this.reportDrop = reportDrop;
+    this.clock = clock;
+    this.random = random;
+    this.getNetworkInterfaces = getNetworkInterfaces;
+    this.config = normalizeConfig();
+    this.status = 'idle'; // idle, waiting, reconnecting, gave-up or cancelled
+    this.attempt = 0;
+    this.retryAt = null;
+    this.reason = null; // Why the tunnel dropped
+    this.lastError = null; // Why the last attempt failed
+    this.retryTimer = null;
+    this.settleTimer = null;
+    this.networkTimer = null;
+    this.network = null;
+    this.core = null;
+  }
+
+  configure(config) {
+    this.config = normalizeConfig({ ...this.config, ...config });
+    if (!this.config.enabled && this.isActive()) this.reset('idle');
+    return { ...this.config };
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      attempt: this.attempt,
+      maxAttempts: this.config.maxAttempts,
+      retryAt: this.retryAt,
+      reason: this.reason,
+      lastError: this.lastError,
+    };
+  }
+
+  isActive() {
+    return this.status === 'waiting' || this.status === 'reconnecting';
+  }
+
+  /**
+   * Starts watching the network interfaces.
+   */
+  start() {
+    if (this.networkTimer) return;
+    this.network = networkFingerprint(this.getNetworkInterfaces());
+    this.networkTimer = this.clock.setInterval(() => this.checkNetwork(), NETWORK_POLL_MS);
+  }
+
+  stop() {
+    this.clock.clearInterval(this.networkTimer);
+    this.networkTimer = null;
+    this.clock.clearTimeout(this.settleTimer);
+    this.settleTimer = null;
+    this.clearRetry();
+  }
+
+  /**
+   * Watches the tunnel's core process (a CoreProcess or a ChildProcess). Only the most
+   * recently watched core counts; an exit the user asked for is filtered out by reportDrop.
+   */
+  watchCore(core) {
+    this.core = core;
+    core.on('exit', (exit, exitSignal) => {
+      if (this.core !== core) return;
+      // CoreProcess emits { code, signal }; a ChildProcess emits (code, signal)
+      const { code, signal } = exit && typeof exit === 'object' ? exit : { code: exit, signal: exitSignal };
+      this.reportDrop(`The core exited unexpectedly (code ${code}${signal ? `, signal ${signal}` : ''}).`);
+    });
+  }
+
+  /**
+   * Feed every connection state snapshot here.
+   */
+  onConnectionChange(snapshot) {
+    if (snapshot.state === 'error' && DROPPED_FROM.includes(snapshot.previousState)) {
+      this.begin(snapshot.error);
+    } else if (snapshot.state !== 'error' && snapshot.state !== 'reconnecting') {
+      // Back up, or the user connected, disconnected or switched and is in charge again
+      if (this.status !== 'idle') this.reset('idle');
+    }
+  }
+
+  // The machine woke up: a tunnel from before sleep is usually dead even if the core still runs
+  onResume() {
+    this.retryNow('The system resumed from sleep.');
+  }
+
+  checkNetwork() {
+    const network = networkFingerprint(this.getNetworkInterfaces());
+    if (network === this.network) return;
+    this.network = network;
+    this.clock.clearTimeout(this.settleTimer);
+    // Going offline is not worth a retry; the next change (back online) is
+    if (!network) return;
+    this.settleTimer = this.clock.setTimeout(() => {
+      this.settleTimer = null;
+      this.retryNow('The network changed.');
+    }, NETWORK_SETTLE_MS);
+  }
+
+  /**
+   * Stops a pending or running retry; the tunnel stays down until the user acts.
+   */
+  cancel() {
+    if (!this.isActive() && this.status !== 'gave-up') return false;
+    this.reset('cancelled');
+    return true;
+  }
+
+  begin(reason) {
+    if (!this.config.enabled) return;
+    this.clearRetry();
+    this.attempt = 0;
+    this.reason = reason || 'The connection was lost.';
+    this.lastError = null;
+    this.scheduleNext();
+  }
+
+  scheduleNext() {
+    if (this.attempt >= this.config.maxAttempts) {
+      this.retryAt = null;
+      this.setStatus('gave-up');
+      return;
+    }
+    this.attempt += 1;
+    const delay = backoffDelay(this.attempt, this.config, this.random);
+    this.retryAt = this.clock.now() + delay;
+    this.retryTimer = this.clock.setTimeout(() => {
+      this.retryTimer = null;
+      this.runAttempt();
+    }, delay);
+    this.setStatus('waiting');
+  }
+
+  // Retries straight away: after a wake-up or network change while connected or waiting
+  retryNow(reason) {
+    if (!this.config.enabled || this.status === 'reconnecting') return;
+    if (this.status === 'waiting') {
+      this.clearRetry();
+      this.runAttempt();
+    } else if (this.getConnectionState() === 'connected') {
+      this.attempt = 1;
+      this.reason = reason;
+      this.lastError = null;
+      this.runAttempt();
+    }
+  }
+
+  async runAttempt() {
+    this.retryAt = null;
+    this.setStatus('reconnecting');
+    const attempt = this.attempt;
+    let result;
+    try {
+      result = await this.reconnect();
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+    // Cancelled, succeeded or taken over by the user while this attempt ran
+    if (this.status !== 'reconnecting' || this.attempt !== attempt) return;
+    if (result && result.success !== false) {
+      this.reset('idle');
+      return;
+    }
+    this.lastError = (result && result.message) || 'Reconnect failed.';
+    console.log(`[Auto-Reconnect] Attempt ${attempt} of ${this.config.maxAttempts} failed: ${this.lastError}`);
+    this.scheduleNext();
+  }
+
+  clearRetry() {
+    this.clock.clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  reset(status) {
+    this.clearRetry();
+    this.attempt = 0;
+    this.retryAt = null;
+    if (status === 'idle') {
+      this.reason = null;
+      this.lastError = null;
+    }
+    this.setStatus(status);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.emit('status', this.getStatus());
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  ReconnectSupervisor,
+  backoffDelay,
+  networkFingerprint,
+  normalizeConfig,
+};
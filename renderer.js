@@ -67,10 +67,18 @@ document.addEventListener('DOMContentLoaded', () => {
   const currentIp = document.getElementById('current-ip');
   const connectionUptime = document.getElementById('connection-uptime');
   const uptimeLabel = document.getElementById('uptime-label');
+  const trafficPanel = document.getElementById('traffic-panel');
+  const leakTestPanel = document.getElementById('leak-test-panel');
+  const leakTestReport = document.getElementById('leak-test-report');
   const activeServerName = document.getElementById('active-server-name');
   const activeServerDetails = document.getElementById('active-server-details');
   const serversList = document.getElementById('servers-list');
   const urlInput = document.getElementById('url-input');
+  const linkPreview = document.getElementById('link-preview');
+  const subscriptionForm = document.getElementById('subscription-form');
+  const testDelayButton = document.getElementById('test-delay-button');
+  const subscriptionUrlInput = document.getElementById('subscription-url-input');
+  const subscriptionIntervalSelect = document.getElementById('subscription-interval-select');
   const addServerButton = document.getElementById('add-server-button');
   const scanQrButton = document.getElementById('scan-qr-button');
   const notification = document.getElementById('notification');
@@ -81,16 +89,22 @@ document.addEventListener('DOMContentLoaded', () => {
   // --- STATE MANAGEMENT ---
   let state = {
     servers: [],
+    subscriptions: [],
+    delayResults: {}, // Last end-to-end delay test per server id
+    health: {}, // Latest health monitor result per server id
+    searchQuery: '', // Servers list search box
+    tagFilter: new Set(), // Selected tag chips; servers with any of them are shown
     activeServerId: null,
-    isConnected: false,
-    isConnecting: false,
-    isDisconnecting: false, // Explicit state for disconnecting
-    isSwitching: false, // Explicit state for server switching
+    // Connection state as last broadcast by the main process (vpn:status-change)
+    connection: { state: 'idle', previousState: null, serverId: null, error: null, since: null, isConnected: false },
     connectionStartTime: null,
     uptimeInterval: null,
-    needsAutoReconnect: false, // Flag to indicate we need to auto-reconnect
   };
 
+  function isConnected() {
+    return state.connection.state === 'connected';
+  }
+
   // --- UI UPDATE FUNCTIONS ---
 
   /**
@@ -100,44 +114,46 @@ document.addEventListener('DOMContentLoaded', () => {
   function updateUI() {
     // Update Connection Button and Status by managing CSS classes.
     // The button text and color are handled by CSS pseudo-elements for reliability.
-    if (state.isSwitching) {
-      connectionStatus.textContent = 'Switching servers...';
+    const connection = state.connection;
+    connectionStatus.title = connection.error || '';
+    if (connection.state === 'switching' || connection.state === 'reconnecting') {
+      connectionStatus.textContent = connection.state === 'switching' ? 'Switching servers...' : 'Reconnecting...';
       connectionStatus.className = 'status-value status-connecting';
       connectButton.className = 'connection-button connected'; // Keep green outline
       connectButton.disabled = true;
-    } else if (state.isDisconnecting) {
+    } else if (connection.state === 'disconnecting') {
       connectionStatus.textContent = 'Disconnecting...';
       connectionStatus.className = 'status-value status-disconnected';
       connectButton.className = 'connection-button disconnecting';
       connectButton.disabled = true;
-    } else if (state.isConnecting) {
+    } else if (connection.state === 'connecting') {
       connectionStatus.textContent = 'Connecting...';
       connectionStatus.className = 'status-value status-connecting';
       connectButton.className = 'connection-button connecting';
       connectButton.disabled = true;
-    } else if (state.isConnected) {
+    } else if (connection.state === 'connected') {
       connectionStatus.textContent = 'Connected';
       connectionStatus.className = 'status-value status-connected';
       connectButton.className = 'connection-button connected';
       connectButton.disabled = false;
       startUptimeInterval();
-    } else { // Disconnected
-      connectionStatus.textContent = 'Disconnected';
+    } else { // idle or error
+      connectionStatus.textContent = connection.state === 'error' ? 'Connection failed' : 'Disconnected';
       connectionStatus.className = 'status-value status-disconnected';
       connectButton.className = 'connection-button';
       connectButton.disabled = !state.activeServerId;
       stopUptimeInterval();
     }
+    trafficPanel.style.display = isConnected() ? 'block' : 'none';
+    leakTestPanel.style.display = isConnected() ? 'block' : 'none';
+    // A report is about the connection it ran on
+    if (!isConnected()) leakTestReport.innerHTML = '';
 
     // Update Active Server Info Panel
     const activeServer = state.servers.find(s => s.id === state.activeServerId);
     if (activeServer) {
       activeServerName.textContent = activeServer.name;
-      activeServerDetails.innerHTML = `
-        <div class="detail-row"><span class="detail-label">Address:</span> ${escapeHtml(activeServer.address)}:${activeServer.port}</div>
-        <div class="detail-row"><span class="detail-label">Protocol:</span> ${activeServer.protocol.toUpperCase()}</div>
-        <div class="detail-row"><span class="detail-label">Location:</span> ${activeServer.flag || '🌐'} ${activeServer.countryName || 'Unknown'}</div>
-      `;
+      renderActiveServerDetails(activeServer);
     } else {
       activeServerName.textContent = 'No Server Selected';
       activeServerDetails.innerHTML = '<div class="detail-row">Please select a server to connect.</div>';
@@ -146,104 +162,58 @@ document.addEventListener('DOMContentLoaded', () => {
     renderServersList();
   }
 
+  // Location names and flags come from lookups and subscriptions, so every field is escaped
+  function renderActiveServerDetails(server) {
+    activeServerDetails.innerHTML = `
+      <div class="detail-row"><span class="detail-label">Address:</span> ${escapeHtml(server.address)}:${escapeHtml(server.port)}</div>
+      <div class="detail-row"><span class="detail-label">Protocol:</span> ${escapeHtml(String(server.protocol || '').toUpperCase())}</div>
+      <div class="detail-row"><span class="detail-label">Location:</span> ${escapeHtml(server.flag || '🌐')} ${escapeHtml(server.countryName || 'Unknown')}</div>
+    `;
+  }
+
   // Keep track of the currently rendered server list to avoid unnecessary re-renders
   let lastRenderedServerList = [];
   let lastSmartConnectState = false;
-  let lastHealthStatus = {}; // Track server health status
-  
-  // Set up more frequent health checks (every 5 seconds) for better responsiveness
-  setInterval(() => renderServersList(true), 5000);
+
+  /**
+   * Latency used for display and Smart-connect ordering, from the main-process health monitor.
+   * Down servers have no ping; servers not probed yet sort after measured ones.
+   */
+  function healthPing(serverId) {
+    const health = state.health[serverId];
+    if (!health || health.status === 'unknown') return Number.MAX_SAFE_INTEGER;
+    return health.status === 'down' ? null : health.latency;
+  }
   
-    async function renderServersList(forceUpdate = false, skipAutoReconnect = false) {
+    async function renderServersList(forceUpdate = false) {
     if (state.servers.length === 0) {
       serversList.innerHTML = '<div class="server-item empty-message">No servers added.</div>';
+      lastRenderedServerList = [];
+      renderTagChips();
       return;
     }
+    renderTagChips();
     
     // Check if Smart Connect is enabled
     const smartConnectEnabled = document.getElementById('auto-failover-toggle').checked;
     
-    // Check if we need to update the server list
-    const serversChanged = JSON.stringify(state.servers.map(s => s.id)) !== JSON.stringify(lastRenderedServerList.map(s => s.server.id));
+    // Display order is computed here and never written back to state.servers,
+    // which keeps the stored (manual) order
+    const displayed = displayServers(smartConnectEnabled);
+    const serversChanged = JSON.stringify(displayed.map(item => item.server.id)) !== JSON.stringify(lastRenderedServerList.map(item => item.server.id));
     const smartConnectChanged = lastSmartConnectState !== smartConnectEnabled;
     
-    // Always ping servers on forceUpdate or when servers/settings change
-    if (serversChanged || smartConnectChanged || forceUpdate) {
-      // 1. Ping all servers concurrently and get their health status - without showing loading message
-      const pingPromises = state.servers.map(server =>
-        window.electron.pingServer({ host: server.address, port: server.port })
-          .then(ping => ({ server, ping }))
-      );
-      const serversWithPings = await Promise.all(pingPromises);
-      
-      // Check if health status has changed since last render
-      const newHealthStatus = {};
-      let healthChanged = false;
-      
-      serversWithPings.forEach(({ server, ping }) => {
-        const isHealthy = ping !== null;
-        newHealthStatus[server.id] = isHealthy;
-        
-        // Check if this server's health status has changed
-        if (lastHealthStatus[server.id] !== undefined && 
-            lastHealthStatus[server.id] !== isHealthy) {
-          healthChanged = true;
-          
-          // If this is the currently active server becoming unhealthy AND
-          // we're connected AND Smart Connect is enabled, immediately disconnect
-          if (!isHealthy && server.id === state.activeServerId && state.isConnected && smartConnectEnabled) {
-            console.log(`[Auto-Connect] Active server ${server.name} became unavailable, initiating immediate disconnect`);
-            disconnect();
-            state.needsAutoReconnect = true;
-          }
-        }
-      });
-      
-      // 2. Sort servers only if Smart Connect is enabled
-      if (smartConnectEnabled) {
-        serversWithPings.sort((a, b) => {
-          const aIsHealthy = a.ping !== null;
-          const bIsHealthy = b.ping !== null;
-          if (aIsHealthy && !bIsHealthy) return -1;
-          if (!aIsHealthy && bIsHealthy) return 1;
-          if (aIsHealthy && bIsHealthy) return a.ping - b.ping; // Healthies are sorted by best ping
-          return 0;
-        });
-        
-        // Important: Update the state.servers array to match the sorted order
-        // This ensures that state.servers[0] is actually the best available server
-        if (serversWithPings.length > 0) {
-          state.servers = serversWithPings.map(item => item.server);
-        }
-        
-        // If we need to auto-reconnect, connect to the first server in the sorted list
-        if (state.needsAutoReconnect && serversWithPings.length > 0 && !skipAutoReconnect) {
-          // Find the first healthy server in the sorted list
-          const firstHealthyServer = serversWithPings.find(item => item.ping !== null);
-          
-          if (firstHealthyServer && firstHealthyServer.server.id !== state.activeServerId) {
-            console.log(`[Auto-Connect] Connecting to best available server: ${firstHealthyServer.server.name}`);
-            state.needsAutoReconnect = false;
-            selectServer(firstHealthyServer.server.id, true); // true indicates auto-reconnect
-          } else if (!firstHealthyServer) {
-            console.log(`[Auto-Connect] No healthy servers available for auto-connection`);
-            state.needsAutoReconnect = false;
-          }
-        }
-      }
-      
-      // Save the current state to avoid unnecessary re-renders
-      lastRenderedServerList = serversWithPings;
-      lastSmartConnectState = smartConnectEnabled;
-      lastHealthStatus = newHealthStatus;
-      
-      // Force render if health status changed to update dots and order
-      forceUpdate = forceUpdate || healthChanged;
-    }
+    // Save the current state to avoid unnecessary re-renders
+    lastRenderedServerList = displayed;
+    lastSmartConnectState = smartConnectEnabled;
 
-    // 3. Only render the full list if we need to
+    // Only render the full list if we need to
     if (serversChanged || smartConnectChanged || forceUpdate) {
       // DOM diff approach: update, add, and remove only as needed
+      serversList.querySelectorAll('.empty-message').forEach(el => el.remove());
+      if (lastRenderedServerList.length === 0) {
+        serversList.insertAdjacentHTML('afterbegin', '<div class="server-item empty-message">No servers match the search.</div>');
+      }
       const existingItems = Array.from(serversList.children).reduce((acc, el) => {
         if (el.id && el.id.startsWith('server-')) acc[el.id] = el;
         return acc;
@@ -254,9 +224,10 @@ document.addEventListener('DOMContentLoaded', () => {
         const id = `server-${server.id}`;
         nextIds.add(id);
         let serverItem = existingItems[id];
-        const healthClass = ping !== null ? 'good' : 'poor';
+        const health = state.health[server.id];
+        const healthClass = !health || health.status === 'unknown' ? '' : (health.status === 'up' ? 'good' : 'poor');
         const isActive = server.id === state.activeServerId;
-        const isActiveConnected = server.id === state.activeServerId && state.isConnected;
+        const isActiveConnected = server.id === state.activeServerId && isConnected();
         // A. Create node if it's new (similar to Windows client)
         if (!serverItem) {
           serverItem = document.createElement('div');
@@ -267,14 +238,31 @@ document.addEventListener('DOMContentLoaded', () => {
             <div class="server-text">
               <div class="server-title"></div>
               <div class="server-address"></div>
+              <div class="server-tags"></div>
             </div>
             <div class="server-actions">
-              <div class="server-ping"><div class="ping-icon"></div></div>
+              <div class="server-ping"><div class="ping-icon"></div><span class="ping-value"></span></div>
+              <div class="server-favorite"></div>
+              <div class="server-edit" title="Edit server">✎</div>
+              <div class="server-share" title="Share server">⇪</div>
               <div class="server-delete" title="Delete server">×</div>
             </div>
           `;
           // Attach listener only once on creation
           serverItem.addEventListener('click', () => selectServer(server.id));
+          serverItem.querySelector('.server-favorite').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleFavorite(server.id);
+          });
+          attachDragHandlers(serverItem, server.id);
+          serverItem.querySelector('.server-edit').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openServerForm(server.id);
+          });
+          serverItem.querySelector('.server-share').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openShareModal(server.id);
+          });
           const deleteBtn = serverItem.querySelector('.server-delete');
           deleteBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -285,10 +273,34 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // B. Update the node's content in-place (like Windows client)
         serverItem.className = 'server-item' + (isActive ? ' active' : '');
+        // Manual order only shows while Smart-connect isn't sorting the list
+        serverItem.draggable = !lastSmartConnectState;
+        const favorite = serverItem.querySelector('.server-favorite');
+        favorite.textContent = server.favorite ? '★' : '☆';
+        favorite.className = 'server-favorite' + (server.favorite ? ' on' : '');
+        favorite.title = server.favorite ? 'Remove from favorites' : 'Add to favorites';
+        const tags = serverItem.querySelector('.server-tags');
+        // Text only: names, tags and flags come from share links and subscriptions
+        tags.replaceChildren(...(server.tags || []).map((tag) => {
+          const chip = document.createElement('span');
+          chip.className = 'server-tag';
+          chip.textContent = tag;
+          return chip;
+        }));
         serverItem.querySelector('.server-flag').textContent = server.flag || '🌐';
-        serverItem.querySelector('.server-title').textContent = escapeHtml(server.name);
-        serverItem.querySelector('.server-address').textContent = `${escapeHtml(server.address)}:${server.port}`;
+        serverItem.querySelector('.server-title').textContent = server.name || '';
+        serverItem.querySelector('.server-address').textContent = `${server.address}:${server.port}`;
         serverItem.querySelector('.server-ping').className = `server-ping ${healthClass}`;
+        const delay = state.delayResults[server.id];
+        const pingValue = serverItem.querySelector('.ping-value');
+        if (delay && delay.latency !== null) {
+          pingValue.textContent = `${delay.latency} ms`;
+        } else {
+          pingValue.textContent = health && health.status === 'up' && health.latency !== null ? `${health.latency} ms` : '';
+        }
+        serverItem.querySelector('.server-ping').title = delay
+          ? `Delay ${delay.latency !== null ? `${delay.latency} ms` : 'n/a'}, jitter ${delay.jitter !== null ? `${delay.jitter} ms` : 'n/a'}, loss ${Math.round(delay.loss * 100)}%`
+          : '';
         
         // Handle delete button state
         const deleteBtn = serverItem.querySelector('.server-delete');
@@ -309,6 +321,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!nextIds.has(id)) serversList.removeChild(existingItems[id]);
       });
 
+      renderServerGroups(lastRenderedServerList.map(item => item.server));
     } else {
       // Just update the active state without rebuilding the entire list
       document.querySelectorAll('.server-item').forEach(item => {
@@ -318,14 +331,123 @@ document.addEventListener('DOMContentLoaded', () => {
           item.classList.remove('active');
         }
       });
+      renderServerGroups(lastRenderedServerList.map(item => item.server));
+    }
+  }
+
+  async function testAllDelays() {
+    testDelayButton.disabled = true;
+    testDelayButton.textContent = 'Testing...';
+    try {
+      const results = await window.api.testAllDelays();
+      results.forEach(result => {
+        state.delayResults[result.serverId] = { ...result, testedAt: Date.now() };
+      });
+      renderServersList(true);
+    } catch (error) {
+      showNotification(`Delay test failed: ${error.message}`, 'error');
+    } finally {
+      testDelayButton.disabled = false;
+      testDelayButton.textContent = 'Test Delay';
+    }
+  }
+
+  /**
+   * Servers to show, in display order: the stored order, sorted by health when
+   * Smart-connect is on, narrowed by the search box and the tag chips.
+   */
+  function displayServers(smartConnectEnabled) {
+    const query = state.searchQuery.toLowerCase();
+    const matches = state.servers.filter(server => {
+      if (state.tagFilter.size > 0 && !(server.tags || []).some(tag => state.tagFilter.has(tag))) return false;
+      if (!query) return true;
+      return [server.name, server.address, server.countryName, server.country, server.countryCode]
+        .some(value => value && String(value).toLowerCase().includes(query));
+    });
+    const items = matches.map(server => ({ server, ping: healthPing(server.id) }));
+
+    if (smartConnectEnabled) {
+      items.sort((a, b) => {
+        const aIsHealthy = a.ping !== null;
+        const bIsHealthy = b.ping !== null;
+        if (aIsHealthy && !bIsHealthy) return -1;
+        if (!aIsHealthy && bIsHealthy) return 1;
+        if (aIsHealthy && bIsHealthy) return a.ping - b.ping; // Healthies are sorted by best ping
+        return 0;
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Orders the rendered server items into groups: standalone servers first, then one
+   * group per subscription with a header showing its refresh interval and last status.
+   */
+  function renderServerGroups(servers) {
+    const subscriptionIds = new Set(state.subscriptions.map(sub => sub.id));
+    const ordered = [];
+    const pushServer = (server) => {
+      const element = document.getElementById(`server-${server.id}`);
+      if (element) ordered.push(element);
+    };
+
+    // Favorites are pinned above everything, whichever group they belong to
+    servers.filter(server => server.favorite).forEach(pushServer);
+    const others = servers.filter(server => !server.favorite);
+    others.filter(server => !subscriptionIds.has(server.subscriptionId)).forEach(pushServer);
+    state.subscriptions.forEach(sub => {
+      ordered.push(getGroupHeader(sub));
+      others.filter(server => server.subscriptionId === sub.id).forEach(pushServer);
+    });
+
+    // Drop headers of subscriptions that no longer exist
+    serversList.querySelectorAll('.server-group-header').forEach(header => {
+      if (!ordered.includes(header)) header.remove();
+    });
+
+    // Only move nodes that are out of place to keep the DOM stable
+    ordered.forEach((element, index) => {
+      if (serversList.children[index] !== element) {
+        serversList.insertBefore(element, serversList.children[index] || null);
+      }
+    });
+  }
+
+  function getGroupHeader(sub) {
+    let header = document.getElementById(`group-${sub.id}`);
+    if (!header) {
+      header = document.createElement('div');
+      header.id = `group-${sub.id}`;
+      header.className = 'server-group-header';
+      header.innerHTML = `
+        <div class="server-text">
+          <div class="group-title"></div>
+          <div class="group-status"></div>
+        </div>
+        <div class="server-actions">
+          <div class="group-refresh" title="Refresh now">↻</div>
+          <div class="server-delete" title="Remove subscription and its servers">×</div>
+        </div>
+      `;
+      header.querySelector('.group-refresh').addEventListener('click', () => refreshSubscription(sub.id));
+      header.querySelector('.server-delete').addEventListener('click', () => removeSubscription(sub.id));
     }
+
+    header.querySelector('.group-title').textContent = `${sub.name} (${sub.serverCount || 0})`;
+    const status = header.querySelector('.group-status');
+    status.textContent = formatSubscriptionStatus(sub);
+    status.className = 'group-status' + (sub.lastStatus === 'error' ? ' error' : '');
+    status.title = sub.lastError || '';
+    return header;
   }
 
   // --- CORE LOGIC ---
 
+  // Connect, disconnect and switch only ask the main process; the resulting states
+  // arrive through onStatusChange and are rendered by updateUI().
   async function connect() {
-    // The guard prevents multiple connection attempts but allows reconnection during a server switch.
-    if (state.isConnected || state.isConnecting || !state.activeServerId) return;
+    const current = state.connection.state;
+    if ((current !== 'idle' && current !== 'error') || !state.activeServerId) return;
     
     // Check if the selected server is available before attempting to connect
     const serverElement = document.getElementById(`server-${state.activeServerId}`);
@@ -334,62 +456,40 @@ document.addEventListener('DOMContentLoaded', () => {
       if (pingElement && pingElement.classList.contains('poor')) {
         // Don't try to connect to unavailable servers
         showNotification('Cannot connect to unavailable server', 'error');
-        
-        // If Smart Connect is enabled, automatically select the best available server
-        const smartConnectEnabled = document.getElementById('auto-failover-toggle').checked;
-        if (smartConnectEnabled && state.servers.length > 0) {
-          console.log(`[Auto-Connect] Finding best available server after connection attempt to unavailable server`);
-          // Force a server list refresh to find the best server
-          state.needsAutoReconnect = true;
-          renderServersList(true);
-          return;
-        }
         return;
       }
     }
 
-    state.isConnecting = true;
-    updateUI();
-
     try {
-      await window.api.connect();
+      const result = await window.api.connect();
+      // e.g. the kill switch could not be engaged; the error state carries the message
+      if (result && result.success === false) {
+        showNotification(result.message, 'error');
+      }
     } catch (error) {
       console.error('Connect call failed:', error);
-      state.isConnecting = false;
       showNotification(`Connection failed: ${error.message}`, 'error');
-      updateUI();
     }
   }
 
   async function disconnect() {
-    if (!state.isConnected || state.isDisconnecting) return;
-
-    // For manual disconnects, give immediate feedback.
-    if (!state.isSwitching) {
-      state.isDisconnecting = true;
-      updateUI();
-    }
+    const current = state.connection.state;
+    if (current === 'idle' || current === 'disconnecting') return;
 
     try {
       await window.api.disconnect();
     } catch (error) {
       console.error('Disconnect call failed:', error);
       showNotification(`Disconnect failed: ${error.message}`, 'error');
-      // Revert UI to connected state since disconnect failed
-      state.isDisconnecting = false;
-      updateUI();
     }
   }
 
-  async function selectServer(serverId, isAutoReconnect = false) {
+  async function selectServer(serverId) {
     if (serverId === state.activeServerId) {
-      if (!isAutoReconnect) { // Only show for manual operations
-        showNotification('This server is already selected.', 'info');
-      }
+      showNotification('This server is already selected.', 'info');
       return;
     }
 
-    const wasConnected = state.isConnected;
     state.activeServerId = serverId;
 
     // Update the active server visually without re-rendering the entire list
@@ -401,30 +501,19 @@ document.addEventListener('DOMContentLoaded', () => {
         newActiveElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
     
-    // Only update the server in the backend, don't re-render UI
-    await window.api.setActiveServer(serverId);
-    
     // Only update active server info in UI, but don't re-render server list
     const activeServer = state.servers.find(s => s.id === state.activeServerId);
     if (activeServer) {
       activeServerName.textContent = activeServer.name;
-      activeServerDetails.innerHTML = `
-        <div class="detail-row"><span class="detail-label">Address:</span> ${escapeHtml(activeServer.address)}:${activeServer.port}</div>
-        <div class="detail-row"><span class="detail-label">Protocol:</span> ${activeServer.protocol.toUpperCase()}</div>
-        <div class="detail-row"><span class="detail-label">Location:</span> ${activeServer.flag || '🌐'} ${activeServer.countryName || 'Unknown'}</div>
-      `;
+      renderActiveServerDetails(activeServer);
     }
     
-    if (wasConnected) {
-      state.isSwitching = true;
-      
-      // Update only the connection status part of the UI
-      connectionStatus.textContent = isAutoReconnect ? 'Auto-switching servers...' : 'Switching servers...';
-      connectionStatus.className = 'status-value status-connecting';
-      connectButton.disabled = true;
-      
-      await disconnect();
-    } else {
+    // While connected the main process restarts the core on the new server in one step;
+    // otherwise it only makes it the active server
+    const result = await window.api.switchServer(serverId);
+    if (!result.success) {
+      showNotification(result.message, 'error');
+    } else if (!result.switched && !isConnected()) {
       // Check if the server is healthy before attempting to connect
       const serverElement = document.getElementById(`server-${serverId}`);
       if (serverElement) {
@@ -442,45 +531,218 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  // Helper function to parse VLESS URL into server object
-  function parseVlessUrl(url) {
+  // Fields shown in the link preview, in display order
+  const PREVIEW_FIELDS = [
+    ['protocol', 'Protocol'],
+    ['address', 'Address'],
+    ['port', 'Port'],
+    ['uuid', 'User ID'],
+    ['security', 'Security'],
+    ['sni', 'SNI'],
+    ['fingerprint', 'Fingerprint'],
+    ['publicKey', 'Public key'],
+    ['shortId', 'Short ID'],
+    ['flow', 'Flow'],
+    ['network', 'Transport'],
+    ['serviceName', 'Service name'],
+    ['path', 'Path'],
+    ['host', 'Host'],
+  ];
+
+  /**
+   * Parses the link in the URL box with the shared parser and shows its fields
+   * and any validation errors before the server is saved.
+   */
+  function renderLinkPreview(url) {
+    if (!linkPreview) return;
+    if (!url) {
+      linkPreview.style.display = 'none';
+      linkPreview.innerHTML = '';
+      return;
+    }
+
+    const { server, errors } = ShareLinks.inspectShareLink(url);
+    const fieldErrors = errors.reduce((acc, e) => {
+      (acc[e.field] = acc[e.field] || []).push(e.message);
+      return acc;
+    }, {});
+
+    let html = '';
+    if (server) {
+      html += `<div class="preview-name">${escapeHtml(server.name)}</div>`;
+      PREVIEW_FIELDS.forEach(([field, label]) => {
+        const value = server[field];
+        if ((value === '' || value === undefined) && !fieldErrors[field]) return;
+        const errorClass = fieldErrors[field] ? ' invalid' : '';
+        html += `<div class="preview-row${errorClass}"><span class="detail-label">${label}:</span> ${escapeHtml(String(value || '—'))}</div>`;
+      });
+    }
+    if (errors.length > 0) {
+      html += `<ul class="preview-errors">${errors.map(e => `<li>${escapeHtml(e.message)}</li>`).join('')}</ul>`;
+    }
+
+    linkPreview.innerHTML = html;
+    linkPreview.className = 'link-preview' + (errors.length > 0 ? ' has-errors' : '');
+    linkPreview.style.display = 'block';
+  }
+  
+  // --- BULK PASTE ---
+
+  // Entries of the last multi-line paste, as returned by ShareLinks.inspectShareLinkList
+  let bulkEntries = [];
+
+  /**
+   * One link gets the detailed field preview; several get a table with a
+   * checkbox and a valid/invalid status per line.
+   */
+  function renderPastePreview(text, summary = '') {
+    const entries = ShareLinks.inspectShareLinkList(text);
+    if (entries.length <= 1) {
+      bulkEntries = [];
+      addServerButton.textContent = 'Add Server';
+      renderLinkPreview(entries.length === 1 ? entries[0].link : '');
+      return;
+    }
+
+    bulkEntries = entries;
+    const rows = entries.map((entry, index) => {
+      const valid = entry.errors.length === 0;
+      const name = entry.server ? entry.server.name : entry.link;
+      const detail = entry.server ? `${entry.server.protocol} · ${entry.server.address}:${entry.server.port}` : '';
+      const status = valid ? 'Valid' : entry.errors.map(e => e.message).join(' ');
+      return `<tr>
+          <td><input type="checkbox" data-index="${index}"${valid ? ' checked' : ' disabled'}></td>
+          <td class="bulk-line">${entry.line}</td>
+          <td>${escapeHtml(name)}<div class="detail-label">${escapeHtml(detail)}</div></td>
+          <td class="bulk-status ${valid ? 'valid' : 'invalid'}">${escapeHtml(status)}</td>
+        </tr>`;
+    }).join('');
+    const validCount = entries.filter(entry => entry.errors.length === 0).length;
+    linkPreview.innerHTML = `
+      ${summary ? `<div class="bulk-summary">${escapeHtml(summary)}</div>` : ''}
+      <div class="bulk-summary">${validCount} of ${entries.length} links valid</div>
+      <table class="bulk-table">${rows}</table>`;
+    linkPreview.className = 'link-preview bulk' + (validCount < entries.length ? ' has-errors' : '');
+    linkPreview.style.display = 'block';
+    linkPreview.querySelectorAll('input[type="checkbox"]').forEach(box => box.addEventListener('change', updateBulkButton));
+    updateBulkButton();
+  }
+
+  function selectedBulkLinks() {
+    return Array.from(linkPreview.querySelectorAll('.bulk-table input:checked'))
+      .map(box => bulkEntries[Number(box.dataset.index)].link);
+  }
+
+  function updateBulkButton() {
+    addServerButton.textContent = `Import ${selectedBulkLinks().length} Selected`;
+  }
+
+  function describeImport(result) {
+    const parts = [`${result.added.length} server${result.added.length === 1 ? '' : 's'} added`];
+    if (result.duplicates > 0) parts.push(`${result.duplicates} already present`);
+    if (result.invalid.length > 0) parts.push(`${result.invalid.length} invalid`);
+    return `${parts.join(', ')}.`;
+  }
+
+  /**
+   * Adds several links in one call. Lines that were not imported stay in the
+   * input so they can be fixed and retried.
+   */
+  async function importLinks(links) {
+    if (links.length === 0) {
+      urlInput.classList.add('shake');
+      setTimeout(() => urlInput.classList.remove('shake'), 500);
+      return null;
+    }
     try {
-      const vlessRegex = /vless:\/\/([^@]+)@([^:]+):([0-9]+)\?([^#]+)(#(.+))?/;
-      const match = url.match(vlessRegex);
-      
-      if (!match) return null;
-      
-      const [, id, address, port, params, , name] = match;
-      const decodedName = name ? decodeURIComponent(name) : `Server ${address}:${port}`;
-      
-      // Create a temporary id (will be replaced by backend response)
-      const tempId = `temp-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-      
-      return {
-        id: tempId,
-        name: decodedName,
-        address: address,
-        port: parseInt(port),
-        protocol: 'vless',
-        flag: '🌐', // Default flag until geo is resolved
-        countryName: 'Detecting...',
-        uuid: id
-      };
-    } catch (e) {
-      console.error('Failed to parse VLESS URL:', e);
+      const result = await window.api.addServers(links);
+      const imported = new Set(links);
+      const remaining = bulkEntries.filter(entry => !imported.has(entry.link)).map(entry => entry.link);
+      const invalid = result.invalid.map(entry => entry.link);
+      urlInput.value = remaining.concat(invalid).join('\n');
+      const summary = describeImport(result);
+      if (urlInput.value) {
+        renderPastePreview(urlInput.value, summary);
+      } else {
+        renderPastePreview('');
+        linkPreview.textContent = summary;
+        linkPreview.className = 'link-preview';
+        linkPreview.style.display = 'block';
+      }
+      showNotification(summary, result.success ? 'success' : 'error');
+      return result;
+    } catch (error) {
+      console.error('Error importing servers:', error);
+      showNotification(`Error importing servers: ${error.message}`, 'error');
       return null;
     }
   }
-  
+
+  // --- CLIPBOARD DETECTION ---
+
+  const clipboardOffer = document.getElementById('clipboard-offer');
+  const clipboardOfferText = document.getElementById('clipboard-offer-text');
+  let lastClipboardText = null;
+  let clipboardLinks = [];
+
+  function hideClipboardOffer() {
+    clipboardOffer.style.display = 'none';
+    clipboardLinks = [];
+  }
+
+  // Offers each clipboard content once, and only for links that are not stored yet
+  async function checkClipboardForLinks() {
+    let text;
+    try {
+      text = await navigator.clipboard.readText();
+    } catch (error) {
+      return;
+    }
+    if (!text || text === lastClipboardText) return;
+    lastClipboardText = text;
+
+    const storedLinks = new Set(state.servers.map(server => server.url));
+    clipboardLinks = ShareLinks.inspectShareLinkList(text)
+      .filter(entry => entry.errors.length === 0 && !storedLinks.has(entry.link))
+      .map(entry => entry.link);
+    if (clipboardLinks.length === 0) {
+      hideClipboardOffer();
+      return;
+    }
+    clipboardOfferText.textContent = clipboardLinks.length === 1
+      ? 'Share link found in the clipboard.'
+      : `${clipboardLinks.length} share links found in the clipboard.`;
+    clipboardOffer.style.display = 'flex';
+  }
+
+  window.addEventListener('focus', checkClipboardForLinks);
+
+  document.getElementById('clipboard-import-button').addEventListener('click', async () => {
+    const links = clipboardLinks;
+    hideClipboardOffer();
+    const result = await window.api.addServers(links);
+    const summary = describeImport(result);
+    linkPreview.textContent = `From clipboard: ${summary}`;
+    linkPreview.className = 'link-preview' + (result.success ? '' : ' has-errors');
+    linkPreview.style.display = 'block';
+    showNotification(summary, result.success ? 'success' : 'error');
+  });
+
+  document.getElementById('clipboard-dismiss').addEventListener('click', hideClipboardOffer);
+
   async function addServer(url) {
-    if (!url || !url.startsWith('vless://')) {
-      showNotification('Please enter a valid VLESS URL.', 'error');
+    // Validate locally first so unknown schemes, malformed links and bad fields get a clear message
+    const { errors } = ShareLinks.inspectShareLink(url || '');
+    if (errors.length > 0) {
+      renderLinkPreview(url);
+      showNotification(errors[0].message, 'error');
       return;
     }
 
     // Show a notification that we are adding the server
     showNotification('Adding server...', 'info');
     if (urlInput) urlInput.value = '';
+    renderLinkPreview('');
 
     try {
       // Call the API to add the server. The UI will be updated via the onServersUpdated event.
@@ -541,6 +803,67 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
 
+  // --- SUBSCRIPTIONS ---
+
+  function formatInterval(minutes) {
+    if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+    if (minutes % 60 === 0) return `${minutes / 60}h`;
+    return `${minutes}m`;
+  }
+
+  function formatSubscriptionStatus(sub) {
+    const interval = `every ${formatInterval(sub.intervalMinutes)}`;
+    if (sub.lastStatus === 'pending' || !sub.lastFetchAt) return `${interval} · fetching...`;
+    const fetchedAt = new Date(sub.lastFetchAt).toLocaleString();
+    if (sub.lastStatus === 'error') return `${interval} · failed ${fetchedAt}: ${sub.lastError}`;
+    return `${interval} · updated ${fetchedAt}`;
+  }
+
+  async function addSubscription(url, intervalMinutes) {
+    if (!/^https?:\/\//i.test(url)) {
+      subscriptionUrlInput.classList.add('shake');
+      setTimeout(() => subscriptionUrlInput.classList.remove('shake'), 500);
+      return;
+    }
+
+    showNotification('Fetching subscription...', 'info');
+    try {
+      // The servers list is refreshed through the onServersUpdated event
+      const result = await window.api.addSubscription(url, { intervalMinutes });
+      if (!result.success) {
+        showNotification(result.message, 'error');
+        return;
+      }
+      subscriptionUrlInput.value = '';
+      subscriptionForm.style.display = 'none';
+      if (result.subscription && result.subscription.lastStatus === 'error') {
+        showNotification(`Subscription added, but fetching failed: ${result.subscription.lastError}`, 'error');
+      } else {
+        showNotification('Subscription added.', 'success');
+      }
+    } catch (error) {
+      showNotification(`Error adding subscription: ${error.message}`, 'error');
+    }
+  }
+
+  async function refreshSubscription(subscriptionId) {
+    try {
+      const result = await window.api.refreshSubscription(subscriptionId);
+      showNotification(result.success ? 'Subscription refreshed.' : result.message, result.success ? 'success' : 'error');
+    } catch (error) {
+      showNotification(`Error refreshing subscription: ${error.message}`, 'error');
+    }
+  }
+
+  async function removeSubscription(subscriptionId) {
+    try {
+      const result = await window.api.removeSubscription(subscriptionId);
+      if (!result.success) showNotification(result.message, 'error');
+    } catch (error) {
+      showNotification(`Error removing subscription: ${error.message}`, 'error');
+    }
+  }
+
   // --- UPTIME & HELPERS ---
 
   function startUptimeInterval() {
@@ -581,7 +904,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   function escapeHtml(unsafe) {
-    return unsafe
+    return String(unsafe == null ? '' : unsafe)
       .replace(/&/g, "&amp;")
       .replace(/</g, "&lt;")
       .replace(/>/g, "&gt;")
@@ -591,33 +914,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // --- IPC EVENT HANDLERS ---
 
+  // The main process owns the connection state; every change arrives here as one snapshot
+  function applyConnectionState(connection) {
+    state.connection = connection;
+    if (connection.state === 'connected') state.connectionStartTime = connection.since;
+    updateUI();
+    renderServersList(true);
+  }
+
+  window.api.onStatusChange((connection) => {
+    console.log(`IPC: onStatusChange - ${connection.previousState} -> ${connection.state}`);
+    applyConnectionState(connection);
+  });
+
   window.api.onConnectionSuccess((data) => {
-    console.log('IPC: onConnectionSuccess', data);
-    state.isConnected = true;
-    state.isConnecting = false;
-    state.isSwitching = false;
-    state.connectionStartTime = Date.now();
-    // Show actual VPN exit IP country as Current Location
+    // The payload carries the server list with its credentials, so only the event is logged
+    console.log('IPC: onConnectionSuccess');
+    // The main process looks the exit IP up through the tunnel and reports it via onExitIp
     currentIp.textContent = 'Detecting...';
-    fetch('https://ipinfo.io/json')
-      .then(res => res.json())
-      .then(ipData => {
-        if (ipData && ipData.country) {
-          // Request the full country name from the main process
-          window.api.getCountryName(ipData.country)
-            .then(countryName => {
-              currentIp.textContent = countryName || ipData.country;
-            })
-            .catch(() => {
-              currentIp.textContent = ipData.country;
-            });
-        } else {
-          currentIp.textContent = 'Unknown';
-        }
-      })
-      .catch(() => {
-        currentIp.textContent = 'Unknown';
-      });
 
     // Update server list from the payload to ensure flags are shown
     if (data.servers) {
@@ -629,46 +943,45 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 window.api.onServersUpdated((data) => {
-    console.log('IPC: onServersUpdated', data);
     state.servers = data.servers;
     state.activeServerId = data.activeServer;
+    if (data.subscriptions) state.subscriptions = data.subscriptions;
     updateUI(); // Ensure full UI update, including active server display
+    renderFailoverOptions();
 });
 
-window.api.onDisconnect(async () => {
+window.api.onDisconnect(() => {
     console.log('IPC: onDisconnect');
+    // Show country name of the active server (or 'Unknown') when disconnected
+    const activeServer = state.servers.find(s => s.id === state.activeServerId);
+    currentIp.textContent = (activeServer && activeServer.countryName) ? activeServer.countryName : 'Unknown';
+});
+
+  function formatExitIp(result) {
+    if (!result || !result.success) return 'Unknown';
+    return `${result.flag || '🌐'} ${result.countryName || 'Unknown country'} · ${result.ip}`;
+  }
 
-    // Keep the 'disconnecting' UI visible for a short period to match visual feedback.
-    setTimeout(async () => {
-        state.isConnected = false;
-        state.isConnecting = false;
-        state.isDisconnecting = false;
+  window.api.onExitIp((result) => {
+    // Lookups made while disconnected show the real address, not the tunnel's
+    if (result.viaTunnel && isConnected()) currentIp.textContent = formatExitIp(result);
+    if (locationModal.style.display === 'flex') renderExitIp(result);
+  });
 
-        // Show country name of the active server (or 'Unknown') when disconnected
-        const activeServer = state.servers.find(s => s.id === state.activeServerId);
-        currentIp.textContent = (activeServer && activeServer.countryName) ? activeServer.countryName : 'Unknown';
+  window.api.onHealthUpdate((event) => {
+    // Switching on failure is decided by the Smart-connect policy in the main process
+    state.health[event.serverId] = event;
+    renderServersList(true);
+  });
 
-        if (state.isSwitching) {
-            // If switching, the disconnect is expected. Now, connect to the new server.
-            await connect();
-            state.isSwitching = false; // Reset switching state
-        } else {
-            // This was a manual disconnect, so just update the UI.
-            updateUI();
-        }
-    }, 500); // 500ms delay
-});
+  // Health probing pauses while the window is hidden
+  document.addEventListener('visibilitychange', () => {
+    window.api.setWindowVisible(!document.hidden);
+  });
 
   window.api.onConnectionError((error) => {
     console.log(`IPC: onConnectionError - ${error.message}`);
-    state.isConnected = false;
-    state.isConnecting = false;
-    state.isDisconnecting = false;
-    if (!state.isSwitching) {
-      showNotification(`Connection failed: ${error.message}`, 'error');
-    }
-    state.isSwitching = false;
-    updateUI();
+    showNotification(`Connection failed: ${error.message}`, 'error');
   });
 
   // --- INITIALIZATION ---
@@ -678,13 +991,15 @@ window.api.onDisconnect(async () => {
       const serverData = await window.api.getServers();
       state.servers = serverData.servers || [];
       state.activeServerId = serverData.activeServer;
+      state.subscriptions = await window.api.getSubscriptions();
+      state.health = await window.api.getHealth();
 
       const status = await window.api.getStatus();
-      state.isConnected = status.isConnected;
-      currentIp.textContent = status.currentIp || status.originalIp || 'N/A';
+      if (status.connection) state.connection = status.connection;
+      currentIp.textContent = status.currentIp || 'Unknown location';
       
-      if (state.isConnected) {
-        state.connectionStartTime = status.connectionStartTime;
+      if (isConnected()) {
+        state.connectionStartTime = status.connection.since;
       }
 
       if (!state.activeServerId && state.servers.length > 0) {
@@ -701,24 +1016,8 @@ window.api.onDisconnect(async () => {
 
   // --- EVENT LISTENERS ---
 
-  // Smart Connect (auto-failover) toggle handler
-  const autoFailoverToggle = document.getElementById('auto-failover-toggle');
-  if (autoFailoverToggle) {
-    // Initialize the toggle's state from the main process on load to prevent race conditions
-    window.api.getAutoFailoverStatus().then(status => {
-      if (status) {
-        autoFailoverToggle.checked = status.enabled;
-      }
-    }).catch(err => console.error('Failed to get initial auto-failover status:', err));
-
-    // Send updates to the main process when the user clicks the toggle
-    autoFailoverToggle.addEventListener('change', () => {
-      const isEnabled = autoFailoverToggle.checked;
-      window.api.setAutoFailover(isEnabled);
-    });
-  }
   connectButton.addEventListener('click', () => {
-    if (state.isConnected) {
+    if (isConnected()) {
       disconnect();
     } else {
       connect();
@@ -727,7 +1026,12 @@ window.api.onDisconnect(async () => {
 
   // Create enhanced server add button handler with visual feedback
   addServerButton.addEventListener('click', () => {
-    if (urlInput.value.trim()) {
+    if (bulkEntries.length > 1) {
+      importLinks(selectedBulkLinks());
+    } else if (bulkEntries.length === 0 && ShareLinks.inspectShareLinkList(urlInput.value).length === 1) {
+      // A single link, possibly surrounded by blank or comment lines
+      addServer(ShareLinks.inspectShareLinkList(urlInput.value)[0].link);
+    } else if (urlInput.value.trim()) {
       addServer(urlInput.value.trim());
     } else {
       // Shake animation for empty input
@@ -737,6 +1041,20 @@ window.api.onDisconnect(async () => {
     }
   });
 
+  testDelayButton.addEventListener('click', testAllDelays);
+
+  document.getElementById('add-subscription-toggle').addEventListener('click', () => {
+    const isHidden = subscriptionForm.style.display === 'none';
+    subscriptionForm.style.display = isHidden ? 'flex' : 'none';
+    if (isHidden) subscriptionUrlInput.focus();
+  });
+
+  document.getElementById('add-subscription-button').addEventListener('click', () => {
+    addSubscription(subscriptionUrlInput.value.trim(), Number(subscriptionIntervalSelect.value));
+  });
+
+  urlInput.addEventListener('input', () => renderPastePreview(urlInput.value));
+
   tabButtons.forEach(button => {
     button.addEventListener('click', () => {
       tabButtons.forEach(btn => btn.classList.remove('active'));
@@ -843,15 +1161,17 @@ window.api.onDisconnect(async () => {
   // Handle the detected QR code data
   function handleQrCodeResult(data) {
     const scanResult = document.getElementById('qr-scan-result');
-    if (data && data.startsWith('vless://')) {
-      scanResult.textContent = 'VLESS URL detected! Adding server...';
+    if (data && ShareLinks.isSupportedShareLink(data)) {
+      scanResult.textContent = `${ShareLinks.detectScheme(data).toUpperCase()} link detected! Adding server...`;
       scanResult.className = 'success';
       scanResult.style.display = 'block';
 
       addServer(data);
       setTimeout(closeQrModal, 1500);
     } else {
-      scanResult.textContent = 'Invalid QR code. Please scan a VLESS URL.';
+      scanResult.textContent = ShareLinks.detectScheme(data)
+        ? `Unsupported link type "${ShareLinks.detectScheme(data)}://" in QR code.`
+        : 'Invalid QR code. Please scan a VLESS, VMess, Trojan, Shadowsocks or Hysteria2 link.';
       scanResult.className = 'error';
       scanResult.style.display = 'block';
       
@@ -920,6 +1240,1426 @@ window.api.onDisconnect(async () => {
     event.target.value = '';
   });
 
+  // --- SMART-CONNECT ---
+
+  const autoFailoverToggle = document.getElementById('auto-failover-toggle');
+  const failoverPolicySelect = document.getElementById('failover-policy-select');
+  const failoverThresholdInput = document.getElementById('failover-threshold-input');
+  const failoverCountriesInput = document.getElementById('failover-countries-input');
+  const failoverRotateInput = document.getElementById('failover-rotate-input');
+  const failoverPriorityList = document.getElementById('failover-priority-list');
+  const failoverLast = document.getElementById('failover-last');
+  const PRIORITY_GROUP_COUNT = 3;
+
+  let failoverConfig = null; // Policy settings as stored by the main process
+
+  function renderFailoverOptions() {
+    if (!failoverConfig) return;
+    autoFailoverToggle.checked = failoverConfig.enabled;
+    failoverPolicySelect.value = failoverConfig.policy;
+    failoverPolicySelect.disabled = !failoverConfig.enabled;
+    document.querySelectorAll('.failover-option').forEach(option => {
+      option.classList.toggle('visible', failoverConfig.enabled && option.dataset.policy === failoverConfig.policy);
+    });
+    failoverThresholdInput.value = failoverConfig.switchThresholdMs;
+    failoverCountriesInput.value = failoverConfig.preferredCountries.join(', ');
+    failoverRotateInput.value = failoverConfig.rotateIntervalMinutes;
+    renderPriorityList();
+  }
+
+  // One row per server with the priority group it belongs to
+  function renderPriorityList() {
+    if (state.servers.length === 0) {
+      failoverPriorityList.innerHTML = '<div>No servers added.</div>';
+      return;
+    }
+    const groupLabels = { '-1': 'Last' };
+    for (let i = 0; i < PRIORITY_GROUP_COUNT; i++) groupLabels[i] = `Group ${i + 1}`;
+
+    failoverPriorityList.innerHTML = '';
+    state.servers.forEach(server => {
+      const group = failoverConfig.priorityGroups.findIndex(ids => ids.includes(server.id));
+      const row = document.createElement('div');
+      row.className = 'priority-row';
+      row.innerHTML = `<span class="priority-name"></span><select>${optionsHtml(groupLabels, String(group))}</select>`;
+      row.querySelector('.priority-name').textContent = server.name;
+      row.querySelector('select').addEventListener('change', (e) => {
+        const groups = Array.from({ length: PRIORITY_GROUP_COUNT }, (_, i) =>
+          (failoverConfig.priorityGroups[i] || []).filter(id => id !== server.id));
+        const index = Number(e.target.value);
+        if (index >= 0) groups[index].push(server.id);
+        saveFailoverConfig({ priorityGroups: groups });
+      });
+      failoverPriorityList.appendChild(row);
+    });
+  }
+
+  async function loadFailoverConfig() {
+    try {
+      const status = await window.api.getAutoFailoverStatus();
+      failoverPolicySelect.innerHTML = optionsHtml(status.policies, status.policy);
+      failoverConfig = status;
+      renderFailoverOptions();
+    } catch (error) {
+      console.error('Failed to get initial auto-failover status:', error);
+    }
+  }
+
+  async function saveFailoverConfig(changes) {
+    try {
+      const result = await window.api.setAutoFailover(changes);
+      if (result && result.success) failoverConfig = result.config;
+    } catch (error) {
+      showNotification(`Could not save Smart-connect settings: ${error.message}`, 'error');
+    }
+    renderFailoverOptions();
+  }
+
+  autoFailoverToggle.addEventListener('change', () => saveFailoverConfig({ enabled: autoFailoverToggle.checked }));
+  failoverPolicySelect.addEventListener('change', () => saveFailoverConfig({ policy: failoverPolicySelect.value }));
+  failoverThresholdInput.addEventListener('change', () => saveFailoverConfig({ switchThresholdMs: Number(failoverThresholdInput.value) }));
+  failoverRotateInput.addEventListener('change', () => saveFailoverConfig({ rotateIntervalMinutes: Number(failoverRotateInput.value) }));
+  failoverCountriesInput.addEventListener('change', () => {
+    const countries = failoverCountriesInput.value.split(/[\s,]+/).filter(Boolean);
+    saveFailoverConfig({ preferredCountries: countries });
+  });
+
+  // The main process switched servers on its own; say why
+  window.api.onAutoFailover((event) => {
+    const server = state.servers.find(s => s.id === event.toServerId);
+    const message = `Smart-connect switched to ${server ? server.name : 'another server'}. ${event.reason}`;
+    failoverLast.textContent = message;
+    showNotification(message, 'info');
+  });
+
+  // --- AUTO-RECONNECT ---
+
+  const autoReconnectToggle = document.getElementById('auto-reconnect-toggle');
+  const reconnectAttemptsInput = document.getElementById('auto-reconnect-attempts-input');
+  const reconnectBanner = document.getElementById('reconnect-banner');
+  const reconnectBannerText = document.getElementById('reconnect-banner-text');
+  const reconnectCancelButton = document.getElementById('reconnect-cancel-button');
+  let reconnectState = null; // Last status from the main-process supervisor
+  let reconnectCountdown = null;
+
+  function renderReconnectConfig(config) {
+    autoReconnectToggle.checked = config.enabled;
+    reconnectAttemptsInput.value = config.maxAttempts;
+    reconnectAttemptsInput.disabled = !config.enabled;
+  }
+
+  function renderReconnectStatus() {
+    clearInterval(reconnectCountdown);
+    reconnectCountdown = null;
+    const rs = reconnectState;
+    if (!rs || rs.status === 'idle' || rs.status === 'cancelled') {
+      reconnectBanner.style.display = 'none';
+      return;
+    }
+    reconnectBanner.style.display = 'flex';
+    reconnectBanner.classList.toggle('gave-up', rs.status === 'gave-up');
+    reconnectBanner.title = [rs.reason, rs.lastError && `Last attempt: ${rs.lastError}`].filter(Boolean).join('\n');
+    reconnectCancelButton.textContent = rs.status === 'gave-up' ? 'Dismiss' : 'Cancel';
+
+    const attempt = `attempt ${rs.attempt} of ${rs.maxAttempts}`;
+    if (rs.status === 'gave-up') {
+      reconnectBannerText.textContent = `Could not reconnect after ${rs.maxAttempts} attempts.`;
+    } else if (rs.status === 'reconnecting') {
+      reconnectBannerText.textContent = `Reconnecting... (${attempt})`;
+    } else {
+      const tick = () => {
+        const seconds = Math.max(0, Math.ceil((rs.retryAt - Date.now()) / 1000));
+        reconnectBannerText.textContent = `Connection lost. Retrying in ${seconds}s (${attempt})`;
+      };
+      tick();
+      reconnectCountdown = setInterval(tick, 1000);
+    }
+  }
+
+  async function saveReconnectConfig(changes) {
+    try {
+      const result = await window.api.setAutoReconnect(changes);
+      if (result.success) renderReconnectConfig(result.config);
+    } catch (error) {
+      showNotification(`Could not save auto-reconnect settings: ${error.message}`, 'error');
+    }
+  }
+
+  autoReconnectToggle.addEventListener('change', () => saveReconnectConfig({ enabled: autoReconnectToggle.checked }));
+  reconnectAttemptsInput.addEventListener('change', () => {
+    const maxAttempts = Math.round(Number(reconnectAttemptsInput.value));
+    if (Number.isFinite(maxAttempts)) saveReconnectConfig({ maxAttempts });
+  });
+  reconnectCancelButton.addEventListener('click', () => {
+    window.api.cancelReconnect().catch(error => console.error('Failed to cancel reconnect:', error));
+  });
+
+  window.api.onReconnectStatus((status) => {
+    reconnectState = status;
+    renderReconnectStatus();
+  });
+  window.api.getAutoReconnect()
+    .then(({ state: status, ...config }) => {
+      renderReconnectConfig(config);
+      reconnectState = status;
+      renderReconnectStatus();
+    })
+    .catch(error => console.error('Failed to get auto-reconnect settings:', error));
+
+  // --- TRAFFIC ---
+
+  const TRAFFIC_HISTORY_LENGTH = 60; // Seconds shown in the graph
+  const trafficGraph = document.getElementById('traffic-graph');
+  let trafficSamples = [];
+
+  function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  }
+
+  function drawTrafficGraph() {
+    const ctx = trafficGraph.getContext('2d');
+    const { width, height } = trafficGraph;
+    ctx.clearRect(0, 0, width, height);
+    if (trafficSamples.length < 2) return;
+
+    const peak = Math.max(1, ...trafficSamples.map(s => Math.max(s.downlinkRate, s.uplinkRate)));
+    const step = width / (TRAFFIC_HISTORY_LENGTH - 1);
+    const offset = TRAFFIC_HISTORY_LENGTH - trafficSamples.length;
+    const styles = getComputedStyle(document.documentElement);
+
+    [['downlinkRate', '--primary-color'], ['uplinkRate', '--warning-color']].forEach(([key, color]) => {
+      ctx.beginPath();
+      trafficSamples.forEach((sample, i) => {
+        const x = (offset + i) * step;
+        const y = height - 2 - (sample[key] / peak) * (height - 4);
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      });
+      ctx.strokeStyle = styles.getPropertyValue(color).trim();
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    });
+  }
+
+  window.api.onTrafficStats((sample) => {
+    trafficSamples.push(sample);
+    if (trafficSamples.length > TRAFFIC_HISTORY_LENGTH) trafficSamples.shift();
+    document.getElementById('traffic-down-rate').textContent = `${formatBytes(sample.downlinkRate)}/s`;
+    document.getElementById('traffic-up-rate').textContent = `${formatBytes(sample.uplinkRate)}/s`;
+    document.getElementById('traffic-session-down').textContent = formatBytes(sample.sessionDownlink);
+    document.getElementById('traffic-session-up').textContent = formatBytes(sample.sessionUplink);
+    drawTrafficGraph();
+  });
+
+  window.api.onDisconnect(() => {
+    trafficSamples = [];
+    drawTrafficGraph();
+  });
+
+  // Per-server and per-day totals for the last 30 days, in the text modal
+  document.getElementById('view-usage-button').addEventListener('click', async () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - 29 * 24 * 3600 * 1000);
+    const dateKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+    configModalTitle.textContent = 'Data Usage (last 30 days)';
+    generatedConfig.textContent = 'Loading...';
+    configModal.style.display = 'flex';
+
+    const history = await window.api.getUsageHistory({ from: dateKey(from), to: dateKey(to) });
+    const serverName = (id) => {
+      const server = state.servers.find(s => s.id === id);
+      return server ? server.name : 'Removed server';
+    };
+    const row = (label, usage) => `${label.slice(0, 28).padEnd(30)}↓ ${formatBytes(usage.downlink).padEnd(12)}↑ ${formatBytes(usage.uplink)}`;
+
+    const lines = ['By server'];
+    Object.entries(history.totals).forEach(([id, usage]) => lines.push(row(serverName(id), usage)));
+    lines.push('', 'By day');
+    const byDay = {};
+    history.days.forEach(({ date, uplink, downlink }) => {
+      byDay[date] = byDay[date] || { uplink: 0, downlink: 0 };
+      byDay[date].uplink += uplink;
+      byDay[date].downlink += downlink;
+    });
+    Object.keys(byDay).sort().reverse().forEach(date => lines.push(row(date, byDay[date])));
+    generatedConfig.textContent = history.days.length === 0 ? 'No traffic recorded yet.' : lines.join('\n');
+  });
+
+  // --- KILL SWITCH ---
+
+  const killSwitchToggle = document.getElementById('kill-switch-toggle');
+  const killSwitchStatus = document.getElementById('kill-switch-status');
+
+  function renderKillSwitch(ks) {
+    killSwitchToggle.checked = ks.enabled;
+    killSwitchToggle.disabled = !ks.supported;
+    let text = 'Off';
+    if (!ks.supported) text = 'Not supported on this system';
+    else if (ks.lastError) text = `Error: ${ks.lastError}`;
+    else if (ks.engaged) text = ks.dryRun ? `Engaged (${ks.backend}, dry run)` : `Engaged (${ks.backend})`;
+    else if (ks.enabled) text = 'Armed, engages on connect';
+    killSwitchStatus.textContent = text;
+    killSwitchStatus.title = ks.lastError || '';
+    killSwitchStatus.className = 'kill-switch-status' + (ks.lastError ? ' error' : (ks.engaged ? ' engaged' : ''));
+  }
+
+  killSwitchToggle.addEventListener('change', async () => {
+    const result = await window.api.setKillSwitch({ enabled: killSwitchToggle.checked });
+    if (!result.success) showNotification(`Kill switch: ${result.message}`, 'error');
+    renderKillSwitch(result.state);
+  });
+
+  window.api.onKillSwitchChange(renderKillSwitch);
+  window.api.getKillSwitch()
+    .then(renderKillSwitch)
+    .catch(error => console.error('Failed to get kill switch state:', error));
+
+  // --- ROUTING RULES ---
+
+  const RULE_TYPE_LABELS = {
+    domain: 'Domain suffix',
+    keyword: 'Keyword',
+    cidr: 'IP / CIDR',
+    geosite: 'Geosite',
+    geoip: 'GeoIP',
+    port: 'Port',
+  };
+  const RULE_ACTION_LABELS = { proxy: 'Proxy', direct: 'Direct', block: 'Block' };
+
+  const routingRulesList = document.getElementById('routing-rules');
+  const routingPresetSelect = document.getElementById('routing-preset-select');
+  const routingCountryInput = document.getElementById('routing-country-input');
+
+  let routingDraft = []; // Rules being edited, saved only on "Save Rules"
+  let routingErrors = [];
+  let routingPresets = [];
+
+  function optionsHtml(labels, selected) {
+    return Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+      .join('');
+  }
+
+  function renderRoutingRules() {
+    if (routingDraft.length === 0) {
+      routingRulesList.innerHTML = '<div class="server-item empty-message">No rules. All traffic goes through the server.</div>';
+      return;
+    }
+
+    routingRulesList.innerHTML = '';
+    routingDraft.forEach((rule, index) => {
+      const ruleErrors = routingErrors.filter(e => e.index === index);
+      const row = document.createElement('div');
+      row.className = 'rule-row' + (ruleErrors.length > 0 ? ' invalid' : '');
+      row.title = ruleErrors.map(e => e.message).join(' ');
+      row.innerHTML = `
+        <input type="checkbox" class="rule-enabled" title="Enabled"${rule.enabled !== false ? ' checked' : ''}>
+        <select class="rule-type">${optionsHtml(RULE_TYPE_LABELS, rule.type)}</select>
+        <input type="text" class="rule-value" placeholder="example.com">
+        <select class="rule-action">${optionsHtml(RULE_ACTION_LABELS, rule.action)}</select>
+        <span class="rule-move" data-direction="-1" title="Move up">↑</span>
+        <span class="rule-move" data-direction="1" title="Move down">↓</span>
+        <span class="server-delete" title="Delete rule">×</span>
+      `;
+      row.querySelector('.rule-value').value = rule.value;
+
+      row.querySelector('.rule-enabled').addEventListener('change', (e) => { rule.enabled = e.target.checked; });
+      row.querySelector('.rule-type').addEventListener('change', (e) => { rule.type = e.target.value; });
+      row.querySelector('.rule-value').addEventListener('input', (e) => { rule.value = e.target.value; });
+      row.querySelector('.rule-action').addEventListener('change', (e) => { rule.action = e.target.value; });
+      row.querySelectorAll('.rule-move').forEach(button => {
+        button.addEventListener('click', () => moveRule(index, Number(button.dataset.direction)));
+      });
+      row.querySelector('.server-delete').addEventListener('click', () => {
+        routingDraft.splice(index, 1);
+        routingErrors = [];
+        renderRoutingRules();
+      });
+
+      routingRulesList.appendChild(row);
+    });
+  }
+
+  function moveRule(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= routingDraft.length) return;
+    [routingDraft[index], routingDraft[target]] = [routingDraft[target], routingDraft[index]];
+    routingErrors = [];
+    renderRoutingRules();
+  }
+
+  async function loadRoutingRules() {
+    try {
+      routingDraft = await window.api.getRoutingRules();
+      routingPresets = await window.api.getRoutingPresets();
+      routingPresetSelect.innerHTML = routingPresets
+        .map(preset => `<option value="${preset.id}">${escapeHtml(preset.name)}</option>`)
+        .join('');
+      updatePresetCountryInput();
+      renderRoutingRules();
+    } catch (error) {
+      console.error('Failed to load routing rules:', error);
+    }
+  }
+
+  function updatePresetCountryInput() {
+    const preset = routingPresets.find(p => p.id === routingPresetSelect.value);
+    routingCountryInput.style.display = preset && preset.requiresCountry ? '' : 'none';
+  }
+
+  async function saveRoutingRules() {
+    const result = await window.api.setRoutingRules(routingDraft);
+    if (result.success) {
+      routingDraft = result.rules;
+      routingErrors = [];
+      showNotification('Routing rules saved. They apply on the next connect.', 'success');
+    } else {
+      routingErrors = result.errors || [];
+      showNotification(result.message, 'error');
+    }
+    renderRoutingRules();
+  }
+
+  routingPresetSelect.addEventListener('change', updatePresetCountryInput);
+
+  document.getElementById('apply-preset-button').addEventListener('click', async () => {
+    const result = await window.api.buildRoutingPreset(routingDraft, routingPresetSelect.value, {
+      countryCode: routingCountryInput.value.trim(),
+    });
+    if (!result.success) {
+      routingCountryInput.classList.add('shake');
+      setTimeout(() => routingCountryInput.classList.remove('shake'), 500);
+      showNotification(result.message, 'error');
+      return;
+    }
+    routingDraft = result.rules;
+    routingErrors = [];
+    renderRoutingRules();
+  });
+
+  document.getElementById('add-rule-button').addEventListener('click', () => {
+    routingDraft.push({ type: 'domain', value: '', action: 'direct', enabled: true });
+    renderRoutingRules();
+    const inputs = routingRulesList.querySelectorAll('.rule-value');
+    if (inputs.length > 0) inputs[inputs.length - 1].focus();
+  });
+
+  document.getElementById('save-rules-button').addEventListener('click', saveRoutingRules);
+
+  // --- LOCAL PROXY ---
+
+  const proxyModal = document.getElementById('proxy-modal');
+  const proxyListenSelect = document.getElementById('proxy-listen-select');
+  const proxySocksPortInput = document.getElementById('proxy-socks-port-input');
+  const proxyHttpPortInput = document.getElementById('proxy-http-port-input');
+  const proxyUdpToggle = document.getElementById('proxy-udp-toggle');
+  const proxyUsernameInput = document.getElementById('proxy-username-input');
+  const proxyPasswordInput = document.getElementById('proxy-password-input');
+  const proxyPacToggle = document.getElementById('proxy-pac-toggle');
+  const proxyPacPortInput = document.getElementById('proxy-pac-port-input');
+  const proxyInfo = document.getElementById('proxy-info');
+  const proxyError = document.getElementById('proxy-error');
+  const proxySaveButton = document.getElementById('proxy-save-button');
+
+  function showProxyErrors(errors = []) {
+    proxyModal.querySelectorAll('.field-error').forEach(el => {
+      const error = errors.find(e => e.field === el.dataset.errorFor);
+      el.textContent = error ? error.message : '';
+    });
+  }
+
+  // Where other apps and devices should point, and what the current choice exposes
+  function renderProxyInfo(proxy) {
+    const hosts = proxy.listen === '0.0.0.0' ? proxy.lanAddresses : ['127.0.0.1'];
+    const lines = hosts.map(host => `SOCKS5 ${escapeHtml(host)}:${proxy.socksPort} · HTTP ${escapeHtml(host)}:${proxy.httpPort}`);
+    if (proxy.listen === '0.0.0.0' && hosts.length === 0) lines.push('No network address found for LAN sharing.');
+    if (proxy.pacUrl) lines.push(`PAC: ${escapeHtml(proxy.pacUrl)}`);
+    if (proxy.pacError) lines.push(`<span class="proxy-warning">${escapeHtml(proxy.pacError)}</span>`);
+    if (proxy.listen === '0.0.0.0' && !proxy.proxyAuth) {
+      lines.push('<span class="proxy-warning">Without a username and password anyone on your network can use this connection.</span>');
+    }
+    proxyInfo.innerHTML = lines.join('<br>');
+  }
+
+  function fillProxyForm(proxy) {
+    proxyListenSelect.value = proxy.listen;
+    proxySocksPortInput.value = proxy.socksPort;
+    proxyHttpPortInput.value = proxy.httpPort;
+    proxyUdpToggle.checked = proxy.udp;
+    proxyUsernameInput.value = proxy.proxyAuth ? proxy.proxyAuth.username : '';
+    proxyPasswordInput.value = proxy.proxyAuth ? proxy.proxyAuth.password : '';
+    proxyPacToggle.checked = proxy.pacEnabled;
+    proxyPacPortInput.value = proxy.pacPort;
+    proxyPacPortInput.disabled = !proxy.pacEnabled;
+    renderProxyInfo(proxy);
+  }
+
+  function readProxyForm() {
+    const port = (input) => (input.value.trim() === '' ? NaN : Number(input.value));
+    const username = proxyUsernameInput.value.trim();
+    const password = proxyPasswordInput.value;
+    return {
+      listen: proxyListenSelect.value,
+      socksPort: port(proxySocksPortInput),
+      httpPort: port(proxyHttpPortInput),
+      udp: proxyUdpToggle.checked,
+      proxyAuth: username || password ? { username, password } : null,
+      pacEnabled: proxyPacToggle.checked,
+      pacPort: port(proxyPacPortInput),
+    };
+  }
+
+  function closeProxyModal() {
+    proxyModal.style.display = 'none';
+    proxyPasswordInput.value = '';
+  }
+
+  document.getElementById('local-proxy-button').addEventListener('click', async () => {
+    try {
+      fillProxyForm(await window.api.getLocalProxy());
+      showProxyErrors();
+      proxyError.textContent = '';
+      proxyModal.style.display = 'flex';
+    } catch (error) {
+      console.error('Failed to get local proxy settings:', error);
+    }
+  });
+
+  proxyPacToggle.addEventListener('change', () => {
+    proxyPacPortInput.disabled = !proxyPacToggle.checked;
+  });
+
+  proxySaveButton.addEventListener('click', async () => {
+    proxyError.textContent = '';
+    proxySaveButton.disabled = true;
+    try {
+      // The contract only accepts whole numbers, so blank or fractional ports stop here
+      const changes = readProxyForm();
+      const badPorts = ['socksPort', 'httpPort', 'pacPort'].filter(field => !Number.isInteger(changes[field]));
+      if (badPorts.length > 0) {
+        showProxyErrors(badPorts.map(field => ({ field, message: 'Enter a port from 1 to 65535.' })));
+        return;
+      }
+      const result = await window.api.setLocalProxy(changes);
+      if (!result.success) {
+        showProxyErrors(result.errors);
+        proxyError.textContent = result.errors ? '' : result.message;
+        return;
+      }
+      showProxyErrors();
+      fillProxyForm(result.proxy);
+      // Stay open when the PAC server failed, so the user sees why
+      if (result.message) proxyError.textContent = result.message;
+      else closeProxyModal();
+    } catch (error) {
+      proxyError.textContent = error.message;
+    } finally {
+      proxySaveButton.disabled = false;
+    }
+  });
+
+  document.getElementById('proxy-cancel-button').addEventListener('click', closeProxyModal);
+  document.getElementById('close-proxy-modal').addEventListener('click', closeProxyModal);
+
+  // --- BACKUP & RESTORE ---
+
+  const backupModal = document.getElementById('backup-modal');
+  const backupModalTitle = document.getElementById('backup-modal-title');
+  const backupHint = document.getElementById('backup-hint');
+  const backupPassphraseInput = document.getElementById('backup-passphrase-input');
+  const backupPassphraseConfirm = document.getElementById('backup-passphrase-confirm');
+  const backupServerList = document.getElementById('backup-server-list');
+  const backupError = document.getElementById('backup-error');
+  const backupSecondaryButton = document.getElementById('backup-secondary-button');
+  const backupConfirmButton = document.getElementById('backup-confirm-button');
+
+  // 'backup', 'restore' (asking for the passphrase of restoreFilePath) or 'links'
+  let backupMode = null;
+  let restoreFilePath = null;
+
+  function openBackupModal(mode, { hint = '', error = '' } = {}) {
+    backupMode = mode;
+    const titles = { backup: 'Backup', restore: 'Restore Backup', links: 'Export Share Links' };
+    backupModalTitle.textContent = titles[mode];
+    backupHint.textContent = hint;
+    backupError.textContent = error;
+    backupPassphraseInput.value = '';
+    backupPassphraseConfirm.value = '';
+    backupPassphraseInput.style.display = mode === 'links' ? 'none' : '';
+    backupPassphraseConfirm.style.display = mode === 'backup' ? '' : 'none';
+    backupServerList.style.display = mode === 'links' ? '' : 'none';
+    backupSecondaryButton.style.display = mode === 'links' ? '' : 'none';
+    backupConfirmButton.textContent = mode === 'restore' ? 'Restore' : 'Save';
+
+    if (mode === 'links') {
+      backupServerList.innerHTML = '';
+      state.servers.forEach(server => {
+        const label = document.createElement('label');
+        label.innerHTML = `<input type="checkbox" value="${escapeHtml(server.id)}" checked><span></span>`;
+        label.querySelector('span').textContent = server.name;
+        backupServerList.appendChild(label);
+      });
+    }
+    backupModal.style.display = 'flex';
+    if (mode !== 'links') backupPassphraseInput.focus();
+  }
+
+  function closeBackupModal() {
+    backupModal.style.display = 'none';
+    backupPassphraseInput.value = '';
+    backupPassphraseConfirm.value = '';
+    backupMode = null;
+    restoreFilePath = null;
+  }
+
+  function selectedLinkServerIds() {
+    return Array.from(backupServerList.querySelectorAll('input:checked')).map(input => input.value);
+  }
+
+  function describeRestore(result) {
+    const parts = [`${result.added} server${result.added === 1 ? '' : 's'} added`];
+    if (result.duplicates > 0) parts.push(`${result.duplicates} already present`);
+    if (result.subscriptionsAdded > 0) parts.push(`${result.subscriptionsAdded} subscription${result.subscriptionsAdded === 1 ? '' : 's'} added`);
+    return parts.join(', ');
+  }
+
+  async function restoreBackup(options = {}) {
+    const result = await window.api.importBackup(options);
+    if (result.success) {
+      closeBackupModal();
+      state.subscriptions = await window.api.getSubscriptions();
+      showNotification(`Restored: ${describeRestore(result)}.`, 'success');
+    } else if (result.needsPassphrase) {
+      restoreFilePath = result.filePath;
+      openBackupModal('restore', {
+        hint: 'This backup is encrypted.',
+        error: options.passphrase ? result.message : '',
+      });
+    } else if (!result.canceled) {
+      if (backupMode) backupError.textContent = result.message;
+      showNotification(`Restore failed: ${result.message}`, 'error');
+    }
+  }
+
+  backupConfirmButton.addEventListener('click', async () => {
+    backupError.textContent = '';
+    if (backupMode === 'backup') {
+      const passphrase = backupPassphraseInput.value;
+      if (passphrase !== backupPassphraseConfirm.value) {
+        backupError.textContent = 'Passphrases do not match.';
+        return;
+      }
+      const result = await window.api.exportBackup({ passphrase: passphrase || undefined });
+      if (result.success) {
+        closeBackupModal();
+        showNotification(`Backed up ${result.count} servers.`, 'success');
+      } else if (!result.canceled) {
+        backupError.textContent = result.message;
+      }
+    } else if (backupMode === 'restore') {
+      await restoreBackup({ filePath: restoreFilePath, passphrase: backupPassphraseInput.value });
+    } else if (backupMode === 'links') {
+      const result = await window.api.exportShareLinks(selectedLinkServerIds(), { save: true });
+      if (result.success) closeBackupModal();
+      else if (!result.canceled) backupError.textContent = result.message;
+    }
+  });
+
+  backupSecondaryButton.addEventListener('click', async () => {
+    const result = await window.api.exportShareLinks(selectedLinkServerIds());
+    navigator.clipboard.writeText(result.text)
+      .then(() => showNotification(`Copied ${result.count} links.`, 'success'))
+      .catch(() => { backupError.textContent = 'Could not copy to the clipboard.'; });
+  });
+
+  backupPassphraseInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && backupMode === 'restore') backupConfirmButton.click();
+  });
+
+  document.getElementById('backup-button').addEventListener('click', () => openBackupModal('backup', {
+    hint: 'Saves servers, subscriptions and settings. Leave the passphrase empty to save unencrypted.',
+  }));
+  document.getElementById('restore-button').addEventListener('click', () => restoreBackup());
+  document.getElementById('export-links-button').addEventListener('click', () => openBackupModal('links', {
+    hint: 'Anyone with these links can use the servers.',
+  }));
+  document.getElementById('close-backup-modal').addEventListener('click', closeBackupModal);
+
+  // --- FAVORITES, TAGS & ORDER ---
+
+  const serverSearchInput = document.getElementById('server-search-input');
+  const tagChips = document.getElementById('tag-chips');
+
+  function allTags() {
+    const tags = new Set();
+    state.servers.forEach(server => (server.tags || []).forEach(tag => tags.add(tag)));
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }
+
+  function renderTagChips() {
+    const tags = allTags();
+    // Forget selections of tags no server carries any more
+    state.tagFilter.forEach(tag => { if (!tags.includes(tag)) state.tagFilter.delete(tag); });
+    tagChips.innerHTML = tags
+      .map(tag => `<span class="tag-chip${state.tagFilter.has(tag) ? ' active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</span>`)
+      .join('');
+    tagChips.style.display = tags.length > 0 ? '' : 'none';
+  }
+
+  tagChips.addEventListener('click', (e) => {
+    const chip = e.target.closest('.tag-chip');
+    if (!chip) return;
+    const tag = chip.dataset.tag;
+    if (state.tagFilter.has(tag)) state.tagFilter.delete(tag); else state.tagFilter.add(tag);
+    renderServersList(true);
+  });
+
+  serverSearchInput.addEventListener('input', () => {
+    state.searchQuery = serverSearchInput.value.trim();
+    renderServersList(true);
+  });
+
+  async function toggleFavorite(serverId) {
+    const server = state.servers.find(s => s.id === serverId);
+    if (!server) return;
+    const result = await window.api.setServerMeta(serverId, { favorite: !server.favorite });
+    if (!result.success) showNotification(result.message, 'error');
+  }
+
+  // Drag and drop within a section (favorites, standalone servers or one subscription)
+  let draggedServerId = null;
+
+  function sameSection(a, b) {
+    return Boolean(a.favorite) === Boolean(b.favorite) && (a.favorite || a.subscriptionId === b.subscriptionId);
+  }
+
+  function attachDragHandlers(serverItem, serverId) {
+    serverItem.addEventListener('dragstart', (e) => {
+      draggedServerId = serverId;
+      e.dataTransfer.effectAllowed = 'move';
+      serverItem.classList.add('dragging');
+    });
+    serverItem.addEventListener('dragend', () => {
+      draggedServerId = null;
+      serverItem.classList.remove('dragging');
+      serversList.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+    });
+    serverItem.addEventListener('dragover', (e) => {
+      const dragged = state.servers.find(s => s.id === draggedServerId);
+      const target = state.servers.find(s => s.id === serverId);
+      if (!dragged || !target || dragged === target || !sameSection(dragged, target)) return;
+      e.preventDefault();
+      const after = e.offsetY > serverItem.offsetHeight / 2;
+      serverItem.classList.toggle('drop-after', after);
+      serverItem.classList.toggle('drop-before', !after);
+    });
+    serverItem.addEventListener('dragleave', () => serverItem.classList.remove('drop-before', 'drop-after'));
+    serverItem.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const after = serverItem.classList.contains('drop-after');
+      serverItem.classList.remove('drop-before', 'drop-after');
+      if (draggedServerId && draggedServerId !== serverId) moveServer(draggedServerId, serverId, after);
+    });
+  }
+
+  // Moves a server next to another in the stored order and saves it
+  async function moveServer(serverId, targetId, after) {
+    const ids = state.servers.map(s => s.id).filter(id => id !== serverId);
+    const index = ids.indexOf(targetId);
+    if (index === -1) return;
+    ids.splice(after ? index + 1 : index, 0, serverId);
+    const byId = new Map(state.servers.map(s => [s.id, s]));
+    state.servers = ids.map(id => byId.get(id));
+    renderServersList(true);
+    const result = await window.api.reorderServers(ids);
+    if (!result.success) {
+      showNotification(result.message, 'error');
+      await loadInitialData();
+    }
+  }
+
+  // --- SERVER DETAILS ---
+
+  const TLS_PROTOCOLS = ['vless', 'vmess', 'trojan'];
+  // Form fields in display order. `protocols` limits a field to the protocols whose links carry it;
+  // `options` makes it a select, `type` 'number', 'list' (comma separated) or 'checkbox'.
+  const SERVER_FORM_FIELDS = [
+    { field: 'name', label: 'Name' },
+    { field: 'tags', label: 'Tags', type: 'list' },
+    { field: 'address', label: 'Address' },
+    { field: 'port', label: 'Port', type: 'number' },
+    { field: 'uuid', label: 'User ID', protocols: ['vless', 'vmess'] },
+    { field: 'alterId', label: 'Alter ID', type: 'number', protocols: ['vmess'] },
+    { field: 'cipher', label: 'Cipher', protocols: ['vmess'] },
+    { field: 'method', label: 'Cipher method', protocols: ['shadowsocks'] },
+    { field: 'password', label: 'Password', protocols: ['trojan', 'shadowsocks', 'hysteria2'] },
+    { field: 'plugin', label: 'Plugin', protocols: ['shadowsocks'] },
+    { field: 'flow', label: 'Flow', options: ShareLinks.VLESS_FLOWS, protocols: ['vless'] },
+    { field: 'security', label: 'Security', options: ShareLinks.SECURITY_TYPES, protocols: TLS_PROTOCOLS },
+    { field: 'sni', label: 'SNI', protocols: [...TLS_PROTOCOLS, 'hysteria2'] },
+    { field: 'fingerprint', label: 'Fingerprint', options: ['', ...ShareLinks.FINGERPRINTS], protocols: TLS_PROTOCOLS },
+    { field: 'alpn', label: 'ALPN', type: 'list', protocols: TLS_PROTOCOLS },
+    { field: 'allowInsecure', label: 'Allow insecure', type: 'checkbox', protocols: ['vless', 'trojan', 'hysteria2'] },
+    { field: 'publicKey', label: 'Public key', protocols: ['vless'] },
+    { field: 'shortId', label: 'Short ID', protocols: ['vless'] },
+    { field: 'spiderX', label: 'Spider X', protocols: ['vless'] },
+    { field: 'network', label: 'Transport', options: ShareLinks.NETWORK_TYPES, protocols: TLS_PROTOCOLS },
+    { field: 'headerType', label: 'Header type', protocols: ['vless', 'vmess'] },
+    { field: 'path', label: 'Path', protocols: TLS_PROTOCOLS },
+    { field: 'host', label: 'Host', protocols: TLS_PROTOCOLS },
+    { field: 'serviceName', label: 'Service name', protocols: TLS_PROTOCOLS },
+    { field: 'mode', label: 'Mode', protocols: ['vless'] },
+    { field: 'obfs', label: 'Obfuscation', protocols: ['hysteria2'] },
+    { field: 'obfsPassword', label: 'Obfs password', protocols: ['hysteria2'] },
+    { field: 'pinSHA256', label: 'Pinned cert', protocols: ['hysteria2'] },
+  ];
+
+  // Local to this install: saved with setServerMeta, never part of the share link
+  const SERVER_META_FIELDS = ['tags'];
+
+  const serverModal = document.getElementById('server-modal');
+  const serverForm = document.getElementById('server-form');
+  const serverFormError = document.getElementById('server-form-error');
+  const serverSaveButton = document.getElementById('server-save-button');
+  let editingServer = null;
+
+  function serverFormFields(server) {
+    return SERVER_FORM_FIELDS.filter(def => !def.protocols || def.protocols.includes(server.protocol));
+  }
+
+  function openServerForm(serverId) {
+    const server = state.servers.find(s => s.id === serverId);
+    if (!server) return;
+    editingServer = server;
+    document.getElementById('server-modal-title').textContent = `Edit ${server.name}`;
+    document.getElementById('server-form-hint').textContent = server.subscriptionId
+      ? `${server.protocol} server from a subscription. The next refresh replaces edits made here.`
+      : `${server.protocol} server`;
+    serverFormError.textContent = '';
+
+    serverForm.innerHTML = '';
+    serverFormFields(server).forEach(def => {
+      const id = `server-field-${def.field}`;
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = def.label;
+
+      let input;
+      if (def.options) {
+        input = document.createElement('select');
+        input.className = 'url-input';
+        const options = def.options.includes(server[def.field] || '') ? def.options : [...def.options, server[def.field]];
+        options.forEach(value => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = value || '(none)';
+          input.appendChild(option);
+        });
+        input.value = server[def.field] || '';
+      } else {
+        input = document.createElement('input');
+        input.className = def.type === 'checkbox' ? '' : 'url-input';
+        input.type = def.type === 'number' || def.type === 'checkbox' ? def.type : 'text';
+        if (def.type === 'checkbox') input.checked = Boolean(server[def.field]);
+        else if (def.type === 'list') input.value = (server[def.field] || []).join(', ');
+        else input.value = server[def.field] === undefined ? '' : server[def.field];
+      }
+      input.id = id;
+      input.dataset.field = def.field;
+      input.addEventListener('input', validateServerForm);
+      input.addEventListener('change', validateServerForm);
+
+      const error = document.createElement('div');
+      error.className = 'field-error';
+      error.dataset.errorFor = def.field;
+
+      serverForm.append(label, input, error);
+    });
+
+    validateServerForm();
+    serverModal.style.display = 'flex';
+  }
+
+  function closeServerForm() {
+    serverModal.style.display = 'none';
+    serverForm.innerHTML = '';
+    editingServer = null;
+  }
+
+  // Values of the form fields, converted to the types stored on server objects
+  function readServerForm() {
+    const values = {};
+    serverFormFields(editingServer).forEach(def => {
+      const input = document.getElementById(`server-field-${def.field}`);
+      if (def.type === 'checkbox') values[def.field] = input.checked;
+      else if (def.type === 'number') values[def.field] = input.value.trim() === '' ? NaN : Number(input.value);
+      else if (def.type === 'list') values[def.field] = input.value.split(',').map(v => v.trim()).filter(Boolean);
+      else values[def.field] = input.value.trim();
+    });
+    if (!values.name) values.name = `Server ${values.address}:${values.port}`;
+    return values;
+  }
+
+  function showServerFormErrors(errors) {
+    serverForm.querySelectorAll('[data-field]').forEach(input => {
+      const messages = errors.filter(e => e.field === input.dataset.field).map(e => e.message);
+      input.classList.toggle('invalid', messages.length > 0);
+      serverForm.querySelector(`[data-error-for="${input.dataset.field}"]`).textContent = messages.join(' ');
+    });
+    // Errors on fields the form doesn't show still need to be visible
+    const shown = new Set(serverFormFields(editingServer).map(def => def.field));
+    serverFormError.textContent = errors.filter(e => !shown.has(e.field)).map(e => e.message).join(' ');
+  }
+
+  function validateServerForm() {
+    if (!editingServer) return [];
+    const errors = ShareLinks.validateServer({ ...editingServer, ...readServerForm() });
+    showServerFormErrors(errors);
+    serverSaveButton.disabled = errors.length > 0;
+    return errors;
+  }
+
+  serverSaveButton.addEventListener('click', async () => {
+    if (!editingServer || validateServerForm().length > 0) return;
+    const isConnectedServer = editingServer.id === state.activeServerId && isConnected();
+    serverSaveButton.disabled = true;
+    serverSaveButton.textContent = isConnectedServer ? 'Reconnecting...' : 'Saving...';
+    try {
+      const values = readServerForm();
+      const meta = {};
+      SERVER_META_FIELDS.forEach(field => {
+        meta[field] = values[field];
+        delete values[field];
+      });
+      const metaResult = await window.api.setServerMeta(editingServer.id, meta);
+      if (!metaResult.success) {
+        serverFormError.textContent = metaResult.message;
+        return;
+      }
+      // Only a change to the link fields goes through updateServer, which may reconnect
+      const linkChanged = Object.keys(values).some(field => JSON.stringify(values[field]) !== JSON.stringify(editingServer[field] ?? ''));
+      const result = linkChanged ? await window.api.updateServer(editingServer.id, values) : { success: true };
+      if (result.success) {
+        closeServerForm();
+        showNotification(result.reconnected ? 'Server updated, reconnected.' : 'Server updated.', 'success');
+      } else {
+        showServerFormErrors(result.errors || []);
+        if (!result.errors) serverFormError.textContent = result.message;
+      }
+    } catch (error) {
+      serverFormError.textContent = error.message;
+    } finally {
+      serverSaveButton.disabled = false;
+      serverSaveButton.textContent = 'Save';
+    }
+  });
+
+  document.getElementById('server-cancel-button').addEventListener('click', closeServerForm);
+  document.getElementById('close-server-modal').addEventListener('click', closeServerForm);
+
+  // --- SHARE SERVER ---
+
+  const shareModal = document.getElementById('share-modal');
+  const shareWarning = document.getElementById('share-warning');
+  const shareContent = document.getElementById('share-content');
+  const shareQr = document.getElementById('share-qr');
+  const shareLink = document.getElementById('share-link');
+  const shareError = document.getElementById('share-error');
+  let shareServerId = null;
+
+  // Credentials stay hidden until the user confirms the warning
+  function openShareModal(serverId) {
+    const server = state.servers.find(s => s.id === serverId);
+    shareServerId = serverId;
+    document.getElementById('share-modal-title').textContent = server ? `Share ${server.name}` : 'Share Server';
+    shareWarning.style.display = '';
+    shareContent.style.display = 'none';
+    shareError.textContent = '';
+    shareModal.style.display = 'flex';
+  }
+
+  function closeShareModal() {
+    shareModal.style.display = 'none';
+    shareQr.removeAttribute('src');
+    shareLink.textContent = '';
+    shareServerId = null;
+  }
+
+  document.getElementById('share-reveal-button').addEventListener('click', async () => {
+    const result = await window.api.getShareLink(shareServerId);
+    if (!result.success) {
+      shareError.textContent = result.message;
+      return;
+    }
+    shareQr.src = result.qrDataUrl;
+    shareLink.textContent = result.link;
+    shareWarning.style.display = 'none';
+    shareContent.style.display = '';
+  });
+
+  document.getElementById('share-copy-button').addEventListener('click', () => {
+    navigator.clipboard.writeText(shareLink.textContent)
+      .then(() => showNotification('Link copied.', 'success'))
+      .catch(() => { shareError.textContent = 'Could not copy to the clipboard.'; });
+  });
+
+  document.getElementById('share-save-button').addEventListener('click', async () => {
+    const result = await window.api.saveShareQr(shareServerId);
+    if (!result.success && !result.canceled) shareError.textContent = result.message;
+  });
+
+  document.getElementById('close-share-modal').addEventListener('click', closeShareModal);
+
+  // --- LOGS ---
+
+  const MAX_LOG_LINES = 500;
+  const logView = document.getElementById('log-view');
+  const logLevelSelect = document.getElementById('log-level-select');
+  const logSourceSelect = document.getElementById('log-source-select');
+  const logSearchInput = document.getElementById('log-search-input');
+  let lastLogId = 0;
+
+  function appendLogEntries(entries) {
+    const atBottom = logView.scrollTop + logView.clientHeight >= logView.scrollHeight - 4;
+    entries.forEach(entry => {
+      const line = document.createElement('div');
+      line.className = `log-entry level-${entry.level}`;
+      const time = document.createElement('span');
+      time.className = 'log-time';
+      time.textContent = `${new Date(entry.at).toLocaleTimeString()} `;
+      line.appendChild(time);
+      line.appendChild(document.createTextNode(`[${entry.source}] ${entry.message}`));
+      logView.appendChild(line);
+      lastLogId = entry.id;
+    });
+    while (logView.children.length > MAX_LOG_LINES) logView.removeChild(logView.firstChild);
+    if (atBottom) logView.scrollTop = logView.scrollHeight;
+  }
+
+  // Incremental fetch; pass reset to reload everything after a filter change
+  async function loadLogs(reset = false) {
+    if (reset) {
+      logView.innerHTML = '';
+      lastLogId = 0;
+    }
+    const entries = await window.api.getLogs({
+      level: logLevelSelect.value,
+      source: logSourceSelect.value || undefined,
+      search: logSearchInput.value.trim() || undefined,
+      sinceId: lastLogId || undefined,
+      limit: MAX_LOG_LINES,
+    });
+    appendLogEntries(entries);
+  }
+
+  // Only poll while the Logs tab is open
+  setInterval(() => {
+    if (document.getElementById('logs').classList.contains('active')) loadLogs();
+  }, 1000);
+
+  logLevelSelect.addEventListener('change', () => loadLogs(true));
+  logSourceSelect.addEventListener('change', () => loadLogs(true));
+  logSearchInput.addEventListener('input', () => loadLogs(true));
+
+  document.getElementById('clear-logs-button').addEventListener('click', async () => {
+    await window.api.clearLogs();
+    loadLogs(true);
+  });
+
+  document.getElementById('export-diagnostics-button').addEventListener('click', async () => {
+    const result = await window.api.exportDiagnostics();
+    if (result.success) {
+      showNotification(`Diagnostics saved to ${result.filePath}`, 'success');
+    } else if (!result.canceled) {
+      console.error('Diagnostics export failed:', result.message); // Ends up in the log view
+      showNotification(`Export failed: ${result.message}`, 'error');
+    }
+  });
+
+  // --- DIAGNOSTICS ---
+
+  const configModal = document.getElementById('config-modal');
+  const configModalTitle = document.getElementById('config-modal-title');
+  const generatedConfig = document.getElementById('generated-config');
+
+  document.getElementById('view-config-button').addEventListener('click', async () => {
+    configModalTitle.textContent = 'Generated Core Config';
+    generatedConfig.textContent = 'Loading...';
+    configModal.style.display = 'flex';
+    try {
+      const diagnostics = await window.api.getDiagnostics();
+      const generated = diagnostics && diagnostics.generatedConfig;
+      if (!generated) {
+        generatedConfig.textContent = 'No generated config available.';
+      } else {
+        generatedConfig.textContent = generated.error ? `Cannot build config: ${generated.error}` : generated.text;
+      }
+    } catch (error) {
+      generatedConfig.textContent = `Failed to load diagnostics: ${error.message}`;
+    }
+  });
+
+  // Same modal, showing the firewall rules the kill switch would apply (nothing is applied here)
+  document.getElementById('view-kill-switch-button').addEventListener('click', async () => {
+    configModalTitle.textContent = 'Kill Switch Rules';
+    generatedConfig.textContent = 'Loading...';
+    configModal.style.display = 'flex';
+    const result = await window.api.previewKillSwitch();
+    generatedConfig.textContent = result.success ? result.ruleset : `Cannot build rules: ${result.message}`;
+  });
+
+  document.getElementById('copy-config-button').addEventListener('click', () => {
+    navigator.clipboard.writeText(generatedConfig.textContent)
+      .then(() => showNotification('Copied to clipboard.', 'success'))
+      .catch(() => showNotification('Could not copy config.', 'error'));
+  });
+
+  document.getElementById('close-config-modal').addEventListener('click', () => {
+    configModal.style.display = 'none';
+  });
+
+  // --- CONTROL API ---
+
+  const apiModal = document.getElementById('api-modal');
+  const apiEnabledToggle = document.getElementById('api-enabled-toggle');
+  const apiPortInput = document.getElementById('api-port-input');
+  const apiToken = document.getElementById('api-token');
+  const apiInfo = document.getElementById('api-info');
+  const apiError = document.getElementById('api-error');
+
+  function renderControlApi(api) {
+    apiEnabledToggle.checked = api.enabled;
+    apiPortInput.value = api.port;
+    apiToken.textContent = api.token || 'Not generated yet';
+    document.getElementById('api-copy-button').disabled = !api.token;
+    apiInfo.innerHTML = api.running
+      ? `Listening on ${escapeHtml(api.url)}<br>curl -H "Authorization: Bearer $TOKEN" ${escapeHtml(api.url)}/status`
+      : 'Not running.';
+    apiError.textContent = api.error || '';
+  }
+
+  async function saveControlApi(changes) {
+    apiError.textContent = '';
+    try {
+      const result = await window.api.setControlApi(changes);
+      if (result.api) renderControlApi(result.api);
+      if (!result.success && !result.canceled) apiError.textContent = result.message;
+    } catch (error) {
+      apiError.textContent = error.message;
+    }
+  }
+
+  document.getElementById('control-api-button').addEventListener('click', async () => {
+    try {
+      renderControlApi(await window.api.getControlApi());
+      apiModal.style.display = 'flex';
+    } catch (error) {
+      console.error('Failed to get control API settings:', error);
+    }
+  });
+
+  apiEnabledToggle.addEventListener('change', () => saveControlApi({ enabled: apiEnabledToggle.checked }));
+  apiPortInput.addEventListener('change', () => {
+    const port = Number(apiPortInput.value);
+    if (Number.isInteger(port)) saveControlApi({ port });
+    else apiError.textContent = 'Enter a port from 1 to 65535.';
+  });
+
+  // The main process asks before replacing a token scripts may be using
+  document.getElementById('api-regenerate-button').addEventListener('click', () => saveControlApi({ regenerateToken: true }));
+
+  document.getElementById('api-copy-button').addEventListener('click', () => {
+    navigator.clipboard.writeText(apiToken.textContent)
+      .then(() => showNotification('Token copied.', 'success'))
+      .catch(() => { apiError.textContent = 'Could not copy to the clipboard.'; });
+  });
+
+  document.getElementById('close-api-modal').addEventListener('click', () => {
+    apiModal.style.display = 'none';
+  });
+
+  // --- EXIT IP & LOCATION ---
+
+  const locationModal = document.getElementById('location-modal');
+  const locationProvidersInput = document.getElementById('location-providers-input');
+  const locationTimeoutInput = document.getElementById('location-timeout-input');
+  const locationExitIp = document.getElementById('location-exit-ip');
+  const locationError = document.getElementById('location-error');
+
+  function showLocationErrors(errors = []) {
+    locationModal.querySelectorAll('.field-error').forEach(el => {
+      const error = errors.find(e => e.field === el.dataset.errorFor);
+      el.textContent = error ? error.message : '';
+    });
+  }
+
+  // The last answer, and which services failed before it
+  function renderExitIp(result) {
+    if (!result) {
+      locationExitIp.textContent = 'Not checked yet.';
+      return;
+    }
+    const lines = [`${escapeHtml(formatExitIp(result))}${result.success && !result.viaTunnel ? ' (not connected: your own address)' : ''}`];
+    if (result.provider) lines.push(`Answered by ${escapeHtml(result.provider)}`);
+    (result.attempts || []).filter(attempt => attempt.error).forEach(attempt => {
+      lines.push(`<span class="proxy-warning">${escapeHtml(attempt.provider)}: ${escapeHtml(attempt.error)}</span>`);
+    });
+    if (!result.success && result.message) lines.push(`<span class="proxy-warning">${escapeHtml(result.message)}</span>`);
+    locationExitIp.innerHTML = lines.join('<br>');
+  }
+
+  function renderLocation(location) {
+    document.getElementById('location-presets').textContent = location.presets.join(', ');
+    locationProvidersInput.value = location.providers.join('\n');
+    locationTimeoutInput.value = location.timeoutMs;
+    const { database } = location;
+    document.getElementById('location-database').textContent = database.loaded
+      ? `${database.filePath} (${database.databaseType}, ${database.buildDate})`
+      : 'None';
+    document.getElementById('location-remove-database-button').disabled = !database.loaded && !database.error;
+    locationError.textContent = database.error || '';
+    renderExitIp(location.exitIp);
+  }
+
+  async function runLocationAction(action) {
+    locationError.textContent = '';
+    try {
+      const result = await action();
+      if (result.location) renderLocation(result.location);
+      if (!result.success && !result.canceled) locationError.textContent = result.message;
+    } catch (error) {
+      locationError.textContent = error.message;
+    }
+  }
+
+  document.getElementById('location-button').addEventListener('click', async () => {
+    try {
+      renderLocation(await window.api.getLocation());
+      showLocationErrors();
+      locationModal.style.display = 'flex';
+    } catch (error) {
+      console.error('Failed to get location settings:', error);
+    }
+  });
+
+  document.getElementById('location-save-button').addEventListener('click', async () => {
+    const timeoutMs = Number(locationTimeoutInput.value);
+    if (!Number.isInteger(timeoutMs)) {
+      showLocationErrors([{ field: 'timeoutMs', message: 'Enter a whole number of milliseconds.' }]);
+      return;
+    }
+    const providers = locationProvidersInput.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const result = await window.api.setExitIp({ providers, timeoutMs }).catch(error => ({ success: false, message: error.message }));
+    showLocationErrors(result.errors);
+    if (result.success) renderLocation(result.location);
+    else if (!result.errors) locationError.textContent = result.message;
+  });
+
+  document.getElementById('location-check-button').addEventListener('click', async (event) => {
+    event.target.disabled = true;
+    locationExitIp.textContent = 'Checking...';
+    try {
+      renderExitIp(await window.api.checkExitIp());
+    } catch (error) {
+      locationError.textContent = error.message;
+    } finally {
+      event.target.disabled = false;
+    }
+  });
+
+  document.getElementById('location-database-button').addEventListener('click', () => runLocationAction(() => window.api.chooseGeoIpDatabase()));
+  document.getElementById('location-remove-database-button').addEventListener('click', () => runLocationAction(() => window.api.removeGeoIpDatabase()));
+
+  document.getElementById('close-location-modal').addEventListener('click', () => {
+    locationModal.style.display = 'none';
+  });
+
+  // --- LEAK TEST ---
+
+  const leakTestButton = document.getElementById('leak-test-button');
+  const leakTestError = document.getElementById('leak-test-error');
+
+  // "candidate:<foundation> <component> <protocol> <priority> <address> <port> typ <type> ..."
+  function parseCandidate(line) {
+    const parts = line.replace(/^a=/, '').split(' ');
+    const typeIndex = parts.indexOf('typ');
+    if (parts.length < 8 || typeIndex < 0) return null;
+    return { protocol: parts[2].toLowerCase(), address: parts[4], type: parts[typeIndex + 1] };
+  }
+
+  // ICE candidates are what a web page could learn about this machine's addresses
+  async function gatherIceCandidates(stunServers, timeoutMs) {
+    if (typeof RTCPeerConnection === 'undefined') return { error: 'RTCPeerConnection is not available' };
+    const peer = new RTCPeerConnection({ iceServers: stunServers.map(urls => ({ urls })) });
+    const candidates = [];
+    try {
+      const done = new Promise(resolve => {
+        const timer = setTimeout(resolve, timeoutMs);
+        peer.onicecandidate = (event) => {
+          if (!event.candidate) {
+            clearTimeout(timer);
+            resolve();
+            return;
+          }
+          const candidate = parseCandidate(event.candidate.candidate);
+          if (candidate) candidates.push(candidate);
+        };
+      });
+      peer.createDataChannel('leak-test');
+      await peer.setLocalDescription(await peer.createOffer());
+      await done;
+      return { candidates };
+    } catch (error) {
+      return { error: error.message };
+    } finally {
+      peer.close();
+    }
+  }
+
+  function renderLeakTestReport(report) {
+    const checks = report.checks.map(check => `
+      <div class="leak-check ${check.status}">
+        <span class="leak-check-status">${check.status}</span> <strong>${escapeHtml(check.label)}</strong>: ${escapeHtml(check.summary)}
+        ${check.details.map(detail => `<div class="leak-check-details">${escapeHtml(detail)}</div>`).join('')}
+      </div>`);
+    const verdict = report.passed
+      ? '<div class="leak-test-verdict pass">No leaks found.</div>'
+      : '<div class="leak-test-verdict fail">Leaks found; see the failed checks.</div>';
+    leakTestReport.innerHTML = verdict + checks.join('');
+  }
+
+  leakTestButton.addEventListener('click', async () => {
+    leakTestButton.disabled = true;
+    leakTestButton.textContent = 'Testing...';
+    leakTestError.textContent = '';
+    leakTestReport.innerHTML = '';
+    try {
+      const settings = await window.api.getLeakTestSettings();
+      const webrtc = await gatherIceCandidates(settings.stunServers, settings.timeoutMs);
+      const result = await window.api.runLeakTest(webrtc);
+      if (result.success) renderLeakTestReport(result.report);
+      else leakTestError.textContent = result.message;
+    } catch (error) {
+      leakTestError.textContent = error.message;
+    } finally {
+      leakTestButton.disabled = false;
+      leakTestButton.textContent = 'Run Leak Test';
+    }
+  });
+
+  // --- SAVED SERVERS ENCRYPTION ---
+
+  const storeModal = document.getElementById('store-modal');
+  const storeHint = document.getElementById('store-hint');
+  const storePassphraseInput = document.getElementById('store-passphrase-input');
+  const storePassphraseConfirm = document.getElementById('store-passphrase-confirm');
+  const storeError = document.getElementById('store-error');
+  const storeConfirmButton = document.getElementById('store-confirm-button');
+  // 'unlock' (passphrase-sealed store), 'recover' (unreadable store) or 'set' (no keychain)
+  let storeMode = null;
+
+  function setVisible(element, visible) {
+    element.style.display = visible ? '' : 'none';
+  }
+
+  /**
+   * Shows what to do when saved servers are locked or can't be encrypted,
+   * instead of silently presenting an empty list.
+   */
+  function renderStoreStatus(status) {
+    storeError.textContent = '';
+    storePassphraseInput.value = '';
+    storePassphraseConfirm.value = '';
+
+    if (status.state === 'locked') {
+      const needsPassphrase = status.keySource === 'passphrase' && status.code !== 'damaged';
+      storeMode = needsPassphrase ? 'unlock' : 'recover';
+      document.getElementById('store-modal-title').textContent = 'Saved Servers Locked';
+      storeHint.textContent = needsPassphrase
+        ? 'Your saved servers are encrypted with a passphrase.'
+        : `${status.message} You can try again after unlocking the keychain, restore a backup or start with an empty list. The unreadable file is kept.`;
+      if (status.code === 'passphrase') storeError.textContent = status.message;
+      storeConfirmButton.textContent = needsPassphrase ? 'Unlock' : 'Try Again';
+    } else if (status.state === 'unencrypted' && !status.keychainAvailable) {
+      storeMode = 'set';
+      document.getElementById('store-modal-title').textContent = 'Protect Saved Servers';
+      storeHint.textContent = 'No system keychain is available, so your saved servers are stored unencrypted. Choose a passphrase to encrypt them; you will enter it when the app starts.';
+      storeConfirmButton.textContent = 'Encrypt';
+    } else {
+      storeMode = null;
+      storeModal.style.display = 'none';
+      return;
+    }
+
+    setVisible(storePassphraseInput, storeMode !== 'recover');
+    setVisible(storePassphraseConfirm, storeMode === 'set');
+    setVisible(document.getElementById('store-restore-button'), storeMode !== 'set');
+    setVisible(document.getElementById('store-reset-button'), storeMode !== 'set');
+    setVisible(document.getElementById('store-later-button'), storeMode === 'set');
+    storeModal.style.display = 'flex';
+    if (storeMode !== 'recover') storePassphraseInput.focus();
+  }
+
+  async function checkStoreStatus() {
+    try {
+      renderStoreStatus(await window.api.getStoreStatus());
+    } catch (error) {
+      console.error('Error reading store status:', error);
+    }
+  }
+
+  storeConfirmButton.addEventListener('click', async () => {
+    storeError.textContent = '';
+    let result;
+    if (storeMode === 'set') {
+      if (!storePassphraseInput.value || storePassphraseInput.value !== storePassphraseConfirm.value) {
+        storeError.textContent = storePassphraseInput.value ? 'Passphrases do not match.' : 'Enter a passphrase.';
+        return;
+      }
+      result = await window.api.setStorePassphrase(storePassphraseInput.value);
+    } else {
+      storeConfirmButton.disabled = true;
+      result = await window.api.unlockStore(storePassphraseInput.value);
+      storeConfirmButton.disabled = false;
+    }
+    if (result.status) renderStoreStatus(result.status);
+    if (!result.success && result.message) storeError.textContent = result.message;
+    if (result.success) await loadInitialData();
+  });
+
+  storePassphraseInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && storeMode === 'unlock') storeConfirmButton.click();
+  });
+
+  async function resetStore() {
+    const result = await window.api.resetStore();
+    if (!result.success) return false;
+    renderStoreStatus(result.status);
+    await loadInitialData();
+    return true;
+  }
+
+  document.getElementById('store-reset-button').addEventListener('click', resetStore);
+  document.getElementById('store-restore-button').addEventListener('click', async () => {
+    if (!(await resetStore())) return;
+    // A passphrase prompt for the new store can wait until the backup is in
+    storeModal.style.display = 'none';
+    await restoreBackup();
+  });
+  document.getElementById('store-later-button').addEventListener('click', () => {
+    storeModal.style.display = 'none';
+  });
+
   // --- KICKSTART ---
+  checkStoreStatus();
   loadInitialData();
+  loadFailoverConfig();
+  loadRoutingRules();
 });
@@ -0,0 +1,197 @@
+/*
+  StealthLynk VPN Client - Routing Rules
+  Ordered split-tunneling rules (first match wins) and their compilation into
+  the core's routing section. Traffic that matches no rule goes through the proxy.
+*/
+
+const { v4: uuidv4 } = require('uuid');
+
+const RULE_TYPES = ['domain', 'keyword', 'cidr', 'geosite', 'geoip', 'port'];
+const RULE_ACTIONS = ['proxy', 'direct', 'block'];
+
+const CIDR_V4_PATTERN = /^(\d{1,3})(?:\.(\d{1,3})){3}(?:\/(\d{1,2}))?$/;
+const CIDR_V6_PATTERN = /^[0-9a-f:]+(?:\/(\d{1,3}))?$/i;
+const DOMAIN_PATTERN = /^(?:[a-z0-9-]+\.)*[a-z0-9-]+$/i;
+const CATEGORY_PATTERN = /^[a-z0-9!@-]+$/i;
+const PORT_PATTERN = /^\d{1,5}(?:-\d{1,5})?$/;
+
+/**
+ * Built-in presets. Each one returns fresh rules so applying it twice never shares ids.
+ */
+const PRESETS = {
+  'bypass-lan': {
+    name: 'Bypass LAN and private ranges',
+    build: () => [
+      createRule({ type: 'geoip', value: 'private', action: 'direct' }),
+      createRule({ type: 'domain', value: 'local', action: 'direct' }),
+      createRule({ type: 'domain', value: 'lan', action: 'direct' }),
+    ],
+  },
+  'bypass-country': {
+    name: 'Bypass local country',
+    requiresCountry: true,
+    build: ({ countryCode }) => {
+      const code = String(countryCode || '').toLowerCase();
+      if (!/^[a-z]{2}$/.test(code)) throw new Error('A two-letter country code is required for this preset.');
+      return [
+        createRule({ type: 'domain', value: code, action: 'direct' }),
+        createRule({ type: 'geoip', value: code, action: 'direct' }),
+      ];
+    },
+  },
+  'block-ads': {
+    name: 'Block ads',
+    build: () => [
+      createRule({ type: 'geosite', value: 'category-ads-all', action: 'block' }),
+    ],
+  },
+};
+
+function createRule({ type = 'domain', value = '', action = 'direct', enabled = true } = {}) {
+  return { id: uuidv4(), type, value: String(value).trim(), action, enabled };
+}
+
+function isValidCidr(value) {
+  const v4 = CIDR_V4_PATTERN.exec(value);
+  if (v4) {
+    const octetsValid = value.split('/')[0].split('.').every(octet => Number(octet) <= 255);
+    return octetsValid && (v4[3] === undefined || Number(v4[3]) <= 32);
+  }
+  const v6 = CIDR_V6_PATTERN.exec(value);
+  return Boolean(v6) && value.includes(':') && (v6[1] === undefined || Number(v6[1]) <= 128);
+}
+
+function isValidPortRange(value) {
+  if (!PORT_PATTERN.test(value)) return false;
+  const [from, to = from] = value.split('-').map(Number);
+  return from >= 1 && to <= 65535 && from <= to;
+}
+
+/**
+ * Returns field-level errors for one rule, in the same { field, message } shape as server validation.
+ */
+function validateRule(rule) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+  const value = String(rule.value || '').trim();
+
+  if (!RULE_TYPES.includes(rule.type)) add('type', `Unknown rule type "${rule.type}".`);
+  if (!RULE_ACTIONS.includes(rule.action)) add('action', `Unknown action "${rule.action}".`);
+  if (!value) {
+    add('value', 'Rule value is required.');
+    return errors;
+  }
+
+  switch (rule.type) {
+    case 'domain':
+      if (!DOMAIN_PATTERN.test(value)) add('value', `"${value}" is not a valid domain suffix.`);
+      break;
+    case 'keyword':
+      if (/\s/.test(value)) add('value', 'Keywords cannot contain spaces.');
+      break;
+    case 'cidr':
+      if (!isValidCidr(value)) add('value', `"${value}" is not a valid IP address or CIDR range.`);
+      break;
+    case 'geosite':
+    case 'geoip':
+      if (!CATEGORY_PATTERN.test(value)) add('value', `"${value}" is not a valid ${rule.type} category.`);
+      break;
+    case 'port':
+      if (!isValidPortRange(value)) add('value', `"${value}" is not a valid port or port range.`);
+      break;
+    default:
+      break;
+  }
+  return errors;
+}
+
+/**
+ * Validates a whole rule list. Returns { rules, errors } where rules are normalized
+ * copies and errors carry the index of the offending rule.
+ */
+function normalizeRules(rules) {
+  const normalized = [];
+  const errors = [];
+  (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+    const copy = {
+      id: rule.id || uuidv4(),
+      type: rule.type,
+      value: String(rule.value || '').trim(),
+      action: rule.action,
+      enabled: rule.enabled !== false,
+    };
+    validateRule(copy).forEach(error => errors.push({ index, ...error }));
+    normalized.push(copy);
+  });
+  return { rules: normalized, errors };
+}
+
+function compileRule(rule, outboundTags) {
+  const compiled = { type: 'field' };
+  switch (rule.type) {
+    case 'domain':
+      compiled.domain = [`domain:${rule.value.toLowerCase()}`];
+      break;
+    case 'keyword':
+      compiled.domain = [`keyword:${rule.value}`];
+      break;
+    case 'geosite':
+      compiled.domain = [`geosite:${rule.value.toLowerCase()}`];
+      break;
+    case 'cidr':
+      compiled.ip = [rule.value];
+      break;
+    case 'geoip':
+      compiled.ip = [`geoip:${rule.value.toLowerCase()}`];
+      break;
+    case 'port':
+      compiled.port = rule.value;
+      break;
+    default:
+      return null;
+  }
+  compiled.outboundTag = outboundTags[rule.action];
+  return compiled;
+}
+
+/**
+ * Compiles enabled, valid rules into core routing rules, keeping their order.
+ * @param {Array} rules User rules.
+ * @param {object} outboundTags Map of action -> outbound tag.
+ */
+function compileRules(rules, outboundTags) {
+  return (Array.isArray(rules) ? rules : [])
+    .filter(rule => rule.enabled !== false && validateRule(rule).length === 0)
+    .map(rule => compileRule(rule, outboundTags))
+    .filter(Boolean);
+}
+
+function listPresets() {
+  return Object.entries(PRESETS).map(([id, preset]) => ({
+    id,
+    name: preset.name,
+    requiresCountry: Boolean(preset.requiresCountry),
+  }));
+}
+
+/**
+ * Appends a preset's rules to an existing list, skipping rules that are already present.
+ */
+function applyPreset(rules, presetId, options = {}) {
+  const preset = PRESETS[presetId];
+  if (!preset) throw new Error(`Unknown routing preset "${presetId}".`);
+  const existing = new Set(rules.map(rule => `${rule.type}|${rule.value}|${rule.action}`));
+  const additions = preset.build(options).filter(rule => !existing.has(`${rule.type}|${rule.value}|${rule.action}`));
+  return rules.concat(additions);
+}
+
+module.exports = {
+  RULE_TYPES,
+  RULE_ACTIONS,
+  createRule,
+  validateRule,
+  normalizeRules,
+  compileRules,
+  listPresets,
+  applyPreset,
+};
@@ -0,0 +1,290 @@
+/*
+  StealthLynk VPN Client - Server Store
+  Owns the persisted servers data ({ servers, activeServer, subscriptions }) and
+  emits a 'change' event with a fresh snapshot whenever it is modified.
+  With a StoreCipher the file is encrypted at rest; a store that cannot be
+  decrypted stays locked (and is never overwritten) until it is unlocked or reset.
+  The app and the CLI share the file: changes written by the other process are
+  reloaded before every modification, and watch() picks them up in between.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { StoreLockedError, isEnvelope } = require('./storeCrypto');
+
+const WATCH_INTERVAL_MS = 2000;
+
+// Identifies one version of the file; save() renames a new file into place, so the inode changes too
+function fileStamp(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function emptyData() {
+  return {
+    servers: [],
+    activeServer: null,
+    subscriptions: [],
+    settings: {},
+  };
+}
+
+class ServerStore extends EventEmitter {
+  /**
+   * @param {string} filePath Location of the JSON file, usually inside app.getPath('userData').
+   * @param {object} [options]
+   * @param {import('./storeCrypto').StoreCipher} [options.cipher] Encrypts the file at rest when given.
+   */
+  constructor(filePath, { cipher = null } = {}) {
+    super();
+    this.filePath = filePath;
+    this.cipher = cipher;
+    this.data = emptyData();
+    this.envelope = null; // Parsed encrypted file, kept while locked so it can be unlocked later
+    this.lockError = null; // StoreLockedError while the file on disk could not be read
+    this.plaintext = false; // Encryption wanted but no key yet (no keychain, no passphrase)
+    this.stamp = null; // fileStamp() of the file as last read or written
+    this.watchTimer = null;
+  }
+
+  load() {
+    this.lockError = null;
+    this.envelope = null;
+    let legacyPlaintext = false;
+    this.stamp = fileStamp(this.filePath);
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (isEnvelope(parsed)) {
+          this.envelope = parsed;
+          if (!this.cipher) throw new StoreLockedError('Your saved servers are encrypted.', 'key-unavailable');
+          this.data = { ...emptyData(), ...JSON.parse(this.cipher.open(parsed)) };
+        } else {
+          this.data = { ...emptyData(), ...parsed };
+          legacyPlaintext = true;
+        }
+      }
+    } catch (error) {
+      console.error('[ServerStore] Failed to load servers data:', error);
+      // Keep the file untouched: an empty list saved over it would lose every server
+      this.lockError = error instanceof StoreLockedError
+        ? error
+        : new StoreLockedError('Your saved servers file is damaged and cannot be read.', 'damaged');
+      this.data = emptyData();
+    }
+
+    // Stores written before encryption are sealed on first load
+    if (legacyPlaintext && this.cipher) this.save();
+    return this.snapshot();
+  }
+
+  save() {
+    if (this.lockError) throw new StoreLockedError('Saved servers are locked. Unlock them first.', this.lockError.code);
+    let text = JSON.stringify(this.data, null, 2);
+    this.plaintext = false;
+    if (this.cipher) {
+      try {
+        text = this.cipher.seal(text);
+        this.envelope = JSON.parse(text);
+      } catch (error) {
+        if (!(error instanceof StoreLockedError)) throw error;
+        // No keychain and no passphrase yet: keep working unencrypted until one is chosen
+        this.plaintext = true;
+      }
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file first so a crash mid-write never truncates the store
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, text, { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.stamp = fileStamp(this.filePath);
+  }
+
+  /**
+   * Reloads the file when another process (the CLI, or the app for the CLI) wrote it
+   * since it was last read or written here, and emits 'reload' with the new snapshot.
+   * Returns whether it reloaded.
+   */
+  reloadIfChanged() {
+    if (this.lockError) return false;
+    const stamp = fileStamp(this.filePath);
+    if (stamp === null || stamp === this.stamp) return false;
+    this.load();
+    this.emit('reload', this.snapshot());
+    return true;
+  }
+
+  /**
+   * Polls the file for changes written by another process and emits 'change' when
+   * they were reloaded. Polling survives the file being replaced on every save.
+   */
+  watch(interval = WATCH_INTERVAL_MS) {
+    if (this.watchTimer) return;
+    this.watchTimer = setInterval(() => {
+      if (this.reloadIfChanged()) this.emit('change', this.snapshot());
+    }, interval);
+    this.watchTimer.unref();
+  }
+
+  unwatch() {
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+  }
+
+  /**
+   * Encryption state for the UI.
+   * state: 'locked' (with code and message), 'unencrypted' or 'encrypted' (with keySource).
+   */
+  getEncryptionStatus() {
+    if (this.lockError) {
+      return { state: 'locked', code: this.lockError.code, message: this.lockError.message, keySource: this.envelope ? this.envelope.keySource : null };
+    }
+    if (!this.cipher || this.plaintext) {
+      return { state: 'unencrypted', keychainAvailable: Boolean(this.cipher && this.cipher.keychainAvailable()) };
+    }
+    return { state: 'encrypted', keySource: this.cipher.keySource };
+  }
+
+  /**
+   * Retries opening a locked store, with the passphrase when it was sealed with one.
+   */
+  unlock(passphrase) {
+    if (!this.lockError) return this.getEncryptionStatus();
+    if (this.envelope && this.envelope.keySource === 'passphrase') {
+      this.cipher.unlock(passphrase, this.envelope);
+    }
+    this.load();
+    if (!this.lockError) this.emit('change', this.snapshot());
+    return this.getEncryptionStatus();
+  }
+
+  /**
+   * Encrypts the store with a passphrase from now on (used when there is no keychain).
+   */
+  setPassphrase(passphrase) {
+    this.cipher.setPassphrase(passphrase);
+    this.save();
+    return this.getEncryptionStatus();
+  }
+
+  /**
+   * Moves an unreadable store file aside and starts with an empty one.
+   * Returns the path the old file was moved to.
+   */
+  resetUnreadable() {
+    const movedTo = `${this.filePath}.unreadable-${Date.now()}`;
+    if (fs.existsSync(this.filePath)) fs.renameSync(this.filePath, movedTo);
+    this.lockError = null;
+    this.envelope = null;
+    this.data = emptyData();
+    if (this.cipher) this.cipher.forgetKey();
+    this.save();
+    this.emit('change', this.snapshot());
+    return movedTo;
+  }
+
+  snapshot() {
+    return {
+      servers: this.data.servers.slice(),
+      activeServer: this.data.activeServer,
+      subscriptions: this.data.subscriptions.slice(),
+    };
+  }
+
+  getActiveServer() {
+    return this.getServer(this.data.activeServer);
+  }
+
+  getSettings() {
+    return { ...this.data.settings };
+  }
+
+  /**
+   * Merges changes into the stored user settings (ports, DNS, routing, ...).
+   */
+  updateSettings(changes) {
+    return this.update(data => {
+      data.settings = { ...data.settings, ...changes };
+      return { ...data.settings };
+    });
+  }
+
+  getServer(serverId) {
+    return this.data.servers.find(s => s.id === serverId) || null;
+  }
+
+  /**
+   * Applies several modifications as one change: the mutator receives the live data
+   * object, then the store is saved once and a single 'change' event is emitted.
+   * The data is reloaded first if another process changed the file, so its changes
+   * are not saved over.
+   */
+  update(mutator) {
+    this.reloadIfChanged();
+    const result = mutator(this.data);
+    this.save();
+    this.emit('change', this.snapshot());
+    return result;
+  }
+
+  addServer(server) {
+    return this.update(data => {
+      const stored = { ...server, id: server.id || uuidv4(), addedAt: server.addedAt || Date.now() };
+      data.servers.push(stored);
+      return stored;
+    });
+  }
+
+  /**
+   * Replaces the fields of a stored server, keeping its id and position in the list.
+   * Returns the updated server, or null when there is no such server.
+   */
+  updateServer(serverId, changes) {
+    return this.update(data => {
+      const index = data.servers.findIndex(s => s.id === serverId);
+      if (index === -1) return null;
+      data.servers[index] = { ...data.servers[index], ...changes, id: serverId };
+      return data.servers[index];
+    });
+  }
+
+  /**
+   * Puts servers in the user's manual order. Servers missing from `serverIds`
+   * keep their relative order after the listed ones.
+   */
+  reorderServers(serverIds) {
+    return this.update(data => {
+      const rank = new Map(serverIds.map((id, index) => [id, index]));
+      const listed = data.servers.filter(s => rank.has(s.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+      data.servers = listed.concat(data.servers.filter(s => !rank.has(s.id)));
+      return data.servers.map(s => s.id);
+    });
+  }
+
+  deleteServer(serverId) {
+    return this.update(data => {
+      const before = data.servers.length;
+      data.servers = data.servers.filter(s => s.id !== serverId);
+      if (data.activeServer === serverId) data.activeServer = null;
+      return data.servers.length !== before;
+    });
+  }
+
+  setActiveServer(serverId) {
+    return this.update(data => {
+      data.activeServer = serverId;
+      return serverId;
+    });
+  }
+}
+
+module.exports = {
+  ServerStore,
+  newServerId: uuidv4,
+};
@@ -0,0 +1,611 @@
+/*
+  StealthLynk VPN Client - Share Link Import
+  Detects the scheme of a provider share link and parses it into the common
+  server object shape used by the main process and the renderer, and builds
+  canonical links back from stored servers.
+  Loaded with require() in the main process and as a plain <script> in the renderer.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ShareLinks = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const SUPPORTED_SCHEMES = ['vless', 'vmess', 'trojan', 'ss', 'hysteria2'];
+
+  // Aliases some providers use instead of the canonical scheme name
+  const SCHEME_ALIASES = {
+    hy2: 'hysteria2',
+  };
+
+  class ShareLinkError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'ShareLinkError';
+    }
+  }
+
+  // --- HELPERS ---
+
+  /**
+   * Decodes standard or URL-safe base64 (padding optional) into a UTF-8 string.
+   */
+  function decodeBase64(input) {
+    let normalized = String(input).trim().replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    while (normalized.length % 4 !== 0) normalized += '=';
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized)) {
+      throw new ShareLinkError('Invalid base64 payload.');
+    }
+
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(normalized, 'base64').toString('utf8');
+    }
+    const binary = atob(normalized);
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  /**
+   * Percent-decodes a link component. "+" only means a space inside query strings;
+   * elsewhere (passwords, base64 keys) it is kept literally.
+   */
+  function safeDecode(value, plusAsSpace = false) {
+    if (value === undefined || value === null) return '';
+    try {
+      return decodeURIComponent(plusAsSpace ? value.replace(/\+/g, '%20') : value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  function parseQuery(query) {
+    const params = {};
+    if (!query) return params;
+    query.split('&').forEach(pair => {
+      if (!pair) return;
+      const index = pair.indexOf('=');
+      const key = safeDecode(index === -1 ? pair : pair.slice(0, index), true);
+      const value = index === -1 ? '' : safeDecode(pair.slice(index + 1), true);
+      params[key] = value;
+    });
+    return params;
+  }
+
+  function parsePort(value, scheme) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new ShareLinkError(`Invalid port in ${scheme}:// link.`);
+    }
+    return port;
+  }
+
+  /**
+   * Splits a "host:port" authority, accepting bracketed IPv6 hosts such as "[2001:db8::1]:443".
+   */
+  function splitHostPort(hostPort, scheme) {
+    const bracketed = /^\[([0-9a-fA-F:.]+)\]:(\d+)$/.exec(hostPort);
+    if (bracketed) {
+      return { address: bracketed[1], port: parsePort(bracketed[2], scheme) };
+    }
+    const plain = /^([^:[\]]+):(\d+)$/.exec(hostPort);
+    if (plain) {
+      return { address: plain[1], port: parsePort(plain[2], scheme) };
+    }
+    throw new ShareLinkError(`Missing or invalid host:port in ${scheme}:// link.`);
+  }
+
+  /**
+   * Breaks a "scheme://userinfo@host:port/path?query#fragment" link into its parts.
+   * The userinfo is split at the last "@" so passwords containing "@" survive.
+   */
+  function splitLink(link, scheme) {
+    const match = /^[a-z0-9+.-]+:\/\/([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/i.exec(link);
+    if (!match) throw new ShareLinkError(`Malformed ${scheme}:// link.`);
+
+    const [, rest, query, fragment] = match;
+    const slashIndex = rest.indexOf('/', rest.lastIndexOf('@') + 1);
+    const authority = slashIndex === -1 ? rest : rest.slice(0, slashIndex);
+    const atIndex = authority.lastIndexOf('@');
+
+    return {
+      userinfo: atIndex === -1 ? null : authority.slice(0, atIndex),
+      hostPort: atIndex === -1 ? authority : authority.slice(atIndex + 1),
+      params: parseQuery(query),
+      name: fragment ? safeDecode(fragment) : '',
+    };
+  }
+
+  function encodeBase64(text, urlSafe = false) {
+    let encoded;
+    if (typeof Buffer !== 'undefined') {
+      encoded = Buffer.from(text, 'utf8').toString('base64');
+    } else {
+      const bytes = new TextEncoder().encode(text);
+      encoded = btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+    }
+    return urlSafe ? encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') : encoded;
+  }
+
+  function parseAlpn(value) {
+    if (!value) return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+  }
+
+  function defaultName(address, port) {
+    return `Server ${address}:${port}`;
+  }
+
+  // --- SCHEME DETECTION ---
+
+  /**
+   * Returns the canonical scheme of a share link (e.g. 'vmess'), or null if it has none.
+   */
+  function detectScheme(link) {
+    if (typeof link !== 'string') return null;
+    const match = /^([a-z0-9+.-]+):\/\//i.exec(link.trim());
+    if (!match) return null;
+    const scheme = match[1].toLowerCase();
+    return SCHEME_ALIASES[scheme] || scheme;
+  }
+
+  function isSupportedShareLink(link) {
+    return SUPPORTED_SCHEMES.includes(detectScheme(link));
+  }
+
+  // --- PARSERS ---
+
+  /**
+   * Parses a vless:// link including its full transport and TLS/REALITY parameters.
+   * Parameter names follow the Xray share link standard (pbk, sid, spx, fp, ...).
+   */
+  function parseVless(link) {
+    const { userinfo, hostPort, params, name } = splitLink(link, 'vless');
+    if (!userinfo) throw new ShareLinkError('Missing user ID in vless:// link.');
+    const { address, port } = splitHostPort(hostPort, 'vless');
+    const network = (params.type || 'tcp').toLowerCase();
+
+    return {
+      name: name || defaultName(address, port),
+      address,
+      port,
+      protocol: 'vless',
+      uuid: safeDecode(userinfo),
+      encryption: params.encryption || 'none',
+      flow: params.flow || '',
+      security: (params.security || 'none').toLowerCase(),
+      sni: params.sni || '',
+      fingerprint: params.fp || '',
+      publicKey: params.pbk || '',
+      shortId: params.sid || '',
+      spiderX: params.spx || '',
+      alpn: parseAlpn(params.alpn),
+      allowInsecure: params.allowInsecure === '1' || params.allowInsecure === 'true',
+      network,
+      headerType: params.headerType && params.headerType !== 'none' ? params.headerType : '',
+      path: params.path || '',
+      host: params.host || '',
+      serviceName: params.serviceName || '',
+      mode: params.mode || '',
+    };
+  }
+
+  /**
+   * VMess links carry a base64-encoded JSON document (the "v2rayN" format).
+   */
+  function parseVmess(link) {
+    const payload = link.trim().slice('vmess://'.length).split('#')[0];
+    let config;
+    try {
+      config = JSON.parse(decodeBase64(payload));
+    } catch (e) {
+      throw new ShareLinkError('vmess:// link does not contain a valid base64 JSON payload.');
+    }
+    if (!config || typeof config !== 'object') {
+      throw new ShareLinkError('vmess:// link does not contain a valid base64 JSON payload.');
+    }
+    if (!config.add || !config.id) {
+      throw new ShareLinkError('vmess:// link is missing its address or user ID.');
+    }
+
+    const address = String(config.add).replace(/^\[|\]$/g, '');
+    const port = parsePort(config.port, 'vmess');
+    const security = config.tls === 'tls' || config.tls === 'reality' ? config.tls : 'none';
+
+    return {
+      name: config.ps || defaultName(address, port),
+      address,
+      port,
+      protocol: 'vmess',
+      uuid: String(config.id),
+      alterId: Number(config.aid) || 0,
+      cipher: config.scy || 'auto',
+      security,
+      network: config.net || 'tcp',
+      headerType: config.type && config.type !== 'none' ? config.type : '',
+      sni: config.sni || '',
+      fingerprint: config.fp || '',
+      alpn: parseAlpn(config.alpn),
+      path: config.path || '',
+      host: config.host || '',
+      serviceName: config.net === 'grpc' ? (config.path || '') : '',
+    };
+  }
+
+  function parseTrojan(link) {
+    const { userinfo, hostPort, params, name } = splitLink(link, 'trojan');
+    if (!userinfo) throw new ShareLinkError('Missing password in trojan:// link.');
+    const { address, port } = splitHostPort(hostPort, 'trojan');
+
+    return {
+      name: name || defaultName(address, port),
+      address,
+      port,
+      protocol: 'trojan',
+      password: safeDecode(userinfo),
+      // Trojan is TLS unless the link says otherwise
+      security: (params.security || 'tls').toLowerCase(),
+      network: (params.type || 'tcp').toLowerCase(),
+      sni: params.sni || params.peer || '',
+      fingerprint: params.fp || '',
+      alpn: parseAlpn(params.alpn),
+      allowInsecure: params.allowInsecure === '1' || params.allowInsecure === 'true',
+      path: params.path || '',
+      host: params.host || '',
+      serviceName: params.serviceName || '',
+    };
+  }
+
+  /**
+   * Shadowsocks links come in two flavours:
+   *   SIP002: ss://base64(method:password)@host:port/?plugin=...#name
+   *           (userinfo may also be plain percent-encoded "method:password")
+   *   legacy: ss://base64(method:password@host:port)#name
+   */
+  function parseShadowsocks(link) {
+    let { userinfo, hostPort, params, name } = splitLink(link, 'ss');
+
+    if (!userinfo) {
+      // Legacy form: everything before the fragment is base64. That may contain "/",
+      // so the whole body is decoded rather than the authority splitLink cut at it.
+      const body = /^[a-z0-9+.-]+:\/\/([^?#]*)/i.exec(link)[1];
+      let decoded;
+      try {
+        decoded = decodeBase64(body);
+      } catch (e) {
+        throw new ShareLinkError('ss:// link is neither SIP002 nor legacy base64.');
+      }
+      const atIndex = decoded.lastIndexOf('@');
+      if (atIndex === -1) throw new ShareLinkError('ss:// link is neither SIP002 nor legacy base64.');
+      userinfo = decoded.slice(0, atIndex);
+      hostPort = decoded.slice(atIndex + 1);
+    } else {
+      const decodedUserinfo = safeDecode(userinfo);
+      if (decodedUserinfo.includes(':')) {
+        userinfo = decodedUserinfo;
+      } else {
+        try {
+          userinfo = decodeBase64(decodedUserinfo);
+        } catch (e) {
+          throw new ShareLinkError('ss:// link has an unreadable method:password section.');
+        }
+      }
+    }
+
+    const separator = userinfo.indexOf(':');
+    if (separator === -1) throw new ShareLinkError('ss:// link is missing its cipher method or password.');
+    const method = userinfo.slice(0, separator);
+    const password = userinfo.slice(separator + 1);
+    const { address, port } = splitHostPort(hostPort, 'ss');
+
+    return {
+      name: name || defaultName(address, port),
+      address,
+      port,
+      protocol: 'shadowsocks',
+      method,
+      password,
+      plugin: params.plugin || '',
+      security: 'none',
+      network: 'tcp',
+    };
+  }
+
+  function parseHysteria2(link) {
+    const { userinfo, hostPort, params, name } = splitLink(link, 'hysteria2');
+    const { address, port } = splitHostPort(hostPort, 'hysteria2');
+
+    return {
+      name: name || defaultName(address, port),
+      address,
+      port,
+      protocol: 'hysteria2',
+      password: safeDecode(userinfo || ''),
+      security: 'tls',
+      network: 'udp',
+      sni: params.sni || '',
+      allowInsecure: params.insecure === '1' || params.insecure === 'true',
+      obfs: params.obfs || '',
+      obfsPassword: params['obfs-password'] || '',
+      pinSHA256: params.pinSHA256 || '',
+    };
+  }
+
+  const PARSERS = {
+    vless: parseVless,
+    vmess: parseVmess,
+    trojan: parseTrojan,
+    ss: parseShadowsocks,
+    hysteria2: parseHysteria2,
+  };
+
+  /**
+   * Parses any supported share link into a server object.
+   * Throws a ShareLinkError with a user-facing message for unknown schemes or malformed links.
+   */
+  function parseShareLink(link) {
+    if (typeof link !== 'string' || !link.trim()) {
+      throw new ShareLinkError('Share link is empty.');
+    }
+    const trimmed = link.trim();
+    const scheme = detectScheme(trimmed);
+    if (!scheme) {
+      throw new ShareLinkError('Not a share link. Expected something like vless://, vmess://, trojan://, ss:// or hysteria2://.');
+    }
+    const parser = PARSERS[scheme];
+    if (!parser) {
+      throw new ShareLinkError(`Unsupported link type "${scheme}://". Supported: ${SUPPORTED_SCHEMES.map(s => `${s}://`).join(', ')}.`);
+    }
+
+    const server = parser(trimmed);
+    server.url = trimmed;
+    return server;
+  }
+
+  // --- BUILDERS ---
+  // Each builder writes every field its parser reads, so that
+  // parseShareLink(buildShareLink(server)) gives back the same server fields.
+
+  function formatHost(address) {
+    return address.includes(':') ? `[${address}]` : address;
+  }
+
+  function buildQuery(params) {
+    const pairs = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+    return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+  }
+
+  function buildFragment(name) {
+    return name ? `#${encodeURIComponent(name)}` : '';
+  }
+
+  function buildVless(server) {
+    return `vless://${encodeURIComponent(server.uuid)}@${formatHost(server.address)}:${server.port}` + buildQuery({
+      encryption: server.encryption || 'none',
+      flow: server.flow,
+      security: server.security || 'none',
+      sni: server.sni,
+      fp: server.fingerprint,
+      pbk: server.publicKey,
+      sid: server.shortId,
+      spx: server.spiderX,
+      alpn: (server.alpn || []).join(','),
+      allowInsecure: server.allowInsecure ? '1' : '',
+      type: server.network || 'tcp',
+      headerType: server.headerType,
+      path: server.path,
+      host: server.host,
+      serviceName: server.serviceName,
+      mode: server.mode,
+    }) + buildFragment(server.name);
+  }
+
+  function buildVmess(server) {
+    const network = server.network || 'tcp';
+    const config = {
+      v: '2',
+      ps: server.name,
+      add: server.address,
+      port: String(server.port),
+      id: server.uuid,
+      aid: String(server.alterId || 0),
+      scy: server.cipher || 'auto',
+      net: network,
+      type: server.headerType || 'none',
+      host: server.host || '',
+      // v2rayN keeps the gRPC service name in "path"
+      path: network === 'grpc' ? (server.serviceName || '') : (server.path || ''),
+      tls: server.security === 'none' ? '' : (server.security || ''),
+      sni: server.sni || '',
+      fp: server.fingerprint || '',
+      alpn: (server.alpn || []).join(','),
+    };
+    return `vmess://${encodeBase64(JSON.stringify(config))}`;
+  }
+
+  function buildTrojan(server) {
+    return `trojan://${encodeURIComponent(server.password)}@${formatHost(server.address)}:${server.port}` + buildQuery({
+      security: server.security || 'tls',
+      sni: server.sni,
+      fp: server.fingerprint,
+      alpn: (server.alpn || []).join(','),
+      allowInsecure: server.allowInsecure ? '1' : '',
+      type: server.network || 'tcp',
+      path: server.path,
+      host: server.host,
+      serviceName: server.serviceName,
+    }) + buildFragment(server.name);
+  }
+
+  function buildShadowsocks(server) {
+    const userinfo = encodeBase64(`${server.method}:${server.password}`, true);
+    const plugin = server.plugin ? `/${buildQuery({ plugin: server.plugin })}` : '';
+    return `ss://${userinfo}@${formatHost(server.address)}:${server.port}${plugin}${buildFragment(server.name)}`;
+  }
+
+  function buildHysteria2(server) {
+    const userinfo = server.password ? `${encodeURIComponent(server.password)}@` : '';
+    return `hysteria2://${userinfo}${formatHost(server.address)}:${server.port}` + buildQuery({
+      sni: server.sni,
+      insecure: server.allowInsecure ? '1' : '',
+      obfs: server.obfs,
+      'obfs-password': server.obfsPassword,
+      pinSHA256: server.pinSHA256,
+    }) + buildFragment(server.name);
+  }
+
+  const BUILDERS = {
+    vless: buildVless,
+    vmess: buildVmess,
+    trojan: buildTrojan,
+    shadowsocks: buildShadowsocks,
+    hysteria2: buildHysteria2,
+  };
+
+  /**
+   * Builds the canonical share link for a stored server object.
+   * Throws a ShareLinkError for protocols that have no share link format.
+   */
+  function buildShareLink(server) {
+    const builder = server && BUILDERS[server.protocol];
+    if (!builder) {
+      throw new ShareLinkError(`Cannot build a share link for protocol "${server ? server.protocol : ''}".`);
+    }
+    return builder(server);
+  }
+
+  // --- VALIDATION ---
+
+  const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const REALITY_PUBLIC_KEY_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+  const SHORT_ID_PATTERN = /^(?:[0-9a-f]{2}){0,8}$/i;
+
+  const SECURITY_TYPES = ['none', 'tls', 'reality'];
+  const NETWORK_TYPES = ['tcp', 'raw', 'ws', 'grpc', 'http', 'h2', 'httpupgrade', 'xhttp', 'splithttp', 'kcp', 'quic'];
+  const VLESS_FLOWS = ['', 'xtls-rprx-vision', 'xtls-rprx-vision-udp443'];
+  const FINGERPRINTS = ['chrome', 'firefox', 'safari', 'ios', 'android', 'edge', '360', 'qq', 'random', 'randomized'];
+
+  function isValidAddress(address) {
+    if (!address) return false;
+    if (address.includes(':')) return /^[0-9a-f:.]+$/i.test(address) && address.split('::').length <= 2;
+    return /^[a-z0-9.-]+$/i.test(address) && !address.startsWith('.') && !address.endsWith('.');
+  }
+
+  /**
+   * Checks a parsed server object and returns a list of field-level problems.
+   * Each entry is { field, message } where field is the server property at fault.
+   * An empty list means the server is safe to save.
+   */
+  function validateServer(server) {
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    if (!isValidAddress(server.address)) add('address', 'Invalid server address.');
+    if (!Number.isInteger(server.port) || server.port < 1 || server.port > 65535) {
+      add('port', 'Port must be between 1 and 65535.');
+    }
+
+    if (server.protocol === 'vless' || server.protocol === 'vmess') {
+      if (!UUID_PATTERN.test(server.uuid || '')) add('uuid', 'User ID is not a valid UUID.');
+    }
+    if ((server.protocol === 'trojan' || server.protocol === 'shadowsocks') && !server.password) {
+      add('password', 'Password is required.');
+    }
+    if (server.protocol === 'shadowsocks' && !server.method) {
+      add('method', 'Cipher method is required.');
+    }
+
+    if (server.protocol === 'vless' || server.protocol === 'trojan') {
+      if (!SECURITY_TYPES.includes(server.security)) {
+        add('security', `Unknown security "${server.security}". Expected one of: ${SECURITY_TYPES.join(', ')}.`);
+      }
+      if (!NETWORK_TYPES.includes(server.network)) {
+        add('network', `Unknown transport type "${server.network}".`);
+      }
+    }
+
+    if (server.protocol !== 'vless') return errors;
+
+    if (server.encryption !== 'none') add('encryption', 'VLESS encryption must be "none".');
+    if (!VLESS_FLOWS.includes(server.flow)) {
+      add('flow', `Unknown flow "${server.flow}".`);
+    } else if (server.flow) {
+      if (server.security === 'none') add('flow', 'XTLS Vision flow requires tls or reality security.');
+      if (server.network !== 'tcp' && server.network !== 'raw') add('flow', 'XTLS Vision flow only works over the tcp transport.');
+    }
+    if (server.fingerprint && !FINGERPRINTS.includes(server.fingerprint)) {
+      add('fingerprint', `Unknown TLS fingerprint "${server.fingerprint}".`);
+    }
+
+    if (server.security === 'reality') {
+      if (!server.publicKey) {
+        add('publicKey', 'REALITY requires a public key (pbk).');
+      } else if (!REALITY_PUBLIC_KEY_PATTERN.test(server.publicKey)) {
+        add('publicKey', 'REALITY public key must be 43 characters of URL-safe base64.');
+      }
+      if (!SHORT_ID_PATTERN.test(server.shortId || '')) {
+        add('shortId', 'REALITY short ID must be up to 16 hex characters with an even length.');
+      }
+      if (!server.sni) add('sni', 'REALITY requires a server name (sni).');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Non-throwing variant of parseShareLink for previews and batch imports.
+   * Returns { server, errors }; server is null when the link could not be parsed at all.
+   */
+  function inspectShareLink(link) {
+    try {
+      const server = parseShareLink(link);
+      return { server, errors: validateServer(server) };
+    } catch (error) {
+      return { server: null, errors: [{ field: 'url', message: error.message }] };
+    }
+  }
+
+  /**
+   * Inspects every link in a pasted block of text, one per line.
+   * Blank lines and comment lines (# or //) are skipped.
+   * Returns [{ line, link, server, errors }] with 1-based line numbers.
+   */
+  function inspectShareLinkList(text) {
+    return String(text || '')
+      .split(/\r?\n/)
+      .map((raw, index) => ({ line: index + 1, link: raw.trim() }))
+      .filter(({ link }) => link && !link.startsWith('#') && !link.startsWith('//'))
+      .map(entry => ({ ...entry, ...inspectShareLink(entry.link) }));
+  }
+
+  /**
+   * The shared VLESS parser used by the renderer and serverManager.parseVLESSUrl.
+   */
+  function parseVlessUrl(url) {
+    if (detectScheme(url) !== 'vless') {
+      return { server: null, errors: [{ field: 'url', message: 'Not a vless:// link.' }] };
+    }
+    return inspectShareLink(url);
+  }
+
+  return {
+    SUPPORTED_SCHEMES,
+    SECURITY_TYPES,
+    NETWORK_TYPES,
+    VLESS_FLOWS,
+    FINGERPRINTS,
+    ShareLinkError,
+    decodeBase64,
+    detectScheme,
+    isSupportedShareLink,
+    parseShareLink,
+    buildShareLink,
+    parseVlessUrl,
+    inspectShareLink,
+    inspectShareLinkList,
+    validateServer,
+  };
+}));
@@ -0,0 +1,171 @@
+/*
+  StealthLynk VPN Client - Store Encryption
+  Seals the server store file with AES-256-GCM. The data key is kept in the OS
+  keychain through Electron's safeStorage; where no keychain exists (headless
+  Linux falls back to a hard-coded "basic_text" key) it is derived from a
+  passphrase the user enters on start-up instead.
+*/
+
+const crypto = require('crypto');
+
+const STORE_FORMAT = 'stealthlynk-store';
+const STORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+class StoreLockedError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code 'passphrase-required', 'passphrase', 'key-unavailable' or 'damaged'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'StoreLockedError';
+    this.code = code;
+  }
+}
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Whether parsed store file contents are an encrypted envelope rather than plain store data.
+ */
+function isEnvelope(parsed) {
+  return Boolean(parsed) && parsed.format === STORE_FORMAT;
+}
+
+class StoreCipher {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.safeStorage] Electron's safeStorage, or null to always use a passphrase.
+   * @param {string} [options.platform]
+   */
+  constructor({ safeStorage = null, platform = process.platform } = {}) {
+    this.safeStorage = safeStorage;
+    this.platform = platform;
+    this.key = null; // Data key once created, unwrapped or derived
+    this.keyHeader = null; // How the key is recovered: { keySource, wrappedKey } or { keySource, kdf }
+  }
+
+  keychainAvailable() {
+    if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) return false;
+    // Without a keyring Linux "encrypts" with a fixed key, which protects nothing
+    if (this.platform === 'linux' && typeof this.safeStorage.getSelectedStorageBackend === 'function') {
+      return this.safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+    return true;
+  }
+
+  get keySource() {
+    return this.keyHeader ? this.keyHeader.keySource : null;
+  }
+
+  /**
+   * Drops the current key; the next seal() creates a new one.
+   */
+  forgetKey() {
+    this.key = null;
+    this.keyHeader = null;
+  }
+
+  /**
+   * Switches to a key derived from `passphrase`; the next seal() uses it.
+   */
+  setPassphrase(passphrase) {
+    if (!passphrase) throw new StoreLockedError('Enter a passphrase.', 'passphrase-required');
+    const salt = crypto.randomBytes(16);
+    this.key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+    this.keyHeader = { keySource: 'passphrase', kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS } };
+  }
+
+  /**
+   * Derives the key of a passphrase-sealed envelope. Whether it is right shows in open().
+   */
+  unlock(passphrase, envelope) {
+    if (!passphrase) throw new StoreLockedError('Enter the passphrase of your saved servers.', 'passphrase-required');
+    const { salt, N, r, p } = envelope.kdf;
+    this.key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+    this.keyHeader = { keySource: 'passphrase', kdf: envelope.kdf };
+  }
+
+  ensureKey() {
+    if (this.key) return;
+    if (!this.keychainAvailable()) {
+      throw new StoreLockedError('No system keychain is available. Choose a passphrase to encrypt your saved servers.', 'passphrase-required');
+    }
+    this.key = crypto.randomBytes(32);
+    this.keyHeader = {
+      keySource: 'safeStorage',
+      wrappedKey: this.safeStorage.encryptString(this.key.toString('base64')).toString('base64'),
+    };
+  }
+
+  /**
+   * Encrypts store JSON text into envelope file text.
+   * @throws {StoreLockedError} 'passphrase-required' when there is neither a keychain nor a passphrase.
+   */
+  seal(text) {
+    this.ensureKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return `${JSON.stringify({
+      format: STORE_FORMAT,
+      version: STORE_VERSION,
+      ...this.keyHeader,
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64'),
+    }, null, 2)}\n`;
+  }
+
+  /**
+   * Decrypts a parsed envelope back to store JSON text.
+   * @throws {StoreLockedError}
+   */
+  open(envelope) {
+    if (typeof envelope.version !== 'number' || envelope.version > STORE_VERSION) {
+      throw new StoreLockedError('Your saved servers were written by a newer version of the app.', 'damaged');
+    }
+
+    if (envelope.keySource === 'safeStorage') {
+      if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) {
+        throw new StoreLockedError('The system keychain is not available, so your saved servers cannot be decrypted.', 'key-unavailable');
+      }
+      try {
+        this.key = Buffer.from(this.safeStorage.decryptString(Buffer.from(envelope.wrappedKey, 'base64')), 'base64');
+      } catch (error) {
+        throw new StoreLockedError('The key for your saved servers is missing from the system keychain.', 'key-unavailable');
+      }
+      this.keyHeader = { keySource: 'safeStorage', wrappedKey: envelope.wrappedKey };
+    } else if (envelope.keySource === 'passphrase') {
+      if (!this.key || this.keySource !== 'passphrase' || this.keyHeader.kdf.salt !== envelope.kdf.salt) {
+        throw new StoreLockedError('Enter the passphrase of your saved servers.', 'passphrase-required');
+      }
+    } else {
+      throw new StoreLockedError('Your saved servers file is damaged.', 'damaged');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      if (envelope.keySource === 'passphrase') {
+        this.forgetKey();
+        throw new StoreLockedError('Wrong passphrase.', 'passphrase');
+      }
+      throw new StoreLockedError('Your saved servers file is damaged and cannot be decrypted.', 'damaged');
+    }
+  }
+}
+
+module.exports = {
+  STORE_FORMAT,
+  StoreCipher,
+  StoreLockedError,
+  isEnvelope,
+};
@@ -0,0 +1,307 @@
+/*
+  StealthLynk VPN Client - Subscription Manager
+  Fetches provider subscription URLs on a schedule and keeps the servers they
+  publish in sync with the server store (add new, update changed, remove withdrawn).
+*/
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const shareLinks = require('./shareLinks');
+const { newServerId } = require('./serverStore');
+const { GEO_FIELDS } = require('./geoIp');
+
+const DEFAULT_INTERVAL_MINUTES = 12 * 60;
+const MIN_INTERVAL_MINUTES = 15;
+const FETCH_TIMEOUT_MS = 15000;
+
+// Fields that belong to the store rather than to the share link, including GeoIP locations
+const LOCAL_FIELDS = ['id', 'addedAt', 'subscriptionId', 'withdrawn', 'favorite', 'tags', ...GEO_FIELDS];
+
+/**
+ * Subscription bodies are either a plain list of share links or the same list base64-encoded.
+ * Blank lines, comments and unsupported schemes are skipped.
+ */
+function decodeSubscriptionBody(body) {
+  let text = String(body || '').trim();
+  if (text && !text.includes('://')) {
+    try {
+      text = shareLinks.decodeBase64(text);
+    } catch (e) {
+      throw new Error('Subscription response is neither a list of share links nor base64.');
+    }
+  }
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && shareLinks.isSupportedShareLink(line));
+}
+
+/**
+ * Identity of a server across refreshes: the same endpoint and credentials.
+ */
+function serverKey(server) {
+  const credential = server.uuid || server.password || '';
+  return `${server.protocol}|${server.address}|${server.port}|${credential}`;
+}
+
+function linkFields(server) {
+  const fields = { ...server };
+  LOCAL_FIELDS.forEach(field => delete fields[field]);
+  return JSON.stringify(fields);
+}
+
+/**
+ * Computes the new server list for one subscription.
+ * Existing entries keep their id and any local fields; only link-derived fields are replaced.
+ * The active server is kept (flagged as withdrawn) so a live connection is not pulled away.
+ */
+function diffServers(existing, incoming, subscriptionId, activeServerId) {
+  const existingByKey = new Map(existing.map(s => [serverKey(s), s]));
+  const seen = new Set();
+  const result = { servers: [], added: 0, updated: 0, removed: 0 };
+
+  incoming.forEach(server => {
+    const key = serverKey(server);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const current = existingByKey.get(key);
+    if (!current) {
+      result.servers.push({ ...server, id: newServerId(), addedAt: Date.now(), subscriptionId });
+      result.added++;
+      return;
+    }
+    if (linkFields(current) !== linkFields(server) || current.withdrawn) {
+      result.updated++;
+    }
+    const merged = { ...current, ...server, id: current.id, subscriptionId };
+    delete merged.withdrawn;
+    result.servers.push(merged);
+  });
+
+  // Servers the user already had keep their manual order; new ones follow in feed order
+  const position = new Map(existing.map((s, index) => [s.id, index]));
+  const rank = (server) => (position.has(server.id) ? position.get(server.id) : existing.length);
+  result.servers = result.servers
+    .map((server, index) => ({ server, index }))
+    .sort((a, b) => rank(a.server) - rank(b.server) || a.index - b.index)
+    .map(({ server }) => server);
+
+  existing.forEach(server => {
+    if (seen.has(serverKey(server))) return;
+    if (server.id === activeServerId) {
+      result.servers.push({ ...server, withdrawn: true });
+    } else {
+      result.removed++;
+    }
+  });
+
+  return result;
+}
+
+async function fetchSubscriptionText(url) {
+  const response = await axios.get(url, {
+    responseType: 'text',
+    timeout: FETCH_TIMEOUT_MS,
+    headers: { 'User-Agent': 'StealthLynk-Client' },
+    transformResponse: [data => data],
+  });
+  return response.data;
+}
+
+class SubscriptionManager extends EventEmitter {
+  /**
+   * @param {ServerStore} store
+   * @param {object} [options]
+   * @param {function(string): Promise<string>} [options.fetchText] Override for fetching a subscription body.
+   */
+  constructor(store, options = {}) {
+    super();
+    this.store = store;
+    this.fetchText = options.fetchText || fetchSubscriptionText;
+    this.timers = new Map();
+  }
+
+  list() {
+    return this.store.data.subscriptions.slice();
+  }
+
+  getSubscription(subscriptionId) {
+    return this.store.data.subscriptions.find(s => s.id === subscriptionId) || null;
+  }
+
+  async addSubscription(url, options = {}) {
+    if (!/^https?:\/\//i.test(url || '')) {
+      return { success: false, message: 'Subscription URL must start with http:// or https://.' };
+    }
+    if (this.store.data.subscriptions.some(s => s.url === url)) {
+      return { success: false, message: 'This subscription has already been added.' };
+    }
+
+    const subscription = this.store.update(data => {
+      const created = {
+        id: newServerId(),
+        url,
+        name: options.name || new URL(url).hostname,
+        intervalMinutes: normalizeInterval(options.intervalMinutes),
+        lastFetchAt: null,
+        lastStatus: 'pending',
+        lastError: null,
+        serverCount: 0,
+      };
+      data.subscriptions.push(created);
+      return created;
+    });
+
+    const refreshed = await this.refresh(subscription.id);
+    return { success: true, subscription: refreshed.subscription };
+  }
+
+  removeSubscription(subscriptionId) {
+    this.unschedule(subscriptionId);
+    const removed = this.store.update(data => {
+      const before = data.subscriptions.length;
+      data.subscriptions = data.subscriptions.filter(s => s.id !== subscriptionId);
+      data.servers = data.servers.filter(s => s.subscriptionId !== subscriptionId || s.id === data.activeServer);
+      // The active server survives as a standalone entry
+      data.servers.forEach(s => {
+        if (s.subscriptionId === subscriptionId) delete s.subscriptionId;
+      });
+      return data.subscriptions.length !== before;
+    });
+    return removed ? { success: true } : { success: false, message: 'Subscription not found.' };
+  }
+
+  updateSubscription(subscriptionId, changes = {}) {
+    if (!this.getSubscription(subscriptionId)) {
+      return { success: false, message: 'Subscription not found.' };
+    }
+    const subscription = this.store.update(() => {
+      const sub = this.getSubscription(subscriptionId);
+      if (changes.name) sub.name = String(changes.name);
+      if (changes.intervalMinutes !== undefined) sub.intervalMinutes = normalizeInterval(changes.intervalMinutes);
+      return { ...sub };
+    });
+    this.schedule(subscription);
+    return { success: true, subscription };
+  }
+
+  /**
+   * Fetches one subscription and applies the diff. Failures are recorded on the
+   * subscription (lastStatus/lastError) and leave its servers untouched.
+   */
+  async refresh(subscriptionId) {
+    const subscription = this.getSubscription(subscriptionId);
+    if (!subscription) return { success: false, message: 'Subscription not found.' };
+
+    let links;
+    try {
+      links = decodeSubscriptionBody(await this.fetchText(subscription.url));
+      // An empty response is far more likely a provider hiccup than every server being withdrawn
+      if (links.length === 0) throw new Error('Subscription returned no usable servers.');
+    } catch (error) {
+      if (!this.getSubscription(subscriptionId)) return { success: false, message: 'Subscription was removed.' };
+      console.error(`[Subscriptions] Failed to refresh ${subscription.url}:`, error.message);
+      const failed = this.store.update(() => {
+        const sub = this.getSubscription(subscriptionId);
+        sub.lastFetchAt = Date.now();
+        sub.lastStatus = 'error';
+        sub.lastError = error.message;
+        return { ...sub };
+      });
+      this.schedule(failed);
+      return { success: false, message: error.message, subscription: failed };
+    }
+
+    if (!this.getSubscription(subscriptionId)) return { success: false, message: 'Subscription was removed.' };
+
+    const incoming = [];
+    links.forEach(link => {
+      const { server, errors } = shareLinks.inspectShareLink(link);
+      if (server && errors.length === 0) incoming.push(server);
+    });
+
+    let changes;
+    const refreshed = this.store.update(data => {
+      const existing = data.servers.filter(s => s.subscriptionId === subscriptionId);
+      changes = diffServers(existing, incoming, subscriptionId, data.activeServer);
+
+      // Keep the subscription's servers where they were in the list
+      const servers = [];
+      let inserted = false;
+      data.servers.forEach(server => {
+        if (server.subscriptionId !== subscriptionId) {
+          servers.push(server);
+        } else if (!inserted) {
+          servers.push(...changes.servers);
+          inserted = true;
+        }
+      });
+      if (!inserted) servers.push(...changes.servers);
+      data.servers = servers;
+
+      const sub = this.getSubscription(subscriptionId);
+      sub.lastFetchAt = Date.now();
+      sub.lastStatus = 'ok';
+      sub.lastError = null;
+      sub.serverCount = changes.servers.length;
+      return { ...sub };
+    });
+
+    console.log(`[Subscriptions] ${refreshed.name}: +${changes.added} ~${changes.updated} -${changes.removed}`);
+    this.emit('refreshed', { subscription: refreshed, added: changes.added, updated: changes.updated, removed: changes.removed });
+    this.schedule(refreshed);
+    return { success: true, subscription: refreshed, added: changes.added, updated: changes.updated, removed: changes.removed };
+  }
+
+  async refreshAll() {
+    const results = [];
+    for (const subscription of this.list()) {
+      results.push(await this.refresh(subscription.id));
+    }
+    return results;
+  }
+
+  /**
+   * Schedules every stored subscription. Ones that are overdue are refreshed right away.
+   */
+  start() {
+    this.list().forEach(subscription => this.schedule(subscription));
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  schedule(subscription) {
+    this.unschedule(subscription.id);
+    const intervalMs = subscription.intervalMinutes * 60000;
+    const dueIn = subscription.lastFetchAt ? Math.max(0, subscription.lastFetchAt + intervalMs - Date.now()) : 0;
+    const timer = setTimeout(() => {
+      this.timers.delete(subscription.id);
+      this.refresh(subscription.id).catch(error => console.error('[Subscriptions] Scheduled refresh failed:', error));
+    }, dueIn);
+    // Never keep the process alive just for a refresh timer
+    if (timer.unref) timer.unref();
+    this.timers.set(subscription.id, timer);
+  }
+
+  unschedule(subscriptionId) {
+    clearTimeout(this.timers.get(subscriptionId));
+    this.timers.delete(subscriptionId);
+  }
+}
+
+function normalizeInterval(minutes) {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_INTERVAL_MINUTES;
+  return Math.max(MIN_INTERVAL_MINUTES, Math.round(value));
+}
+
+module.exports = {
+  SubscriptionManager,
+  decodeSubscriptionBody,
+  diffServers,
+  serverKey,
+};
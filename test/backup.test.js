@@ -0,0 +1,96 @@
+/*
+  StealthLynk VPN Client - Backup tests
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKUP_FORMAT, BACKUP_VERSION, BackupError, createBackup, readBackup, mergeBackup } = require('../backup');
+
+const UUID = 'b831381d-6324-4d53-ad4f-8cda48b30811';
+
+const DATA = {
+  servers: [
+    { id: 's1', protocol: 'vless', address: 'vl.example.com', port: 443, uuid: UUID, subscriptionId: 'sub1' },
+    { id: 's2', protocol: 'trojan', address: 'tr.example.com', port: 443, password: 'hunter2' },
+  ],
+  activeServer: 's2',
+  subscriptions: [{ id: 'sub1', url: 'https://sub.example.com/feed', name: 'Feed' }],
+  settings: { socksPort: 20808, autoFailover: { enabled: true, priorityGroups: [['s1'], ['s2']] } },
+};
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+test('an encrypted backup reads back with its passphrase', () => {
+  const text = createBackup(DATA, { passphrase: 'correct horse' });
+  assert.doesNotMatch(text, /hunter2|example\.com/);
+  assert.deepEqual(readBackup(text, { passphrase: 'correct horse' }), DATA);
+});
+
+test('an encrypted backup asks for its passphrase and rejects a wrong one', () => {
+  const text = createBackup(DATA, { passphrase: 'correct horse' });
+  assert.throws(() => readBackup(text), { name: 'BackupError', code: 'passphrase-required' });
+  assert.throws(() => readBackup(text, { passphrase: 'battery staple' }), { name: 'BackupError', code: 'passphrase' });
+});
+
+test('a backup from a newer version is rejected', () => {
+  const text = JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, encrypted: false, payload: { servers: [] } });
+  assert.throws(() => readBackup(text), { name: 'BackupError', code: 'version' });
+  assert.throws(() => readBackup('{"servers": []}'), BackupError);
+});
+
+test('servers already present by address, port and UUID or password are skipped', () => {
+  const data = {
+    servers: [{ id: 'local', protocol: 'vless', address: 'vl.example.com', port: 443, uuid: UUID, name: 'Mine' }],
+    activeServer: null,
+    subscriptions: [],
+    settings: {},
+  };
+  const restored = readBackup(createBackup({
+    servers: [
+      { id: 'b1', protocol: 'vless', address: 'vl.example.com', port: 443, uuid: UUID, name: 'Theirs' },
+      { id: 'b2', protocol: 'vless', address: 'vl.example.com', port: 8443, uuid: UUID },
+      { id: 'b3', protocol: 'vless', address: 'vl.example.com', port: 443, uuid: '0f5b4b6e-1e0a-4c57-9d4e-9f0c1b2a3d4e' },
+    ],
+    activeServer: 'b1',
+  }));
+
+  assert.deepEqual(mergeBackup(data, restored), { added: 2, duplicates: 1, subscriptionsAdded: 0 });
+  assert.deepEqual(data.servers.map(s => s.id), ['local', 'b2', 'b3']);
+  assert.equal(data.servers[0].name, 'Mine');
+  assert.equal(data.activeServer, 'local'); // The backup's active server is the local duplicate
+});
+
+test('subscription and priority group ids are remapped to the local ones', () => {
+  const data = {
+    servers: [{ id: 's1', protocol: 'shadowsocks', address: 'ss.example.com', port: 8388, password: 'other' }],
+    activeServer: 's1',
+    subscriptions: [{ id: 'sub1', url: 'https://other.example.com/feed' }],
+    settings: { socksPort: 1080, httpPort: 1081 },
+  };
+  const stats = mergeBackup(data, readBackup(createBackup(copy(DATA))));
+  assert.deepEqual(stats, { added: 2, duplicates: 0, subscriptionsAdded: 1 });
+
+  // Both backup ids were taken locally, so the restored ones got new ids
+  const [, vless, trojan] = data.servers;
+  const feed = data.subscriptions[1];
+  assert.equal(feed.url, 'https://sub.example.com/feed');
+  assert.notEqual(feed.id, 'sub1');
+  assert.equal(vless.subscriptionId, feed.id);
+  assert.notEqual(vless.id, 's1');
+  assert.equal(trojan.id, 's2');
+  assert.equal(data.activeServer, 's1');
+  assert.deepEqual(data.settings, {
+    socksPort: 20808,
+    httpPort: 1081,
+    autoFailover: { enabled: true, priorityGroups: [[vless.id], ['s2']] },
+  });
+});
+
+test('a subscription already present by URL keeps its local id', () => {
+  const data = { servers: [], activeServer: null, subscriptions: [{ id: 'mine', url: 'https://sub.example.com/feed' }], settings: {} };
+  const stats = mergeBackup(data, readBackup(createBackup(copy(DATA))), { includeSettings: false });
+  assert.equal(stats.subscriptionsAdded, 0);
+  assert.equal(data.subscriptions.length, 1);
+  assert.equal(data.servers[0].subscriptionId, 'mine');
+  assert.deepEqual(data.settings, {});
+});
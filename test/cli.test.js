@@ -0,0 +1,96 @@
+/*
+  StealthLynk VPN Client - Command line tests
+  Errors are checked by calling main() against a temporary store; commands that
+  print or set the exit code run the CLI in a child process.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXIT_CODES, CliError, main } = require('../cli');
+const { ServerStore } = require('../serverStore');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+const SERVERS = [
+  { id: 'a1b2c3d4-0000-4000-8000-000000000001', name: 'Tokyo', protocol: 'trojan', address: 'tk.example.com', port: 443, password: 'one' },
+  { id: 'a1b2ffff-0000-4000-8000-000000000002', name: 'Osaka', protocol: 'vless', address: 'os.example.com', port: 443, uuid: 'b831381d-6324-4d53-ad4f-8cda48b30811' },
+  { id: 'f0e1d2c3-0000-4000-8000-000000000003', name: 'osaka', protocol: 'trojan', address: 'os2.example.com', port: 443, password: 'three' },
+];
+
+function createStore(t, servers = SERVERS) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new ServerStore(path.join(dir, 'servers.json'));
+  store.load();
+  store.update((data) => { data.servers = servers.map(server => ({ ...server })); });
+  return store.filePath;
+}
+
+function runCli(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 10000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+const cliError = (exitCode, message) => error => error instanceof CliError && error.exitCode === exitCode && message.test(error.message);
+
+test('unknown options, commands and missing values are usage errors', async (t) => {
+  const store = createStore(t);
+  await assert.rejects(main(['servers', '--verbose', '--store', store]), cliError(EXIT_CODES.usage, /Unknown option --verbose/));
+  await assert.rejects(main(['servers', 'list', '--store']), cliError(EXIT_CODES.usage, /--store needs a value/));
+  await assert.rejects(main(['servers', 'list', '--store=']), cliError(EXIT_CODES.usage, /--store needs a value/));
+  await assert.rejects(main(['frobnicate', `--store=${store}`]), cliError(EXIT_CODES.usage, /Unknown command "frobnicate"/));
+  await assert.rejects(main(['servers', 'rename', `--store=${store}`]), cliError(EXIT_CODES.usage, /Unknown servers command "rename"/));
+  await assert.rejects(main(['servers', 'rm', `--store=${store}`]), cliError(EXIT_CODES.usage, /Name the server/));
+});
+
+test('servers are found by id, unique id prefix or name, and ambiguous refs are refused', async (t) => {
+  const store = createStore(t);
+  await assert.rejects(main(['servers', 'show', 'a1b2', '--store', store]), cliError(EXIT_CODES.failure, /"a1b2" matches 2 servers/));
+  await assert.rejects(main(['servers', 'show', 'OSAKA', '--store', store]), cliError(EXIT_CODES.failure, /"OSAKA" matches 2 servers/));
+  await assert.rejects(main(['servers', 'show', 'Kyoto', '--store', store]), cliError(EXIT_CODES.failure, /No server matches "Kyoto"/));
+
+  const byName = await runCli(['servers', 'show', 'tokyo', '--store', store]);
+  assert.equal(byName.code, EXIT_CODES.ok);
+  assert.match(byName.stdout, /^address: tk\.example\.com$/m);
+  const byPrefix = await runCli(['servers', 'rm', 'a1b2c', '--store', store]);
+  assert.equal(byPrefix.code, EXIT_CODES.ok);
+  assert.equal(byPrefix.stdout, `Removed Tokyo (${SERVERS[0].id})\n`);
+  const removed = await runCli(['servers', 'show', 'Tokyo', '--store', store]);
+  assert.equal(removed.code, EXIT_CODES.failure);
+  assert.equal(removed.stderr, 'stealthlynk: No server matches "Tokyo".\n');
+  assert.match((await runCli(['servers', 'show', SERVERS[2].id, '--json', '--store', store])).stdout, /"os2\.example\.com"/);
+});
+
+test('exit codes: usage errors exit with 2 and status without a tunnel with 3', async (t) => {
+  const store = createStore(t);
+  const usage = await runCli(['servers', '--bogus', '--store', store]);
+  assert.equal(usage.code, EXIT_CODES.usage);
+  assert.equal(usage.stderr, 'stealthlynk: Unknown option --bogus.\n');
+
+  const status = await runCli(['status', '--store', store]);
+  assert.equal(status.code, EXIT_CODES.notConnected);
+  assert.equal(status.stdout, 'Not connected.\n');
+  const json = await runCli(['status', '--json', '--store', store]);
+  assert.equal(json.code, EXIT_CODES.notConnected);
+  assert.deepEqual(JSON.parse(json.stdout), { connected: false });
+
+  assert.equal((await runCli(['help'])).code, EXIT_CODES.ok);
+});
+
+test('servers list copes with a server without a protocol or name', async (t) => {
+  const store = createStore(t, [{ id: '0badc0de-0000-4000-8000-000000000004', address: '192.0.2.9', port: 8443 }, SERVERS[0]]);
+  const { code, stdout } = await runCli(['servers', 'list', '--store', store]);
+  assert.equal(code, EXIT_CODES.ok);
+  assert.equal(stdout, [
+    '  0badc0de  ?           (192.0.2.9:8443)',
+    '  a1b2c3d4  trojan    Tokyo  (tk.example.com:443)',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,94 @@
+/*
+  StealthLynk VPN Client - Core config golden-file tests
+  Each case builds a config and compares serializeCoreConfig() output with
+  fixtures/core-config/<case>.json byte for byte. After an intended change to
+  the builder, rewrite the files with UPDATE_GOLDEN=1 npm test and review the diff.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCoreConfig, serializeCoreConfig, ConfigBuildError } = require('../configBuilder');
+const { parseShareLink } = require('../shareLinks');
+
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'core-config');
+
+const vmessLink = `vmess://${Buffer.from(JSON.stringify({
+  v: '2', ps: 'VMess WS', add: 'vm.example.com', port: '443', id: 'b831381d-6324-4d53-ad4f-8cda48b30811',
+  aid: '0', net: 'ws', type: 'none', host: 'cdn.example.com', path: '/ray', tls: 'tls', sni: 'vm.example.com',
+})).toString('base64')}`;
+
+const SERVERS = {
+  vlessReality: parseShareLink('vless://b831381d-6324-4d53-ad4f-8cda48b30811@203.0.113.10:443?encryption=none&security=reality&sni=www.example.com&fp=chrome&pbk=Z84J2IelR9ch3k8VtlVhhs5ycBUlXA7wHBWcBrjqnAw&sid=6ba85179e30d4fc2&flow=xtls-rprx-vision&type=tcp#Reality'),
+  vmessWsTls: parseShareLink(vmessLink),
+  trojanGrpc: parseShareLink('trojan://s3cr%40t@tr.example.com:443?security=tls&sni=tr.example.com&type=grpc&serviceName=tr-grpc#Trojan'),
+  shadowsocks: parseShareLink('ss://Y2hhY2hhMjAtaWV0Zi1wb2x5MTMwNTpwYXNz@198.51.100.7:8388#SS'),
+};
+
+const CASES = {
+  'vless-reality': { server: SERVERS.vlessReality },
+  'vmess-ws-tls': { server: SERVERS.vmessWsTls },
+  'trojan-grpc': { server: SERVERS.trojanGrpc },
+  shadowsocks: { server: SERVERS.shadowsocks },
+  'lan-proxy-auth': {
+    server: SERVERS.vlessReality,
+    settings: { listen: '0.0.0.0', socksPort: 20808, httpPort: 20809, udp: false, proxyAuth: { username: 'lan', password: 'p@ss' } },
+  },
+  'routing-rules': {
+    server: SERVERS.vlessReality,
+    settings: {
+      domainStrategy: 'AsIs',
+      routingRules: [
+        { id: 'r1', type: 'geoip', value: 'private', action: 'direct', enabled: true },
+        { id: 'r2', type: 'domain', value: 'example.org', action: 'direct', enabled: true },
+        { id: 'r3', type: 'keyword', value: 'tracker', action: 'block', enabled: true },
+        { id: 'r4', type: 'cidr', value: '192.0.2.0/24', action: 'proxy', enabled: true },
+        { id: 'r5', type: 'port', value: '6881-6889', action: 'direct', enabled: true },
+        { id: 'r6', type: 'geosite', value: 'category-ads-all', action: 'block', enabled: false },
+      ],
+    },
+  },
+  'metrics-off': { server: SERVERS.trojanGrpc, settings: { metricsPort: null } },
+};
+
+for (const [name, { server, settings }] of Object.entries(CASES)) {
+  test(`core config matches ${name}.json`, () => {
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.json`);
+    const actual = serializeCoreConfig(buildCoreConfig(server, settings));
+    if (process.env.UPDATE_GOLDEN) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenPath, actual);
+    }
+    assert.equal(actual, fs.readFileSync(goldenPath, 'utf8'));
+  });
+}
+
+test('the same inputs serialize to the same bytes', () => {
+  const { server, settings } = CASES['routing-rules'];
+  assert.equal(
+    serializeCoreConfig(buildCoreConfig(server, settings)),
+    serializeCoreConfig(buildCoreConfig(JSON.parse(JSON.stringify(server)), JSON.parse(JSON.stringify(settings)))),
+  );
+});
+
+test('a dial address replaces the address the core connects to, not the TLS server name', () => {
+  const server = { ...SERVERS.trojanGrpc, sni: undefined };
+  const config = buildCoreConfig(server, {}, { dialAddress: '192.0.2.44' });
+  assert.equal(config.outbounds[0].settings.servers[0].address, '192.0.2.44');
+  assert.equal(config.outbounds[0].streamSettings.tlsSettings.serverName, 'tr.example.com');
+  assert.equal(buildCoreConfig(server).outbounds[0].settings.servers[0].address, 'tr.example.com');
+});
+
+test('a Shadowsocks server with a plugin is refused, naming the plugin', () => {
+  const links = {
+    'obfs-local': 'ss://Y2hhY2hhMjAtaWV0Zi1wb2x5MTMwNTpwYXNz@198.51.100.7:8388/?plugin=obfs-local%3Bobfs%3Dhttp%3Bobfs-host%3Dexample.com#SS',
+    'v2ray-plugin': 'ss://Y2hhY2hhMjAtaWV0Zi1wb2x5MTMwNTpwYXNz@198.51.100.7:8388/?plugin=v2ray-plugin%3Btls%3Bhost%3Dexample.com#SS',
+  };
+  for (const [plugin, link] of Object.entries(links)) {
+    assert.throws(
+      () => buildCoreConfig(parseShareLink(link)),
+      error => error instanceof ConfigBuildError && error.message === `Shadowsocks plugin "${plugin}" is not supported by the bundled core.`,
+    );
+  }
+});
@@ -0,0 +1,58 @@
+/*
+  StealthLynk VPN Client - Core launcher tests
+  A shell script stands in for the core: it reports the config file it was
+  given, announces "started" and waits to be stopped.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CoreProcess } = require('../coreLauncher');
+
+const CONFIG = { log: { loglevel: 'warning' }, outbounds: [{ protocol: 'trojan', settings: { servers: [{ password: 'hunter2' }] } }] };
+
+function createFakeCore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-fake-core-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const binaryPath = path.join(dir, 'xray');
+  // Invoked as: xray run -c <config>
+  fs.writeFileSync(binaryPath, '#!/bin/sh\necho "config $3"\necho "Xray 1.8.4 started"\nexec sleep 30\n', { mode: 0o755 });
+  return binaryPath;
+}
+
+test('the config goes into a private directory that is removed when the core stops', { skip: process.platform === 'win32' }, async (t) => {
+  const core = new CoreProcess({ config: CONFIG, binaryPath: createFakeCore(t) });
+  const lines = [];
+  core.on('log', ({ line }) => lines.push(line));
+  await core.start();
+
+  const configDir = path.dirname(core.configPath);
+  assert.ok(configDir.startsWith(path.join(os.tmpdir(), 'stealthlynk-core-')));
+  assert.equal(fs.lstatSync(configDir).mode & 0o777, 0o700);
+  assert.equal(fs.lstatSync(core.configPath).mode & 0o777, 0o600);
+  assert.deepEqual(JSON.parse(fs.readFileSync(core.configPath, 'utf8')), CONFIG);
+  assert.equal(lines[0], `config ${core.configPath}`);
+
+  await core.stop();
+  assert.equal(fs.existsSync(configDir), false);
+});
+
+test('two cores started at once get separate config files', { skip: process.platform === 'win32' }, async (t) => {
+  const binaryPath = createFakeCore(t);
+  const cores = [new CoreProcess({ config: CONFIG, binaryPath }), new CoreProcess({ config: CONFIG, binaryPath })];
+  t.after(() => Promise.all(cores.map(core => core.stop())));
+  await Promise.all(cores.map(core => core.start()));
+  assert.notEqual(cores[0].configPath, cores[1].configPath);
+});
+
+test('a given config path is written as is and left in place', { skip: process.platform === 'win32' }, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'core.json');
+  const core = new CoreProcess({ config: CONFIG, binaryPath: createFakeCore(t), configPath });
+  await core.start();
+  await core.stop();
+  assert.deepEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')), CONFIG);
+});
@@ -0,0 +1,70 @@
+/*
+  StealthLynk VPN Client - Diagnostics redaction tests
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { buildCoreConfig, serializeCoreConfig } = require('../configBuilder');
+const { buildDiagnosticsBundle, redact } = require('../diagnosticsBundle');
+
+const PROXY_AUTH = { username: 'alice-lan', password: 'pa"ss}word-tail' };
+
+test('proxyAuth is redacted as a whole, username included', () => {
+  const text = redact(JSON.stringify({ settings: { socksPort: 10808, proxyAuth: PROXY_AUTH } }, null, 2));
+  assert.match(text, /"proxyAuth": "<redacted>"/);
+  assert.doesNotMatch(text, /alice-lan|word-tail/);
+  assert.match(text, /"socksPort": 10808/);
+});
+
+test('secret values with escaped quotes are redacted to the end of the string', () => {
+  const text = redact(JSON.stringify({ password: 'start\\"middle"end', obfsPassword: 'x"y', name: 'kept' }));
+  assert.equal(text, '{"password":"<redacted>","obfsPassword":"<redacted>","name":"kept"}');
+});
+
+test('the generated config keeps no proxy credentials, keys or ids', () => {
+  const server = {
+    protocol: 'vless', address: '203.0.113.10', port: 443, uuid: 'b831381d-6324-4d53-ad4f-8cda48b30811',
+    security: 'reality', sni: 'www.example.com', publicKey: 'Z84J2IelR9ch3k8VtlVhhs5ycBUlXA7wHBWcBrjqnAw', shortId: '6ba85179', network: 'tcp',
+  };
+  const text = redact(serializeCoreConfig(buildCoreConfig(server, { proxyAuth: PROXY_AUTH })));
+  assert.doesNotMatch(text, /alice-lan|word-tail|b831381d|Z84J2Iel|6ba85179|203\.0\.113\.10/);
+  assert.match(text, /"user": "<redacted>"/);
+  assert.match(text, /"listen": "127\.0\.0\.1"/);
+});
+
+test('share-link secrets, UUIDs and public addresses in logs are redacted', () => {
+  const line = 'Imported vless://b831381d-6324-4d53-ad4f-8cda48b30811@198.51.100.7:443?security=reality&pbk=abc&sid=12ab#Home via 192.168.1.1 and 2001:4860::8888';
+  assert.equal(redact(line), 'Imported vless://<redacted>@<ip>:443?security=reality&pbk=<redacted>&sid=<redacted>#Home via 192.168.1.1 and <ip>');
+});
+
+test('credentials of every share-link scheme are redacted', () => {
+  const vmess = `vmess://${Buffer.from(JSON.stringify({ add: 'vm.example.com', id: 'not-a-uuid-secret' })).toString('base64')}`;
+  const links = {
+    'trojan://s3cr%40t@tr.example.com:443?security=tls#T': 'trojan://<redacted>@tr.example.com:443?security=tls#T',
+    'ss://Y2hhY2hhMjAtaWV0Zi1wb2x5MTMwNTpwYXNz@ss.example.com:8388#SS': 'ss://<redacted>@ss.example.com:8388#SS',
+    'ss://YWVzLTI1Ni1nY206cDA/Pn5AMTk4LjUxLjEwMC43OjgzODg=#Legacy': 'ss://<redacted>#Legacy',
+    'hy2://hunter2@hy.example.com:443?sni=hy.example.com': 'hy2://<redacted>@hy.example.com:443?sni=hy.example.com',
+    [vmess]: 'vmess://<redacted>',
+  };
+  Object.entries(links).forEach(([link, expected]) => assert.equal(redact(`Imported ${link}`), `Imported ${expected}`));
+});
+
+test('subscription URLs keep only their host', () => {
+  const line = '[Subscriptions] Failed to refresh https://sub.example.com/api/v1/client/subscribe?token=abc123 (403)';
+  assert.equal(redact(line), '[Subscriptions] Failed to refresh https://sub.example.com/<redacted> (403)');
+  assert.equal(redact('"url": "https://sub.example.com/s/Xk29Lq"'), '"url": "https://sub.example.com/<redacted>"');
+});
+
+test('every file in the bundle is redacted', () => {
+  const bundle = buildDiagnosticsBundle({
+    logs: [{ id: 1, at: 0, source: 'main', level: 'info', message: 'password=hunter2 for 198.51.100.7' }],
+    configText: null,
+    systemInfo: { platform: 'test' },
+    diagnostics: { settings: { proxyAuth: PROXY_AUTH } },
+  });
+  const zip = new AdmZip(bundle);
+  const contents = zip.getEntries().map(entry => entry.getData().toString('utf8')).join('\n');
+  assert.deepEqual(zip.getEntries().map(entry => entry.entryName).sort(), ['config.json', 'diagnostics.json', 'logs.txt', 'system.json']);
+  assert.doesNotMatch(contents, /alice-lan|word-tail|198\.51\.100\.7/);
+});
@@ -0,0 +1,70 @@
+/*
+  StealthLynk VPN Client - Exit IP tests
+  Lookups go through the fetchText hook; nothing is sent over the network.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROVIDERS, lookupExitIp, normalizeConfig, parseResponse } = require('../exitIp');
+
+const custom = url => ({ name: url, url, format: 'auto' });
+
+test('built-in services are read in their own format', () => {
+  assert.deepEqual(parseResponse(PROVIDERS.ipinfo, '{"ip": "203.0.113.5", "country": "de"}'), { ip: '203.0.113.5', countryCode: 'DE' });
+  assert.deepEqual(parseResponse(PROVIDERS.cloudflare, 'fl=1\nip=2001:db8::5\nloc=NL\n'), { ip: '2001:db8::5', countryCode: 'NL' });
+  assert.deepEqual(parseResponse(PROVIDERS.icanhazip, '203.0.113.5\n'), { ip: '203.0.113.5', countryCode: null });
+  assert.equal(parseResponse(PROVIDERS.ipinfo, '<html>Rate limited</html>'), null);
+  assert.equal(parseResponse(PROVIDERS.icanhazip, 'not an address'), null);
+});
+
+test('the format of other services is detected', () => {
+  const url = 'https://ip.example.com/';
+  assert.deepEqual(parseResponse(custom(url), '{"status": "success", "query": "198.51.100.7", "countryCode": "JP"}'), { ip: '198.51.100.7', countryCode: 'JP' });
+  assert.deepEqual(parseResponse(custom(url), '{"ip_addr": "198.51.100.7"}'), { ip: '198.51.100.7', countryCode: null });
+  assert.deepEqual(parseResponse(custom(url), 'h=ip.example.com\nip=198.51.100.7\nloc=SE'), { ip: '198.51.100.7', countryCode: 'SE' });
+  assert.deepEqual(parseResponse(custom(url), '  198.51.100.7  '), { ip: '198.51.100.7', countryCode: null });
+  assert.equal(parseResponse(custom(url), '{"ip": 42}'), null);
+  assert.equal(parseResponse(custom(url), ''), null);
+});
+
+test('Tor (T1) and unknown (XX) country codes are dropped', () => {
+  for (const loc of ['T1', 'XX', 'xx', 'EU1', '']) {
+    assert.deepEqual(parseResponse(PROVIDERS.cloudflare, `ip=203.0.113.5\nloc=${loc}`), { ip: '203.0.113.5', countryCode: null }, loc);
+  }
+});
+
+test('a failing or unreadable service falls through to the next one', async () => {
+  const { config } = normalizeConfig({ providers: ['ipinfo', 'cloudflare', 'https://ip.example.com/', 'icanhazip'], timeoutMs: 2000 });
+  const requests = [];
+  const answers = {
+    [PROVIDERS.ipinfo.url]: () => { throw new Error('timeout of 2000ms exceeded'); },
+    [PROVIDERS.cloudflare.url]: () => '<html>Access denied</html>',
+    'https://ip.example.com/': () => '{"query": "198.51.100.7", "countryCode": "JP"}',
+  };
+  const fetchText = async (url, options) => {
+    requests.push([url, options]);
+    return answers[url]();
+  };
+
+  const result = await lookupExitIp(config, { fetchText });
+  assert.deepEqual(result, {
+    success: true,
+    ip: '198.51.100.7',
+    countryCode: 'JP',
+    provider: 'https://ip.example.com/',
+    attempts: [
+      { provider: 'ipinfo', error: 'timeout of 2000ms exceeded' },
+      { provider: 'cloudflare', error: 'No IP address in the answer.' },
+      { provider: 'https://ip.example.com/', error: null },
+    ],
+  });
+  assert.deepEqual(requests.map(([url]) => url), [PROVIDERS.ipinfo.url, PROVIDERS.cloudflare.url, 'https://ip.example.com/']);
+  assert.deepEqual(requests[0][1], { timeoutMs: 2000 });
+});
+
+test('a lookup fails when no service answers', async () => {
+  const { config } = normalizeConfig({ providers: ['ipify', 'icanhazip'] });
+  const result = await lookupExitIp(config, { fetchText: async () => { throw new Error('socket hang up'); } });
+  assert.equal(result.success, false);
+  assert.deepEqual(result.attempts.map(attempt => attempt.error), ['socket hang up', 'socket hang up']);
+});
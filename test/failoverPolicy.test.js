@@ -0,0 +1,89 @@
+/*
+  StealthLynk VPN Client - Smart-connect tests
+  Drives FailoverEngine with health events, a fake clock and a fake switch.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FailoverEngine, decide, normalizeConfig } = require('../failoverPolicy');
+
+const SERVERS = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+function health(serverId, status, latency, changed = false) {
+  return { serverId, status, latency, changed };
+}
+
+// Lets pending evaluate() calls (and the ones they queue) finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function createEngine({ switchServer } = {}) {
+  const state = { activeServerId: 'a', clock: 1000000 };
+  const switches = [];
+  const engine = new FailoverEngine({
+    getState: async () => ({ servers: SERVERS, activeServerId: state.activeServerId, isConnected: true }),
+    switchServer: async (serverId) => {
+      switches.push(serverId);
+      if (switchServer) await switchServer(serverId);
+      state.activeServerId = serverId;
+    },
+    now: () => state.clock,
+  });
+  engine.configure({ enabled: true, policy: 'lowest-latency', switchThresholdMs: 50, minSwitchIntervalMs: 60000 });
+  return { engine, state, switches };
+}
+
+test('a latency change alone lets lowest-latency switch to a faster server', async () => {
+  const { engine, switches } = createEngine();
+  engine.onHealth(health('a', 'up', 200, true));
+  engine.onHealth(health('b', 'up', 180, true));
+  await settle();
+  assert.deepEqual(switches, []); // 20 ms is below the threshold
+
+  engine.onHealth(health('b', 'up', 90)); // Same status, only faster
+  await settle();
+  assert.deepEqual(switches, ['b']);
+});
+
+test('voluntary switches wait for the cool-down', async () => {
+  const { engine, state, switches } = createEngine();
+  engine.onHealth(health('a', 'up', 200, true));
+  engine.onHealth(health('b', 'up', 90, true));
+  await settle();
+  assert.deepEqual(switches, ['b']);
+
+  engine.onHealth(health('c', 'up', 10, true));
+  await settle();
+  assert.deepEqual(switches, ['b']);
+
+  state.clock += 60000;
+  engine.onHealth(health('c', 'up', 11));
+  await settle();
+  assert.deepEqual(switches, ['b', 'c']);
+});
+
+test('health that arrives during a switch is evaluated once the switch is done', async () => {
+  let finishSwitch;
+  const { engine, switches } = createEngine({
+    switchServer: serverId => (serverId === 'b' ? new Promise((resolve) => { finishSwitch = resolve; }) : undefined),
+  });
+  engine.onHealth(health('c', 'up', 150, true));
+  engine.onHealth(health('b', 'up', 100, true));
+  engine.onHealth(health('a', 'down', null, true));
+  await settle();
+  assert.deepEqual(switches, ['b']);
+
+  // The server being switched to fails while the switch is still running
+  engine.onHealth(health('b', 'down', null, true));
+  finishSwitch();
+  await settle();
+  await settle();
+  assert.deepEqual(switches, ['b', 'c']);
+});
+
+test('decide keeps a sticky server until it is down', () => {
+  const config = normalizeConfig({ policy: 'sticky' });
+  const up = { a: health('a', 'up', 300), b: health('b', 'up', 20) };
+  assert.equal(decide({ servers: SERVERS, health: up, activeServerId: 'a', config }), null);
+  const down = { ...up, a: health('a', 'down', null) };
+  assert.equal(decide({ servers: SERVERS, health: down, activeServerId: 'a', config }).serverId, 'b');
+});
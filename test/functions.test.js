@@ -0,0 +1,91 @@
+/*
+  StealthLynk VPN Client - Main process wiring tests
+  Drives functions.js (see helpers/loadFunctions.js) with a fake app, kill switch and cores.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFunctions } = require('./helpers/loadFunctions');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// An app whose quit() emits 'before-quit' again, as Electron's does
+function createApp() {
+  const app = {
+    quits: 0,
+    prevented: 0,
+    listeners: [],
+    on(name, listener) {
+      if (name === 'before-quit') app.listeners.push(listener);
+    },
+    quit() {
+      app.quits++;
+      app.emitBeforeQuit();
+    },
+    emitBeforeQuit() {
+      const event = { preventDefault: () => { app.prevented++; } };
+      app.listeners.forEach(listener => listener(event));
+    },
+  };
+  return app;
+}
+
+function loadWithKillSwitch(disengage) {
+  const app = createApp();
+  const functions = loadFunctions({ app }, ['cleanUpBeforeQuit']);
+  const killSwitch = { engaged: true, disengageCalls: 0 };
+  killSwitch.disengage = async () => {
+    killSwitch.disengageCalls++;
+    await disengage(killSwitch);
+  };
+  functions.context.fakeKillSwitch = killSwitch;
+  functions.run('killSwitch = fakeKillSwitch;');
+  app.on('before-quit', event => functions.cleanUpBeforeQuit(event));
+  return { app, killSwitch };
+}
+
+test('quitting lifts an engaged kill switch before the app exits', async () => {
+  const { app, killSwitch } = loadWithKillSwitch(async (ks) => { ks.engaged = false; });
+  app.emitBeforeQuit();
+  await settle();
+  assert.equal(killSwitch.disengageCalls, 1);
+  assert.equal(app.quits, 1);
+  assert.equal(app.prevented, 1); // The second before-quit goes through
+});
+
+test('a kill switch that fails to come down does not keep the app from quitting', async () => {
+  const { app, killSwitch } = loadWithKillSwitch(async () => { throw new Error('User cancelled the admin prompt'); });
+  app.emitBeforeQuit();
+  await settle();
+  assert.equal(killSwitch.engaged, true);
+  assert.equal(killSwitch.disengageCalls, 1);
+  assert.equal(app.quits, 1);
+  assert.equal(app.prevented, 1);
+});
+
+test('connecting again after an error replaces the core that is still running', async () => {
+  const servers = [{ id: 's1', protocol: 'trojan', address: '192.0.2.1', port: 443, password: 'hunter2' }];
+  const functions = loadFunctions({
+    serverStore: { data: { servers, activeServer: 's1' }, getSettings: () => ({}), getActiveServer: () => servers[0], on() {} },
+  }, ['connect']);
+  const events = [];
+  const createCore = name => ({ name, running: true, stop: async () => { events.push(`stop ${name}`); } });
+  functions.context.fake = { createCore, events, staleCore: createCore('stale') };
+  functions.run(`
+    killSwitch = { engaged: false, dialAddress: () => null };
+    tunnelCore = fake.staleCore;
+    startTunnelCore = async () => {
+      fake.events.push('start');
+      tunnelCore = fake.createCore('new');
+      return { success: true };
+    };
+    connectionState.transition('connecting');
+    connectionState.transition('error', { error: 'Core exited' });
+  `);
+
+  const result = await functions.connect();
+  assert.equal(result.success, true);
+  assert.deepEqual(events, ['stop stale', 'start']);
+  assert.equal(functions.run('tunnelCore.name'), 'new');
+  assert.equal(functions.run('connectionState.state'), 'connected');
+});
@@ -0,0 +1,27 @@
+/*
+  StealthLynk VPN Client - GeoIP tests
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeCountry, needsLocation } = require('../geoIp');
+
+test('describeCountry names a country code and builds its flag', () => {
+  assert.deepEqual(describeCountry('de'), { countryCode: 'DE', countryName: 'Germany', flag: '\u{1F1E9}\u{1F1EA}' });
+  for (const code of ['T1', 'DEU', '', null, undefined]) assert.equal(describeCountry(code), null, String(code));
+});
+
+test('a server is located when it never was or its address changed', () => {
+  assert.equal(needsLocation({ address: 'vpn.example.com' }), true);
+  assert.equal(needsLocation({ address: 'vpn.example.com', countryCode: 'DE', geoAddress: 'vpn.example.com' }), false);
+  assert.equal(needsLocation({ address: 'new.example.com', countryCode: 'DE', geoAddress: 'vpn.example.com' }), true);
+  assert.equal(needsLocation({ address: '' }), false);
+});
+
+test('force locates again, but a country set elsewhere is kept', () => {
+  const located = { address: 'vpn.example.com', countryCode: 'DE', geoAddress: 'vpn.example.com' };
+  assert.equal(needsLocation(located, { force: true }), true);
+  // No geoAddress: the country was not set by a lookup
+  assert.equal(needsLocation({ address: 'vpn.example.com', countryCode: 'JP' }), false);
+  assert.equal(needsLocation({ address: 'vpn.example.com', countryCode: 'JP' }, { force: true }), false);
+});
@@ -0,0 +1,47 @@
+/*
+  StealthLynk VPN Client - Health monitor tests
+  Feeds results through recordResult() with a fixed clock; no probes run.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HealthMonitor } = require('../healthMonitor');
+
+const SERVER = { id: 's1', address: '192.0.2.1', port: 443 };
+
+function createMonitor() {
+  const monitor = new HealthMonitor({ now: () => 1000, failuresToDown: 3, successesToUp: 2 });
+  monitor.setServers([SERVER]);
+  const events = [];
+  monitor.on('health', event => events.push(event));
+  return { monitor, events };
+}
+
+test('a server never seen up needs successesToUp answers, like a down one', () => {
+  const { monitor, events } = createMonitor();
+  monitor.recordResult('s1', 40);
+  assert.equal(events[0].status, 'unknown');
+  assert.equal(events[0].changed, false);
+  assert.equal(events[0].nextCheckAt, 1000 + monitor.options.confirmIntervalMs);
+  monitor.recordResult('s1', 42);
+  assert.equal(events[1].status, 'up');
+  assert.equal(events[1].changed, true);
+});
+
+test('failuresToDown failures mark a server down and successesToUp bring it back', () => {
+  const { monitor, events } = createMonitor();
+  [40, 40, null, null].forEach(latency => monitor.recordResult('s1', latency));
+  assert.equal(events[3].status, 'up');
+  monitor.recordResult('s1', null);
+  assert.equal(events[4].status, 'down');
+  monitor.recordResult('s1', 50);
+  assert.equal(events[5].status, 'down');
+  monitor.recordResult('s1', 50);
+  assert.equal(events[6].status, 'up');
+});
+
+test('a failure from unknown resets the successes needed', () => {
+  const { monitor, events } = createMonitor();
+  [40, null, 40].forEach(latency => monitor.recordResult('s1', latency));
+  assert.deepEqual(events.map(e => e.status), ['unknown', 'unknown', 'unknown']);
+});
@@ -0,0 +1,37 @@
+/*
+  StealthLynk VPN Client - Loads functions.js for tests
+  functions.js is evaluated with main.js globals; this evaluates it in a fresh
+  context with stand-ins for them. Nothing is started until a test calls in.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Module = require('module');
+
+const FUNCTIONS_FILE = path.join(__dirname, '..', '..', 'functions.js');
+
+/**
+ * @param {object} [globals] main.js globals to add or replace (serverStore, app, ...).
+ * @param {string[]} [names] Functions and variables of functions.js to hand back.
+ * @returns {{context: object, run: function(string): *}} run() evaluates code inside functions.js's scope.
+ */
+function loadFunctions(globals = {}, names = []) {
+  const quiet = () => {};
+  const context = vm.createContext({
+    require: Module.createRequire(FUNCTIONS_FILE),
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet },
+    process, Buffer, setTimeout, clearTimeout, setInterval, clearInterval, setImmediate,
+    serverStore: { data: { servers: [] }, getSettings: () => ({}), on() {} },
+    healthMonitor: {},
+    subscriptionManager: {},
+    ipcMain: {},
+    app: {},
+    ...globals,
+  });
+  const exported = names.map(name => `${name}: ${name}`).join(', ');
+  vm.runInContext(`${fs.readFileSync(FUNCTIONS_FILE, 'utf8')}\n;this.exported = { ${exported} };`, context, { filename: FUNCTIONS_FILE });
+  return { ...context.exported, context, run: code => vm.runInContext(code, context) };
+}
+
+module.exports = { loadFunctions };
@@ -0,0 +1,151 @@
+/*
+  StealthLynk VPN Client - Local stand-in services for tests
+  A SOCKS5 proxy standing in for the core, an HTTP server for probe and echo
+  endpoints, and a DNS server that records which resolver asked for what.
+  Everything listens on loopback on a free port.
+*/
+
+const net = require('net');
+const http = require('http');
+const dgram = require('dgram');
+
+function listen(server, host = '127.0.0.1', port = 0) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server.address().port));
+  });
+}
+
+/**
+ * SOCKS5 proxy (CONNECT only) that records the destinations it was asked for.
+ * @param {object} [options]
+ * @param {function(string): Promise<string>} [options.resolve] Resolves domain names; by default they are dialed as given.
+ * @param {string} [options.localAddress] Address outgoing connections are made from.
+ * @param {number} [options.port] Port to listen on; a free one by default.
+ */
+async function startSocksServer({ resolve = async host => host, localAddress, port: listenPort = 0 } = {}) {
+  const requests = [];
+  const sockets = new Set();
+  const server = net.createServer((client) => {
+    sockets.add(client);
+    client.on('close', () => sockets.delete(client));
+    client.on('error', () => {});
+    client.once('data', () => {
+      client.write(Buffer.from([5, 0])); // No authentication
+      client.once('data', async (request) => {
+        const reply = code => Buffer.from([5, code, 0, 1, 0, 0, 0, 0, 0, 0]);
+        let host;
+        let offset;
+        if (request[3] === 1) {
+          host = Array.from(request.subarray(4, 8)).join('.');
+          offset = 8;
+        } else if (request[3] === 3) {
+          host = request.subarray(5, 5 + request[4]).toString();
+          offset = 5 + request[4];
+        } else {
+          client.end(reply(8)); // Address type not supported
+          return;
+        }
+        const port = request.readUInt16BE(offset);
+        requests.push({ host, port });
+        let address;
+        try {
+          address = await resolve(host);
+        } catch (error) {
+          client.end(reply(4)); // Host unreachable
+          return;
+        }
+        const upstream = net.connect({ host: address, port, localAddress }, () => {
+          client.write(reply(0));
+          upstream.pipe(client);
+          client.pipe(upstream);
+        });
+        sockets.add(upstream);
+        upstream.on('close', () => sockets.delete(upstream));
+        upstream.on('error', () => client.destroy());
+      });
+    });
+  });
+  const port = await listen(server, '127.0.0.1', listenPort);
+  return {
+    port,
+    requests,
+    close: () => new Promise((done) => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(done);
+    }),
+  };
+}
+
+/**
+ * HTTP server with a route table: { '/path': (req, res) => ... }. Unknown paths answer 404.
+ * Handlers may return a string body instead of writing the response themselves.
+ */
+async function startHttpServer(routes, host = '127.0.0.1') {
+  const server = http.createServer((req, res) => {
+    const pathname = req.url.split('?')[0];
+    const route = Object.keys(routes).find(prefix => (prefix.endsWith('/') ? pathname.startsWith(prefix) : pathname === prefix));
+    if (!route) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    const body = routes[route](req, res);
+    if (typeof body === 'string') res.end(body);
+  });
+  const port = await listen(server, host);
+  return {
+    port,
+    url: pathname => `http://${host.includes(':') ? `[${host}]` : host}:${port}${pathname}`,
+    close: () => new Promise((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    }),
+  };
+}
+
+// Question name of a DNS query, and the offset just past its question section
+function readQuestion(message) {
+  const labels = [];
+  let offset = 12;
+  while (message[offset]) {
+    labels.push(message.subarray(offset + 1, offset + 1 + message[offset]).toString());
+    offset += message[offset] + 1;
+  }
+  return { name: labels.join('.').toLowerCase(), end: offset + 5 };
+}
+
+/**
+ * Authoritative DNS stand-in that answers every query with NXDOMAIN and records
+ * { name, resolver } for each, the resolver being the address the query came from.
+ */
+async function startDnsServer() {
+  const queries = [];
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (message, remote) => {
+    const { name, end } = readQuestion(message);
+    queries.push({ name, resolver: remote.address });
+    const answer = Buffer.from(message.subarray(0, end));
+    answer[2] = 0x81; // Response, recursion desired
+    answer[3] = 0x83; // Recursion available, NXDOMAIN
+    answer.writeUInt16BE(0, 6);
+    answer.writeUInt16BE(0, 8);
+    answer.writeUInt16BE(0, 10);
+    socket.send(answer, remote.port, remote.address);
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('error', reject);
+    socket.bind(0, '127.0.0.1', resolve);
+  });
+  return {
+    port: socket.address().port,
+    queries,
+    close: () => new Promise(done => socket.close(done)),
+  };
+}
+
+module.exports = {
+  startDnsServer,
+  startHttpServer,
+  startSocksServer,
+};
@@ -0,0 +1,49 @@
+/*
+  StealthLynk VPN Client - IPC contract tests
+  Loads functions.js the way main.js does (evaluated with main.js globals) and checks
+  its handler map against the contract; nothing is started or connected.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ipcContract = require('../ipcContract');
+const { loadFunctions } = require('./helpers/loadFunctions');
+
+function loadIpcHandlers({ servers = [], logged = [] } = {}) {
+  const log = (...args) => logged.push(args);
+  const { getIpcHandlers } = loadFunctions({
+    console: { log, info: log, warn: log, error: log, debug: log },
+    serverStore: { data: { servers }, getSettings: () => ({}), on() {} },
+  }, ['getIpcHandlers']);
+  return getIpcHandlers();
+}
+
+test('functions.js has a handler for every declared method and nothing undeclared', () => {
+  assert.deepEqual(ipcContract.findHandlerMismatches(loadIpcHandlers()), []);
+});
+
+test('registerHandlers registers every declared channel once', () => {
+  const channels = [];
+  ipcContract.registerHandlers({ handle: channel => channels.push(channel) }, loadIpcHandlers());
+  assert.deepEqual(channels.sort(), Object.values(ipcContract.INVOKE).map(({ channel }) => channel).sort());
+});
+
+test('findHandlerMismatches reports missing and undeclared handlers', () => {
+  const handlers = Object.fromEntries(Object.keys(ipcContract.INVOKE).map(method => [method, () => {}]));
+  delete handlers.connect;
+  handlers.formatDisk = () => {};
+  assert.deepEqual(ipcContract.findHandlerMismatches(handlers), [
+    `No handler for connect (${ipcContract.INVOKE.connect.channel})`,
+    'Handler formatDisk is not declared in the IPC contract',
+  ]);
+  assert.throws(() => ipcContract.registerHandlers({ handle() {} }, handlers), ipcContract.IpcContractError);
+});
+
+test('getServers returns the store\'s servers without logging them', () => {
+  const servers = [{ id: 's1', protocol: 'trojan', address: '192.0.2.1', port: 443, password: 'hunter2' }];
+  const logged = [];
+  const handlers = loadIpcHandlers({ servers, logged });
+  logged.length = 0;
+  assert.equal(handlers.getServers(), servers);
+  assert.deepEqual(logged, []);
+});
@@ -0,0 +1,180 @@
+/*
+  StealthLynk VPN Client - Kill switch tests
+  Uses a recording backend and a fake DNS lookup, and replaces execFile so the
+  real backends only record the privileged commands; no firewall is touched.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Must be in place before killSwitch.js picks up execFile
+const privilegedRuns = [];
+childProcess.execFile = (command, args, callback) => {
+  const script = args[args.length - 1];
+  const match = /-f '([^']+)'/.exec(script);
+  const file = match && match[1];
+  const dirStat = file && fs.lstatSync(path.dirname(file));
+  privilegedRuns.push({
+    script,
+    file,
+    contents: file && fs.readFileSync(file, 'utf8'),
+    fileMode: file && fs.lstatSync(file).mode & 0o777,
+    dirMode: dirStat && dirStat.mode & 0o777,
+  });
+  process.nextTick(() => callback(null, 'Token : 42\n', ''));
+};
+
+const { KillSwitch, nftablesBackend, pfBackend } = require('../killSwitch');
+
+const SERVERS = [
+  { id: 'a', address: '192.0.2.1', port: 443, favorite: false },
+  { id: 'b', address: 'vpn.example.com', port: 8443, tags: [] },
+];
+
+function createKillSwitch(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const calls = [];
+  let applying = 0;
+  const backend = {
+    name: 'fake',
+    generateRules: endpoints => nftablesBackend.generateRules(endpoints),
+    async apply(ruleset, token) {
+      applying++;
+      calls.push({ action: 'apply', ruleset, token, overlapping: applying > 1 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      applying--;
+      return `token-${calls.length}`;
+    },
+    async remove(token) {
+      calls.push({ action: 'remove', token });
+    },
+  };
+  const lookups = [];
+  const lookup = async (host) => {
+    lookups.push(host);
+    return [{ address: '198.51.100.9' }];
+  };
+  const killSwitch = new KillSwitch({ stateFile: path.join(dir, 'killswitch.json'), backend, lookup });
+  return { killSwitch, calls, lookups };
+}
+
+test('store changes that keep the endpoints do not re-apply the rules', async (t) => {
+  const { killSwitch, calls, lookups } = createKillSwitch(t);
+  await killSwitch.engage(SERVERS);
+  const edited = SERVERS.map(server => ({ ...server, favorite: true, tags: ['work'], name: 'Renamed' }));
+  await killSwitch.engage(edited);
+  await killSwitch.engage([...edited].reverse());
+  assert.equal(calls.length, 1);
+  assert.deepEqual(lookups, ['vpn.example.com']);
+});
+
+test('a changed endpoint re-applies with the token of the first apply', async (t) => {
+  const { killSwitch, calls } = createKillSwitch(t);
+  await killSwitch.engage(SERVERS);
+  await killSwitch.engage([...SERVERS, { id: 'c', address: '203.0.113.5', port: 443 }]);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].token, 'token-1');
+  assert.match(calls[1].ruleset, /203\.0\.113\.5/);
+});
+
+test('an endpoint that resolves to the same rules is not applied again', async (t) => {
+  const { killSwitch, calls } = createKillSwitch(t);
+  await killSwitch.engage(SERVERS);
+  // Another name for the same address and port
+  await killSwitch.engage([SERVERS[0], { ...SERVERS[1], address: 'alias.example.com' }]);
+  assert.equal(calls.length, 1);
+});
+
+test('overlapping engage and disengage calls run one at a time', async (t) => {
+  const { killSwitch, calls } = createKillSwitch(t);
+  await Promise.all([
+    killSwitch.engage(SERVERS),
+    killSwitch.engage([{ id: 'c', address: '203.0.113.5', port: 443 }]),
+    killSwitch.disengage(),
+  ]);
+  assert.deepEqual(calls.map(call => call.action), ['apply', 'apply', 'remove']);
+  assert.ok(calls.every(call => !call.overlapping));
+  assert.equal(calls[1].token, 'token-1');
+  assert.equal(calls[2].token, 'token-2');
+  assert.equal(killSwitch.engaged, false);
+  assert.equal(fs.existsSync(killSwitch.stateFile), false);
+});
+
+test('hostname servers are dialed by the IP the rules allow', async (t) => {
+  const { killSwitch } = createKillSwitch(t);
+  assert.equal(killSwitch.dialAddress(SERVERS[1]), null);
+  await killSwitch.engage(SERVERS);
+  assert.equal(killSwitch.dialAddress(SERVERS[1]), '198.51.100.9');
+  assert.equal(killSwitch.dialAddress(SERVERS[0]), null); // Already an IP
+  assert.equal(killSwitch.dialAddress({ address: 'other.example.com', port: 443 }), null);
+  await killSwitch.disengage();
+  assert.equal(killSwitch.dialAddress(SERVERS[1]), null);
+});
+
+test('a failed apply is retried on the next engage', async (t) => {
+  const { killSwitch, calls } = createKillSwitch(t);
+  await killSwitch.engage(SERVERS);
+  const apply = killSwitch.backend.apply;
+  killSwitch.backend.apply = async () => { throw new Error('denied'); };
+  const changed = [{ id: 'c', address: '203.0.113.5', port: 443 }];
+  await assert.rejects(killSwitch.engage(changed), /denied/);
+  killSwitch.backend.apply = apply;
+  await killSwitch.engage(changed);
+  assert.equal(calls.length, 2);
+  assert.equal(killSwitch.lastError, null);
+});
+
+test('a failed disengage keeps the state file so recover() removes the rules later', async (t) => {
+  const { killSwitch, calls } = createKillSwitch(t);
+  await killSwitch.engage(SERVERS);
+  const remove = killSwitch.backend.remove;
+  killSwitch.backend.remove = async () => { throw new Error('User cancelled the admin prompt'); };
+  await assert.rejects(killSwitch.disengage(), /cancelled/);
+  assert.equal(killSwitch.engaged, true);
+  assert.equal(fs.existsSync(killSwitch.stateFile), true);
+
+  killSwitch.backend.remove = remove;
+  assert.equal(await killSwitch.recover(), true);
+  assert.deepEqual(calls.at(-1), { action: 'remove', token: 'token-1' });
+  assert.equal(fs.existsSync(killSwitch.stateFile), false);
+});
+
+test('nftables rules let replies to incoming connections out, and only the endpoints otherwise', () => {
+  const ruleset = nftablesBackend.generateRules([{ ip: '192.0.2.1', port: 443 }, { ip: '2001:db8::1', port: 8443 }]);
+  assert.equal(ruleset, [
+    '# StealthLynk kill switch',
+    'table inet stealthlynk_killswitch',
+    'delete table inet stealthlynk_killswitch',
+    'table inet stealthlynk_killswitch {',
+    '  chain output {',
+    '    type filter hook output priority 0; policy drop;',
+    '    oifname "lo" accept',
+    '    ct state established,related accept',
+    '    udp sport 68 udp dport 67 accept',
+    '    ip daddr 192.0.2.1 meta l4proto { tcp, udp } th dport 443 accept',
+    '    ip6 daddr 2001:db8::1 meta l4proto { tcp, udp } th dport 8443 accept',
+    '  }',
+    '}',
+    '',
+  ].join('\n'));
+});
+
+for (const backend of [nftablesBackend, pfBackend]) {
+  test(`${backend.name} loads its rules from a private file that is removed afterwards`, async () => {
+    privilegedRuns.length = 0;
+    const ruleset = backend.generateRules([{ ip: '192.0.2.1', port: 443 }]);
+    await backend.apply(ruleset, null);
+    const [run] = privilegedRuns;
+    assert.equal(run.contents, ruleset);
+    assert.equal(run.dirMode, 0o700);
+    assert.equal(run.fileMode, 0o600);
+    assert.ok(path.dirname(run.file).startsWith(path.join(os.tmpdir(), 'stealthlynk-killswitch-')));
+    assert.equal(fs.existsSync(path.dirname(run.file)), false);
+  });
+}
@@ -0,0 +1,106 @@
+/*
+  StealthLynk VPN Client - Latency tester tests
+  Probes a local HTTP endpoint through a local SOCKS5 stand-in for the core.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findFreePort } = require('../coreLauncher');
+const { measureDelay, summarizeSamples, testServerDelay } = require('../latencyTester');
+const { startHttpServer, startSocksServer } = require('./helpers/standIns');
+
+const SERVER = { id: 's1', name: 'Test', protocol: 'trojan', address: 'tr.example.com', port: 443, password: 'x', security: 'tls', network: 'tcp' };
+
+let probe;
+
+test.before(async () => {
+  probe = await startHttpServer({
+    '/generate_204': (req, res) => {
+      res.statusCode = 204;
+      res.end();
+    },
+    '/broken': (req, res) => {
+      res.statusCode = 503;
+      res.end();
+    },
+  });
+});
+
+test.after(() => probe.close());
+
+test('measureDelay probes through the SOCKS port with a fresh connection per sample', async () => {
+  const socks = await startSocksServer();
+  try {
+    const result = await measureDelay({ socksPort: socks.port, probeUrl: probe.url('/generate_204'), samples: 3, timeoutMs: 2000 });
+    assert.equal(result.loss, 0);
+    assert.equal(result.samples.length, 3);
+    assert.ok(result.samples.every(sample => Number.isInteger(sample) && sample >= 0));
+    assert.equal(result.latency, summarizeSamples(result.samples).latency);
+    assert.deepEqual(socks.requests.map(r => r.port), [probe.port, probe.port, probe.port]);
+  } finally {
+    await socks.close();
+  }
+});
+
+test('measureDelay counts server errors and an unreachable proxy as loss', async () => {
+  const socks = await startSocksServer();
+  try {
+    const broken = await measureDelay({ socksPort: socks.port, probeUrl: probe.url('/broken'), samples: 2, timeoutMs: 2000 });
+    assert.deepEqual(broken, { latency: null, jitter: null, loss: 1, samples: [null, null] });
+  } finally {
+    await socks.close();
+  }
+  const unreachable = await measureDelay({ socksPort: await findFreePort(), probeUrl: probe.url('/generate_204'), samples: 2, timeoutMs: 2000 });
+  assert.equal(unreachable.loss, 1);
+});
+
+test('summarizeSamples reports the median, jitter and loss', () => {
+  assert.deepEqual(summarizeSamples([100, null, 120, 110]), { latency: 110, jitter: 15, loss: 0.25, samples: [100, null, 120, 110] });
+  assert.deepEqual(summarizeSamples([]), { latency: null, jitter: null, loss: 1, samples: [] });
+});
+
+test('testServerDelay starts a short-lived core that announces its start, probes through it and stops it', async () => {
+  const calls = [];
+  let socks = null;
+  const createCore = (config) => ({
+    async start() {
+      calls.push('start');
+      // CoreProcess.start() waits for the "started" line, which the core logs at warning
+      assert.notEqual(config.log.loglevel, 'none');
+      assert.equal(config.metrics, undefined);
+      socks = await startSocksServer({ port: config.inbounds[0].port });
+    },
+    async stop() {
+      calls.push('stop');
+      if (socks) await socks.close();
+    },
+  });
+
+  const result = await testServerDelay(SERVER, { createCore, probeUrl: probe.url('/generate_204'), samples: 2, timeoutMs: 2000 });
+  assert.equal(result.serverId, 's1');
+  assert.equal(result.loss, 0);
+  assert.equal(socks.requests.length, 2);
+  assert.deepEqual(calls, ['start', 'stop']);
+});
+
+test('testServerDelay reports a core that fails to start and still stops it', async () => {
+  const calls = [];
+  const createCore = () => ({
+    start: async () => { throw new Error('Core did not start in time.'); },
+    stop: async () => { calls.push('stop'); },
+  });
+  const result = await testServerDelay(SERVER, { createCore, probeUrl: probe.url('/generate_204'), samples: 1 });
+  assert.deepEqual(result, { serverId: 's1', latency: null, jitter: null, loss: 1, samples: [], error: 'Core did not start in time.' });
+  assert.deepEqual(calls, ['stop']);
+});
+
+test('testServerDelay reuses the running core instead of starting one', async () => {
+  const socks = await startSocksServer();
+  try {
+    const createCore = () => assert.fail('no core should be started');
+    const result = await testServerDelay(SERVER, { runningSocksPort: socks.port, createCore, probeUrl: probe.url('/generate_204'), samples: 1 });
+    assert.equal(result.loss, 0);
+  } finally {
+    await socks.close();
+  }
+});
@@ -0,0 +1,110 @@
+/*
+  StealthLynk VPN Client - Leak test tests
+  Runs the whole leak test against local stand-ins: a DNS echo (authoritative DNS
+  plus its HTTP id/result endpoints), an address echo, and a SOCKS proxy for the
+  tunnel. The tunnel resolves names from 127.0.0.2 and connects out from 127.0.0.3,
+  so both the stand-in services and the test can tell tunneled traffic apart.
+*/
+
+const dns = require('dns');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exitIp = require('../exitIp');
+const { findFreePort } = require('../coreLauncher');
+const { DEFAULT_CONFIG, runLeakTest } = require('../leakTest');
+const { startDnsServer, startHttpServer, startSocksServer } = require('./helpers/standIns');
+
+const TUNNEL_RESOLVER = '127.0.0.2';
+const TUNNEL_EXIT = '127.0.0.3';
+
+const remoteAddress = req => req.socket.remoteAddress.replace(/^::ffff:/, '');
+
+async function startServices(t, { leaky = false, killSwitch = false } = {}) {
+  const dnsServer = await startDnsServer();
+  let nextId = 1;
+  // With the kill switch on, only traffic out of the tunnel reaches the echo service
+  const echo = handler => (req, res) => {
+    if (killSwitch && remoteAddress(req) !== TUNNEL_EXIT) {
+      req.socket.destroy();
+      return undefined;
+    }
+    return handler(req, res);
+  };
+  const http = await startHttpServer({
+    '/id': echo(() => `t${nextId++}`),
+    '/result/': echo((req) => {
+      const id = req.url.slice('/result/'.length);
+      const resolvers = dnsServer.queries.filter(query => query.name.includes(`.${id}.`)).map(query => ({ ip: query.resolver, type: 'dns' }));
+      return JSON.stringify([...resolvers, { ip: '192.0.2.1', type: 'ip' }]);
+    }),
+    '/ip': echo(req => remoteAddress(req)),
+  });
+  const socks = await startSocksServer({
+    localAddress: TUNNEL_EXIT,
+    resolve: async (host) => {
+      if (host === '127.0.0.1') return host;
+      const resolver = new dns.promises.Resolver({ timeout: 500, tries: 1 });
+      resolver.setLocalAddress(leaky ? '127.0.0.1' : TUNNEL_RESOLVER);
+      resolver.setServers([`127.0.0.1:${dnsServer.port}`]);
+      return (await resolver.resolve4(host))[0];
+    },
+  });
+  t.after(() => Promise.all([dnsServer.close(), http.close(), socks.close()]));
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    dnsIdUrl: http.url('/id'),
+    dnsDomain: 'leak.test',
+    dnsResultUrl: http.url('/result/{id}'),
+    systemDnsServers: [`127.0.0.1:${dnsServer.port}`],
+    ipv6Url: `http://127.0.0.1:${await findFreePort()}/`, // Nothing listens: IPv6 unreachable
+    timeoutMs: 2000,
+  };
+  const exitIpConfig = exitIp.normalizeConfig({ providers: [http.url('/ip')], timeoutMs: 2000 }).config;
+  return { config, exitIpConfig, socksPort: socks.port, dnsServer };
+}
+
+const byId = report => Object.fromEntries(report.checks.map(check => [check.id, check]));
+
+test('a tunnel with its own resolvers and exit address passes', async (t) => {
+  const { config, exitIpConfig, socksPort } = await startServices(t);
+  const webrtc = { candidates: [{ type: 'host', protocol: 'udp', address: 'abc.local' }, { type: 'srflx', protocol: 'udp', address: TUNNEL_EXIT }] };
+  const report = await runLeakTest(config, { socksPort, exitIpConfig, webrtc });
+  const checks = byId(report);
+
+  assert.equal(report.passed, true);
+  assert.equal(checks.dns.status, 'pass');
+  assert.deepEqual(checks.dns.details, [`Through the tunnel: ${TUNNEL_RESOLVER}`, 'Through the system: 127.0.0.1']);
+  assert.equal(checks.exit.status, 'pass');
+  assert.equal(checks.exit.summary, `Traffic through the tunnel leaves as ${TUNNEL_EXIT}.`);
+  assert.equal(checks.ipv6.status, 'pass');
+  assert.equal(checks.webrtc.status, 'pass');
+});
+
+test('a tunnel that resolves through the system resolver fails the DNS check', async (t) => {
+  const { config, exitIpConfig, socksPort } = await startServices(t, { leaky: true });
+  const report = await runLeakTest(config, { socksPort, exitIpConfig });
+  assert.equal(report.passed, false);
+  assert.equal(byId(report).dns.status, 'fail');
+  assert.match(byId(report).dns.summary, /reached your own resolvers \(127\.0\.0\.1\)/);
+});
+
+test('the DNS check runs while the kill switch only lets the tunnel through', async (t) => {
+  const { config, exitIpConfig, socksPort, dnsServer } = await startServices(t, { killSwitch: true });
+  const report = await runLeakTest(config, { socksPort, exitIpConfig, killSwitchEngaged: true });
+  const checks = byId(report);
+
+  assert.equal(checks.dns.status, 'pass');
+  assert.equal(dnsServer.queries.length, 2 * config.probeNames);
+  // The direct exit lookup is blocked, the tunneled one is not
+  assert.equal(checks.exit.status, 'pass');
+  assert.match(checks.exit.details[1], /^Without the tunnel: /);
+  assert.doesNotMatch(checks.exit.details[1], /127\.0\.0\.1/);
+});
+
+test('an unusable echo service skips the DNS check', async (t) => {
+  const { config, exitIpConfig, socksPort } = await startServices(t);
+  const report = await runLeakTest({ ...config, dnsIdUrl: config.dnsIdUrl.replace('/id', '/missing') }, { socksPort, exitIpConfig });
+  assert.equal(byId(report).dns.status, 'skipped');
+  assert.equal(report.passed, true);
+});
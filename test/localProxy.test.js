@@ -0,0 +1,120 @@
+/*
+  StealthLynk VPN Client - Local proxy tests
+  Generated PAC files are run in a sandbox with stand-ins for the PAC helper functions.
+*/
+
+const http = require('http');
+const vm = require('vm');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PacServer, buildPac, getProxySettings, normalizeProxySettings } = require('../localProxy');
+const { loadFunctions } = require('./helpers/loadFunctions');
+
+const current = getProxySettings();
+
+const fieldsOf = errors => errors.map(error => error.field);
+
+test('ports outside 1-65535 and unknown listen addresses are rejected', () => {
+  for (const port of [0, 65536, 1080.5, '1080', null]) {
+    assert.deepEqual(fieldsOf(normalizeProxySettings({ socksPort: port }, current).errors), ['socksPort'], `socksPort ${port}`);
+  }
+  assert.deepEqual(fieldsOf(normalizeProxySettings({ pacEnabled: true, pacPort: 70000 }, current).errors), ['pacPort']);
+  for (const listen of ['192.168.1.5', '::', 'localhost']) {
+    assert.deepEqual(fieldsOf(normalizeProxySettings({ listen }, current).errors), ['listen'], listen);
+  }
+  assert.deepEqual(normalizeProxySettings({ listen: '0.0.0.0', socksPort: 1080, httpPort: 1081 }, current).errors, []);
+});
+
+test('the proxies and the PAC server cannot share a port', () => {
+  const { errors } = normalizeProxySettings({ httpPort: current.socksPort }, current);
+  assert.deepEqual(errors, [{ field: 'httpPort', message: `HTTP port ${current.socksPort} is already used by the SOCKS5 proxy.` }]);
+  // A disabled PAC server's port is not checked
+  assert.deepEqual(normalizeProxySettings({ pacPort: current.httpPort }, current).errors, []);
+  assert.deepEqual(fieldsOf(normalizeProxySettings({ pacEnabled: true, pacPort: current.httpPort }, current).errors), ['pacPort']);
+});
+
+test('the PAC port may not take the metrics or control API port', () => {
+  for (const port of [10810, 10812]) {
+    const { errors } = normalizeProxySettings({ pacEnabled: true, pacPort: port }, current, [10810, 10812]);
+    assert.deepEqual(errors, [{ field: 'pacPort', message: `PAC port ${port} is already used by another service of the app.` }]);
+  }
+  assert.deepEqual(normalizeProxySettings({ pacEnabled: true, pacPort: 10812 }, current, [10810, false]).errors, []);
+});
+
+test('setLocalProxy reserves the control API port while the API is enabled', async () => {
+  const load = controlApi => loadFunctions({
+    serverStore: { data: { servers: [] }, getSettings: () => ({ controlApi }), updateSettings() {}, on() {} },
+  }, ['setLocalProxySettings']);
+
+  const enabled = await load({ enabled: true, port: 20000 }).setLocalProxySettings({ pacEnabled: true, pacPort: 20000 });
+  assert.equal(enabled.success, false);
+  assert.deepEqual(fieldsOf(enabled.errors), ['pacPort']);
+  const metrics = await load({ enabled: false, port: 20000 }).setLocalProxySettings({ pacEnabled: true, pacPort: 10810 });
+  assert.deepEqual(fieldsOf(metrics.errors), ['pacPort']);
+});
+
+function runPac(pac) {
+  const context = vm.createContext({
+    dnsDomainIs: (host, domain) => host.endsWith(domain),
+    isPlainHostName: host => !host.includes('.'),
+    isInNet: () => false,
+  });
+  vm.runInContext(pac, context);
+  return (url) => {
+    const host = new URL(url).hostname;
+    return context.FindProxyForURL(url, host);
+  };
+}
+
+test('the PAC sends domain, keyword and port rules the way the core routes them', () => {
+  const rules = [
+    { type: 'domain', value: 'Example.org', action: 'direct', enabled: true },
+    { type: 'keyword', value: 'intranet', action: 'direct', enabled: true },
+    { type: 'port', value: '6881-6889', action: 'direct', enabled: true },
+    { type: 'keyword', value: 'tracker', action: 'block', enabled: true },
+    { type: 'domain', value: 'disabled.example', action: 'direct', enabled: false },
+    { type: 'geosite', value: 'cn', action: 'direct', enabled: true },
+  ];
+  const pac = buildPac(current, rules, '192.168.1.20');
+  assert.match(pac, /\/\/ geosite:cn -> direct is applied by the proxy/);
+  const findProxy = runPac(pac);
+  const PROXY = 'PROXY 192.168.1.20:10809; SOCKS5 192.168.1.20:10808';
+
+  assert.equal(findProxy('https://example.org/'), 'DIRECT');
+  assert.equal(findProxy('https://www.EXAMPLE.org/'), 'DIRECT');
+  assert.equal(findProxy('https://notexample.org/'), PROXY);
+  assert.equal(findProxy('http://wiki.intranet.corp/'), 'DIRECT');
+  assert.equal(findProxy('http://peer.example.net:6885/announce'), 'DIRECT');
+  assert.equal(findProxy('http://peer.example.net:6890/announce'), PROXY);
+  assert.equal(findProxy('https://tracker.example.net/'), PROXY); // Blocked by the proxy
+  assert.equal(findProxy('https://disabled.example/'), PROXY);
+});
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+test('the PAC server serves the PAC for the address it was reached on', async (t) => {
+  const server = new PacServer({ getPac: host => `// for ${host}` });
+  await server.start({ listen: '127.0.0.1', port: 0 });
+  t.after(() => server.stop());
+  const { port } = server.server.address();
+
+  for (const path of ['/proxy.pac', '/wpad.dat']) {
+    const response = await get(port, path);
+    assert.equal(response.status, 200);
+    assert.match(response.type, /^application\/x-ns-proxy-autoconfig/);
+    assert.equal(response.body, '// for 127.0.0.1');
+  }
+  assert.equal((await get(port, '/other')).status, 404);
+
+  const second = new PacServer({ getPac: () => '' });
+  await assert.rejects(second.start({ listen: '127.0.0.1', port }), { code: 'EADDRINUSE' });
+  assert.equal(second.running, false);
+});
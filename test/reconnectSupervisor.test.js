@@ -0,0 +1,223 @@
+/*
+  StealthLynk VPN Client - Auto-reconnect tests
+  Wires ReconnectSupervisor to a connection state machine the way functions.js does,
+  with a fake clock, fake cores and a reconnect that fails or succeeds on cue.
+*/
+
+const EventEmitter = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConnectionStateMachine } = require('../connectionState');
+const { ReconnectSupervisor, backoffDelay } = require('../reconnectSupervisor');
+
+const CONFIG = { enabled: true, maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 6000 };
+const ONLINE = { eth0: [{ address: '192.168.1.20', internal: false }] };
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Timers run only when advance() reaches them, each followed by the promises it started
+function createClock() {
+  const timers = new Map();
+  let now = 0;
+  let nextId = 1;
+  const add = (fn, ms, every) => {
+    timers.set(nextId, { at: now + ms, fn, every });
+    return nextId++;
+  };
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => add(fn, ms, null),
+    setInterval: (fn, ms) => add(fn, ms, ms),
+    clearTimeout: id => timers.delete(id),
+    clearInterval: id => timers.delete(id),
+    pendingTimeouts: () => [...timers.values()].filter(timer => !timer.every).length,
+    async advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        const due = [...timers.entries()].filter(([, timer]) => timer.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        const [id, timer] = due;
+        now = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else timers.delete(id);
+        timer.fn();
+        await flush();
+      }
+      now = end;
+    },
+  };
+}
+
+function createTunnel({ randoms = [] } = {}) {
+  const clock = createClock();
+  const state = new ConnectionStateMachine({ now: clock.now });
+  const network = { interfaces: ONLINE };
+  const outcomes = []; // true for a reconnect that succeeds; an empty list fails
+  const attempts = [];
+  let core = new EventEmitter();
+
+  const supervisor = new ReconnectSupervisor({
+    reconnect: async () => {
+      attempts.push(clock.now());
+      state.transition('reconnecting');
+      if (outcomes.shift()) {
+        core = new EventEmitter();
+        supervisor.watchCore(core);
+        state.transition('connected');
+        return { success: true };
+      }
+      state.transition('error', { error: 'Connection refused.' });
+      return { success: false, message: 'Connection refused.' };
+    },
+    getConnectionState: () => state.state,
+    reportDrop: (reason) => {
+      if (state.state === 'connected') state.transition('error', { error: reason });
+    },
+    clock,
+    random: () => (randoms.length > 0 ? randoms.shift() : 0.5),
+    getNetworkInterfaces: () => network.interfaces,
+  });
+  supervisor.configure(CONFIG);
+  state.on('change', snapshot => supervisor.onConnectionChange(snapshot));
+  state.transition('connecting');
+  state.transition('connected');
+  supervisor.watchCore(core);
+
+  return {
+    clock, state, network, outcomes, attempts, supervisor,
+    getCore: () => core,
+    crash: () => core.emit('exit', { code: 1, signal: null }),
+  };
+}
+
+// Delays between the drop (or the previous failure) and each attempt
+function delaysOf(attempts, droppedAt = 0) {
+  return attempts.map((at, index) => at - (index === 0 ? droppedAt : attempts[index - 1]));
+}
+
+test('backoff doubles per attempt up to maxDelayMs, within the jitter bounds', () => {
+  for (let attempt = 1; attempt <= 6; attempt++) {
+    const ceiling = Math.min(CONFIG.maxDelayMs, CONFIG.baseDelayMs * 2 ** (attempt - 1));
+    assert.equal(backoffDelay(attempt, CONFIG, () => 0), ceiling / 2);
+    assert.equal(backoffDelay(attempt, CONFIG, () => 1), ceiling);
+  }
+});
+
+test('a crashed core is retried with growing delays until maxAttempts, then gives up', async () => {
+  const { clock, state, attempts, supervisor, crash } = createTunnel({ randoms: [0, 1, 0, 1, 0.5] });
+  const statuses = [];
+  supervisor.on('status', status => statuses.push(status.status));
+
+  crash();
+  assert.equal(state.state, 'error');
+  assert.equal(supervisor.getStatus().reason, 'The core exited unexpectedly (code 1).');
+  await clock.advance(60000);
+
+  assert.deepEqual(delaysOf(attempts), [500, 2000, 2000, 6000, 4500]);
+  assert.equal(supervisor.getStatus().status, 'gave-up');
+  assert.equal(supervisor.getStatus().lastError, 'Connection refused.');
+  assert.equal(statuses.filter(status => status === 'waiting').length, CONFIG.maxAttempts);
+  assert.equal(clock.pendingTimeouts(), 0);
+
+  // Nothing more happens on its own
+  await clock.advance(600000);
+  assert.equal(attempts.length, CONFIG.maxAttempts);
+});
+
+test('a successful reconnect resets the attempts for the next drop', async () => {
+  const { clock, state, outcomes, attempts, supervisor, crash } = createTunnel({ randoms: [1, 1, 1, 1] });
+  outcomes.push(false, false, true);
+  crash();
+  await clock.advance(60000);
+  assert.deepEqual(delaysOf(attempts), [1000, 2000, 4000]);
+  assert.equal(state.state, 'connected');
+  assert.deepEqual(supervisor.getStatus(), {
+    status: 'idle', attempt: 0, maxAttempts: CONFIG.maxAttempts, retryAt: null, reason: null, lastError: null,
+  });
+
+  // The replacement core dies later: back to the first, shortest delay
+  await clock.advance(3600000);
+  const droppedAt = clock.now();
+  crash();
+  await clock.advance(60000);
+  assert.equal(attempts[3] - droppedAt, 1000);
+});
+
+test('only the most recent core is watched', async () => {
+  const { clock, state, outcomes, attempts, getCore, crash } = createTunnel();
+  const firstCore = getCore();
+  outcomes.push(true);
+  crash();
+  await clock.advance(1000);
+  assert.equal(attempts.length, 1);
+  // The replaced core reporting its exit late is not a drop
+  firstCore.emit('exit', 1, null);
+  assert.equal(state.state, 'connected');
+  await clock.advance(60000);
+  assert.equal(attempts.length, 1);
+});
+
+test('waking from sleep restarts a connected tunnel straight away', async () => {
+  const { clock, state, outcomes, attempts, supervisor } = createTunnel();
+  outcomes.push(true);
+  supervisor.onResume();
+  await flush();
+  assert.deepEqual(attempts, [0]);
+  assert.equal(state.state, 'connected');
+  assert.equal(supervisor.getStatus().status, 'idle');
+  assert.equal(clock.pendingTimeouts(), 0);
+});
+
+test('waking from sleep skips the wait of a pending retry', async () => {
+  const { clock, attempts, supervisor, crash } = createTunnel();
+  crash();
+  await clock.advance(100);
+  assert.equal(supervisor.getStatus().status, 'waiting');
+  supervisor.onResume();
+  await flush();
+  assert.deepEqual(attempts, [100]);
+  assert.equal(supervisor.getStatus().attempt, 2); // The failed attempt scheduled the next one
+});
+
+test('a network change restarts the tunnel once the addresses settle', async () => {
+  const { clock, network, outcomes, attempts, supervisor } = createTunnel();
+  outcomes.push(true, true);
+  supervisor.start();
+  // Link-local addresses coming and going are not a change
+  network.interfaces = { ...ONLINE, eth1: [{ address: 'fe80::1', internal: false }] };
+  await clock.advance(10000);
+  assert.equal(attempts.length, 0);
+
+  network.interfaces = { wlan0: [{ address: '10.0.0.7', internal: false }] };
+  await clock.advance(5000); // Noticed by the next poll
+  assert.equal(attempts.length, 0);
+  await clock.advance(2000); // Then left to settle
+  assert.deepEqual(attempts, [17000]);
+
+  // Going offline is not worth a retry; coming back is
+  network.interfaces = {};
+  await clock.advance(20000);
+  assert.equal(attempts.length, 1);
+  network.interfaces = ONLINE;
+  await clock.advance(7000);
+  assert.equal(attempts.length, 2);
+  supervisor.stop();
+  assert.equal(clock.pendingTimeouts(), 0);
+});
+
+test('cancel stops a pending retry and a disabled supervisor ignores drops', async () => {
+  const { clock, attempts, supervisor, crash } = createTunnel();
+  crash();
+  assert.equal(supervisor.cancel(), true);
+  assert.equal(supervisor.getStatus().status, 'cancelled');
+  await clock.advance(60000);
+  assert.equal(attempts.length, 0);
+
+  const disabled = createTunnel();
+  disabled.supervisor.configure({ enabled: false });
+  disabled.crash();
+  disabled.supervisor.onResume();
+  await disabled.clock.advance(60000);
+  assert.equal(disabled.attempts.length, 0);
+  assert.equal(disabled.supervisor.getStatus().status, 'idle');
+});
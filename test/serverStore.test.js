@@ -0,0 +1,168 @@
+/*
+  StealthLynk VPN Client - Server store tests
+  Two stores on the same file stand in for the app and the CLI; a toy keychain
+  stands in for Electron's safeStorage.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ServerStore } = require('../serverStore');
+const { StoreCipher, StoreLockedError, isEnvelope } = require('../storeCrypto');
+
+function openStores(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-store-'));
+  const filePath = path.join(dir, 'servers.json');
+  const app = new ServerStore(filePath);
+  app.load();
+  app.addServer({ id: 'a', name: 'App server' });
+  const cli = new ServerStore(filePath);
+  cli.load();
+  t.after(() => {
+    app.unwatch();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { app, cli, filePath };
+}
+
+const onDisk = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('changes written by another process are not lost on the next save', (t) => {
+  const { app, cli, filePath } = openStores(t);
+  cli.addServer({ id: 'b', name: 'CLI server' });
+  cli.updateSettings({ socksPort: 20808 });
+  const reloads = [];
+  app.on('reload', snapshot => reloads.push(snapshot));
+
+  app.setActiveServer('b');
+  assert.deepEqual(onDisk(filePath).servers.map(s => s.id), ['a', 'b']);
+  assert.equal(onDisk(filePath).settings.socksPort, 20808);
+  assert.equal(onDisk(filePath).activeServer, 'b');
+  assert.equal(reloads.length, 1);
+  assert.equal(app.getSettings().socksPort, 20808);
+});
+
+test('the store does not reload its own saves', (t) => {
+  const { app } = openStores(t);
+  const reloads = [];
+  app.on('reload', snapshot => reloads.push(snapshot));
+  app.addServer({ id: 'b' });
+  app.updateServer('b', { name: 'Renamed' });
+  assert.equal(app.reloadIfChanged(), false);
+  assert.equal(reloads.length, 0);
+});
+
+test('a watched store picks up changes from another process', async (t) => {
+  const { app, cli } = openStores(t);
+  app.watch(20);
+  // The watcher doesn't keep the process alive; the deadline does until it fires
+  let deadline;
+  const changed = Promise.race([
+    once(app, 'change'),
+    new Promise((resolve, reject) => { deadline = setTimeout(() => reject(new Error('No change seen')), 5000); }),
+  ]);
+  cli.deleteServer('a');
+  const [snapshot] = await changed;
+  clearTimeout(deadline);
+  assert.deepEqual(snapshot.servers, []);
+  assert.deepEqual(app.data.servers, []);
+});
+
+// --- Encryption at rest ---
+
+// Stands in for Electron's safeStorage with a working keychain
+const keychain = {
+  isEncryptionAvailable: () => true,
+  getSelectedStorageBackend: () => 'gnome_libsecret',
+  encryptString: text => Buffer.from(`wrapped:${text}`),
+  decryptString: (buffer) => {
+    const text = buffer.toString();
+    if (!text.startsWith('wrapped:')) throw new Error('Not ours');
+    return text.slice('wrapped:'.length);
+  },
+};
+
+function storeFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stealthlynk-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'servers.json');
+}
+
+const SERVER = { id: 's1', protocol: 'trojan', address: 'tr.example.com', port: 443, password: 'hunter2' };
+
+test('a plaintext store is encrypted on first load and reads back the same', (t) => {
+  const filePath = storeFile(t);
+  fs.writeFileSync(filePath, JSON.stringify({ servers: [SERVER], activeServer: 's1' }));
+
+  const store = new ServerStore(filePath, { cipher: new StoreCipher({ safeStorage: keychain, platform: 'linux' }) });
+  store.load();
+  const text = fs.readFileSync(filePath, 'utf8');
+  assert.equal(isEnvelope(JSON.parse(text)), true);
+  assert.doesNotMatch(text, /hunter2|tr\.example\.com/);
+  assert.deepEqual(store.getEncryptionStatus(), { state: 'encrypted', keySource: 'safeStorage' });
+
+  const reopened = new ServerStore(filePath, { cipher: new StoreCipher({ safeStorage: keychain, platform: 'linux' }) });
+  assert.deepEqual(reopened.load().servers, [SERVER]);
+  assert.equal(reopened.data.activeServer, 's1');
+});
+
+test('a passphrase-sealed store unlocks with its passphrase only', (t) => {
+  const filePath = storeFile(t);
+  const store = new ServerStore(filePath, { cipher: new StoreCipher() });
+  store.load();
+  store.addServer(SERVER);
+  assert.equal(store.getEncryptionStatus().state, 'unencrypted'); // No keychain, no passphrase yet
+  store.setPassphrase('correct horse');
+  assert.doesNotMatch(fs.readFileSync(filePath, 'utf8'), /hunter2/);
+
+  const reopened = new ServerStore(filePath, { cipher: new StoreCipher() });
+  reopened.load();
+  assert.equal(reopened.getEncryptionStatus().code, 'passphrase-required');
+  assert.deepEqual(reopened.data.servers, []);
+
+  const wrong = reopened.unlock('battery staple');
+  assert.equal(wrong.state, 'locked');
+  assert.equal(wrong.code, 'passphrase');
+  assert.deepEqual(reopened.data.servers, []);
+
+  assert.deepEqual(reopened.unlock('correct horse'), { state: 'encrypted', keySource: 'passphrase' });
+  assert.deepEqual(reopened.data.servers, [{ ...SERVER, addedAt: reopened.data.servers[0].addedAt }]);
+});
+
+test('a locked or damaged store is never saved over', (t) => {
+  const lockedPath = storeFile(t);
+  const sealed = new ServerStore(lockedPath, { cipher: new StoreCipher() });
+  sealed.load();
+  sealed.setPassphrase('correct horse');
+  const damagedPath = storeFile(t);
+  fs.writeFileSync(damagedPath, '{"servers": [');
+
+  for (const filePath of [lockedPath, damagedPath]) {
+    const before = fs.readFileSync(filePath, 'utf8');
+    const store = new ServerStore(filePath, { cipher: new StoreCipher() });
+    store.load();
+    assert.equal(store.getEncryptionStatus().state, 'locked');
+    assert.throws(() => store.save(), StoreLockedError);
+    assert.throws(() => store.addServer(SERVER), StoreLockedError);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), before);
+  }
+});
+
+test('resetUnreadable moves the file aside and starts empty', (t) => {
+  const filePath = storeFile(t);
+  fs.writeFileSync(filePath, 'not json');
+  const store = new ServerStore(filePath, { cipher: new StoreCipher({ safeStorage: keychain, platform: 'linux' }) });
+  store.load();
+  assert.equal(store.getEncryptionStatus().code, 'damaged');
+
+  const movedTo = store.resetUnreadable();
+  assert.equal(fs.readFileSync(movedTo, 'utf8'), 'not json');
+  assert.equal(path.dirname(movedTo), path.dirname(filePath));
+  assert.equal(store.getEncryptionStatus().state, 'encrypted');
+  store.addServer(SERVER);
+  const reopened = new ServerStore(filePath, { cipher: new StoreCipher({ safeStorage: keychain, platform: 'linux' }) });
+  assert.equal(reopened.load().servers.length, 1);
+});
@@ -0,0 +1,47 @@
+/*
+  StealthLynk VPN Client - Share link tests
+  Parses the links in fixtures/share-links.json and compares the servers with
+  the expected ones; entries with `error` must be rejected with that message.
+  The valid ones must also survive validation and a rebuild with buildShareLink().
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const shareLinks = require('../shareLinks');
+const fixtures = require('./fixtures/share-links.json');
+
+for (const fixture of fixtures) {
+  test(`parses ${fixture.description}`, () => {
+    if (fixture.error) {
+      assert.throws(() => shareLinks.parseShareLink(fixture.link), {
+        name: 'ShareLinkError',
+        message: fixture.error,
+      });
+      return;
+    }
+    assert.deepEqual(shareLinks.parseShareLink(fixture.link), { ...fixture.expected, url: fixture.link });
+  });
+}
+
+// Parse, validate, build and parse again: the rebuilt link must describe the same server
+for (const fixture of fixtures.filter(f => !f.error)) {
+  test(`round-trips ${fixture.description}`, () => {
+    const server = shareLinks.parseShareLink(fixture.link);
+    assert.deepEqual(shareLinks.validateServer(server), []);
+    const link = shareLinks.buildShareLink(server);
+    assert.deepEqual(shareLinks.parseShareLink(link), { ...server, url: link });
+  });
+}
+
+test('trojan security and transport are case-insensitive like vless', () => {
+  const server = shareLinks.parseShareLink('trojan://pass@tr.example.com:443?security=TLS&type=WS&path=%2Fws#Trojan');
+  assert.equal(server.security, 'tls');
+  assert.equal(server.network, 'ws');
+  assert.deepEqual(shareLinks.validateServer(server), []);
+  assert.match(shareLinks.buildShareLink(server), /[?&]security=tls&/);
+});
+
+test('trojan links with an unknown security or transport are reported', () => {
+  const { errors } = shareLinks.inspectShareLink('trojan://pass@tr.example.com:443?security=xtls&type=carrier-pigeon');
+  assert.deepEqual(errors.map(error => error.field), ['security', 'network']);
+});
@@ -0,0 +1,101 @@
+/*
+  StealthLynk VPN Client - Traffic stats tests
+  Polls a local stand-in for the core's /debug/vars endpoint with a fake clock.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findFreePort } = require('../coreLauncher');
+const { TrafficMonitor, fetchMetrics, readCounters } = require('../trafficStats');
+const { startHttpServer } = require('./helpers/standIns');
+
+// Serves whatever `vars` holds, shaped like the core's expvar output
+async function startMetricsServer() {
+  const state = { vars: { stats: { outbound: { proxy: { uplink: 0, downlink: 0 } } } }, status: 200 };
+  const server = await startHttpServer({
+    '/debug/vars': (req, res) => {
+      res.statusCode = state.status;
+      return typeof state.vars === 'string' ? state.vars : JSON.stringify(state.vars);
+    },
+  });
+  return { ...server, state, setCounters: (uplink, downlink) => { state.vars = { stats: { outbound: { proxy: { uplink, downlink } } } }; } };
+}
+
+function createMonitor(url) {
+  const clock = { now: 10000 };
+  const monitor = new TrafficMonitor({ url, getServerId: () => 's1', now: () => clock.now });
+  return { monitor, clock };
+}
+
+test('counter deltas become rates and session totals', async (t) => {
+  const metrics = await startMetricsServer();
+  t.after(() => metrics.close());
+  const { monitor, clock } = createMonitor(metrics.url('/debug/vars'));
+
+  metrics.setCounters(1000, 5000);
+  const first = await monitor.poll();
+  assert.equal(first.uplinkDelta, 0); // The first read is only the baseline
+  assert.equal(first.downlinkDelta, 0);
+
+  clock.now += 2000;
+  metrics.setCounters(3000, 25000);
+  const second = await monitor.poll();
+  assert.deepEqual(second, {
+    serverId: 's1',
+    at: 12000,
+    uplinkDelta: 2000,
+    downlinkDelta: 20000,
+    uplinkRate: 1000,
+    downlinkRate: 10000,
+    sessionUplink: 2000,
+    sessionDownlink: 20000,
+  });
+});
+
+test('counters that went down after a core restart count from zero', async (t) => {
+  const metrics = await startMetricsServer();
+  t.after(() => metrics.close());
+  const { monitor, clock } = createMonitor(metrics.url('/debug/vars'));
+
+  metrics.setCounters(50000, 90000);
+  await monitor.poll();
+  clock.now += 1000;
+  metrics.setCounters(300, 700);
+  const sample = await monitor.poll();
+  assert.equal(sample.uplinkDelta, 300);
+  assert.equal(sample.downlinkDelta, 700);
+  assert.equal(sample.sessionDownlink, 700);
+});
+
+test('an unreachable or broken endpoint yields no sample and drops the baseline', async (t) => {
+  const metrics = await startMetricsServer();
+  t.after(() => metrics.close());
+  const { monitor, clock } = createMonitor(metrics.url('/debug/vars'));
+  const samples = [];
+  monitor.on('sample', sample => samples.push(sample));
+
+  metrics.setCounters(1000, 1000);
+  await monitor.poll();
+  metrics.state.status = 503;
+  assert.equal(await monitor.poll(), null);
+  assert.equal(monitor.previous, null);
+
+  // Back up with higher counters: the traffic during the outage is not attributed to one poll
+  metrics.state.status = 200;
+  metrics.setCounters(9000, 9000);
+  clock.now += 1000;
+  assert.equal((await monitor.poll()).uplinkDelta, 0);
+  assert.equal(samples.length, 2);
+
+  const closed = createMonitor(`http://127.0.0.1:${await findFreePort()}/debug/vars`);
+  assert.equal(await closed.monitor.poll(), null);
+});
+
+test('fetchMetrics rejects invalid JSON and readCounters ignores a missing outbound', async (t) => {
+  const metrics = await startMetricsServer();
+  t.after(() => metrics.close());
+  metrics.state.vars = 'not json';
+  await assert.rejects(fetchMetrics(metrics.url('/debug/vars')), /invalid JSON/);
+  assert.equal(readCounters({ stats: { outbound: {} } }), null);
+  assert.equal(readCounters({}), null);
+});
@@ -0,0 +1,142 @@
+/*
+  StealthLynk VPN Client - Traffic Stats
+  Polls the core's metrics endpoint (/debug/vars) for the proxy outbound's
+  byte counters and turns them into session totals, current throughput and
+  per-poll deltas for the usage history.
+*/
+
+const http = require('http');
+const EventEmitter = require('events');
+
+const DEFAULT_INTERVAL_MS = 1000;
+const REQUEST_TIMEOUT_MS = 800;
+
+/**
+ * Fetches and parses the JSON served by the core's metrics endpoint.
+ */
+function fetchMetrics(url, timeoutMs = REQUEST_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const request = http.get(url, { timeout: timeoutMs }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Metrics endpoint answered ${response.statusCode}`));
+        return;
+      }
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { body += chunk; });
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error('Metrics endpoint returned invalid JSON'));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Metrics request timed out')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Reads the uplink/downlink byte counters of one outbound from /debug/vars output.
+ * Returns null when the core does not report that outbound (yet).
+ */
+function readCounters(vars, outboundTag = 'proxy') {
+  const outbound = vars && vars.stats && vars.stats.outbound && vars.stats.outbound[outboundTag];
+  if (!outbound) return null;
+  return { uplink: Number(outbound.uplink) || 0, downlink: Number(outbound.downlink) || 0 };
+}
+
+class TrafficMonitor extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.url Metrics URL, e.g. http://127.0.0.1:10810/debug/vars
+   * @param {function(): string} options.getServerId Server the traffic is attributed to.
+   * @param {number} [options.intervalMs]
+   * @param {function(string): Promise<object>} [options.fetchVars] Override for tests.
+   * @param {function(): number} [options.now]
+   */
+  constructor({ url, getServerId, intervalMs = DEFAULT_INTERVAL_MS, fetchVars = fetchMetrics, now = Date.now }) {
+    super();
+    this.url = url;
+    this.getServerId = getServerId;
+    this.intervalMs = intervalMs;
+    this.fetchVars = fetchVars;
+    this.now = now;
+    this.timer = null;
+    this.reset();
+  }
+
+  reset() {
+    this.previous = null; // Last counters read, the baseline for the next delta
+    this.session = { uplink: 0, downlink: 0, startedAt: this.now() };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.reset();
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.previous = null;
+  }
+
+  getSession() {
+    return { ...this.session };
+  }
+
+  async poll() {
+    let counters = null;
+    try {
+      counters = readCounters(await this.fetchVars(this.url));
+    } catch (error) {
+      counters = null;
+    }
+    const at = this.now();
+
+    // Core not reachable (starting, switching servers): drop the baseline
+    if (!counters) {
+      this.previous = null;
+      return null;
+    }
+
+    let uplinkDelta = 0;
+    let downlinkDelta = 0;
+    let seconds = this.intervalMs / 1000;
+    if (this.previous) {
+      // Counters only go down when the core restarted; count from zero again
+      const restarted = counters.uplink < this.previous.uplink || counters.downlink < this.previous.downlink;
+      uplinkDelta = restarted ? counters.uplink : counters.uplink - this.previous.uplink;
+      downlinkDelta = restarted ? counters.downlink : counters.downlink - this.previous.downlink;
+      seconds = Math.max(0.001, (at - this.previous.at) / 1000);
+    }
+    this.previous = { ...counters, at };
+
+    this.session.uplink += uplinkDelta;
+    this.session.downlink += downlinkDelta;
+
+    const sample = {
+      serverId: this.getServerId(),
+      at,
+      uplinkDelta,
+      downlinkDelta,
+      uplinkRate: Math.round(uplinkDelta / seconds),
+      downlinkRate: Math.round(downlinkDelta / seconds),
+      sessionUplink: this.session.uplink,
+      sessionDownlink: this.session.downlink,
+    };
+    this.emit('sample', sample);
+    return sample;
+  }
+}
+
+module.exports = {
+  TrafficMonitor,
+  fetchMetrics,
+  readCounters,
+};
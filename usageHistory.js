@@ -0,0 +1,94 @@
+/*
+  StealthLynk VPN Client - Usage History
+  Persists how many bytes each server carried per day
+  ({ days: { 'YYYY-MM-DD': { serverId: { uplink, downlink } } } }).
+  Writes are batched because samples arrive every second.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const FLUSH_DELAY_MS = 30000;
+
+/**
+ * Local calendar day of a timestamp, as used for the history keys.
+ */
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+class UsageHistory {
+  /**
+   * @param {string} filePath Location of the JSON file, usually inside app.getPath('userData').
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = { days: {} };
+    this.flushTimer = null;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = { days: parsed.days || {} };
+      }
+    } catch (error) {
+      console.error('[UsageHistory] Failed to load usage history:', error);
+      this.data = { days: {} };
+    }
+  }
+
+  save() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Adds traffic to a server's total for the day of `at`. Saved within FLUSH_DELAY_MS.
+   */
+  record(serverId, uplink, downlink, at = Date.now()) {
+    if (!serverId || (uplink <= 0 && downlink <= 0)) return;
+    const day = this.data.days[dayKey(at)] = this.data.days[dayKey(at)] || {};
+    const totals = day[serverId] = day[serverId] || { uplink: 0, downlink: 0 };
+    totals.uplink += uplink;
+    totals.downlink += downlink;
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.save(), FLUSH_DELAY_MS);
+      if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Usage between two days (inclusive, 'YYYY-MM-DD'), optionally for one server.
+   * @returns {{days: Array<{date: string, serverId: string, uplink: number, downlink: number}>,
+   *            totals: Object<string, {uplink: number, downlink: number}>}}
+   */
+  query({ from, to, serverId } = {}) {
+    const days = [];
+    const totals = {};
+    Object.keys(this.data.days).sort().forEach(date => {
+      if ((from && date < from) || (to && date > to)) return;
+      Object.entries(this.data.days[date]).forEach(([id, usage]) => {
+        if (serverId && id !== serverId) return;
+        days.push({ date, serverId: id, uplink: usage.uplink, downlink: usage.downlink });
+        totals[id] = totals[id] || { uplink: 0, downlink: 0 };
+        totals[id].uplink += usage.uplink;
+        totals[id].downlink += usage.downlink;
+      });
+    });
+    return { days, totals };
+  }
+}
+
+module.exports = {
+  UsageHistory,
+  dayKey,
+};